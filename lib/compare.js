@@ -0,0 +1,145 @@
+// Comparison of URLs once normalized as by lib/normalize.js, for equals()
+// and diff().
+
+import { ERR_INVALID_ARG_TYPE } from './errors.js';
+import { normalizePercentEncoding, removeDotSegments } from './normalize.js';
+import { getDefaultPort, isSlashedScheme } from './schemes.js';
+
+const CHAR_FORWARD_SLASH = 47;
+
+// Validates the options of equals(), filling in the defaults.
+function getCompareOptions(options) {
+  const flags = {
+    ignoreFragment: false,
+    ignoreQueryOrder: false,
+    ignoreDefaultPort: false,
+    ignoreAuth: false,
+  };
+  if (options !== undefined && options !== null) {
+    if (typeof options !== 'object')
+      throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    for (const name of Object.keys(flags)) {
+      if (options[name] != null) flags[name] = Boolean(options[name]);
+    }
+  }
+  return flags;
+}
+
+// Lists the differences between `a` and `b`, both Urls, as urlDiff() in
+// url.js does. `flags` is the result of getCompareOptions().
+function compareUrls(a, b, flags) {
+  const from = toComparableUrl(a, flags);
+  const to = toComparableUrl(b, flags);
+  const differences = [];
+
+  const components = ['protocol', 'auth', 'hostname', 'port'];
+  for (const component of components) {
+    if (component === 'auth' && flags.ignoreAuth)
+      continue;
+    addDifference(differences, { component }, from[component], to[component]);
+  }
+
+  const segmentCount = Math.max(from.segments.length, to.segments.length);
+  for (let i = 0; i < segmentCount; ++i) {
+    addDifference(differences, { component: 'path', index: i },
+                  i < from.segments.length ? from.segments[i] : null,
+                  i < to.segments.length ? to.segments[i] : null);
+  }
+
+  const fromParams = groupQueryParameters(from.query);
+  const toParams = groupQueryParameters(to.query);
+  const queryDifferenceCount = differences.length;
+  for (const key of new Set([...fromParams.keys(), ...toParams.keys()])) {
+    const fromValues = fromParams.get(key) || null;
+    const toValues = toParams.get(key) || null;
+    if (fromValues === null || toValues === null ||
+        fromValues.join('&') !== toValues.join('&')) {
+      addDifference(differences, { component: 'query', key },
+                    fromValues, toValues);
+    }
+  }
+  if (differences.length === queryDifferenceCount &&
+      !flags.ignoreQueryOrder &&
+      from.query.join('&') !== to.query.join('&')) {
+    differences.push({
+      component: 'query',
+      type: 'reordered',
+      from: from.query.join('&'),
+      to: to.query.join('&'),
+    });
+  }
+
+  if (!flags.ignoreFragment)
+    addDifference(differences, { component: 'hash' }, from.hash, to.hash);
+  return differences;
+}
+
+function addDifference(differences, difference, from, to) {
+  if (from === to)
+    return;
+  if (from === null)
+    difference.type = 'added';
+  else if (to === null)
+    difference.type = 'removed';
+  else
+    difference.type = 'changed';
+  difference.from = from;
+  difference.to = to;
+  differences.push(difference);
+}
+
+// Breaks `parsed`, a Url, up into normalized components that can be compared
+// with ===, apart from `segments` and `query`, which are arrays.
+function toComparableUrl(parsed, flags) {
+  const protocol = parsed.protocol && parsed.protocol.toLowerCase();
+  let port = parsed.port || null;
+  if (port !== null &&
+      flags.ignoreDefaultPort &&
+      Number(port) === getDefaultPort(protocol || ''))
+    port = null;
+
+  let pathname = normalizePercentEncoding(parsed.pathname || '');
+  if (pathname.charCodeAt(0) === CHAR_FORWARD_SLASH)
+    pathname = removeDotSegments(pathname);
+  if (pathname === '' && parsed.hostname && isSlashedScheme(protocol))
+    pathname = '/';
+  const segments = pathname === '' ? [] : pathname.split('/');
+  if (segments[0] === '' && segments.length > 1)
+    segments.shift();
+
+  const search = normalizePercentEncoding(parsed.search || '').slice(1);
+  let hash = parsed.hash && normalizePercentEncoding(parsed.hash);
+  if (hash === '')
+    hash = null;
+
+  return {
+    protocol,
+    auth: parsed.auth,
+    hostname: parsed.hostname || null,
+    port,
+    segments,
+    query: search === '' ? [] : search.split('&'),
+    hash,
+  };
+}
+
+// Maps each name in `params`, a list of "name=value" strings, to the list of
+// its values.
+function groupQueryParameters(params) {
+  const groups = new Map();
+  for (const param of params) {
+    const equalIdx = param.indexOf('=');
+    const key = equalIdx === -1 ? param : param.slice(0, equalIdx);
+    const value = equalIdx === -1 ? '' : param.slice(equalIdx + 1);
+    if (groups.has(key))
+      groups.get(key).push(value);
+    else
+      groups.set(key, [value]);
+  }
+  return groups;
+}
+
+export {
+  getCompareOptions,
+  compareUrls,
+};
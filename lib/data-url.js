@@ -0,0 +1,210 @@
+// Processing and generation of data: URLs.
+//
+// Reference: https://fetch.spec.whatwg.org/#data-urls
+
+import { ERR_INVALID_ARG_TYPE, ERR_INVALID_ARG_VALUE } from './errors.js';
+import { parseMIMEType, serializeMIMEType } from './mime-type.js';
+import {
+  hexTable,
+  noEscapeComponent,
+  percentDecodeBytes,
+  utf8Encode,
+} from './percent-encoding.js';
+import { basicURLParse, serializeURL } from './whatwg-url.js';
+
+const
+  CHAR_TAB = 9,
+  CHAR_LINE_FEED = 10,
+  CHAR_FORM_FEED = 12,
+  CHAR_CARRIAGE_RETURN = 13,
+  CHAR_SPACE = 32,
+  CHAR_SEMICOLON = 59;
+
+const base64Alphabet =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const base64Values = new Int8Array(128).fill(-1);
+for (let i = 0; i < base64Alphabet.length; ++i)
+  base64Values[base64Alphabet.charCodeAt(i)] = i;
+
+const base64SuffixPattern = /; *base64$/i;
+
+function isASCIIWhitespace(c) {
+  return c === CHAR_TAB ||
+         c === CHAR_LINE_FEED ||
+         c === CHAR_FORM_FEED ||
+         c === CHAR_CARRIAGE_RETURN ||
+         c === CHAR_SPACE;
+}
+
+function stripASCIIWhitespace(input) {
+  let start = 0;
+  let end = input.length;
+  while (start < end && isASCIIWhitespace(input.charCodeAt(start)))
+    ++start;
+  while (end > start && isASCIIWhitespace(input.charCodeAt(end - 1)))
+    --end;
+  return input.slice(start, end);
+}
+
+// Implements "forgiving-base64 decode". Returns the bytes, or null on
+// failure.
+function forgivingBase64Decode(input) {
+  let data = '';
+  for (let i = 0; i < input.length; ++i) {
+    if (!isASCIIWhitespace(input.charCodeAt(i)))
+      data += input[i];
+  }
+
+  if (data.length % 4 === 0) {
+    if (data.endsWith('=='))
+      data = data.slice(0, -2);
+    else if (data.endsWith('='))
+      data = data.slice(0, -1);
+  }
+  if (data.length % 4 === 1)
+    return null;
+
+  const output = [];
+  let buffer = 0;
+  let bits = 0;
+  for (let i = 0; i < data.length; ++i) {
+    const c = data.charCodeAt(i);
+    const value = c < 128 ? base64Values[c] : -1;
+    if (value === -1)
+      return null;
+    buffer = (buffer << 6) | value;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      output.push((buffer >> bits) & 0xFF);
+    }
+  }
+  return output;
+}
+
+function isomorphicDecode(bytes) {
+  let output = '';
+  for (let i = 0; i < bytes.length; ++i)
+    output += String.fromCharCode(bytes[i]);
+  return output;
+}
+
+function base64Encode(bytes) {
+  let output = '';
+  let i = 0;
+  for (; i + 2 < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    output += base64Alphabet[n >> 18] +
+              base64Alphabet[(n >> 12) & 0x3F] +
+              base64Alphabet[(n >> 6) & 0x3F] +
+              base64Alphabet[n & 0x3F];
+  }
+  if (i + 1 === bytes.length) {
+    const n = bytes[i] << 16;
+    output += base64Alphabet[n >> 18] +
+              base64Alphabet[(n >> 12) & 0x3F] +
+              '==';
+  } else if (i + 2 === bytes.length) {
+    const n = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    output += base64Alphabet[n >> 18] +
+              base64Alphabet[(n >> 12) & 0x3F] +
+              base64Alphabet[(n >> 6) & 0x3F] +
+              '=';
+  }
+  return output;
+}
+
+function toBytes(data) {
+  if (typeof data === 'string')
+    return utf8Encode(data);
+  if (data instanceof ArrayBuffer)
+    return new Uint8Array(data);
+  if (ArrayBuffer.isView(data))
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new ERR_INVALID_ARG_TYPE('bytes',
+                                 ['string', 'ArrayBuffer', 'TypedArray',
+                                  'DataView'],
+                                 data);
+}
+
+// Implements the "data: URL processor". `input` is a string, a URL, or any
+// object with a string href. Returns an object with the serialized
+// `mimeType`, its `essence` and `parameters` (a Map), and the `body` as an
+// ArrayBuffer, or null if `input` isn't a valid data: URL.
+function parseDataURL(input) {
+  let href = input;
+  if (typeof href !== 'string') {
+    if (input !== null && typeof input === 'object')
+      href = input.href;
+    if (typeof href !== 'string')
+      throw new ERR_INVALID_ARG_TYPE('input', ['string', 'URL'], input);
+  }
+
+  const url = basicURLParse(href);
+  if (url === null || url.scheme !== 'data')
+    return null;
+
+  const serialized = serializeURL(url, true).slice(5);
+  const comma = serialized.indexOf(',');
+  if (comma === -1)
+    return null;
+  let mimeType = stripASCIIWhitespace(serialized.slice(0, comma));
+  let body = percentDecodeBytes(serialized.slice(comma + 1));
+
+  if (base64SuffixPattern.test(mimeType)) {
+    body = forgivingBase64Decode(isomorphicDecode(body));
+    if (body === null)
+      return null;
+    mimeType = mimeType.slice(0, mimeType.lastIndexOf(';'));
+  }
+
+  if (mimeType.charCodeAt(0) === CHAR_SEMICOLON)
+    mimeType = 'text/plain' + mimeType;
+
+  let mimeTypeRecord = parseMIMEType(mimeType);
+  if (mimeTypeRecord === null)
+    mimeTypeRecord = parseMIMEType('text/plain;charset=US-ASCII');
+
+  return {
+    mimeType: serializeMIMEType(mimeTypeRecord),
+    essence: `${mimeTypeRecord.type}/${mimeTypeRecord.subtype}`,
+    parameters: mimeTypeRecord.parameters,
+    body: new Uint8Array(body).buffer,
+  };
+}
+
+// Returns a data: URL for `bytes`, which is a string, an ArrayBuffer or a
+// view of one. The body is percent-encoded unless `options.base64` is set.
+function toDataURL(bytes, mimeType = '', options = undefined) {
+  bytes = toBytes(bytes);
+  if (typeof mimeType !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('mimeType', 'string', mimeType);
+  const base64 = options != null && Boolean(options.base64);
+
+  if (mimeType !== '') {
+    const mimeTypeRecord = parseMIMEType(mimeType);
+    if (mimeTypeRecord === null)
+      throw new ERR_INVALID_ARG_VALUE('mimeType', mimeType);
+    mimeType = serializeMIMEType(mimeTypeRecord);
+    // A comma or hash in a quoted parameter value would end the MIME type.
+    if (mimeType.includes(',') || mimeType.includes('#'))
+      throw new ERR_INVALID_ARG_VALUE('mimeType', mimeType);
+  }
+
+  if (base64)
+    return `data:${mimeType};base64,${base64Encode(bytes)}`;
+
+  let body = '';
+  for (let i = 0; i < bytes.length; ++i) {
+    const b = bytes[i];
+    body += b < 0x80 && noEscapeComponent[b] === 1 ?
+      String.fromCharCode(b) :
+      hexTable[b];
+  }
+  return `data:${mimeType},${body}`;
+}
+
+export {
+  parseDataURL,
+  toDataURL,
+};
@@ -0,0 +1,209 @@
+// Error classes thrown by this module. Their codes and messages match those
+// of Node.js, so that code written against Node's url module can branch on
+// `err.code`.
+
+class NodeTypeError extends TypeError {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+
+  get name() {
+    return 'TypeError';
+  }
+
+  toString() {
+    return `${this.name} [${this.code}]: ${this.message}`;
+  }
+}
+
+class ERR_INVALID_URL extends NodeTypeError {
+  constructor(input, base = undefined) {
+    super('ERR_INVALID_URL', 'Invalid URL');
+    this.input = input;
+    if (base !== undefined)
+      this.base = base;
+  }
+}
+
+class ERR_INVALID_URL_PATTERN extends NodeTypeError {
+  constructor(input, reason) {
+    super('ERR_INVALID_URL_PATTERN', `Invalid URL pattern: ${reason}`);
+    this.input = input;
+  }
+}
+
+class ERR_INVALID_URI_TEMPLATE extends NodeTypeError {
+  constructor(input, reason) {
+    super('ERR_INVALID_URI_TEMPLATE', `Invalid URI template: ${reason}`);
+    this.input = input;
+  }
+}
+
+class ERR_INVALID_ARG_TYPE extends NodeTypeError {
+  constructor(name, expected, actual) {
+    super('ERR_INVALID_ARG_TYPE',
+          `The "${name}" argument must be ${describeExpected(expected)}. ` +
+          `Received ${describeReceived(actual)}`);
+  }
+}
+
+class ERR_INVALID_ARG_VALUE extends NodeTypeError {
+  constructor(name, value, reason = 'is invalid') {
+    super('ERR_INVALID_ARG_VALUE',
+          `The argument '${name}' ${reason}. ` +
+          `Received ${describeValue(value)}`);
+  }
+}
+
+class ERR_INVALID_FILE_URL_PATH extends NodeTypeError {
+  constructor(reason) {
+    super('ERR_INVALID_FILE_URL_PATH', `File URL path ${reason}`);
+  }
+}
+
+class ERR_INVALID_FILE_URL_HOST extends NodeTypeError {
+  constructor(platform) {
+    super('ERR_INVALID_FILE_URL_HOST',
+          `File URL host must be "localhost" or empty on ${platform}`);
+  }
+}
+
+class ERR_INVALID_URL_SCHEME extends NodeTypeError {
+  constructor(expected) {
+    super('ERR_INVALID_URL_SCHEME', `The URL must be of scheme ${expected}`);
+  }
+}
+
+class ERR_OUT_OF_RANGE extends RangeError {
+  constructor(name, range, received) {
+    super(`The value of "${name}" is out of range. It must be ${range}. ` +
+          `Received ${describeValue(received)}`);
+    this.code = 'ERR_OUT_OF_RANGE';
+  }
+
+  get name() {
+    return 'RangeError';
+  }
+
+  toString() {
+    return `${this.name} [${this.code}]: ${this.message}`;
+  }
+}
+
+class ERR_INVALID_TUPLE extends NodeTypeError {
+  constructor(name, value) {
+    super('ERR_INVALID_TUPLE', `${name} must be an iterable ${value} tuple`);
+  }
+}
+
+class ERR_ARG_NOT_ITERABLE extends NodeTypeError {
+  constructor(name) {
+    super('ERR_ARG_NOT_ITERABLE', `${name} must be iterable`);
+  }
+}
+
+const parseErrorMessages = {
+  'surrounding-whitespace': 'Leading or trailing whitespace',
+  'invalid-reverse-solidus': 'Backslash used as a path separator',
+  'invalid-URL-unit': 'Invalid percent-encoded sequence',
+  'invalid-credentials': 'Unescaped @ in credentials',
+  'unescaped-character': 'Character that must be percent-encoded',
+  'host-invalid-code-point': 'Invalid host character',
+  'host-too-long': 'Hostname is longer than 255 characters',
+  'port-invalid': 'Invalid port',
+  'port-out-of-range': 'Port is out of range',
+};
+
+// Thrown by the strict mode of url.parse() where the lenient parser would
+// have silently repaired the input. `reason` names the problem, using the
+// WHATWG URL Standard's validation error names where one applies, and
+// `offset` is the index into `input` at which it was found.
+class URLParseError extends ERR_INVALID_URL {
+  constructor(reason, input, offset) {
+    super(input);
+    this.message =
+      `${parseErrorMessages[reason]} at offset ${offset}: ${input}`;
+    this.reason = reason;
+    this.offset = offset;
+  }
+
+  get name() {
+    return 'URLParseError';
+  }
+}
+
+// Lists `items` the way Node.js does, e.g. "a, b, or c".
+function formatList(items) {
+  if (items.length < 3)
+    return items.join(' or ');
+  return `${items.slice(0, -1).join(', ')}, or ${items[items.length - 1]}`;
+}
+
+function describeExpected(expected) {
+  if (!Array.isArray(expected))
+    expected = [expected];
+
+  // Capitalized names are classes, everything else is a typeof result.
+  const types = [];
+  const instances = [];
+  for (let i = 0; i < expected.length; ++i) {
+    const name = expected[i];
+    if (name === 'Object')
+      types.push('object');
+    else if (/^[A-Z]/.test(name))
+      instances.push(name);
+    else
+      types.push(name);
+  }
+
+  const parts = [];
+  if (types.length > 0) {
+    parts.push(types.length === 1 ?
+      `of type ${types[0]}` :
+      `one of type ${formatList(types)}`);
+  }
+  if (instances.length > 0)
+    parts.push(`an instance of ${formatList(instances)}`);
+  return parts.join(' or ');
+}
+
+function describeValue(value) {
+  if (typeof value === 'string') {
+    if (value.length > 28)
+      value = `${value.slice(0, 25)}...`;
+    return `'${value}'`;
+  }
+  if (typeof value === 'bigint')
+    return `${value}n`;
+  return String(value);
+}
+
+function describeReceived(value) {
+  if (value === null || value === undefined)
+    return String(value);
+  if (typeof value === 'function')
+    return `function ${value.name}`;
+  if (typeof value === 'object') {
+    const ctor = Object.getPrototypeOf(value)?.constructor;
+    if (typeof ctor === 'function' && ctor.name !== '')
+      return `an instance of ${ctor.name}`;
+    return 'an object';
+  }
+  return `type ${typeof value} (${describeValue(value)})`;
+}
+
+export {
+  ERR_INVALID_URL,
+  ERR_INVALID_URL_PATTERN,
+  ERR_INVALID_URI_TEMPLATE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_URL_SCHEME,
+  ERR_OUT_OF_RANGE,
+  ERR_INVALID_TUPLE,
+  ERR_ARG_NOT_ITERABLE,
+  URLParseError,
+};
@@ -0,0 +1,254 @@
+// Conversion between file: URLs and file system paths, following the
+// semantics of Node.js's url.fileURLToPath() and url.pathToFileURL().
+
+/* global Process */
+
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_URL_SCHEME,
+} from './errors.js';
+import { URL } from './whatwg-url.js';
+
+const
+  CHAR_FORWARD_SLASH = 47,
+  CHAR_BACKWARD_SLASH = 92,
+  CHAR_COLON = 58,
+  CHAR_LOWERCASE_A = 97,
+  CHAR_LOWERCASE_Z = 122;
+
+const platform = typeof Process !== 'undefined' ? Process.platform : 'linux';
+const isWindows = platform === 'windows';
+
+const percentRegEx = /%/g;
+const backslashRegEx = /\\/g;
+const forwardSlashRegEx = /\//g;
+const newlineRegEx = /\n/g;
+const carriageReturnRegEx = /\r/g;
+const tabRegEx = /\t/g;
+const questionRegEx = /\?/g;
+const hashRegEx = /#/g;
+
+function hasCurrentDir() {
+  return typeof Process !== 'undefined' &&
+         typeof Process.getCurrentDir === 'function';
+}
+
+// Returns the directory that the relative path `filepath` resolves against.
+// Where there is none, guessing one would only produce a wrong URL.
+function getCurrentDir(filepath) {
+  if (!hasCurrentDir()) {
+    throw new ERR_INVALID_ARG_VALUE('path', filepath,
+                                    'must be absolute without a working ' +
+                                    'directory');
+  }
+  return Process.getCurrentDir();
+}
+
+// Resolves "." and ".." segments, dropping empty ones along the way.
+function normalizeSegments(segments) {
+  const output = [];
+  for (let i = 0; i < segments.length; ++i) {
+    const segment = segments[i];
+    if (segment === '' || segment === '.')
+      continue;
+    if (segment === '..')
+      output.pop();
+    else
+      output.push(segment);
+  }
+  return output;
+}
+
+function resolvePosix(filepath) {
+  if (filepath.charCodeAt(0) !== CHAR_FORWARD_SLASH)
+    filepath = getCurrentDir(filepath) + '/' + filepath;
+  return '/' + normalizeSegments(filepath.split('/')).join('/');
+}
+
+function isWin32Separator(code) {
+  return code === CHAR_FORWARD_SLASH || code === CHAR_BACKWARD_SLASH;
+}
+
+function hasDriveLetter(filepath) {
+  return filepath.length >= 2 &&
+         ((filepath.charCodeAt(0) | 0x20) >= CHAR_LOWERCASE_A &&
+          (filepath.charCodeAt(0) | 0x20) <= CHAR_LOWERCASE_Z) &&
+         filepath.charCodeAt(1) === CHAR_COLON;
+}
+
+function resolveWin32(filepath) {
+  if (isWin32Separator(filepath.charCodeAt(0)) &&
+      isWin32Separator(filepath.charCodeAt(1)) &&
+      !isWin32Separator(filepath.charCodeAt(2))) {
+    // UNC root, e.g. \\server\share
+    const segments = filepath.split(/[\\/]/).slice(2);
+    if (segments.length >= 2 && segments[0] !== '' && segments[1] !== '') {
+      return `\\\\${segments[0]}\\${segments[1]}\\` +
+             normalizeSegments(segments.slice(2)).join('\\');
+    }
+  }
+
+  let device = '';
+  if (hasDriveLetter(filepath)) {
+    device = filepath.slice(0, 2);
+    filepath = filepath.slice(2);
+  }
+
+  if (!isWin32Separator(filepath.charCodeAt(0))) {
+    const cwd = getCurrentDir(device + filepath);
+    if (device === '' || (hasDriveLetter(cwd) &&
+                          cwd[0].toLowerCase() === device[0].toLowerCase())) {
+      if (device === '' && hasDriveLetter(cwd))
+        device = cwd.slice(0, 2);
+      filepath = (hasDriveLetter(cwd) ? cwd.slice(2) : cwd) + '\\' + filepath;
+    }
+  } else if (device === '' && hasCurrentDir()) {
+    const cwd = Process.getCurrentDir();
+    if (hasDriveLetter(cwd))
+      device = cwd.slice(0, 2);
+  }
+
+  return device + '\\' + normalizeSegments(filepath.split(/[\\/]/)).join('\\');
+}
+
+function getPathFromURLWin32(url) {
+  const hostname = url.hostname;
+  let pathname = url.pathname;
+  for (let n = 0; n < pathname.length; n++) {
+    if (pathname[n] === '%') {
+      const third = pathname.codePointAt(n + 2) | 0x20;
+      if ((pathname[n + 1] === '2' && third === 102) || // 2f 2F /
+          (pathname[n + 1] === '5' && third === 99)) {  // 5c 5C \
+        throw new ERR_INVALID_FILE_URL_PATH(
+          'must not include encoded \\ or / characters'
+        );
+      }
+    }
+  }
+  pathname = pathname.replace(forwardSlashRegEx, '\\');
+  pathname = decodeURIComponent(pathname);
+  if (hostname !== '') {
+    // If hostname is set, then we have a UNC path.
+    return `\\\\${hostname}${pathname}`;
+  }
+  // Otherwise, it's a local path that requires a drive letter
+  const letter = pathname.codePointAt(1) | 0x20;
+  const sep = pathname[2];
+  if (letter < CHAR_LOWERCASE_A || letter > CHAR_LOWERCASE_Z ||
+      (sep !== ':')) {
+    throw new ERR_INVALID_FILE_URL_PATH('must be absolute');
+  }
+  return pathname.slice(1);
+}
+
+function getPathFromURLPosix(url) {
+  if (url.hostname !== '') {
+    throw new ERR_INVALID_FILE_URL_HOST(platform);
+  }
+  const pathname = url.pathname;
+  for (let n = 0; n < pathname.length; n++) {
+    if (pathname[n] === '%') {
+      const third = pathname.codePointAt(n + 2) | 0x20;
+      if (pathname[n + 1] === '2' && third === 102) {
+        throw new ERR_INVALID_FILE_URL_PATH(
+          'must not include encoded / characters'
+        );
+      }
+    }
+  }
+  return decodeURIComponent(pathname);
+}
+
+function fileURLToPath(path, options = undefined) {
+  const windows = options != null && options.windows !== undefined ?
+    options.windows :
+    isWindows;
+
+  if (typeof path === 'string') {
+    path = new URL(path);
+  } else if (!(path instanceof URL)) {
+    // Also accept legacy Url objects and other URL-like objects.
+    if (path === null || typeof path !== 'object' ||
+        typeof path.href !== 'string')
+      throw new ERR_INVALID_ARG_TYPE('path', ['string', 'URL'], path);
+    path = new URL(path.href);
+  }
+  if (path.protocol !== 'file:')
+    throw new ERR_INVALID_URL_SCHEME('file');
+  return windows ? getPathFromURLWin32(path) : getPathFromURLPosix(path);
+}
+
+function encodePathChars(filepath, windows) {
+  if (filepath.indexOf('%') !== -1)
+    filepath = filepath.replace(percentRegEx, '%25');
+  // In posix, backslash is a valid character in paths:
+  if (!windows && filepath.indexOf('\\') !== -1)
+    filepath = filepath.replace(backslashRegEx, '%5C');
+  if (filepath.indexOf('\n') !== -1)
+    filepath = filepath.replace(newlineRegEx, '%0A');
+  if (filepath.indexOf('\r') !== -1)
+    filepath = filepath.replace(carriageReturnRegEx, '%0D');
+  if (filepath.indexOf('\t') !== -1)
+    filepath = filepath.replace(tabRegEx, '%09');
+  return filepath;
+}
+
+function pathToFileURL(filepath, options = undefined) {
+  if (typeof filepath !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('path', 'string', filepath);
+
+  const windows = options != null && options.windows !== undefined ?
+    options.windows :
+    isWindows;
+
+  if (windows && filepath.startsWith('\\\\')) {
+    const outURL = new URL('file://');
+    // UNC path format: \\server\share\resource
+    // The "\\?\UNC\" prefix of extended-length paths should be ignored.
+    const isExtendedUNC = filepath.startsWith('\\\\?\\UNC\\');
+    const prefixLength = isExtendedUNC ? 8 : 2;
+    const hostnameEndIndex = filepath.indexOf('\\', prefixLength);
+    if (hostnameEndIndex === -1) {
+      throw new ERR_INVALID_ARG_VALUE('path', filepath,
+                                      'Missing UNC resource path');
+    }
+    if (hostnameEndIndex === prefixLength) {
+      throw new ERR_INVALID_ARG_VALUE('path', filepath,
+                                      'Empty UNC servername');
+    }
+    outURL.hostname = filepath.slice(prefixLength, hostnameEndIndex);
+    outURL.pathname = encodePathChars(
+      filepath.slice(hostnameEndIndex).replace(backslashRegEx, '/'),
+      windows
+    );
+    return outURL;
+  }
+
+  let resolved = windows ? resolveWin32(filepath) : resolvePosix(filepath);
+  // Resolving strips trailing slashes so we must add them back
+  const filePathLast = filepath.charCodeAt(filepath.length - 1);
+  const sep = windows ? '\\' : '/';
+  if ((filePathLast === CHAR_FORWARD_SLASH ||
+       (windows && filePathLast === CHAR_BACKWARD_SLASH)) &&
+      resolved[resolved.length - 1] !== sep)
+    resolved += '/';
+
+  // Call encodePathChars first to avoid encoding % again for ? and #.
+  resolved = encodePathChars(resolved, windows);
+
+  // Question and hash characters should be included in the pathname, so they
+  // need to be escaped before parsing.
+  if (resolved.indexOf('?') !== -1)
+    resolved = resolved.replace(questionRegEx, '%3F');
+  if (resolved.indexOf('#') !== -1)
+    resolved = resolved.replace(hashRegEx, '%23');
+  return new URL(`file://${resolved}`);
+}
+
+export {
+  fileURLToPath,
+  pathToFileURL,
+};
@@ -0,0 +1,488 @@
+// The host parser of the WHATWG URL Standard, along with the IPv4 and IPv6
+// address parsers and serializers it is built from.
+//
+// Reference: https://url.spec.whatwg.org/#hosts-(domains-and-ip-addresses)
+
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_OUT_OF_RANGE,
+} from './errors.js';
+import { toASCII } from './idna.js';
+import {
+  percentEncode,
+  percentDecode,
+  noEscapeC0Control,
+  noEscapeComponent,
+} from './percent-encoding.js';
+
+const EOF = -1;
+
+// This prevents some common spoofing bugs due to our use of IDNA toASCII. For
+// compatibility, the set of characters we use here is the *intersection* of
+// "forbidden host code point" in the WHATWG URL Standard [1] and the
+// characters in the host parsing loop in Url.prototype.parse in url.js, with
+// the following additions:
+//
+// - ':' since this could cause a "protocol spoofing" bug
+// - '@' since this could cause parts of the hostname to be confused with auth
+// - '[' and ']' since this could cause a non-IPv6 hostname to be interpreted
+//   as IPv6 by isIpv6Hostname in url.js
+//
+// [1]: https://url.spec.whatwg.org/#forbidden-host-code-point
+const forbiddenHostChars = /[\t\n\r #%/:<>?@[\\\]^|]/;
+
+// The ZoneID production of RFC 6874.
+const zoneIdPattern = /^(?:[a-z0-9._~-]|%[0-9a-f]{2})+$/i;
+
+const
+  CHAR_TAB = 9,
+  CHAR_LINE_FEED = 10,
+  CHAR_CARRIAGE_RETURN = 13,
+  CHAR_SPACE = 32,
+  CHAR_HASH = 35,
+  CHAR_PERCENT = 37,
+  CHAR_DOT = 46,
+  CHAR_FORWARD_SLASH = 47,
+  CHAR_0 = 48,
+  CHAR_7 = 55,
+  CHAR_9 = 57,
+  CHAR_COLON = 58,
+  CHAR_LEFT_ANGLE_BRACKET = 60,
+  CHAR_RIGHT_ANGLE_BRACKET = 62,
+  CHAR_QUESTION_MARK = 63,
+  CHAR_AT = 64,
+  CHAR_UPPERCASE_A = 65,
+  CHAR_UPPERCASE_F = 70,
+  CHAR_UPPERCASE_X = 88,
+  CHAR_LEFT_SQUARE_BRACKET = 91,
+  CHAR_BACKWARD_SLASH = 92,
+  CHAR_RIGHT_SQUARE_BRACKET = 93,
+  CHAR_CIRCUMFLEX_ACCENT = 94,
+  CHAR_LOWERCASE_A = 97,
+  CHAR_LOWERCASE_F = 102,
+  CHAR_LOWERCASE_X = 120,
+  CHAR_VERTICAL_LINE = 124,
+  CHAR_DELETE = 127;
+
+function isASCIIDigit(c) {
+  return c >= CHAR_0 && c <= CHAR_9;
+}
+
+function isASCIIHex(c) {
+  return isASCIIDigit(c) ||
+         (c >= CHAR_LOWERCASE_A && c <= CHAR_LOWERCASE_F) ||
+         (c >= CHAR_UPPERCASE_A && c <= CHAR_UPPERCASE_F);
+}
+
+// https://url.spec.whatwg.org/#forbidden-host-code-point
+function isForbiddenHostCodePoint(c) {
+  return c === 0 ||
+         c === CHAR_TAB ||
+         c === CHAR_LINE_FEED ||
+         c === CHAR_CARRIAGE_RETURN ||
+         c === CHAR_SPACE ||
+         c === CHAR_HASH ||
+         c === CHAR_FORWARD_SLASH ||
+         c === CHAR_COLON ||
+         c === CHAR_LEFT_ANGLE_BRACKET ||
+         c === CHAR_RIGHT_ANGLE_BRACKET ||
+         c === CHAR_QUESTION_MARK ||
+         c === CHAR_AT ||
+         c === CHAR_LEFT_SQUARE_BRACKET ||
+         c === CHAR_BACKWARD_SLASH ||
+         c === CHAR_RIGHT_SQUARE_BRACKET ||
+         c === CHAR_CIRCUMFLEX_ACCENT ||
+         c === CHAR_VERTICAL_LINE;
+}
+
+// https://url.spec.whatwg.org/#forbidden-domain-code-point
+function isForbiddenDomainCodePoint(c) {
+  return isForbiddenHostCodePoint(c) ||
+         c <= 0x1F ||
+         c === CHAR_PERCENT ||
+         c === CHAR_DELETE;
+}
+
+function parseIPv4Number(input) {
+  if (input === '')
+    return null;
+
+  let radix = 10;
+  if (input.length >= 2 &&
+      input.charCodeAt(0) === CHAR_0 &&
+      (input.charCodeAt(1) === CHAR_LOWERCASE_X ||
+       input.charCodeAt(1) === CHAR_UPPERCASE_X)) {
+    input = input.slice(2);
+    radix = 16;
+  } else if (input.length >= 2 && input.charCodeAt(0) === CHAR_0) {
+    input = input.slice(1);
+    radix = 8;
+  }
+
+  if (input === '')
+    return 0;
+
+  for (let i = 0; i < input.length; ++i) {
+    const c = input.charCodeAt(i);
+    const isValid = radix === 10 ? isASCIIDigit(c) :
+      radix === 16 ? isASCIIHex(c) :
+        c >= CHAR_0 && c <= CHAR_7;
+    if (!isValid)
+      return null;
+  }
+
+  return parseInt(input, radix);
+}
+
+function endsInANumber(input) {
+  const parts = input.split('.');
+  if (parts[parts.length - 1] === '') {
+    if (parts.length === 1)
+      return false;
+    parts.pop();
+  }
+
+  const last = parts[parts.length - 1];
+  if (/^[0-9]+$/.test(last))
+    return true;
+  return parseIPv4Number(last) !== null;
+}
+
+function parseIPv4(input) {
+  const parts = input.split('.');
+  if (parts[parts.length - 1] === '' && parts.length > 1)
+    parts.pop();
+
+  if (parts.length > 4)
+    return null;
+
+  const numbers = [];
+  for (let i = 0; i < parts.length; ++i) {
+    const n = parseIPv4Number(parts[i]);
+    if (n === null)
+      return null;
+    numbers.push(n);
+  }
+
+  for (let i = 0; i < numbers.length - 1; ++i) {
+    if (numbers[i] > 255)
+      return null;
+  }
+  if (numbers[numbers.length - 1] >= 256 ** (5 - numbers.length))
+    return null;
+
+  let ipv4 = numbers[numbers.length - 1];
+  for (let i = 0; i < numbers.length - 1; ++i)
+    ipv4 += numbers[i] * 256 ** (3 - i);
+  return ipv4;
+}
+
+function serializeIPv4(address) {
+  let output = '';
+  let n = address;
+  for (let i = 1; i <= 4; ++i) {
+    output = String(n % 256) + output;
+    if (i !== 4)
+      output = '.' + output;
+    n = Math.floor(n / 256);
+  }
+  return output;
+}
+
+function parseIPv6(input) {
+  const address = [0, 0, 0, 0, 0, 0, 0, 0];
+  let pieceIndex = 0;
+  let compress = null;
+  let pointer = 0;
+  const at = (i) => (i < input.length ? input.charCodeAt(i) : EOF);
+
+  if (at(pointer) === CHAR_COLON) {
+    if (at(pointer + 1) !== CHAR_COLON)
+      return null;
+    pointer += 2;
+    compress = ++pieceIndex;
+  }
+
+  while (at(pointer) !== EOF) {
+    if (pieceIndex === 8)
+      return null;
+
+    if (at(pointer) === CHAR_COLON) {
+      if (compress !== null)
+        return null;
+      ++pointer;
+      compress = ++pieceIndex;
+      continue;
+    }
+
+    let value = 0;
+    let length = 0;
+    while (length < 4 && isASCIIHex(at(pointer))) {
+      value = value * 0x10 + parseInt(input[pointer], 16);
+      ++pointer;
+      ++length;
+    }
+
+    if (at(pointer) === CHAR_DOT) {
+      if (length === 0)
+        return null;
+      pointer -= length;
+      if (pieceIndex > 6)
+        return null;
+
+      let numbersSeen = 0;
+      while (at(pointer) !== EOF) {
+        let ipv4Piece = null;
+        if (numbersSeen > 0) {
+          if (at(pointer) === CHAR_DOT && numbersSeen < 4)
+            ++pointer;
+          else
+            return null;
+        }
+        if (!isASCIIDigit(at(pointer)))
+          return null;
+        while (isASCIIDigit(at(pointer))) {
+          const number = at(pointer) - CHAR_0;
+          if (ipv4Piece === null)
+            ipv4Piece = number;
+          else if (ipv4Piece === 0)
+            return null;
+          else
+            ipv4Piece = ipv4Piece * 10 + number;
+          if (ipv4Piece > 255)
+            return null;
+          ++pointer;
+        }
+        address[pieceIndex] = address[pieceIndex] * 0x100 + ipv4Piece;
+        ++numbersSeen;
+        if (numbersSeen === 2 || numbersSeen === 4)
+          ++pieceIndex;
+      }
+
+      if (numbersSeen !== 4)
+        return null;
+      break;
+    } else if (at(pointer) === CHAR_COLON) {
+      ++pointer;
+      if (at(pointer) === EOF)
+        return null;
+    } else if (at(pointer) !== EOF) {
+      return null;
+    }
+
+    address[pieceIndex++] = value;
+  }
+
+  if (compress !== null) {
+    let swaps = pieceIndex - compress;
+    pieceIndex = 7;
+    while (pieceIndex !== 0 && swaps > 0) {
+      const tmp = address[compress + swaps - 1];
+      address[compress + swaps - 1] = address[pieceIndex];
+      address[pieceIndex] = tmp;
+      --pieceIndex;
+      --swaps;
+    }
+  } else if (pieceIndex !== 8) {
+    return null;
+  }
+
+  return address;
+}
+
+function serializeIPv6(address) {
+  // Find the first longest run of two or more zero pieces to compress.
+  let compress = null;
+  let maxLength = 1;
+  for (let i = 0; i < 8;) {
+    if (address[i] !== 0) {
+      ++i;
+      continue;
+    }
+    let j = i;
+    while (j < 8 && address[j] === 0)
+      ++j;
+    if (j - i > maxLength) {
+      compress = i;
+      maxLength = j - i;
+    }
+    i = j;
+  }
+
+  let output = '';
+  let ignore0 = false;
+  for (let i = 0; i < 8; ++i) {
+    if (ignore0 && address[i] === 0)
+      continue;
+    ignore0 = false;
+    if (compress === i) {
+      output += i === 0 ? '::' : ':';
+      ignore0 = true;
+      continue;
+    }
+    output += address[i].toString(16);
+    if (i !== 7)
+      output += ':';
+  }
+  return output;
+}
+
+function parseOpaqueHost(input) {
+  for (let i = 0; i < input.length; ++i) {
+    if (isForbiddenHostCodePoint(input.charCodeAt(i)))
+      return null;
+  }
+  return percentEncode(input, noEscapeC0Control);
+}
+
+// Returns the serialized host, or null on failure.
+function parseHost(input, isOpaque) {
+  if (input.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET) {
+    if (input.charCodeAt(input.length - 1) !== CHAR_RIGHT_SQUARE_BRACKET)
+      return null;
+    const address = parseIPv6(input.slice(1, -1));
+    return address === null ? null : `[${serializeIPv6(address)}]`;
+  }
+
+  if (isOpaque)
+    return parseOpaqueHost(input);
+
+  const domain = percentDecode(input);
+  const asciiDomain = toASCII(domain);
+  if (asciiDomain === null)
+    return null;
+
+  for (let i = 0; i < asciiDomain.length; ++i) {
+    if (isForbiddenDomainCodePoint(asciiDomain.charCodeAt(i)))
+      return null;
+  }
+
+  if (endsInANumber(asciiDomain)) {
+    const ipv4 = parseIPv4(asciiDomain);
+    return ipv4 === null ? null : serializeIPv4(ipv4);
+  }
+
+  return asciiDomain;
+}
+
+// Returns the 32-bit number that `input` denotes as an IPv4 address, in any
+// of the forms the host parser accepts, e.g. "0x7f.1", or null if it isn't
+// one.
+function ipv4ToNumber(input) {
+  if (typeof input !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('input', 'string', input);
+  return parseIPv4(input);
+}
+
+// Returns the dotted-decimal form of the IPv4 address `n`.
+function numberToIpv4(n) {
+  if (typeof n !== 'number')
+    throw new ERR_INVALID_ARG_TYPE('n', 'number', n);
+  if (!Number.isInteger(n) || n < 0 || n > 0xFFFFFFFF)
+    throw new ERR_OUT_OF_RANGE('n', '>= 0 && <= 4294967295', n);
+  return serializeIPv4(n);
+}
+
+// Parses an IPv6 address with an optional zone ID, given either in its
+// textual form, as in "fe80::1%eth0", or in the bracketed form of RFC 6874
+// used in URLs, as in "[fe80::1%25eth0]". Returns `{ pieces, zoneId }`, where
+// `pieces` holds the eight 16-bit pieces of the address, or null if `input`
+// isn't valid.
+function parseIPv6Address(input) {
+  if (typeof input !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('input', 'string', input);
+
+  let zoneId = null;
+  if (input.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET) {
+    if (input.charCodeAt(input.length - 1) !== CHAR_RIGHT_SQUARE_BRACKET)
+      return null;
+    input = input.slice(1, -1);
+    const i = input.indexOf('%25');
+    if (i !== -1) {
+      const zone = input.slice(i + 3);
+      if (!zoneIdPattern.test(zone))
+        return null;
+      zoneId = percentDecode(zone);
+      input = input.slice(0, i);
+    }
+  } else {
+    const i = input.indexOf('%');
+    if (i !== -1) {
+      zoneId = input.slice(i + 1);
+      if (zoneId === '')
+        return null;
+      input = input.slice(0, i);
+    }
+  }
+
+  const pieces = parseIPv6(input);
+  return pieces === null ? null : { pieces, zoneId };
+}
+
+// Returns the canonical textual form of an IPv6 address as per RFC 5952,
+// e.g. "fe80::1%eth0". `address` is either a string or the result of
+// parseIPv6Address(). Unlike WHATWG URL hosts, IPv4-mapped addresses are
+// written in mixed notation, e.g. "::ffff:192.0.2.1", as recommended by
+// section 5.
+function formatIPv6Address(address) {
+  if (typeof address === 'string') {
+    const parsed = parseIPv6Address(address);
+    if (parsed === null)
+      throw new ERR_INVALID_ARG_VALUE('address', address);
+    address = parsed;
+  } else if (typeof address !== 'object' || address === null) {
+    throw new ERR_INVALID_ARG_TYPE('address', ['string', 'Object'], address);
+  }
+
+  const { pieces, zoneId = null } = address;
+  if (!isValidIPv6Pieces(pieces))
+    throw new ERR_INVALID_ARG_VALUE('address.pieces', pieces);
+  const output = formatIPv6Pieces(pieces);
+  return zoneId === null ? output : `${output}%${zoneId}`;
+}
+
+function formatIPv6Pieces(pieces) {
+  for (let i = 0; i < 5; ++i) {
+    if (pieces[i] !== 0)
+      return serializeIPv6(pieces);
+  }
+  // Only IPv4-mapped addresses, in ::ffff:0:0/96, get mixed notation. The
+  // IPv4-compatible ones in ::/96 are deprecated, so "::1:2" stays as is.
+  if (pieces[5] === 0xFFFF)
+    return '::ffff:' + serializeIPv4(pieces[6] * 0x10000 + pieces[7]);
+  return serializeIPv6(pieces);
+}
+
+function isValidIPv6Pieces(pieces) {
+  return Array.isArray(pieces) &&
+         pieces.length === 8 &&
+         pieces.every((piece) => {
+           return Number.isInteger(piece) && piece >= 0 && piece <= 0xFFFF;
+         });
+}
+
+// Serializes the result of parseIPv6Address() as a legacy URL host, in the
+// form of formatIPv6Address(), e.g. "[fe80::1%25eth0]".
+function serializeIPv6Host(address) {
+  let output = formatIPv6Pieces(address.pieces);
+  if (address.zoneId !== null)
+    output += `%25${percentEncode(address.zoneId, noEscapeComponent)}`;
+  return `[${output}]`;
+}
+
+export {
+  forbiddenHostChars,
+  ipv4ToNumber,
+  numberToIpv4,
+  parseIPv6Address,
+  formatIPv6Address,
+  serializeIPv6Host,
+  parseHost,
+  parseIPv4Number,
+  endsInANumber,
+  parseIPv4,
+  serializeIPv4,
+  parseIPv6,
+  serializeIPv6,
+};
@@ -0,0 +1,8030 @@
+// The IDNA Mapping Table of UTS #46, version 15.1.0, with consecutive code
+// points of the same status and mapping merged into ranges.
+//
+// Each line is "first;status[;mapping]": the code point that starts a range
+// running up to the next line's, its status, one of V (valid), M (mapped),
+// D (deviation), I (ignored), X (disallowed) or 3 (disallowed when
+// UseSTD3ASCIIRules is set), and the code points it maps to, all in hex.
+//
+// Copyright (c) 1991-2023 Unicode, Inc. Distributed under the Unicode
+// License v3: https://www.unicode.org/license.txt
+//
+// Reference: https://www.unicode.org/Public/idna/15.1.0/IdnaMappingTable.txt
+
+const idnaMappingTable = `\
+0000;3
+002D;V
+002F;3
+0030;V
+003A;3
+0041;M;0061
+0042;M;0062
+0043;M;0063
+0044;M;0064
+0045;M;0065
+0046;M;0066
+0047;M;0067
+0048;M;0068
+0049;M;0069
+004A;M;006A
+004B;M;006B
+004C;M;006C
+004D;M;006D
+004E;M;006E
+004F;M;006F
+0050;M;0070
+0051;M;0071
+0052;M;0072
+0053;M;0073
+0054;M;0074
+0055;M;0075
+0056;M;0076
+0057;M;0077
+0058;M;0078
+0059;M;0079
+005A;M;007A
+005B;3
+0061;V
+007B;3
+0080;X
+00A0;3;0020
+00A1;V
+00A8;3;0020 0308
+00A9;V
+00AA;M;0061
+00AB;V
+00AD;I
+00AE;V
+00AF;3;0020 0304
+00B0;V
+00B2;M;0032
+00B3;M;0033
+00B4;3;0020 0301
+00B5;M;03BC
+00B6;V
+00B8;3;0020 0327
+00B9;M;0031
+00BA;M;006F
+00BB;V
+00BC;M;0031 2044 0034
+00BD;M;0031 2044 0032
+00BE;M;0033 2044 0034
+00BF;V
+00C0;M;00E0
+00C1;M;00E1
+00C2;M;00E2
+00C3;M;00E3
+00C4;M;00E4
+00C5;M;00E5
+00C6;M;00E6
+00C7;M;00E7
+00C8;M;00E8
+00C9;M;00E9
+00CA;M;00EA
+00CB;M;00EB
+00CC;M;00EC
+00CD;M;00ED
+00CE;M;00EE
+00CF;M;00EF
+00D0;M;00F0
+00D1;M;00F1
+00D2;M;00F2
+00D3;M;00F3
+00D4;M;00F4
+00D5;M;00F5
+00D6;M;00F6
+00D7;V
+00D8;M;00F8
+00D9;M;00F9
+00DA;M;00FA
+00DB;M;00FB
+00DC;M;00FC
+00DD;M;00FD
+00DE;M;00FE
+00DF;D;0073 0073
+00E0;V
+0100;M;0101
+0101;V
+0102;M;0103
+0103;V
+0104;M;0105
+0105;V
+0106;M;0107
+0107;V
+0108;M;0109
+0109;V
+010A;M;010B
+010B;V
+010C;M;010D
+010D;V
+010E;M;010F
+010F;V
+0110;M;0111
+0111;V
+0112;M;0113
+0113;V
+0114;M;0115
+0115;V
+0116;M;0117
+0117;V
+0118;M;0119
+0119;V
+011A;M;011B
+011B;V
+011C;M;011D
+011D;V
+011E;M;011F
+011F;V
+0120;M;0121
+0121;V
+0122;M;0123
+0123;V
+0124;M;0125
+0125;V
+0126;M;0127
+0127;V
+0128;M;0129
+0129;V
+012A;M;012B
+012B;V
+012C;M;012D
+012D;V
+012E;M;012F
+012F;V
+0130;M;0069 0307
+0131;V
+0132;M;0069 006A
+0134;M;0135
+0135;V
+0136;M;0137
+0137;V
+0139;M;013A
+013A;V
+013B;M;013C
+013C;V
+013D;M;013E
+013E;V
+013F;M;006C 00B7
+0141;M;0142
+0142;V
+0143;M;0144
+0144;V
+0145;M;0146
+0146;V
+0147;M;0148
+0148;V
+0149;M;02BC 006E
+014A;M;014B
+014B;V
+014C;M;014D
+014D;V
+014E;M;014F
+014F;V
+0150;M;0151
+0151;V
+0152;M;0153
+0153;V
+0154;M;0155
+0155;V
+0156;M;0157
+0157;V
+0158;M;0159
+0159;V
+015A;M;015B
+015B;V
+015C;M;015D
+015D;V
+015E;M;015F
+015F;V
+0160;M;0161
+0161;V
+0162;M;0163
+0163;V
+0164;M;0165
+0165;V
+0166;M;0167
+0167;V
+0168;M;0169
+0169;V
+016A;M;016B
+016B;V
+016C;M;016D
+016D;V
+016E;M;016F
+016F;V
+0170;M;0171
+0171;V
+0172;M;0173
+0173;V
+0174;M;0175
+0175;V
+0176;M;0177
+0177;V
+0178;M;00FF
+0179;M;017A
+017A;V
+017B;M;017C
+017C;V
+017D;M;017E
+017E;V
+017F;M;0073
+0180;V
+0181;M;0253
+0182;M;0183
+0183;V
+0184;M;0185
+0185;V
+0186;M;0254
+0187;M;0188
+0188;V
+0189;M;0256
+018A;M;0257
+018B;M;018C
+018C;V
+018E;M;01DD
+018F;M;0259
+0190;M;025B
+0191;M;0192
+0192;V
+0193;M;0260
+0194;M;0263
+0195;V
+0196;M;0269
+0197;M;0268
+0198;M;0199
+0199;V
+019C;M;026F
+019D;M;0272
+019E;V
+019F;M;0275
+01A0;M;01A1
+01A1;V
+01A2;M;01A3
+01A3;V
+01A4;M;01A5
+01A5;V
+01A6;M;0280
+01A7;M;01A8
+01A8;V
+01A9;M;0283
+01AA;V
+01AC;M;01AD
+01AD;V
+01AE;M;0288
+01AF;M;01B0
+01B0;V
+01B1;M;028A
+01B2;M;028B
+01B3;M;01B4
+01B4;V
+01B5;M;01B6
+01B6;V
+01B7;M;0292
+01B8;M;01B9
+01B9;V
+01BC;M;01BD
+01BD;V
+01C4;M;0064 017E
+01C7;M;006C 006A
+01CA;M;006E 006A
+01CD;M;01CE
+01CE;V
+01CF;M;01D0
+01D0;V
+01D1;M;01D2
+01D2;V
+01D3;M;01D4
+01D4;V
+01D5;M;01D6
+01D6;V
+01D7;M;01D8
+01D8;V
+01D9;M;01DA
+01DA;V
+01DB;M;01DC
+01DC;V
+01DE;M;01DF
+01DF;V
+01E0;M;01E1
+01E1;V
+01E2;M;01E3
+01E3;V
+01E4;M;01E5
+01E5;V
+01E6;M;01E7
+01E7;V
+01E8;M;01E9
+01E9;V
+01EA;M;01EB
+01EB;V
+01EC;M;01ED
+01ED;V
+01EE;M;01EF
+01EF;V
+01F1;M;0064 007A
+01F4;M;01F5
+01F5;V
+01F6;M;0195
+01F7;M;01BF
+01F8;M;01F9
+01F9;V
+01FA;M;01FB
+01FB;V
+01FC;M;01FD
+01FD;V
+01FE;M;01FF
+01FF;V
+0200;M;0201
+0201;V
+0202;M;0203
+0203;V
+0204;M;0205
+0205;V
+0206;M;0207
+0207;V
+0208;M;0209
+0209;V
+020A;M;020B
+020B;V
+020C;M;020D
+020D;V
+020E;M;020F
+020F;V
+0210;M;0211
+0211;V
+0212;M;0213
+0213;V
+0214;M;0215
+0215;V
+0216;M;0217
+0217;V
+0218;M;0219
+0219;V
+021A;M;021B
+021B;V
+021C;M;021D
+021D;V
+021E;M;021F
+021F;V
+0220;M;019E
+0221;V
+0222;M;0223
+0223;V
+0224;M;0225
+0225;V
+0226;M;0227
+0227;V
+0228;M;0229
+0229;V
+022A;M;022B
+022B;V
+022C;M;022D
+022D;V
+022E;M;022F
+022F;V
+0230;M;0231
+0231;V
+0232;M;0233
+0233;V
+023A;M;2C65
+023B;M;023C
+023C;V
+023D;M;019A
+023E;M;2C66
+023F;V
+0241;M;0242
+0242;V
+0243;M;0180
+0244;M;0289
+0245;M;028C
+0246;M;0247
+0247;V
+0248;M;0249
+0249;V
+024A;M;024B
+024B;V
+024C;M;024D
+024D;V
+024E;M;024F
+024F;V
+02B0;M;0068
+02B1;M;0266
+02B2;M;006A
+02B3;M;0072
+02B4;M;0279
+02B5;M;027B
+02B6;M;0281
+02B7;M;0077
+02B8;M;0079
+02B9;V
+02D8;3;0020 0306
+02D9;3;0020 0307
+02DA;3;0020 030A
+02DB;3;0020 0328
+02DC;3;0020 0303
+02DD;3;0020 030B
+02DE;V
+02E0;M;0263
+02E1;M;006C
+02E2;M;0073
+02E3;M;0078
+02E4;M;0295
+02E5;V
+0340;M;0300
+0341;M;0301
+0342;V
+0343;M;0313
+0344;M;0308 0301
+0345;M;03B9
+0346;V
+034F;I
+0350;V
+0370;M;0371
+0371;V
+0372;M;0373
+0373;V
+0374;M;02B9
+0375;V
+0376;M;0377
+0377;V
+0378;X
+037A;3;0020 03B9
+037B;V
+037E;3;003B
+037F;M;03F3
+0380;X
+0384;3;0020 0301
+0385;3;0020 0308 0301
+0386;M;03AC
+0387;M;00B7
+0388;M;03AD
+0389;M;03AE
+038A;M;03AF
+038B;X
+038C;M;03CC
+038D;X
+038E;M;03CD
+038F;M;03CE
+0390;V
+0391;M;03B1
+0392;M;03B2
+0393;M;03B3
+0394;M;03B4
+0395;M;03B5
+0396;M;03B6
+0397;M;03B7
+0398;M;03B8
+0399;M;03B9
+039A;M;03BA
+039B;M;03BB
+039C;M;03BC
+039D;M;03BD
+039E;M;03BE
+039F;M;03BF
+03A0;M;03C0
+03A1;M;03C1
+03A2;X
+03A3;M;03C3
+03A4;M;03C4
+03A5;M;03C5
+03A6;M;03C6
+03A7;M;03C7
+03A8;M;03C8
+03A9;M;03C9
+03AA;M;03CA
+03AB;M;03CB
+03AC;V
+03C2;D;03C3
+03C3;V
+03CF;M;03D7
+03D0;M;03B2
+03D1;M;03B8
+03D2;M;03C5
+03D3;M;03CD
+03D4;M;03CB
+03D5;M;03C6
+03D6;M;03C0
+03D7;V
+03D8;M;03D9
+03D9;V
+03DA;M;03DB
+03DB;V
+03DC;M;03DD
+03DD;V
+03DE;M;03DF
+03DF;V
+03E0;M;03E1
+03E1;V
+03E2;M;03E3
+03E3;V
+03E4;M;03E5
+03E5;V
+03E6;M;03E7
+03E7;V
+03E8;M;03E9
+03E9;V
+03EA;M;03EB
+03EB;V
+03EC;M;03ED
+03ED;V
+03EE;M;03EF
+03EF;V
+03F0;M;03BA
+03F1;M;03C1
+03F2;M;03C3
+03F3;V
+03F4;M;03B8
+03F5;M;03B5
+03F6;V
+03F7;M;03F8
+03F8;V
+03F9;M;03C3
+03FA;M;03FB
+03FB;V
+03FD;M;037B
+03FE;M;037C
+03FF;M;037D
+0400;M;0450
+0401;M;0451
+0402;M;0452
+0403;M;0453
+0404;M;0454
+0405;M;0455
+0406;M;0456
+0407;M;0457
+0408;M;0458
+0409;M;0459
+040A;M;045A
+040B;M;045B
+040C;M;045C
+040D;M;045D
+040E;M;045E
+040F;M;045F
+0410;M;0430
+0411;M;0431
+0412;M;0432
+0413;M;0433
+0414;M;0434
+0415;M;0435
+0416;M;0436
+0417;M;0437
+0418;M;0438
+0419;M;0439
+041A;M;043A
+041B;M;043B
+041C;M;043C
+041D;M;043D
+041E;M;043E
+041F;M;043F
+0420;M;0440
+0421;M;0441
+0422;M;0442
+0423;M;0443
+0424;M;0444
+0425;M;0445
+0426;M;0446
+0427;M;0447
+0428;M;0448
+0429;M;0449
+042A;M;044A
+042B;M;044B
+042C;M;044C
+042D;M;044D
+042E;M;044E
+042F;M;044F
+0430;V
+0460;M;0461
+0461;V
+0462;M;0463
+0463;V
+0464;M;0465
+0465;V
+0466;M;0467
+0467;V
+0468;M;0469
+0469;V
+046A;M;046B
+046B;V
+046C;M;046D
+046D;V
+046E;M;046F
+046F;V
+0470;M;0471
+0471;V
+0472;M;0473
+0473;V
+0474;M;0475
+0475;V
+0476;M;0477
+0477;V
+0478;M;0479
+0479;V
+047A;M;047B
+047B;V
+047C;M;047D
+047D;V
+047E;M;047F
+047F;V
+0480;M;0481
+0481;V
+048A;M;048B
+048B;V
+048C;M;048D
+048D;V
+048E;M;048F
+048F;V
+0490;M;0491
+0491;V
+0492;M;0493
+0493;V
+0494;M;0495
+0495;V
+0496;M;0497
+0497;V
+0498;M;0499
+0499;V
+049A;M;049B
+049B;V
+049C;M;049D
+049D;V
+049E;M;049F
+049F;V
+04A0;M;04A1
+04A1;V
+04A2;M;04A3
+04A3;V
+04A4;M;04A5
+04A5;V
+04A6;M;04A7
+04A7;V
+04A8;M;04A9
+04A9;V
+04AA;M;04AB
+04AB;V
+04AC;M;04AD
+04AD;V
+04AE;M;04AF
+04AF;V
+04B0;M;04B1
+04B1;V
+04B2;M;04B3
+04B3;V
+04B4;M;04B5
+04B5;V
+04B6;M;04B7
+04B7;V
+04B8;M;04B9
+04B9;V
+04BA;M;04BB
+04BB;V
+04BC;M;04BD
+04BD;V
+04BE;M;04BF
+04BF;V
+04C0;X
+04C1;M;04C2
+04C2;V
+04C3;M;04C4
+04C4;V
+04C5;M;04C6
+04C6;V
+04C7;M;04C8
+04C8;V
+04C9;M;04CA
+04CA;V
+04CB;M;04CC
+04CC;V
+04CD;M;04CE
+04CE;V
+04D0;M;04D1
+04D1;V
+04D2;M;04D3
+04D3;V
+04D4;M;04D5
+04D5;V
+04D6;M;04D7
+04D7;V
+04D8;M;04D9
+04D9;V
+04DA;M;04DB
+04DB;V
+04DC;M;04DD
+04DD;V
+04DE;M;04DF
+04DF;V
+04E0;M;04E1
+04E1;V
+04E2;M;04E3
+04E3;V
+04E4;M;04E5
+04E5;V
+04E6;M;04E7
+04E7;V
+04E8;M;04E9
+04E9;V
+04EA;M;04EB
+04EB;V
+04EC;M;04ED
+04ED;V
+04EE;M;04EF
+04EF;V
+04F0;M;04F1
+04F1;V
+04F2;M;04F3
+04F3;V
+04F4;M;04F5
+04F5;V
+04F6;M;04F7
+04F7;V
+04F8;M;04F9
+04F9;V
+04FA;M;04FB
+04FB;V
+04FC;M;04FD
+04FD;V
+04FE;M;04FF
+04FF;V
+0500;M;0501
+0501;V
+0502;M;0503
+0503;V
+0504;M;0505
+0505;V
+0506;M;0507
+0507;V
+0508;M;0509
+0509;V
+050A;M;050B
+050B;V
+050C;M;050D
+050D;V
+050E;M;050F
+050F;V
+0510;M;0511
+0511;V
+0512;M;0513
+0513;V
+0514;M;0515
+0515;V
+0516;M;0517
+0517;V
+0518;M;0519
+0519;V
+051A;M;051B
+051B;V
+051C;M;051D
+051D;V
+051E;M;051F
+051F;V
+0520;M;0521
+0521;V
+0522;M;0523
+0523;V
+0524;M;0525
+0525;V
+0526;M;0527
+0527;V
+0528;M;0529
+0529;V
+052A;M;052B
+052B;V
+052C;M;052D
+052D;V
+052E;M;052F
+052F;V
+0530;X
+0531;M;0561
+0532;M;0562
+0533;M;0563
+0534;M;0564
+0535;M;0565
+0536;M;0566
+0537;M;0567
+0538;M;0568
+0539;M;0569
+053A;M;056A
+053B;M;056B
+053C;M;056C
+053D;M;056D
+053E;M;056E
+053F;M;056F
+0540;M;0570
+0541;M;0571
+0542;M;0572
+0543;M;0573
+0544;M;0574
+0545;M;0575
+0546;M;0576
+0547;M;0577
+0548;M;0578
+0549;M;0579
+054A;M;057A
+054B;M;057B
+054C;M;057C
+054D;M;057D
+054E;M;057E
+054F;M;057F
+0550;M;0580
+0551;M;0581
+0552;M;0582
+0553;M;0583
+0554;M;0584
+0555;M;0585
+0556;M;0586
+0557;X
+0559;V
+0587;M;0565 0582
+0588;V
+058B;X
+058D;V
+0590;X
+0591;V
+05C8;X
+05D0;V
+05EB;X
+05EF;V
+05F5;X
+0606;V
+061C;X
+061D;V
+0675;M;0627 0674
+0676;M;0648 0674
+0677;M;06C7 0674
+0678;M;064A 0674
+0679;V
+06DD;X
+06DE;V
+070E;X
+0710;V
+074B;X
+074D;V
+07B2;X
+07C0;V
+07FB;X
+07FD;V
+082E;X
+0830;V
+083F;X
+0840;V
+085C;X
+085E;V
+085F;X
+0860;V
+086B;X
+0870;V
+088F;X
+0898;V
+08E2;X
+08E3;V
+0958;M;0915 093C
+0959;M;0916 093C
+095A;M;0917 093C
+095B;M;091C 093C
+095C;M;0921 093C
+095D;M;0922 093C
+095E;M;092B 093C
+095F;M;092F 093C
+0960;V
+0984;X
+0985;V
+098D;X
+098F;V
+0991;X
+0993;V
+09A9;X
+09AA;V
+09B1;X
+09B2;V
+09B3;X
+09B6;V
+09BA;X
+09BC;V
+09C5;X
+09C7;V
+09C9;X
+09CB;V
+09CF;X
+09D7;V
+09D8;X
+09DC;M;09A1 09BC
+09DD;M;09A2 09BC
+09DE;X
+09DF;M;09AF 09BC
+09E0;V
+09E4;X
+09E6;V
+09FF;X
+0A01;V
+0A04;X
+0A05;V
+0A0B;X
+0A0F;V
+0A11;X
+0A13;V
+0A29;X
+0A2A;V
+0A31;X
+0A32;V
+0A33;M;0A32 0A3C
+0A34;X
+0A35;V
+0A36;M;0A38 0A3C
+0A37;X
+0A38;V
+0A3A;X
+0A3C;V
+0A3D;X
+0A3E;V
+0A43;X
+0A47;V
+0A49;X
+0A4B;V
+0A4E;X
+0A51;V
+0A52;X
+0A59;M;0A16 0A3C
+0A5A;M;0A17 0A3C
+0A5B;M;0A1C 0A3C
+0A5C;V
+0A5D;X
+0A5E;M;0A2B 0A3C
+0A5F;X
+0A66;V
+0A77;X
+0A81;V
+0A84;X
+0A85;V
+0A8E;X
+0A8F;V
+0A92;X
+0A93;V
+0AA9;X
+0AAA;V
+0AB1;X
+0AB2;V
+0AB4;X
+0AB5;V
+0ABA;X
+0ABC;V
+0AC6;X
+0AC7;V
+0ACA;X
+0ACB;V
+0ACE;X
+0AD0;V
+0AD1;X
+0AE0;V
+0AE4;X
+0AE6;V
+0AF2;X
+0AF9;V
+0B00;X
+0B01;V
+0B04;X
+0B05;V
+0B0D;X
+0B0F;V
+0B11;X
+0B13;V
+0B29;X
+0B2A;V
+0B31;X
+0B32;V
+0B34;X
+0B35;V
+0B3A;X
+0B3C;V
+0B45;X
+0B47;V
+0B49;X
+0B4B;V
+0B4E;X
+0B55;V
+0B58;X
+0B5C;M;0B21 0B3C
+0B5D;M;0B22 0B3C
+0B5E;X
+0B5F;V
+0B64;X
+0B66;V
+0B78;X
+0B82;V
+0B84;X
+0B85;V
+0B8B;X
+0B8E;V
+0B91;X
+0B92;V
+0B96;X
+0B99;V
+0B9B;X
+0B9C;V
+0B9D;X
+0B9E;V
+0BA0;X
+0BA3;V
+0BA5;X
+0BA8;V
+0BAB;X
+0BAE;V
+0BBA;X
+0BBE;V
+0BC3;X
+0BC6;V
+0BC9;X
+0BCA;V
+0BCE;X
+0BD0;V
+0BD1;X
+0BD7;V
+0BD8;X
+0BE6;V
+0BFB;X
+0C00;V
+0C0D;X
+0C0E;V
+0C11;X
+0C12;V
+0C29;X
+0C2A;V
+0C3A;X
+0C3C;V
+0C45;X
+0C46;V
+0C49;X
+0C4A;V
+0C4E;X
+0C55;V
+0C57;X
+0C58;V
+0C5B;X
+0C5D;V
+0C5E;X
+0C60;V
+0C64;X
+0C66;V
+0C70;X
+0C77;V
+0C8D;X
+0C8E;V
+0C91;X
+0C92;V
+0CA9;X
+0CAA;V
+0CB4;X
+0CB5;V
+0CBA;X
+0CBC;V
+0CC5;X
+0CC6;V
+0CC9;X
+0CCA;V
+0CCE;X
+0CD5;V
+0CD7;X
+0CDD;V
+0CDF;X
+0CE0;V
+0CE4;X
+0CE6;V
+0CF0;X
+0CF1;V
+0CF4;X
+0D00;V
+0D0D;X
+0D0E;V
+0D11;X
+0D12;V
+0D45;X
+0D46;V
+0D49;X
+0D4A;V
+0D50;X
+0D54;V
+0D64;X
+0D66;V
+0D80;X
+0D81;V
+0D84;X
+0D85;V
+0D97;X
+0D9A;V
+0DB2;X
+0DB3;V
+0DBC;X
+0DBD;V
+0DBE;X
+0DC0;V
+0DC7;X
+0DCA;V
+0DCB;X
+0DCF;V
+0DD5;X
+0DD6;V
+0DD7;X
+0DD8;V
+0DE0;X
+0DE6;V
+0DF0;X
+0DF2;V
+0DF5;X
+0E01;V
+0E33;M;0E4D 0E32
+0E34;V
+0E3B;X
+0E3F;V
+0E5C;X
+0E81;V
+0E83;X
+0E84;V
+0E85;X
+0E86;V
+0E8B;X
+0E8C;V
+0EA4;X
+0EA5;V
+0EA6;X
+0EA7;V
+0EB3;M;0ECD 0EB2
+0EB4;V
+0EBE;X
+0EC0;V
+0EC5;X
+0EC6;V
+0EC7;X
+0EC8;V
+0ECF;X
+0ED0;V
+0EDA;X
+0EDC;M;0EAB 0E99
+0EDD;M;0EAB 0EA1
+0EDE;V
+0EE0;X
+0F00;V
+0F0C;M;0F0B
+0F0D;V
+0F43;M;0F42 0FB7
+0F44;V
+0F48;X
+0F49;V
+0F4D;M;0F4C 0FB7
+0F4E;V
+0F52;M;0F51 0FB7
+0F53;V
+0F57;M;0F56 0FB7
+0F58;V
+0F5C;M;0F5B 0FB7
+0F5D;V
+0F69;M;0F40 0FB5
+0F6A;V
+0F6D;X
+0F71;V
+0F73;M;0F71 0F72
+0F74;V
+0F75;M;0F71 0F74
+0F76;M;0FB2 0F80
+0F77;M;0FB2 0F71 0F80
+0F78;M;0FB3 0F80
+0F79;M;0FB3 0F71 0F80
+0F7A;V
+0F81;M;0F71 0F80
+0F82;V
+0F93;M;0F92 0FB7
+0F94;V
+0F98;X
+0F99;V
+0F9D;M;0F9C 0FB7
+0F9E;V
+0FA2;M;0FA1 0FB7
+0FA3;V
+0FA7;M;0FA6 0FB7
+0FA8;V
+0FAC;M;0FAB 0FB7
+0FAD;V
+0FB9;M;0F90 0FB5
+0FBA;V
+0FBD;X
+0FBE;V
+0FCD;X
+0FCE;V
+0FDB;X
+1000;V
+10A0;X
+10C7;M;2D27
+10C8;X
+10CD;M;2D2D
+10CE;X
+10D0;V
+10FC;M;10DC
+10FD;V
+115F;X
+1161;V
+1249;X
+124A;V
+124E;X
+1250;V
+1257;X
+1258;V
+1259;X
+125A;V
+125E;X
+1260;V
+1289;X
+128A;V
+128E;X
+1290;V
+12B1;X
+12B2;V
+12B6;X
+12B8;V
+12BF;X
+12C0;V
+12C1;X
+12C2;V
+12C6;X
+12C8;V
+12D7;X
+12D8;V
+1311;X
+1312;V
+1316;X
+1318;V
+135B;X
+135D;V
+137D;X
+1380;V
+139A;X
+13A0;V
+13F6;X
+13F8;M;13F0
+13F9;M;13F1
+13FA;M;13F2
+13FB;M;13F3
+13FC;M;13F4
+13FD;M;13F5
+13FE;X
+1400;V
+1680;X
+1681;V
+169D;X
+16A0;V
+16F9;X
+1700;V
+1716;X
+171F;V
+1737;X
+1740;V
+1754;X
+1760;V
+176D;X
+176E;V
+1771;X
+1772;V
+1774;X
+1780;V
+17B4;X
+17B6;V
+17DE;X
+17E0;V
+17EA;X
+17F0;V
+17FA;X
+1800;V
+1806;X
+1807;V
+180B;I
+180E;X
+180F;I
+1810;V
+181A;X
+1820;V
+1879;X
+1880;V
+18AB;X
+18B0;V
+18F6;X
+1900;V
+191F;X
+1920;V
+192C;X
+1930;V
+193C;X
+1940;V
+1941;X
+1944;V
+196E;X
+1970;V
+1975;X
+1980;V
+19AC;X
+19B0;V
+19CA;X
+19D0;V
+19DB;X
+19DE;V
+1A1C;X
+1A1E;V
+1A5F;X
+1A60;V
+1A7D;X
+1A7F;V
+1A8A;X
+1A90;V
+1A9A;X
+1AA0;V
+1AAE;X
+1AB0;V
+1ACF;X
+1B00;V
+1B4D;X
+1B50;V
+1B7F;X
+1B80;V
+1BF4;X
+1BFC;V
+1C38;X
+1C3B;V
+1C4A;X
+1C4D;V
+1C80;M;0432
+1C81;M;0434
+1C82;M;043E
+1C83;M;0441
+1C84;M;0442
+1C86;M;044A
+1C87;M;0463
+1C88;M;A64B
+1C89;X
+1C90;M;10D0
+1C91;M;10D1
+1C92;M;10D2
+1C93;M;10D3
+1C94;M;10D4
+1C95;M;10D5
+1C96;M;10D6
+1C97;M;10D7
+1C98;M;10D8
+1C99;M;10D9
+1C9A;M;10DA
+1C9B;M;10DB
+1C9C;M;10DC
+1C9D;M;10DD
+1C9E;M;10DE
+1C9F;M;10DF
+1CA0;M;10E0
+1CA1;M;10E1
+1CA2;M;10E2
+1CA3;M;10E3
+1CA4;M;10E4
+1CA5;M;10E5
+1CA6;M;10E6
+1CA7;M;10E7
+1CA8;M;10E8
+1CA9;M;10E9
+1CAA;M;10EA
+1CAB;M;10EB
+1CAC;M;10EC
+1CAD;M;10ED
+1CAE;M;10EE
+1CAF;M;10EF
+1CB0;M;10F0
+1CB1;M;10F1
+1CB2;M;10F2
+1CB3;M;10F3
+1CB4;M;10F4
+1CB5;M;10F5
+1CB6;M;10F6
+1CB7;M;10F7
+1CB8;M;10F8
+1CB9;M;10F9
+1CBA;M;10FA
+1CBB;X
+1CBD;M;10FD
+1CBE;M;10FE
+1CBF;M;10FF
+1CC0;V
+1CC8;X
+1CD0;V
+1CFB;X
+1D00;V
+1D2C;M;0061
+1D2D;M;00E6
+1D2E;M;0062
+1D2F;V
+1D30;M;0064
+1D31;M;0065
+1D32;M;01DD
+1D33;M;0067
+1D34;M;0068
+1D35;M;0069
+1D36;M;006A
+1D37;M;006B
+1D38;M;006C
+1D39;M;006D
+1D3A;M;006E
+1D3B;V
+1D3C;M;006F
+1D3D;M;0223
+1D3E;M;0070
+1D3F;M;0072
+1D40;M;0074
+1D41;M;0075
+1D42;M;0077
+1D43;M;0061
+1D44;M;0250
+1D45;M;0251
+1D46;M;1D02
+1D47;M;0062
+1D48;M;0064
+1D49;M;0065
+1D4A;M;0259
+1D4B;M;025B
+1D4C;M;025C
+1D4D;M;0067
+1D4E;V
+1D4F;M;006B
+1D50;M;006D
+1D51;M;014B
+1D52;M;006F
+1D53;M;0254
+1D54;M;1D16
+1D55;M;1D17
+1D56;M;0070
+1D57;M;0074
+1D58;M;0075
+1D59;M;1D1D
+1D5A;M;026F
+1D5B;M;0076
+1D5C;M;1D25
+1D5D;M;03B2
+1D5E;M;03B3
+1D5F;M;03B4
+1D60;M;03C6
+1D61;M;03C7
+1D62;M;0069
+1D63;M;0072
+1D64;M;0075
+1D65;M;0076
+1D66;M;03B2
+1D67;M;03B3
+1D68;M;03C1
+1D69;M;03C6
+1D6A;M;03C7
+1D6B;V
+1D78;M;043D
+1D79;V
+1D9B;M;0252
+1D9C;M;0063
+1D9D;M;0255
+1D9E;M;00F0
+1D9F;M;025C
+1DA0;M;0066
+1DA1;M;025F
+1DA2;M;0261
+1DA3;M;0265
+1DA4;M;0268
+1DA5;M;0269
+1DA6;M;026A
+1DA7;M;1D7B
+1DA8;M;029D
+1DA9;M;026D
+1DAA;M;1D85
+1DAB;M;029F
+1DAC;M;0271
+1DAD;M;0270
+1DAE;M;0272
+1DAF;M;0273
+1DB0;M;0274
+1DB1;M;0275
+1DB2;M;0278
+1DB3;M;0282
+1DB4;M;0283
+1DB5;M;01AB
+1DB6;M;0289
+1DB7;M;028A
+1DB8;M;1D1C
+1DB9;M;028B
+1DBA;M;028C
+1DBB;M;007A
+1DBC;M;0290
+1DBD;M;0291
+1DBE;M;0292
+1DBF;M;03B8
+1DC0;V
+1E00;M;1E01
+1E01;V
+1E02;M;1E03
+1E03;V
+1E04;M;1E05
+1E05;V
+1E06;M;1E07
+1E07;V
+1E08;M;1E09
+1E09;V
+1E0A;M;1E0B
+1E0B;V
+1E0C;M;1E0D
+1E0D;V
+1E0E;M;1E0F
+1E0F;V
+1E10;M;1E11
+1E11;V
+1E12;M;1E13
+1E13;V
+1E14;M;1E15
+1E15;V
+1E16;M;1E17
+1E17;V
+1E18;M;1E19
+1E19;V
+1E1A;M;1E1B
+1E1B;V
+1E1C;M;1E1D
+1E1D;V
+1E1E;M;1E1F
+1E1F;V
+1E20;M;1E21
+1E21;V
+1E22;M;1E23
+1E23;V
+1E24;M;1E25
+1E25;V
+1E26;M;1E27
+1E27;V
+1E28;M;1E29
+1E29;V
+1E2A;M;1E2B
+1E2B;V
+1E2C;M;1E2D
+1E2D;V
+1E2E;M;1E2F
+1E2F;V
+1E30;M;1E31
+1E31;V
+1E32;M;1E33
+1E33;V
+1E34;M;1E35
+1E35;V
+1E36;M;1E37
+1E37;V
+1E38;M;1E39
+1E39;V
+1E3A;M;1E3B
+1E3B;V
+1E3C;M;1E3D
+1E3D;V
+1E3E;M;1E3F
+1E3F;V
+1E40;M;1E41
+1E41;V
+1E42;M;1E43
+1E43;V
+1E44;M;1E45
+1E45;V
+1E46;M;1E47
+1E47;V
+1E48;M;1E49
+1E49;V
+1E4A;M;1E4B
+1E4B;V
+1E4C;M;1E4D
+1E4D;V
+1E4E;M;1E4F
+1E4F;V
+1E50;M;1E51
+1E51;V
+1E52;M;1E53
+1E53;V
+1E54;M;1E55
+1E55;V
+1E56;M;1E57
+1E57;V
+1E58;M;1E59
+1E59;V
+1E5A;M;1E5B
+1E5B;V
+1E5C;M;1E5D
+1E5D;V
+1E5E;M;1E5F
+1E5F;V
+1E60;M;1E61
+1E61;V
+1E62;M;1E63
+1E63;V
+1E64;M;1E65
+1E65;V
+1E66;M;1E67
+1E67;V
+1E68;M;1E69
+1E69;V
+1E6A;M;1E6B
+1E6B;V
+1E6C;M;1E6D
+1E6D;V
+1E6E;M;1E6F
+1E6F;V
+1E70;M;1E71
+1E71;V
+1E72;M;1E73
+1E73;V
+1E74;M;1E75
+1E75;V
+1E76;M;1E77
+1E77;V
+1E78;M;1E79
+1E79;V
+1E7A;M;1E7B
+1E7B;V
+1E7C;M;1E7D
+1E7D;V
+1E7E;M;1E7F
+1E7F;V
+1E80;M;1E81
+1E81;V
+1E82;M;1E83
+1E83;V
+1E84;M;1E85
+1E85;V
+1E86;M;1E87
+1E87;V
+1E88;M;1E89
+1E89;V
+1E8A;M;1E8B
+1E8B;V
+1E8C;M;1E8D
+1E8D;V
+1E8E;M;1E8F
+1E8F;V
+1E90;M;1E91
+1E91;V
+1E92;M;1E93
+1E93;V
+1E94;M;1E95
+1E95;V
+1E9A;M;0061 02BE
+1E9B;M;1E61
+1E9C;V
+1E9E;M;00DF
+1E9F;V
+1EA0;M;1EA1
+1EA1;V
+1EA2;M;1EA3
+1EA3;V
+1EA4;M;1EA5
+1EA5;V
+1EA6;M;1EA7
+1EA7;V
+1EA8;M;1EA9
+1EA9;V
+1EAA;M;1EAB
+1EAB;V
+1EAC;M;1EAD
+1EAD;V
+1EAE;M;1EAF
+1EAF;V
+1EB0;M;1EB1
+1EB1;V
+1EB2;M;1EB3
+1EB3;V
+1EB4;M;1EB5
+1EB5;V
+1EB6;M;1EB7
+1EB7;V
+1EB8;M;1EB9
+1EB9;V
+1EBA;M;1EBB
+1EBB;V
+1EBC;M;1EBD
+1EBD;V
+1EBE;M;1EBF
+1EBF;V
+1EC0;M;1EC1
+1EC1;V
+1EC2;M;1EC3
+1EC3;V
+1EC4;M;1EC5
+1EC5;V
+1EC6;M;1EC7
+1EC7;V
+1EC8;M;1EC9
+1EC9;V
+1ECA;M;1ECB
+1ECB;V
+1ECC;M;1ECD
+1ECD;V
+1ECE;M;1ECF
+1ECF;V
+1ED0;M;1ED1
+1ED1;V
+1ED2;M;1ED3
+1ED3;V
+1ED4;M;1ED5
+1ED5;V
+1ED6;M;1ED7
+1ED7;V
+1ED8;M;1ED9
+1ED9;V
+1EDA;M;1EDB
+1EDB;V
+1EDC;M;1EDD
+1EDD;V
+1EDE;M;1EDF
+1EDF;V
+1EE0;M;1EE1
+1EE1;V
+1EE2;M;1EE3
+1EE3;V
+1EE4;M;1EE5
+1EE5;V
+1EE6;M;1EE7
+1EE7;V
+1EE8;M;1EE9
+1EE9;V
+1EEA;M;1EEB
+1EEB;V
+1EEC;M;1EED
+1EED;V
+1EEE;M;1EEF
+1EEF;V
+1EF0;M;1EF1
+1EF1;V
+1EF2;M;1EF3
+1EF3;V
+1EF4;M;1EF5
+1EF5;V
+1EF6;M;1EF7
+1EF7;V
+1EF8;M;1EF9
+1EF9;V
+1EFA;M;1EFB
+1EFB;V
+1EFC;M;1EFD
+1EFD;V
+1EFE;M;1EFF
+1EFF;V
+1F08;M;1F00
+1F09;M;1F01
+1F0A;M;1F02
+1F0B;M;1F03
+1F0C;M;1F04
+1F0D;M;1F05
+1F0E;M;1F06
+1F0F;M;1F07
+1F10;V
+1F16;X
+1F18;M;1F10
+1F19;M;1F11
+1F1A;M;1F12
+1F1B;M;1F13
+1F1C;M;1F14
+1F1D;M;1F15
+1F1E;X
+1F20;V
+1F28;M;1F20
+1F29;M;1F21
+1F2A;M;1F22
+1F2B;M;1F23
+1F2C;M;1F24
+1F2D;M;1F25
+1F2E;M;1F26
+1F2F;M;1F27
+1F30;V
+1F38;M;1F30
+1F39;M;1F31
+1F3A;M;1F32
+1F3B;M;1F33
+1F3C;M;1F34
+1F3D;M;1F35
+1F3E;M;1F36
+1F3F;M;1F37
+1F40;V
+1F46;X
+1F48;M;1F40
+1F49;M;1F41
+1F4A;M;1F42
+1F4B;M;1F43
+1F4C;M;1F44
+1F4D;M;1F45
+1F4E;X
+1F50;V
+1F58;X
+1F59;M;1F51
+1F5A;X
+1F5B;M;1F53
+1F5C;X
+1F5D;M;1F55
+1F5E;X
+1F5F;M;1F57
+1F60;V
+1F68;M;1F60
+1F69;M;1F61
+1F6A;M;1F62
+1F6B;M;1F63
+1F6C;M;1F64
+1F6D;M;1F65
+1F6E;M;1F66
+1F6F;M;1F67
+1F70;V
+1F71;M;03AC
+1F72;V
+1F73;M;03AD
+1F74;V
+1F75;M;03AE
+1F76;V
+1F77;M;03AF
+1F78;V
+1F79;M;03CC
+1F7A;V
+1F7B;M;03CD
+1F7C;V
+1F7D;M;03CE
+1F7E;X
+1F80;M;1F00 03B9
+1F81;M;1F01 03B9
+1F82;M;1F02 03B9
+1F83;M;1F03 03B9
+1F84;M;1F04 03B9
+1F85;M;1F05 03B9
+1F86;M;1F06 03B9
+1F87;M;1F07 03B9
+1F88;M;1F00 03B9
+1F89;M;1F01 03B9
+1F8A;M;1F02 03B9
+1F8B;M;1F03 03B9
+1F8C;M;1F04 03B9
+1F8D;M;1F05 03B9
+1F8E;M;1F06 03B9
+1F8F;M;1F07 03B9
+1F90;M;1F20 03B9
+1F91;M;1F21 03B9
+1F92;M;1F22 03B9
+1F93;M;1F23 03B9
+1F94;M;1F24 03B9
+1F95;M;1F25 03B9
+1F96;M;1F26 03B9
+1F97;M;1F27 03B9
+1F98;M;1F20 03B9
+1F99;M;1F21 03B9
+1F9A;M;1F22 03B9
+1F9B;M;1F23 03B9
+1F9C;M;1F24 03B9
+1F9D;M;1F25 03B9
+1F9E;M;1F26 03B9
+1F9F;M;1F27 03B9
+1FA0;M;1F60 03B9
+1FA1;M;1F61 03B9
+1FA2;M;1F62 03B9
+1FA3;M;1F63 03B9
+1FA4;M;1F64 03B9
+1FA5;M;1F65 03B9
+1FA6;M;1F66 03B9
+1FA7;M;1F67 03B9
+1FA8;M;1F60 03B9
+1FA9;M;1F61 03B9
+1FAA;M;1F62 03B9
+1FAB;M;1F63 03B9
+1FAC;M;1F64 03B9
+1FAD;M;1F65 03B9
+1FAE;M;1F66 03B9
+1FAF;M;1F67 03B9
+1FB0;V
+1FB2;M;1F70 03B9
+1FB3;M;03B1 03B9
+1FB4;M;03AC 03B9
+1FB5;X
+1FB6;V
+1FB7;M;1FB6 03B9
+1FB8;M;1FB0
+1FB9;M;1FB1
+1FBA;M;1F70
+1FBB;M;03AC
+1FBC;M;03B1 03B9
+1FBD;3;0020 0313
+1FBE;M;03B9
+1FBF;3;0020 0313
+1FC0;3;0020 0342
+1FC1;3;0020 0308 0342
+1FC2;M;1F74 03B9
+1FC3;M;03B7 03B9
+1FC4;M;03AE 03B9
+1FC5;X
+1FC6;V
+1FC7;M;1FC6 03B9
+1FC8;M;1F72
+1FC9;M;03AD
+1FCA;M;1F74
+1FCB;M;03AE
+1FCC;M;03B7 03B9
+1FCD;3;0020 0313 0300
+1FCE;3;0020 0313 0301
+1FCF;3;0020 0313 0342
+1FD0;V
+1FD3;M;0390
+1FD4;X
+1FD6;V
+1FD8;M;1FD0
+1FD9;M;1FD1
+1FDA;M;1F76
+1FDB;M;03AF
+1FDC;X
+1FDD;3;0020 0314 0300
+1FDE;3;0020 0314 0301
+1FDF;3;0020 0314 0342
+1FE0;V
+1FE3;M;03B0
+1FE4;V
+1FE8;M;1FE0
+1FE9;M;1FE1
+1FEA;M;1F7A
+1FEB;M;03CD
+1FEC;M;1FE5
+1FED;3;0020 0308 0300
+1FEE;3;0020 0308 0301
+1FEF;3;0060
+1FF0;X
+1FF2;M;1F7C 03B9
+1FF3;M;03C9 03B9
+1FF4;M;03CE 03B9
+1FF5;X
+1FF6;V
+1FF7;M;1FF6 03B9
+1FF8;M;1F78
+1FF9;M;03CC
+1FFA;M;1F7C
+1FFB;M;03CE
+1FFC;M;03C9 03B9
+1FFD;3;0020 0301
+1FFE;3;0020 0314
+1FFF;X
+2000;3;0020
+200B;I
+200C;D;
+200E;X
+2010;V
+2011;M;2010
+2012;V
+2017;3;0020 0333
+2018;V
+2024;X
+2027;V
+2028;X
+202F;3;0020
+2030;V
+2033;M;2032 2032
+2034;M;2032 2032 2032
+2035;V
+2036;M;2035 2035
+2037;M;2035 2035 2035
+2038;V
+203C;3;0021 0021
+203D;V
+203E;3;0020 0305
+203F;V
+2047;3;003F 003F
+2048;3;003F 0021
+2049;3;0021 003F
+204A;V
+2057;M;2032 2032 2032 2032
+2058;V
+205F;3;0020
+2060;I
+2061;X
+2064;I
+2065;X
+2070;M;0030
+2071;M;0069
+2072;X
+2074;M;0034
+2075;M;0035
+2076;M;0036
+2077;M;0037
+2078;M;0038
+2079;M;0039
+207A;3;002B
+207B;M;2212
+207C;3;003D
+207D;3;0028
+207E;3;0029
+207F;M;006E
+2080;M;0030
+2081;M;0031
+2082;M;0032
+2083;M;0033
+2084;M;0034
+2085;M;0035
+2086;M;0036
+2087;M;0037
+2088;M;0038
+2089;M;0039
+208A;3;002B
+208B;M;2212
+208C;3;003D
+208D;3;0028
+208E;3;0029
+208F;X
+2090;M;0061
+2091;M;0065
+2092;M;006F
+2093;M;0078
+2094;M;0259
+2095;M;0068
+2096;M;006B
+2097;M;006C
+2098;M;006D
+2099;M;006E
+209A;M;0070
+209B;M;0073
+209C;M;0074
+209D;X
+20A0;V
+20A8;M;0072 0073
+20A9;V
+20C1;X
+20D0;V
+20F1;X
+2100;3;0061 002F 0063
+2101;3;0061 002F 0073
+2102;M;0063
+2103;M;00B0 0063
+2104;V
+2105;3;0063 002F 006F
+2106;3;0063 002F 0075
+2107;M;025B
+2108;V
+2109;M;00B0 0066
+210A;M;0067
+210B;M;0068
+210F;M;0127
+2110;M;0069
+2112;M;006C
+2114;V
+2115;M;006E
+2116;M;006E 006F
+2117;V
+2119;M;0070
+211A;M;0071
+211B;M;0072
+211E;V
+2120;M;0073 006D
+2121;M;0074 0065 006C
+2122;M;0074 006D
+2123;V
+2124;M;007A
+2125;V
+2126;M;03C9
+2127;V
+2128;M;007A
+2129;V
+212A;M;006B
+212B;M;00E5
+212C;M;0062
+212D;M;0063
+212E;V
+212F;M;0065
+2131;M;0066
+2132;X
+2133;M;006D
+2134;M;006F
+2135;M;05D0
+2136;M;05D1
+2137;M;05D2
+2138;M;05D3
+2139;M;0069
+213A;V
+213B;M;0066 0061 0078
+213C;M;03C0
+213D;M;03B3
+213F;M;03C0
+2140;M;2211
+2141;V
+2145;M;0064
+2147;M;0065
+2148;M;0069
+2149;M;006A
+214A;V
+2150;M;0031 2044 0037
+2151;M;0031 2044 0039
+2152;M;0031 2044 0031 0030
+2153;M;0031 2044 0033
+2154;M;0032 2044 0033
+2155;M;0031 2044 0035
+2156;M;0032 2044 0035
+2157;M;0033 2044 0035
+2158;M;0034 2044 0035
+2159;M;0031 2044 0036
+215A;M;0035 2044 0036
+215B;M;0031 2044 0038
+215C;M;0033 2044 0038
+215D;M;0035 2044 0038
+215E;M;0037 2044 0038
+215F;M;0031 2044
+2160;M;0069
+2161;M;0069 0069
+2162;M;0069 0069 0069
+2163;M;0069 0076
+2164;M;0076
+2165;M;0076 0069
+2166;M;0076 0069 0069
+2167;M;0076 0069 0069 0069
+2168;M;0069 0078
+2169;M;0078
+216A;M;0078 0069
+216B;M;0078 0069 0069
+216C;M;006C
+216D;M;0063
+216E;M;0064
+216F;M;006D
+2170;M;0069
+2171;M;0069 0069
+2172;M;0069 0069 0069
+2173;M;0069 0076
+2174;M;0076
+2175;M;0076 0069
+2176;M;0076 0069 0069
+2177;M;0076 0069 0069 0069
+2178;M;0069 0078
+2179;M;0078
+217A;M;0078 0069
+217B;M;0078 0069 0069
+217C;M;006C
+217D;M;0063
+217E;M;0064
+217F;M;006D
+2180;V
+2183;X
+2184;V
+2189;M;0030 2044 0033
+218A;V
+218C;X
+2190;V
+222C;M;222B 222B
+222D;M;222B 222B 222B
+222E;V
+222F;M;222E 222E
+2230;M;222E 222E 222E
+2231;V
+2329;M;3008
+232A;M;3009
+232B;V
+2427;X
+2440;V
+244B;X
+2460;M;0031
+2461;M;0032
+2462;M;0033
+2463;M;0034
+2464;M;0035
+2465;M;0036
+2466;M;0037
+2467;M;0038
+2468;M;0039
+2469;M;0031 0030
+246A;M;0031 0031
+246B;M;0031 0032
+246C;M;0031 0033
+246D;M;0031 0034
+246E;M;0031 0035
+246F;M;0031 0036
+2470;M;0031 0037
+2471;M;0031 0038
+2472;M;0031 0039
+2473;M;0032 0030
+2474;3;0028 0031 0029
+2475;3;0028 0032 0029
+2476;3;0028 0033 0029
+2477;3;0028 0034 0029
+2478;3;0028 0035 0029
+2479;3;0028 0036 0029
+247A;3;0028 0037 0029
+247B;3;0028 0038 0029
+247C;3;0028 0039 0029
+247D;3;0028 0031 0030 0029
+247E;3;0028 0031 0031 0029
+247F;3;0028 0031 0032 0029
+2480;3;0028 0031 0033 0029
+2481;3;0028 0031 0034 0029
+2482;3;0028 0031 0035 0029
+2483;3;0028 0031 0036 0029
+2484;3;0028 0031 0037 0029
+2485;3;0028 0031 0038 0029
+2486;3;0028 0031 0039 0029
+2487;3;0028 0032 0030 0029
+2488;X
+249C;3;0028 0061 0029
+249D;3;0028 0062 0029
+249E;3;0028 0063 0029
+249F;3;0028 0064 0029
+24A0;3;0028 0065 0029
+24A1;3;0028 0066 0029
+24A2;3;0028 0067 0029
+24A3;3;0028 0068 0029
+24A4;3;0028 0069 0029
+24A5;3;0028 006A 0029
+24A6;3;0028 006B 0029
+24A7;3;0028 006C 0029
+24A8;3;0028 006D 0029
+24A9;3;0028 006E 0029
+24AA;3;0028 006F 0029
+24AB;3;0028 0070 0029
+24AC;3;0028 0071 0029
+24AD;3;0028 0072 0029
+24AE;3;0028 0073 0029
+24AF;3;0028 0074 0029
+24B0;3;0028 0075 0029
+24B1;3;0028 0076 0029
+24B2;3;0028 0077 0029
+24B3;3;0028 0078 0029
+24B4;3;0028 0079 0029
+24B5;3;0028 007A 0029
+24B6;M;0061
+24B7;M;0062
+24B8;M;0063
+24B9;M;0064
+24BA;M;0065
+24BB;M;0066
+24BC;M;0067
+24BD;M;0068
+24BE;M;0069
+24BF;M;006A
+24C0;M;006B
+24C1;M;006C
+24C2;M;006D
+24C3;M;006E
+24C4;M;006F
+24C5;M;0070
+24C6;M;0071
+24C7;M;0072
+24C8;M;0073
+24C9;M;0074
+24CA;M;0075
+24CB;M;0076
+24CC;M;0077
+24CD;M;0078
+24CE;M;0079
+24CF;M;007A
+24D0;M;0061
+24D1;M;0062
+24D2;M;0063
+24D3;M;0064
+24D4;M;0065
+24D5;M;0066
+24D6;M;0067
+24D7;M;0068
+24D8;M;0069
+24D9;M;006A
+24DA;M;006B
+24DB;M;006C
+24DC;M;006D
+24DD;M;006E
+24DE;M;006F
+24DF;M;0070
+24E0;M;0071
+24E1;M;0072
+24E2;M;0073
+24E3;M;0074
+24E4;M;0075
+24E5;M;0076
+24E6;M;0077
+24E7;M;0078
+24E8;M;0079
+24E9;M;007A
+24EA;M;0030
+24EB;V
+2A0C;M;222B 222B 222B 222B
+2A0D;V
+2A74;3;003A 003A 003D
+2A75;3;003D 003D
+2A76;3;003D 003D 003D
+2A77;V
+2ADC;M;2ADD 0338
+2ADD;V
+2B74;X
+2B76;V
+2B96;X
+2B97;V
+2C00;M;2C30
+2C01;M;2C31
+2C02;M;2C32
+2C03;M;2C33
+2C04;M;2C34
+2C05;M;2C35
+2C06;M;2C36
+2C07;M;2C37
+2C08;M;2C38
+2C09;M;2C39
+2C0A;M;2C3A
+2C0B;M;2C3B
+2C0C;M;2C3C
+2C0D;M;2C3D
+2C0E;M;2C3E
+2C0F;M;2C3F
+2C10;M;2C40
+2C11;M;2C41
+2C12;M;2C42
+2C13;M;2C43
+2C14;M;2C44
+2C15;M;2C45
+2C16;M;2C46
+2C17;M;2C47
+2C18;M;2C48
+2C19;M;2C49
+2C1A;M;2C4A
+2C1B;M;2C4B
+2C1C;M;2C4C
+2C1D;M;2C4D
+2C1E;M;2C4E
+2C1F;M;2C4F
+2C20;M;2C50
+2C21;M;2C51
+2C22;M;2C52
+2C23;M;2C53
+2C24;M;2C54
+2C25;M;2C55
+2C26;M;2C56
+2C27;M;2C57
+2C28;M;2C58
+2C29;M;2C59
+2C2A;M;2C5A
+2C2B;M;2C5B
+2C2C;M;2C5C
+2C2D;M;2C5D
+2C2E;M;2C5E
+2C2F;M;2C5F
+2C30;V
+2C60;M;2C61
+2C61;V
+2C62;M;026B
+2C63;M;1D7D
+2C64;M;027D
+2C65;V
+2C67;M;2C68
+2C68;V
+2C69;M;2C6A
+2C6A;V
+2C6B;M;2C6C
+2C6C;V
+2C6D;M;0251
+2C6E;M;0271
+2C6F;M;0250
+2C70;M;0252
+2C71;V
+2C72;M;2C73
+2C73;V
+2C75;M;2C76
+2C76;V
+2C7C;M;006A
+2C7D;M;0076
+2C7E;M;023F
+2C7F;M;0240
+2C80;M;2C81
+2C81;V
+2C82;M;2C83
+2C83;V
+2C84;M;2C85
+2C85;V
+2C86;M;2C87
+2C87;V
+2C88;M;2C89
+2C89;V
+2C8A;M;2C8B
+2C8B;V
+2C8C;M;2C8D
+2C8D;V
+2C8E;M;2C8F
+2C8F;V
+2C90;M;2C91
+2C91;V
+2C92;M;2C93
+2C93;V
+2C94;M;2C95
+2C95;V
+2C96;M;2C97
+2C97;V
+2C98;M;2C99
+2C99;V
+2C9A;M;2C9B
+2C9B;V
+2C9C;M;2C9D
+2C9D;V
+2C9E;M;2C9F
+2C9F;V
+2CA0;M;2CA1
+2CA1;V
+2CA2;M;2CA3
+2CA3;V
+2CA4;M;2CA5
+2CA5;V
+2CA6;M;2CA7
+2CA7;V
+2CA8;M;2CA9
+2CA9;V
+2CAA;M;2CAB
+2CAB;V
+2CAC;M;2CAD
+2CAD;V
+2CAE;M;2CAF
+2CAF;V
+2CB0;M;2CB1
+2CB1;V
+2CB2;M;2CB3
+2CB3;V
+2CB4;M;2CB5
+2CB5;V
+2CB6;M;2CB7
+2CB7;V
+2CB8;M;2CB9
+2CB9;V
+2CBA;M;2CBB
+2CBB;V
+2CBC;M;2CBD
+2CBD;V
+2CBE;M;2CBF
+2CBF;V
+2CC0;M;2CC1
+2CC1;V
+2CC2;M;2CC3
+2CC3;V
+2CC4;M;2CC5
+2CC5;V
+2CC6;M;2CC7
+2CC7;V
+2CC8;M;2CC9
+2CC9;V
+2CCA;M;2CCB
+2CCB;V
+2CCC;M;2CCD
+2CCD;V
+2CCE;M;2CCF
+2CCF;V
+2CD0;M;2CD1
+2CD1;V
+2CD2;M;2CD3
+2CD3;V
+2CD4;M;2CD5
+2CD5;V
+2CD6;M;2CD7
+2CD7;V
+2CD8;M;2CD9
+2CD9;V
+2CDA;M;2CDB
+2CDB;V
+2CDC;M;2CDD
+2CDD;V
+2CDE;M;2CDF
+2CDF;V
+2CE0;M;2CE1
+2CE1;V
+2CE2;M;2CE3
+2CE3;V
+2CEB;M;2CEC
+2CEC;V
+2CED;M;2CEE
+2CEE;V
+2CF2;M;2CF3
+2CF3;V
+2CF4;X
+2CF9;V
+2D26;X
+2D27;V
+2D28;X
+2D2D;V
+2D2E;X
+2D30;V
+2D68;X
+2D6F;M;2D61
+2D70;V
+2D71;X
+2D7F;V
+2D97;X
+2DA0;V
+2DA7;X
+2DA8;V
+2DAF;X
+2DB0;V
+2DB7;X
+2DB8;V
+2DBF;X
+2DC0;V
+2DC7;X
+2DC8;V
+2DCF;X
+2DD0;V
+2DD7;X
+2DD8;V
+2DDF;X
+2DE0;V
+2E5E;X
+2E80;V
+2E9A;X
+2E9B;V
+2E9F;M;6BCD
+2EA0;V
+2EF3;M;9F9F
+2EF4;X
+2F00;M;4E00
+2F01;M;4E28
+2F02;M;4E36
+2F03;M;4E3F
+2F04;M;4E59
+2F05;M;4E85
+2F06;M;4E8C
+2F07;M;4EA0
+2F08;M;4EBA
+2F09;M;513F
+2F0A;M;5165
+2F0B;M;516B
+2F0C;M;5182
+2F0D;M;5196
+2F0E;M;51AB
+2F0F;M;51E0
+2F10;M;51F5
+2F11;M;5200
+2F12;M;529B
+2F13;M;52F9
+2F14;M;5315
+2F15;M;531A
+2F16;M;5338
+2F17;M;5341
+2F18;M;535C
+2F19;M;5369
+2F1A;M;5382
+2F1B;M;53B6
+2F1C;M;53C8
+2F1D;M;53E3
+2F1E;M;56D7
+2F1F;M;571F
+2F20;M;58EB
+2F21;M;5902
+2F22;M;590A
+2F23;M;5915
+2F24;M;5927
+2F25;M;5973
+2F26;M;5B50
+2F27;M;5B80
+2F28;M;5BF8
+2F29;M;5C0F
+2F2A;M;5C22
+2F2B;M;5C38
+2F2C;M;5C6E
+2F2D;M;5C71
+2F2E;M;5DDB
+2F2F;M;5DE5
+2F30;M;5DF1
+2F31;M;5DFE
+2F32;M;5E72
+2F33;M;5E7A
+2F34;M;5E7F
+2F35;M;5EF4
+2F36;M;5EFE
+2F37;M;5F0B
+2F38;M;5F13
+2F39;M;5F50
+2F3A;M;5F61
+2F3B;M;5F73
+2F3C;M;5FC3
+2F3D;M;6208
+2F3E;M;6236
+2F3F;M;624B
+2F40;M;652F
+2F41;M;6534
+2F42;M;6587
+2F43;M;6597
+2F44;M;65A4
+2F45;M;65B9
+2F46;M;65E0
+2F47;M;65E5
+2F48;M;66F0
+2F49;M;6708
+2F4A;M;6728
+2F4B;M;6B20
+2F4C;M;6B62
+2F4D;M;6B79
+2F4E;M;6BB3
+2F4F;M;6BCB
+2F50;M;6BD4
+2F51;M;6BDB
+2F52;M;6C0F
+2F53;M;6C14
+2F54;M;6C34
+2F55;M;706B
+2F56;M;722A
+2F57;M;7236
+2F58;M;723B
+2F59;M;723F
+2F5A;M;7247
+2F5B;M;7259
+2F5C;M;725B
+2F5D;M;72AC
+2F5E;M;7384
+2F5F;M;7389
+2F60;M;74DC
+2F61;M;74E6
+2F62;M;7518
+2F63;M;751F
+2F64;M;7528
+2F65;M;7530
+2F66;M;758B
+2F67;M;7592
+2F68;M;7676
+2F69;M;767D
+2F6A;M;76AE
+2F6B;M;76BF
+2F6C;M;76EE
+2F6D;M;77DB
+2F6E;M;77E2
+2F6F;M;77F3
+2F70;M;793A
+2F71;M;79B8
+2F72;M;79BE
+2F73;M;7A74
+2F74;M;7ACB
+2F75;M;7AF9
+2F76;M;7C73
+2F77;M;7CF8
+2F78;M;7F36
+2F79;M;7F51
+2F7A;M;7F8A
+2F7B;M;7FBD
+2F7C;M;8001
+2F7D;M;800C
+2F7E;M;8012
+2F7F;M;8033
+2F80;M;807F
+2F81;M;8089
+2F82;M;81E3
+2F83;M;81EA
+2F84;M;81F3
+2F85;M;81FC
+2F86;M;820C
+2F87;M;821B
+2F88;M;821F
+2F89;M;826E
+2F8A;M;8272
+2F8B;M;8278
+2F8C;M;864D
+2F8D;M;866B
+2F8E;M;8840
+2F8F;M;884C
+2F90;M;8863
+2F91;M;897E
+2F92;M;898B
+2F93;M;89D2
+2F94;M;8A00
+2F95;M;8C37
+2F96;M;8C46
+2F97;M;8C55
+2F98;M;8C78
+2F99;M;8C9D
+2F9A;M;8D64
+2F9B;M;8D70
+2F9C;M;8DB3
+2F9D;M;8EAB
+2F9E;M;8ECA
+2F9F;M;8F9B
+2FA0;M;8FB0
+2FA1;M;8FB5
+2FA2;M;9091
+2FA3;M;9149
+2FA4;M;91C6
+2FA5;M;91CC
+2FA6;M;91D1
+2FA7;M;9577
+2FA8;M;9580
+2FA9;M;961C
+2FAA;M;96B6
+2FAB;M;96B9
+2FAC;M;96E8
+2FAD;M;9751
+2FAE;M;975E
+2FAF;M;9762
+2FB0;M;9769
+2FB1;M;97CB
+2FB2;M;97ED
+2FB3;M;97F3
+2FB4;M;9801
+2FB5;M;98A8
+2FB6;M;98DB
+2FB7;M;98DF
+2FB8;M;9996
+2FB9;M;9999
+2FBA;M;99AC
+2FBB;M;9AA8
+2FBC;M;9AD8
+2FBD;M;9ADF
+2FBE;M;9B25
+2FBF;M;9B2F
+2FC0;M;9B32
+2FC1;M;9B3C
+2FC2;M;9B5A
+2FC3;M;9CE5
+2FC4;M;9E75
+2FC5;M;9E7F
+2FC6;M;9EA5
+2FC7;M;9EBB
+2FC8;M;9EC3
+2FC9;M;9ECD
+2FCA;M;9ED1
+2FCB;M;9EF9
+2FCC;M;9EFD
+2FCD;M;9F0E
+2FCE;M;9F13
+2FCF;M;9F20
+2FD0;M;9F3B
+2FD1;M;9F4A
+2FD2;M;9F52
+2FD3;M;9F8D
+2FD4;M;9F9C
+2FD5;M;9FA0
+2FD6;X
+3000;3;0020
+3001;V
+3002;M;002E
+3003;V
+3036;M;3012
+3037;V
+3038;M;5341
+3039;M;5344
+303A;M;5345
+303B;V
+3040;X
+3041;V
+3097;X
+3099;V
+309B;3;0020 3099
+309C;3;0020 309A
+309D;V
+309F;M;3088 308A
+30A0;V
+30FF;M;30B3 30C8
+3100;X
+3105;V
+3130;X
+3131;M;1100
+3132;M;1101
+3133;M;11AA
+3134;M;1102
+3135;M;11AC
+3136;M;11AD
+3137;M;1103
+3138;M;1104
+3139;M;1105
+313A;M;11B0
+313B;M;11B1
+313C;M;11B2
+313D;M;11B3
+313E;M;11B4
+313F;M;11B5
+3140;M;111A
+3141;M;1106
+3142;M;1107
+3143;M;1108
+3144;M;1121
+3145;M;1109
+3146;M;110A
+3147;M;110B
+3148;M;110C
+3149;M;110D
+314A;M;110E
+314B;M;110F
+314C;M;1110
+314D;M;1111
+314E;M;1112
+314F;M;1161
+3150;M;1162
+3151;M;1163
+3152;M;1164
+3153;M;1165
+3154;M;1166
+3155;M;1167
+3156;M;1168
+3157;M;1169
+3158;M;116A
+3159;M;116B
+315A;M;116C
+315B;M;116D
+315C;M;116E
+315D;M;116F
+315E;M;1170
+315F;M;1171
+3160;M;1172
+3161;M;1173
+3162;M;1174
+3163;M;1175
+3164;X
+3165;M;1114
+3166;M;1115
+3167;M;11C7
+3168;M;11C8
+3169;M;11CC
+316A;M;11CE
+316B;M;11D3
+316C;M;11D7
+316D;M;11D9
+316E;M;111C
+316F;M;11DD
+3170;M;11DF
+3171;M;111D
+3172;M;111E
+3173;M;1120
+3174;M;1122
+3175;M;1123
+3176;M;1127
+3177;M;1129
+3178;M;112B
+3179;M;112C
+317A;M;112D
+317B;M;112E
+317C;M;112F
+317D;M;1132
+317E;M;1136
+317F;M;1140
+3180;M;1147
+3181;M;114C
+3182;M;11F1
+3183;M;11F2
+3184;M;1157
+3185;M;1158
+3186;M;1159
+3187;M;1184
+3188;M;1185
+3189;M;1188
+318A;M;1191
+318B;M;1192
+318C;M;1194
+318D;M;119E
+318E;M;11A1
+318F;X
+3190;V
+3192;M;4E00
+3193;M;4E8C
+3194;M;4E09
+3195;M;56DB
+3196;M;4E0A
+3197;M;4E2D
+3198;M;4E0B
+3199;M;7532
+319A;M;4E59
+319B;M;4E19
+319C;M;4E01
+319D;M;5929
+319E;M;5730
+319F;M;4EBA
+31A0;V
+31E4;X
+31F0;V
+3200;3;0028 1100 0029
+3201;3;0028 1102 0029
+3202;3;0028 1103 0029
+3203;3;0028 1105 0029
+3204;3;0028 1106 0029
+3205;3;0028 1107 0029
+3206;3;0028 1109 0029
+3207;3;0028 110B 0029
+3208;3;0028 110C 0029
+3209;3;0028 110E 0029
+320A;3;0028 110F 0029
+320B;3;0028 1110 0029
+320C;3;0028 1111 0029
+320D;3;0028 1112 0029
+320E;3;0028 AC00 0029
+320F;3;0028 B098 0029
+3210;3;0028 B2E4 0029
+3211;3;0028 B77C 0029
+3212;3;0028 B9C8 0029
+3213;3;0028 BC14 0029
+3214;3;0028 C0AC 0029
+3215;3;0028 C544 0029
+3216;3;0028 C790 0029
+3217;3;0028 CC28 0029
+3218;3;0028 CE74 0029
+3219;3;0028 D0C0 0029
+321A;3;0028 D30C 0029
+321B;3;0028 D558 0029
+321C;3;0028 C8FC 0029
+321D;3;0028 C624 C804 0029
+321E;3;0028 C624 D6C4 0029
+321F;X
+3220;3;0028 4E00 0029
+3221;3;0028 4E8C 0029
+3222;3;0028 4E09 0029
+3223;3;0028 56DB 0029
+3224;3;0028 4E94 0029
+3225;3;0028 516D 0029
+3226;3;0028 4E03 0029
+3227;3;0028 516B 0029
+3228;3;0028 4E5D 0029
+3229;3;0028 5341 0029
+322A;3;0028 6708 0029
+322B;3;0028 706B 0029
+322C;3;0028 6C34 0029
+322D;3;0028 6728 0029
+322E;3;0028 91D1 0029
+322F;3;0028 571F 0029
+3230;3;0028 65E5 0029
+3231;3;0028 682A 0029
+3232;3;0028 6709 0029
+3233;3;0028 793E 0029
+3234;3;0028 540D 0029
+3235;3;0028 7279 0029
+3236;3;0028 8CA1 0029
+3237;3;0028 795D 0029
+3238;3;0028 52B4 0029
+3239;3;0028 4EE3 0029
+323A;3;0028 547C 0029
+323B;3;0028 5B66 0029
+323C;3;0028 76E3 0029
+323D;3;0028 4F01 0029
+323E;3;0028 8CC7 0029
+323F;3;0028 5354 0029
+3240;3;0028 796D 0029
+3241;3;0028 4F11 0029
+3242;3;0028 81EA 0029
+3243;3;0028 81F3 0029
+3244;M;554F
+3245;M;5E7C
+3246;M;6587
+3247;M;7B8F
+3248;V
+3250;M;0070 0074 0065
+3251;M;0032 0031
+3252;M;0032 0032
+3253;M;0032 0033
+3254;M;0032 0034
+3255;M;0032 0035
+3256;M;0032 0036
+3257;M;0032 0037
+3258;M;0032 0038
+3259;M;0032 0039
+325A;M;0033 0030
+325B;M;0033 0031
+325C;M;0033 0032
+325D;M;0033 0033
+325E;M;0033 0034
+325F;M;0033 0035
+3260;M;1100
+3261;M;1102
+3262;M;1103
+3263;M;1105
+3264;M;1106
+3265;M;1107
+3266;M;1109
+3267;M;110B
+3268;M;110C
+3269;M;110E
+326A;M;110F
+326B;M;1110
+326C;M;1111
+326D;M;1112
+326E;M;AC00
+326F;M;B098
+3270;M;B2E4
+3271;M;B77C
+3272;M;B9C8
+3273;M;BC14
+3274;M;C0AC
+3275;M;C544
+3276;M;C790
+3277;M;CC28
+3278;M;CE74
+3279;M;D0C0
+327A;M;D30C
+327B;M;D558
+327C;M;CC38 ACE0
+327D;M;C8FC C758
+327E;M;C6B0
+327F;V
+3280;M;4E00
+3281;M;4E8C
+3282;M;4E09
+3283;M;56DB
+3284;M;4E94
+3285;M;516D
+3286;M;4E03
+3287;M;516B
+3288;M;4E5D
+3289;M;5341
+328A;M;6708
+328B;M;706B
+328C;M;6C34
+328D;M;6728
+328E;M;91D1
+328F;M;571F
+3290;M;65E5
+3291;M;682A
+3292;M;6709
+3293;M;793E
+3294;M;540D
+3295;M;7279
+3296;M;8CA1
+3297;M;795D
+3298;M;52B4
+3299;M;79D8
+329A;M;7537
+329B;M;5973
+329C;M;9069
+329D;M;512A
+329E;M;5370
+329F;M;6CE8
+32A0;M;9805
+32A1;M;4F11
+32A2;M;5199
+32A3;M;6B63
+32A4;M;4E0A
+32A5;M;4E2D
+32A6;M;4E0B
+32A7;M;5DE6
+32A8;M;53F3
+32A9;M;533B
+32AA;M;5B97
+32AB;M;5B66
+32AC;M;76E3
+32AD;M;4F01
+32AE;M;8CC7
+32AF;M;5354
+32B0;M;591C
+32B1;M;0033 0036
+32B2;M;0033 0037
+32B3;M;0033 0038
+32B4;M;0033 0039
+32B5;M;0034 0030
+32B6;M;0034 0031
+32B7;M;0034 0032
+32B8;M;0034 0033
+32B9;M;0034 0034
+32BA;M;0034 0035
+32BB;M;0034 0036
+32BC;M;0034 0037
+32BD;M;0034 0038
+32BE;M;0034 0039
+32BF;M;0035 0030
+32C0;M;0031 6708
+32C1;M;0032 6708
+32C2;M;0033 6708
+32C3;M;0034 6708
+32C4;M;0035 6708
+32C5;M;0036 6708
+32C6;M;0037 6708
+32C7;M;0038 6708
+32C8;M;0039 6708
+32C9;M;0031 0030 6708
+32CA;M;0031 0031 6708
+32CB;M;0031 0032 6708
+32CC;M;0068 0067
+32CD;M;0065 0072 0067
+32CE;M;0065 0076
+32CF;M;006C 0074 0064
+32D0;M;30A2
+32D1;M;30A4
+32D2;M;30A6
+32D3;M;30A8
+32D4;M;30AA
+32D5;M;30AB
+32D6;M;30AD
+32D7;M;30AF
+32D8;M;30B1
+32D9;M;30B3
+32DA;M;30B5
+32DB;M;30B7
+32DC;M;30B9
+32DD;M;30BB
+32DE;M;30BD
+32DF;M;30BF
+32E0;M;30C1
+32E1;M;30C4
+32E2;M;30C6
+32E3;M;30C8
+32E4;M;30CA
+32E5;M;30CB
+32E6;M;30CC
+32E7;M;30CD
+32E8;M;30CE
+32E9;M;30CF
+32EA;M;30D2
+32EB;M;30D5
+32EC;M;30D8
+32ED;M;30DB
+32EE;M;30DE
+32EF;M;30DF
+32F0;M;30E0
+32F1;M;30E1
+32F2;M;30E2
+32F3;M;30E4
+32F4;M;30E6
+32F5;M;30E8
+32F6;M;30E9
+32F7;M;30EA
+32F8;M;30EB
+32F9;M;30EC
+32FA;M;30ED
+32FB;M;30EF
+32FC;M;30F0
+32FD;M;30F1
+32FE;M;30F2
+32FF;M;4EE4 548C
+3300;M;30A2 30D1 30FC 30C8
+3301;M;30A2 30EB 30D5 30A1
+3302;M;30A2 30F3 30DA 30A2
+3303;M;30A2 30FC 30EB
+3304;M;30A4 30CB 30F3 30B0
+3305;M;30A4 30F3 30C1
+3306;M;30A6 30A9 30F3
+3307;M;30A8 30B9 30AF 30FC 30C9
+3308;M;30A8 30FC 30AB 30FC
+3309;M;30AA 30F3 30B9
+330A;M;30AA 30FC 30E0
+330B;M;30AB 30A4 30EA
+330C;M;30AB 30E9 30C3 30C8
+330D;M;30AB 30ED 30EA 30FC
+330E;M;30AC 30ED 30F3
+330F;M;30AC 30F3 30DE
+3310;M;30AE 30AC
+3311;M;30AE 30CB 30FC
+3312;M;30AD 30E5 30EA 30FC
+3313;M;30AE 30EB 30C0 30FC
+3314;M;30AD 30ED
+3315;M;30AD 30ED 30B0 30E9 30E0
+3316;M;30AD 30ED 30E1 30FC 30C8 30EB
+3317;M;30AD 30ED 30EF 30C3 30C8
+3318;M;30B0 30E9 30E0
+3319;M;30B0 30E9 30E0 30C8 30F3
+331A;M;30AF 30EB 30BC 30A4 30ED
+331B;M;30AF 30ED 30FC 30CD
+331C;M;30B1 30FC 30B9
+331D;M;30B3 30EB 30CA
+331E;M;30B3 30FC 30DD
+331F;M;30B5 30A4 30AF 30EB
+3320;M;30B5 30F3 30C1 30FC 30E0
+3321;M;30B7 30EA 30F3 30B0
+3322;M;30BB 30F3 30C1
+3323;M;30BB 30F3 30C8
+3324;M;30C0 30FC 30B9
+3325;M;30C7 30B7
+3326;M;30C9 30EB
+3327;M;30C8 30F3
+3328;M;30CA 30CE
+3329;M;30CE 30C3 30C8
+332A;M;30CF 30A4 30C4
+332B;M;30D1 30FC 30BB 30F3 30C8
+332C;M;30D1 30FC 30C4
+332D;M;30D0 30FC 30EC 30EB
+332E;M;30D4 30A2 30B9 30C8 30EB
+332F;M;30D4 30AF 30EB
+3330;M;30D4 30B3
+3331;M;30D3 30EB
+3332;M;30D5 30A1 30E9 30C3 30C9
+3333;M;30D5 30A3 30FC 30C8
+3334;M;30D6 30C3 30B7 30A7 30EB
+3335;M;30D5 30E9 30F3
+3336;M;30D8 30AF 30BF 30FC 30EB
+3337;M;30DA 30BD
+3338;M;30DA 30CB 30D2
+3339;M;30D8 30EB 30C4
+333A;M;30DA 30F3 30B9
+333B;M;30DA 30FC 30B8
+333C;M;30D9 30FC 30BF
+333D;M;30DD 30A4 30F3 30C8
+333E;M;30DC 30EB 30C8
+333F;M;30DB 30F3
+3340;M;30DD 30F3 30C9
+3341;M;30DB 30FC 30EB
+3342;M;30DB 30FC 30F3
+3343;M;30DE 30A4 30AF 30ED
+3344;M;30DE 30A4 30EB
+3345;M;30DE 30C3 30CF
+3346;M;30DE 30EB 30AF
+3347;M;30DE 30F3 30B7 30E7 30F3
+3348;M;30DF 30AF 30ED 30F3
+3349;M;30DF 30EA
+334A;M;30DF 30EA 30D0 30FC 30EB
+334B;M;30E1 30AC
+334C;M;30E1 30AC 30C8 30F3
+334D;M;30E1 30FC 30C8 30EB
+334E;M;30E4 30FC 30C9
+334F;M;30E4 30FC 30EB
+3350;M;30E6 30A2 30F3
+3351;M;30EA 30C3 30C8 30EB
+3352;M;30EA 30E9
+3353;M;30EB 30D4 30FC
+3354;M;30EB 30FC 30D6 30EB
+3355;M;30EC 30E0
+3356;M;30EC 30F3 30C8 30B2 30F3
+3357;M;30EF 30C3 30C8
+3358;M;0030 70B9
+3359;M;0031 70B9
+335A;M;0032 70B9
+335B;M;0033 70B9
+335C;M;0034 70B9
+335D;M;0035 70B9
+335E;M;0036 70B9
+335F;M;0037 70B9
+3360;M;0038 70B9
+3361;M;0039 70B9
+3362;M;0031 0030 70B9
+3363;M;0031 0031 70B9
+3364;M;0031 0032 70B9
+3365;M;0031 0033 70B9
+3366;M;0031 0034 70B9
+3367;M;0031 0035 70B9
+3368;M;0031 0036 70B9
+3369;M;0031 0037 70B9
+336A;M;0031 0038 70B9
+336B;M;0031 0039 70B9
+336C;M;0032 0030 70B9
+336D;M;0032 0031 70B9
+336E;M;0032 0032 70B9
+336F;M;0032 0033 70B9
+3370;M;0032 0034 70B9
+3371;M;0068 0070 0061
+3372;M;0064 0061
+3373;M;0061 0075
+3374;M;0062 0061 0072
+3375;M;006F 0076
+3376;M;0070 0063
+3377;M;0064 006D
+3378;M;0064 006D 0032
+3379;M;0064 006D 0033
+337A;M;0069 0075
+337B;M;5E73 6210
+337C;M;662D 548C
+337D;M;5927 6B63
+337E;M;660E 6CBB
+337F;M;682A 5F0F 4F1A 793E
+3380;M;0070 0061
+3381;M;006E 0061
+3382;M;03BC 0061
+3383;M;006D 0061
+3384;M;006B 0061
+3385;M;006B 0062
+3386;M;006D 0062
+3387;M;0067 0062
+3388;M;0063 0061 006C
+3389;M;006B 0063 0061 006C
+338A;M;0070 0066
+338B;M;006E 0066
+338C;M;03BC 0066
+338D;M;03BC 0067
+338E;M;006D 0067
+338F;M;006B 0067
+3390;M;0068 007A
+3391;M;006B 0068 007A
+3392;M;006D 0068 007A
+3393;M;0067 0068 007A
+3394;M;0074 0068 007A
+3395;M;03BC 006C
+3396;M;006D 006C
+3397;M;0064 006C
+3398;M;006B 006C
+3399;M;0066 006D
+339A;M;006E 006D
+339B;M;03BC 006D
+339C;M;006D 006D
+339D;M;0063 006D
+339E;M;006B 006D
+339F;M;006D 006D 0032
+33A0;M;0063 006D 0032
+33A1;M;006D 0032
+33A2;M;006B 006D 0032
+33A3;M;006D 006D 0033
+33A4;M;0063 006D 0033
+33A5;M;006D 0033
+33A6;M;006B 006D 0033
+33A7;M;006D 2215 0073
+33A8;M;006D 2215 0073 0032
+33A9;M;0070 0061
+33AA;M;006B 0070 0061
+33AB;M;006D 0070 0061
+33AC;M;0067 0070 0061
+33AD;M;0072 0061 0064
+33AE;M;0072 0061 0064 2215 0073
+33AF;M;0072 0061 0064 2215 0073 0032
+33B0;M;0070 0073
+33B1;M;006E 0073
+33B2;M;03BC 0073
+33B3;M;006D 0073
+33B4;M;0070 0076
+33B5;M;006E 0076
+33B6;M;03BC 0076
+33B7;M;006D 0076
+33B8;M;006B 0076
+33B9;M;006D 0076
+33BA;M;0070 0077
+33BB;M;006E 0077
+33BC;M;03BC 0077
+33BD;M;006D 0077
+33BE;M;006B 0077
+33BF;M;006D 0077
+33C0;M;006B 03C9
+33C1;M;006D 03C9
+33C2;X
+33C3;M;0062 0071
+33C4;M;0063 0063
+33C5;M;0063 0064
+33C6;M;0063 2215 006B 0067
+33C7;X
+33C8;M;0064 0062
+33C9;M;0067 0079
+33CA;M;0068 0061
+33CB;M;0068 0070
+33CC;M;0069 006E
+33CD;M;006B 006B
+33CE;M;006B 006D
+33CF;M;006B 0074
+33D0;M;006C 006D
+33D1;M;006C 006E
+33D2;M;006C 006F 0067
+33D3;M;006C 0078
+33D4;M;006D 0062
+33D5;M;006D 0069 006C
+33D6;M;006D 006F 006C
+33D7;M;0070 0068
+33D8;X
+33D9;M;0070 0070 006D
+33DA;M;0070 0072
+33DB;M;0073 0072
+33DC;M;0073 0076
+33DD;M;0077 0062
+33DE;M;0076 2215 006D
+33DF;M;0061 2215 006D
+33E0;M;0031 65E5
+33E1;M;0032 65E5
+33E2;M;0033 65E5
+33E3;M;0034 65E5
+33E4;M;0035 65E5
+33E5;M;0036 65E5
+33E6;M;0037 65E5
+33E7;M;0038 65E5
+33E8;M;0039 65E5
+33E9;M;0031 0030 65E5
+33EA;M;0031 0031 65E5
+33EB;M;0031 0032 65E5
+33EC;M;0031 0033 65E5
+33ED;M;0031 0034 65E5
+33EE;M;0031 0035 65E5
+33EF;M;0031 0036 65E5
+33F0;M;0031 0037 65E5
+33F1;M;0031 0038 65E5
+33F2;M;0031 0039 65E5
+33F3;M;0032 0030 65E5
+33F4;M;0032 0031 65E5
+33F5;M;0032 0032 65E5
+33F6;M;0032 0033 65E5
+33F7;M;0032 0034 65E5
+33F8;M;0032 0035 65E5
+33F9;M;0032 0036 65E5
+33FA;M;0032 0037 65E5
+33FB;M;0032 0038 65E5
+33FC;M;0032 0039 65E5
+33FD;M;0033 0030 65E5
+33FE;M;0033 0031 65E5
+33FF;M;0067 0061 006C
+3400;V
+A48D;X
+A490;V
+A4C7;X
+A4D0;V
+A62C;X
+A640;M;A641
+A641;V
+A642;M;A643
+A643;V
+A644;M;A645
+A645;V
+A646;M;A647
+A647;V
+A648;M;A649
+A649;V
+A64A;M;A64B
+A64B;V
+A64C;M;A64D
+A64D;V
+A64E;M;A64F
+A64F;V
+A650;M;A651
+A651;V
+A652;M;A653
+A653;V
+A654;M;A655
+A655;V
+A656;M;A657
+A657;V
+A658;M;A659
+A659;V
+A65A;M;A65B
+A65B;V
+A65C;M;A65D
+A65D;V
+A65E;M;A65F
+A65F;V
+A660;M;A661
+A661;V
+A662;M;A663
+A663;V
+A664;M;A665
+A665;V
+A666;M;A667
+A667;V
+A668;M;A669
+A669;V
+A66A;M;A66B
+A66B;V
+A66C;M;A66D
+A66D;V
+A680;M;A681
+A681;V
+A682;M;A683
+A683;V
+A684;M;A685
+A685;V
+A686;M;A687
+A687;V
+A688;M;A689
+A689;V
+A68A;M;A68B
+A68B;V
+A68C;M;A68D
+A68D;V
+A68E;M;A68F
+A68F;V
+A690;M;A691
+A691;V
+A692;M;A693
+A693;V
+A694;M;A695
+A695;V
+A696;M;A697
+A697;V
+A698;M;A699
+A699;V
+A69A;M;A69B
+A69B;V
+A69C;M;044A
+A69D;M;044C
+A69E;V
+A6F8;X
+A700;V
+A722;M;A723
+A723;V
+A724;M;A725
+A725;V
+A726;M;A727
+A727;V
+A728;M;A729
+A729;V
+A72A;M;A72B
+A72B;V
+A72C;M;A72D
+A72D;V
+A72E;M;A72F
+A72F;V
+A732;M;A733
+A733;V
+A734;M;A735
+A735;V
+A736;M;A737
+A737;V
+A738;M;A739
+A739;V
+A73A;M;A73B
+A73B;V
+A73C;M;A73D
+A73D;V
+A73E;M;A73F
+A73F;V
+A740;M;A741
+A741;V
+A742;M;A743
+A743;V
+A744;M;A745
+A745;V
+A746;M;A747
+A747;V
+A748;M;A749
+A749;V
+A74A;M;A74B
+A74B;V
+A74C;M;A74D
+A74D;V
+A74E;M;A74F
+A74F;V
+A750;M;A751
+A751;V
+A752;M;A753
+A753;V
+A754;M;A755
+A755;V
+A756;M;A757
+A757;V
+A758;M;A759
+A759;V
+A75A;M;A75B
+A75B;V
+A75C;M;A75D
+A75D;V
+A75E;M;A75F
+A75F;V
+A760;M;A761
+A761;V
+A762;M;A763
+A763;V
+A764;M;A765
+A765;V
+A766;M;A767
+A767;V
+A768;M;A769
+A769;V
+A76A;M;A76B
+A76B;V
+A76C;M;A76D
+A76D;V
+A76E;M;A76F
+A76F;V
+A770;M;A76F
+A771;V
+A779;M;A77A
+A77A;V
+A77B;M;A77C
+A77C;V
+A77D;M;1D79
+A77E;M;A77F
+A77F;V
+A780;M;A781
+A781;V
+A782;M;A783
+A783;V
+A784;M;A785
+A785;V
+A786;M;A787
+A787;V
+A78B;M;A78C
+A78C;V
+A78D;M;0265
+A78E;V
+A790;M;A791
+A791;V
+A792;M;A793
+A793;V
+A796;M;A797
+A797;V
+A798;M;A799
+A799;V
+A79A;M;A79B
+A79B;V
+A79C;M;A79D
+A79D;V
+A79E;M;A79F
+A79F;V
+A7A0;M;A7A1
+A7A1;V
+A7A2;M;A7A3
+A7A3;V
+A7A4;M;A7A5
+A7A5;V
+A7A6;M;A7A7
+A7A7;V
+A7A8;M;A7A9
+A7A9;V
+A7AA;M;0266
+A7AB;M;025C
+A7AC;M;0261
+A7AD;M;026C
+A7AE;M;026A
+A7AF;V
+A7B0;M;029E
+A7B1;M;0287
+A7B2;M;029D
+A7B3;M;AB53
+A7B4;M;A7B5
+A7B5;V
+A7B6;M;A7B7
+A7B7;V
+A7B8;M;A7B9
+A7B9;V
+A7BA;M;A7BB
+A7BB;V
+A7BC;M;A7BD
+A7BD;V
+A7BE;M;A7BF
+A7BF;V
+A7C0;M;A7C1
+A7C1;V
+A7C2;M;A7C3
+A7C3;V
+A7C4;M;A794
+A7C5;M;0282
+A7C6;M;1D8E
+A7C7;M;A7C8
+A7C8;V
+A7C9;M;A7CA
+A7CA;V
+A7CB;X
+A7D0;M;A7D1
+A7D1;V
+A7D2;X
+A7D3;V
+A7D4;X
+A7D5;V
+A7D6;M;A7D7
+A7D7;V
+A7D8;M;A7D9
+A7D9;V
+A7DA;X
+A7F2;M;0063
+A7F3;M;0066
+A7F4;M;0071
+A7F5;M;A7F6
+A7F6;V
+A7F8;M;0127
+A7F9;M;0153
+A7FA;V
+A82D;X
+A830;V
+A83A;X
+A840;V
+A878;X
+A880;V
+A8C6;X
+A8CE;V
+A8DA;X
+A8E0;V
+A954;X
+A95F;V
+A97D;X
+A980;V
+A9CE;X
+A9CF;V
+A9DA;X
+A9DE;V
+A9FF;X
+AA00;V
+AA37;X
+AA40;V
+AA4E;X
+AA50;V
+AA5A;X
+AA5C;V
+AAC3;X
+AADB;V
+AAF7;X
+AB01;V
+AB07;X
+AB09;V
+AB0F;X
+AB11;V
+AB17;X
+AB20;V
+AB27;X
+AB28;V
+AB2F;X
+AB30;V
+AB5C;M;A727
+AB5D;M;AB37
+AB5E;M;026B
+AB5F;M;AB52
+AB60;V
+AB69;M;028D
+AB6A;V
+AB6C;X
+AB70;M;13A0
+AB71;M;13A1
+AB72;M;13A2
+AB73;M;13A3
+AB74;M;13A4
+AB75;M;13A5
+AB76;M;13A6
+AB77;M;13A7
+AB78;M;13A8
+AB79;M;13A9
+AB7A;M;13AA
+AB7B;M;13AB
+AB7C;M;13AC
+AB7D;M;13AD
+AB7E;M;13AE
+AB7F;M;13AF
+AB80;M;13B0
+AB81;M;13B1
+AB82;M;13B2
+AB83;M;13B3
+AB84;M;13B4
+AB85;M;13B5
+AB86;M;13B6
+AB87;M;13B7
+AB88;M;13B8
+AB89;M;13B9
+AB8A;M;13BA
+AB8B;M;13BB
+AB8C;M;13BC
+AB8D;M;13BD
+AB8E;M;13BE
+AB8F;M;13BF
+AB90;M;13C0
+AB91;M;13C1
+AB92;M;13C2
+AB93;M;13C3
+AB94;M;13C4
+AB95;M;13C5
+AB96;M;13C6
+AB97;M;13C7
+AB98;M;13C8
+AB99;M;13C9
+AB9A;M;13CA
+AB9B;M;13CB
+AB9C;M;13CC
+AB9D;M;13CD
+AB9E;M;13CE
+AB9F;M;13CF
+ABA0;M;13D0
+ABA1;M;13D1
+ABA2;M;13D2
+ABA3;M;13D3
+ABA4;M;13D4
+ABA5;M;13D5
+ABA6;M;13D6
+ABA7;M;13D7
+ABA8;M;13D8
+ABA9;M;13D9
+ABAA;M;13DA
+ABAB;M;13DB
+ABAC;M;13DC
+ABAD;M;13DD
+ABAE;M;13DE
+ABAF;M;13DF
+ABB0;M;13E0
+ABB1;M;13E1
+ABB2;M;13E2
+ABB3;M;13E3
+ABB4;M;13E4
+ABB5;M;13E5
+ABB6;M;13E6
+ABB7;M;13E7
+ABB8;M;13E8
+ABB9;M;13E9
+ABBA;M;13EA
+ABBB;M;13EB
+ABBC;M;13EC
+ABBD;M;13ED
+ABBE;M;13EE
+ABBF;M;13EF
+ABC0;V
+ABEE;X
+ABF0;V
+ABFA;X
+AC00;V
+D7A4;X
+D7B0;V
+D7C7;X
+D7CB;V
+D7FC;X
+F900;M;8C48
+F901;M;66F4
+F902;M;8ECA
+F903;M;8CC8
+F904;M;6ED1
+F905;M;4E32
+F906;M;53E5
+F907;M;9F9C
+F909;M;5951
+F90A;M;91D1
+F90B;M;5587
+F90C;M;5948
+F90D;M;61F6
+F90E;M;7669
+F90F;M;7F85
+F910;M;863F
+F911;M;87BA
+F912;M;88F8
+F913;M;908F
+F914;M;6A02
+F915;M;6D1B
+F916;M;70D9
+F917;M;73DE
+F918;M;843D
+F919;M;916A
+F91A;M;99F1
+F91B;M;4E82
+F91C;M;5375
+F91D;M;6B04
+F91E;M;721B
+F91F;M;862D
+F920;M;9E1E
+F921;M;5D50
+F922;M;6FEB
+F923;M;85CD
+F924;M;8964
+F925;M;62C9
+F926;M;81D8
+F927;M;881F
+F928;M;5ECA
+F929;M;6717
+F92A;M;6D6A
+F92B;M;72FC
+F92C;M;90CE
+F92D;M;4F86
+F92E;M;51B7
+F92F;M;52DE
+F930;M;64C4
+F931;M;6AD3
+F932;M;7210
+F933;M;76E7
+F934;M;8001
+F935;M;8606
+F936;M;865C
+F937;M;8DEF
+F938;M;9732
+F939;M;9B6F
+F93A;M;9DFA
+F93B;M;788C
+F93C;M;797F
+F93D;M;7DA0
+F93E;M;83C9
+F93F;M;9304
+F940;M;9E7F
+F941;M;8AD6
+F942;M;58DF
+F943;M;5F04
+F944;M;7C60
+F945;M;807E
+F946;M;7262
+F947;M;78CA
+F948;M;8CC2
+F949;M;96F7
+F94A;M;58D8
+F94B;M;5C62
+F94C;M;6A13
+F94D;M;6DDA
+F94E;M;6F0F
+F94F;M;7D2F
+F950;M;7E37
+F951;M;964B
+F952;M;52D2
+F953;M;808B
+F954;M;51DC
+F955;M;51CC
+F956;M;7A1C
+F957;M;7DBE
+F958;M;83F1
+F959;M;9675
+F95A;M;8B80
+F95B;M;62CF
+F95C;M;6A02
+F95D;M;8AFE
+F95E;M;4E39
+F95F;M;5BE7
+F960;M;6012
+F961;M;7387
+F962;M;7570
+F963;M;5317
+F964;M;78FB
+F965;M;4FBF
+F966;M;5FA9
+F967;M;4E0D
+F968;M;6CCC
+F969;M;6578
+F96A;M;7D22
+F96B;M;53C3
+F96C;M;585E
+F96D;M;7701
+F96E;M;8449
+F96F;M;8AAA
+F970;M;6BBA
+F971;M;8FB0
+F972;M;6C88
+F973;M;62FE
+F974;M;82E5
+F975;M;63A0
+F976;M;7565
+F977;M;4EAE
+F978;M;5169
+F979;M;51C9
+F97A;M;6881
+F97B;M;7CE7
+F97C;M;826F
+F97D;M;8AD2
+F97E;M;91CF
+F97F;M;52F5
+F980;M;5442
+F981;M;5973
+F982;M;5EEC
+F983;M;65C5
+F984;M;6FFE
+F985;M;792A
+F986;M;95AD
+F987;M;9A6A
+F988;M;9E97
+F989;M;9ECE
+F98A;M;529B
+F98B;M;66C6
+F98C;M;6B77
+F98D;M;8F62
+F98E;M;5E74
+F98F;M;6190
+F990;M;6200
+F991;M;649A
+F992;M;6F23
+F993;M;7149
+F994;M;7489
+F995;M;79CA
+F996;M;7DF4
+F997;M;806F
+F998;M;8F26
+F999;M;84EE
+F99A;M;9023
+F99B;M;934A
+F99C;M;5217
+F99D;M;52A3
+F99E;M;54BD
+F99F;M;70C8
+F9A0;M;88C2
+F9A1;M;8AAA
+F9A2;M;5EC9
+F9A3;M;5FF5
+F9A4;M;637B
+F9A5;M;6BAE
+F9A6;M;7C3E
+F9A7;M;7375
+F9A8;M;4EE4
+F9A9;M;56F9
+F9AA;M;5BE7
+F9AB;M;5DBA
+F9AC;M;601C
+F9AD;M;73B2
+F9AE;M;7469
+F9AF;M;7F9A
+F9B0;M;8046
+F9B1;M;9234
+F9B2;M;96F6
+F9B3;M;9748
+F9B4;M;9818
+F9B5;M;4F8B
+F9B6;M;79AE
+F9B7;M;91B4
+F9B8;M;96B8
+F9B9;M;60E1
+F9BA;M;4E86
+F9BB;M;50DA
+F9BC;M;5BEE
+F9BD;M;5C3F
+F9BE;M;6599
+F9BF;M;6A02
+F9C0;M;71CE
+F9C1;M;7642
+F9C2;M;84FC
+F9C3;M;907C
+F9C4;M;9F8D
+F9C5;M;6688
+F9C6;M;962E
+F9C7;M;5289
+F9C8;M;677B
+F9C9;M;67F3
+F9CA;M;6D41
+F9CB;M;6E9C
+F9CC;M;7409
+F9CD;M;7559
+F9CE;M;786B
+F9CF;M;7D10
+F9D0;M;985E
+F9D1;M;516D
+F9D2;M;622E
+F9D3;M;9678
+F9D4;M;502B
+F9D5;M;5D19
+F9D6;M;6DEA
+F9D7;M;8F2A
+F9D8;M;5F8B
+F9D9;M;6144
+F9DA;M;6817
+F9DB;M;7387
+F9DC;M;9686
+F9DD;M;5229
+F9DE;M;540F
+F9DF;M;5C65
+F9E0;M;6613
+F9E1;M;674E
+F9E2;M;68A8
+F9E3;M;6CE5
+F9E4;M;7406
+F9E5;M;75E2
+F9E6;M;7F79
+F9E7;M;88CF
+F9E8;M;88E1
+F9E9;M;91CC
+F9EA;M;96E2
+F9EB;M;533F
+F9EC;M;6EBA
+F9ED;M;541D
+F9EE;M;71D0
+F9EF;M;7498
+F9F0;M;85FA
+F9F1;M;96A3
+F9F2;M;9C57
+F9F3;M;9E9F
+F9F4;M;6797
+F9F5;M;6DCB
+F9F6;M;81E8
+F9F7;M;7ACB
+F9F8;M;7B20
+F9F9;M;7C92
+F9FA;M;72C0
+F9FB;M;7099
+F9FC;M;8B58
+F9FD;M;4EC0
+F9FE;M;8336
+F9FF;M;523A
+FA00;M;5207
+FA01;M;5EA6
+FA02;M;62D3
+FA03;M;7CD6
+FA04;M;5B85
+FA05;M;6D1E
+FA06;M;66B4
+FA07;M;8F3B
+FA08;M;884C
+FA09;M;964D
+FA0A;M;898B
+FA0B;M;5ED3
+FA0C;M;5140
+FA0D;M;55C0
+FA0E;V
+FA10;M;585A
+FA11;V
+FA12;M;6674
+FA13;V
+FA15;M;51DE
+FA16;M;732A
+FA17;M;76CA
+FA18;M;793C
+FA19;M;795E
+FA1A;M;7965
+FA1B;M;798F
+FA1C;M;9756
+FA1D;M;7CBE
+FA1E;M;7FBD
+FA1F;V
+FA20;M;8612
+FA21;V
+FA22;M;8AF8
+FA23;V
+FA25;M;9038
+FA26;M;90FD
+FA27;V
+FA2A;M;98EF
+FA2B;M;98FC
+FA2C;M;9928
+FA2D;M;9DB4
+FA2E;M;90DE
+FA2F;M;96B7
+FA30;M;4FAE
+FA31;M;50E7
+FA32;M;514D
+FA33;M;52C9
+FA34;M;52E4
+FA35;M;5351
+FA36;M;559D
+FA37;M;5606
+FA38;M;5668
+FA39;M;5840
+FA3A;M;58A8
+FA3B;M;5C64
+FA3C;M;5C6E
+FA3D;M;6094
+FA3E;M;6168
+FA3F;M;618E
+FA40;M;61F2
+FA41;M;654F
+FA42;M;65E2
+FA43;M;6691
+FA44;M;6885
+FA45;M;6D77
+FA46;M;6E1A
+FA47;M;6F22
+FA48;M;716E
+FA49;M;722B
+FA4A;M;7422
+FA4B;M;7891
+FA4C;M;793E
+FA4D;M;7949
+FA4E;M;7948
+FA4F;M;7950
+FA50;M;7956
+FA51;M;795D
+FA52;M;798D
+FA53;M;798E
+FA54;M;7A40
+FA55;M;7A81
+FA56;M;7BC0
+FA57;M;7DF4
+FA58;M;7E09
+FA59;M;7E41
+FA5A;M;7F72
+FA5B;M;8005
+FA5C;M;81ED
+FA5D;M;8279
+FA5F;M;8457
+FA60;M;8910
+FA61;M;8996
+FA62;M;8B01
+FA63;M;8B39
+FA64;M;8CD3
+FA65;M;8D08
+FA66;M;8FB6
+FA67;M;9038
+FA68;M;96E3
+FA69;M;97FF
+FA6A;M;983B
+FA6B;M;6075
+FA6C;M;242EE
+FA6D;M;8218
+FA6E;X
+FA70;M;4E26
+FA71;M;51B5
+FA72;M;5168
+FA73;M;4F80
+FA74;M;5145
+FA75;M;5180
+FA76;M;52C7
+FA77;M;52FA
+FA78;M;559D
+FA79;M;5555
+FA7A;M;5599
+FA7B;M;55E2
+FA7C;M;585A
+FA7D;M;58B3
+FA7E;M;5944
+FA7F;M;5954
+FA80;M;5A62
+FA81;M;5B28
+FA82;M;5ED2
+FA83;M;5ED9
+FA84;M;5F69
+FA85;M;5FAD
+FA86;M;60D8
+FA87;M;614E
+FA88;M;6108
+FA89;M;618E
+FA8A;M;6160
+FA8B;M;61F2
+FA8C;M;6234
+FA8D;M;63C4
+FA8E;M;641C
+FA8F;M;6452
+FA90;M;6556
+FA91;M;6674
+FA92;M;6717
+FA93;M;671B
+FA94;M;6756
+FA95;M;6B79
+FA96;M;6BBA
+FA97;M;6D41
+FA98;M;6EDB
+FA99;M;6ECB
+FA9A;M;6F22
+FA9B;M;701E
+FA9C;M;716E
+FA9D;M;77A7
+FA9E;M;7235
+FA9F;M;72AF
+FAA0;M;732A
+FAA1;M;7471
+FAA2;M;7506
+FAA3;M;753B
+FAA4;M;761D
+FAA5;M;761F
+FAA6;M;76CA
+FAA7;M;76DB
+FAA8;M;76F4
+FAA9;M;774A
+FAAA;M;7740
+FAAB;M;78CC
+FAAC;M;7AB1
+FAAD;M;7BC0
+FAAE;M;7C7B
+FAAF;M;7D5B
+FAB0;M;7DF4
+FAB1;M;7F3E
+FAB2;M;8005
+FAB3;M;8352
+FAB4;M;83EF
+FAB5;M;8779
+FAB6;M;8941
+FAB7;M;8986
+FAB8;M;8996
+FAB9;M;8ABF
+FABA;M;8AF8
+FABB;M;8ACB
+FABC;M;8B01
+FABD;M;8AFE
+FABE;M;8AED
+FABF;M;8B39
+FAC0;M;8B8A
+FAC1;M;8D08
+FAC2;M;8F38
+FAC3;M;9072
+FAC4;M;9199
+FAC5;M;9276
+FAC6;M;967C
+FAC7;M;96E3
+FAC8;M;9756
+FAC9;M;97DB
+FACA;M;97FF
+FACB;M;980B
+FACC;M;983B
+FACD;M;9B12
+FACE;M;9F9C
+FACF;M;2284A
+FAD0;M;22844
+FAD1;M;233D5
+FAD2;M;3B9D
+FAD3;M;4018
+FAD4;M;4039
+FAD5;M;25249
+FAD6;M;25CD0
+FAD7;M;27ED3
+FAD8;M;9F43
+FAD9;M;9F8E
+FADA;X
+FB00;M;0066 0066
+FB01;M;0066 0069
+FB02;M;0066 006C
+FB03;M;0066 0066 0069
+FB04;M;0066 0066 006C
+FB05;M;0073 0074
+FB07;X
+FB13;M;0574 0576
+FB14;M;0574 0565
+FB15;M;0574 056B
+FB16;M;057E 0576
+FB17;M;0574 056D
+FB18;X
+FB1D;M;05D9 05B4
+FB1E;V
+FB1F;M;05F2 05B7
+FB20;M;05E2
+FB21;M;05D0
+FB22;M;05D3
+FB23;M;05D4
+FB24;M;05DB
+FB25;M;05DC
+FB26;M;05DD
+FB27;M;05E8
+FB28;M;05EA
+FB29;3;002B
+FB2A;M;05E9 05C1
+FB2B;M;05E9 05C2
+FB2C;M;05E9 05BC 05C1
+FB2D;M;05E9 05BC 05C2
+FB2E;M;05D0 05B7
+FB2F;M;05D0 05B8
+FB30;M;05D0 05BC
+FB31;M;05D1 05BC
+FB32;M;05D2 05BC
+FB33;M;05D3 05BC
+FB34;M;05D4 05BC
+FB35;M;05D5 05BC
+FB36;M;05D6 05BC
+FB37;X
+FB38;M;05D8 05BC
+FB39;M;05D9 05BC
+FB3A;M;05DA 05BC
+FB3B;M;05DB 05BC
+FB3C;M;05DC 05BC
+FB3D;X
+FB3E;M;05DE 05BC
+FB3F;X
+FB40;M;05E0 05BC
+FB41;M;05E1 05BC
+FB42;X
+FB43;M;05E3 05BC
+FB44;M;05E4 05BC
+FB45;X
+FB46;M;05E6 05BC
+FB47;M;05E7 05BC
+FB48;M;05E8 05BC
+FB49;M;05E9 05BC
+FB4A;M;05EA 05BC
+FB4B;M;05D5 05B9
+FB4C;M;05D1 05BF
+FB4D;M;05DB 05BF
+FB4E;M;05E4 05BF
+FB4F;M;05D0 05DC
+FB50;M;0671
+FB52;M;067B
+FB56;M;067E
+FB5A;M;0680
+FB5E;M;067A
+FB62;M;067F
+FB66;M;0679
+FB6A;M;06A4
+FB6E;M;06A6
+FB72;M;0684
+FB76;M;0683
+FB7A;M;0686
+FB7E;M;0687
+FB82;M;068D
+FB84;M;068C
+FB86;M;068E
+FB88;M;0688
+FB8A;M;0698
+FB8C;M;0691
+FB8E;M;06A9
+FB92;M;06AF
+FB96;M;06B3
+FB9A;M;06B1
+FB9E;M;06BA
+FBA0;M;06BB
+FBA4;M;06C0
+FBA6;M;06C1
+FBAA;M;06BE
+FBAE;M;06D2
+FBB0;M;06D3
+FBB2;V
+FBC3;X
+FBD3;M;06AD
+FBD7;M;06C7
+FBD9;M;06C6
+FBDB;M;06C8
+FBDD;M;06C7 0674
+FBDE;M;06CB
+FBE0;M;06C5
+FBE2;M;06C9
+FBE4;M;06D0
+FBE8;M;0649
+FBEA;M;0626 0627
+FBEC;M;0626 06D5
+FBEE;M;0626 0648
+FBF0;M;0626 06C7
+FBF2;M;0626 06C6
+FBF4;M;0626 06C8
+FBF6;M;0626 06D0
+FBF9;M;0626 0649
+FBFC;M;06CC
+FC00;M;0626 062C
+FC01;M;0626 062D
+FC02;M;0626 0645
+FC03;M;0626 0649
+FC04;M;0626 064A
+FC05;M;0628 062C
+FC06;M;0628 062D
+FC07;M;0628 062E
+FC08;M;0628 0645
+FC09;M;0628 0649
+FC0A;M;0628 064A
+FC0B;M;062A 062C
+FC0C;M;062A 062D
+FC0D;M;062A 062E
+FC0E;M;062A 0645
+FC0F;M;062A 0649
+FC10;M;062A 064A
+FC11;M;062B 062C
+FC12;M;062B 0645
+FC13;M;062B 0649
+FC14;M;062B 064A
+FC15;M;062C 062D
+FC16;M;062C 0645
+FC17;M;062D 062C
+FC18;M;062D 0645
+FC19;M;062E 062C
+FC1A;M;062E 062D
+FC1B;M;062E 0645
+FC1C;M;0633 062C
+FC1D;M;0633 062D
+FC1E;M;0633 062E
+FC1F;M;0633 0645
+FC20;M;0635 062D
+FC21;M;0635 0645
+FC22;M;0636 062C
+FC23;M;0636 062D
+FC24;M;0636 062E
+FC25;M;0636 0645
+FC26;M;0637 062D
+FC27;M;0637 0645
+FC28;M;0638 0645
+FC29;M;0639 062C
+FC2A;M;0639 0645
+FC2B;M;063A 062C
+FC2C;M;063A 0645
+FC2D;M;0641 062C
+FC2E;M;0641 062D
+FC2F;M;0641 062E
+FC30;M;0641 0645
+FC31;M;0641 0649
+FC32;M;0641 064A
+FC33;M;0642 062D
+FC34;M;0642 0645
+FC35;M;0642 0649
+FC36;M;0642 064A
+FC37;M;0643 0627
+FC38;M;0643 062C
+FC39;M;0643 062D
+FC3A;M;0643 062E
+FC3B;M;0643 0644
+FC3C;M;0643 0645
+FC3D;M;0643 0649
+FC3E;M;0643 064A
+FC3F;M;0644 062C
+FC40;M;0644 062D
+FC41;M;0644 062E
+FC42;M;0644 0645
+FC43;M;0644 0649
+FC44;M;0644 064A
+FC45;M;0645 062C
+FC46;M;0645 062D
+FC47;M;0645 062E
+FC48;M;0645 0645
+FC49;M;0645 0649
+FC4A;M;0645 064A
+FC4B;M;0646 062C
+FC4C;M;0646 062D
+FC4D;M;0646 062E
+FC4E;M;0646 0645
+FC4F;M;0646 0649
+FC50;M;0646 064A
+FC51;M;0647 062C
+FC52;M;0647 0645
+FC53;M;0647 0649
+FC54;M;0647 064A
+FC55;M;064A 062C
+FC56;M;064A 062D
+FC57;M;064A 062E
+FC58;M;064A 0645
+FC59;M;064A 0649
+FC5A;M;064A 064A
+FC5B;M;0630 0670
+FC5C;M;0631 0670
+FC5D;M;0649 0670
+FC5E;3;0020 064C 0651
+FC5F;3;0020 064D 0651
+FC60;3;0020 064E 0651
+FC61;3;0020 064F 0651
+FC62;3;0020 0650 0651
+FC63;3;0020 0651 0670
+FC64;M;0626 0631
+FC65;M;0626 0632
+FC66;M;0626 0645
+FC67;M;0626 0646
+FC68;M;0626 0649
+FC69;M;0626 064A
+FC6A;M;0628 0631
+FC6B;M;0628 0632
+FC6C;M;0628 0645
+FC6D;M;0628 0646
+FC6E;M;0628 0649
+FC6F;M;0628 064A
+FC70;M;062A 0631
+FC71;M;062A 0632
+FC72;M;062A 0645
+FC73;M;062A 0646
+FC74;M;062A 0649
+FC75;M;062A 064A
+FC76;M;062B 0631
+FC77;M;062B 0632
+FC78;M;062B 0645
+FC79;M;062B 0646
+FC7A;M;062B 0649
+FC7B;M;062B 064A
+FC7C;M;0641 0649
+FC7D;M;0641 064A
+FC7E;M;0642 0649
+FC7F;M;0642 064A
+FC80;M;0643 0627
+FC81;M;0643 0644
+FC82;M;0643 0645
+FC83;M;0643 0649
+FC84;M;0643 064A
+FC85;M;0644 0645
+FC86;M;0644 0649
+FC87;M;0644 064A
+FC88;M;0645 0627
+FC89;M;0645 0645
+FC8A;M;0646 0631
+FC8B;M;0646 0632
+FC8C;M;0646 0645
+FC8D;M;0646 0646
+FC8E;M;0646 0649
+FC8F;M;0646 064A
+FC90;M;0649 0670
+FC91;M;064A 0631
+FC92;M;064A 0632
+FC93;M;064A 0645
+FC94;M;064A 0646
+FC95;M;064A 0649
+FC96;M;064A 064A
+FC97;M;0626 062C
+FC98;M;0626 062D
+FC99;M;0626 062E
+FC9A;M;0626 0645
+FC9B;M;0626 0647
+FC9C;M;0628 062C
+FC9D;M;0628 062D
+FC9E;M;0628 062E
+FC9F;M;0628 0645
+FCA0;M;0628 0647
+FCA1;M;062A 062C
+FCA2;M;062A 062D
+FCA3;M;062A 062E
+FCA4;M;062A 0645
+FCA5;M;062A 0647
+FCA6;M;062B 0645
+FCA7;M;062C 062D
+FCA8;M;062C 0645
+FCA9;M;062D 062C
+FCAA;M;062D 0645
+FCAB;M;062E 062C
+FCAC;M;062E 0645
+FCAD;M;0633 062C
+FCAE;M;0633 062D
+FCAF;M;0633 062E
+FCB0;M;0633 0645
+FCB1;M;0635 062D
+FCB2;M;0635 062E
+FCB3;M;0635 0645
+FCB4;M;0636 062C
+FCB5;M;0636 062D
+FCB6;M;0636 062E
+FCB7;M;0636 0645
+FCB8;M;0637 062D
+FCB9;M;0638 0645
+FCBA;M;0639 062C
+FCBB;M;0639 0645
+FCBC;M;063A 062C
+FCBD;M;063A 0645
+FCBE;M;0641 062C
+FCBF;M;0641 062D
+FCC0;M;0641 062E
+FCC1;M;0641 0645
+FCC2;M;0642 062D
+FCC3;M;0642 0645
+FCC4;M;0643 062C
+FCC5;M;0643 062D
+FCC6;M;0643 062E
+FCC7;M;0643 0644
+FCC8;M;0643 0645
+FCC9;M;0644 062C
+FCCA;M;0644 062D
+FCCB;M;0644 062E
+FCCC;M;0644 0645
+FCCD;M;0644 0647
+FCCE;M;0645 062C
+FCCF;M;0645 062D
+FCD0;M;0645 062E
+FCD1;M;0645 0645
+FCD2;M;0646 062C
+FCD3;M;0646 062D
+FCD4;M;0646 062E
+FCD5;M;0646 0645
+FCD6;M;0646 0647
+FCD7;M;0647 062C
+FCD8;M;0647 0645
+FCD9;M;0647 0670
+FCDA;M;064A 062C
+FCDB;M;064A 062D
+FCDC;M;064A 062E
+FCDD;M;064A 0645
+FCDE;M;064A 0647
+FCDF;M;0626 0645
+FCE0;M;0626 0647
+FCE1;M;0628 0645
+FCE2;M;0628 0647
+FCE3;M;062A 0645
+FCE4;M;062A 0647
+FCE5;M;062B 0645
+FCE6;M;062B 0647
+FCE7;M;0633 0645
+FCE8;M;0633 0647
+FCE9;M;0634 0645
+FCEA;M;0634 0647
+FCEB;M;0643 0644
+FCEC;M;0643 0645
+FCED;M;0644 0645
+FCEE;M;0646 0645
+FCEF;M;0646 0647
+FCF0;M;064A 0645
+FCF1;M;064A 0647
+FCF2;M;0640 064E 0651
+FCF3;M;0640 064F 0651
+FCF4;M;0640 0650 0651
+FCF5;M;0637 0649
+FCF6;M;0637 064A
+FCF7;M;0639 0649
+FCF8;M;0639 064A
+FCF9;M;063A 0649
+FCFA;M;063A 064A
+FCFB;M;0633 0649
+FCFC;M;0633 064A
+FCFD;M;0634 0649
+FCFE;M;0634 064A
+FCFF;M;062D 0649
+FD00;M;062D 064A
+FD01;M;062C 0649
+FD02;M;062C 064A
+FD03;M;062E 0649
+FD04;M;062E 064A
+FD05;M;0635 0649
+FD06;M;0635 064A
+FD07;M;0636 0649
+FD08;M;0636 064A
+FD09;M;0634 062C
+FD0A;M;0634 062D
+FD0B;M;0634 062E
+FD0C;M;0634 0645
+FD0D;M;0634 0631
+FD0E;M;0633 0631
+FD0F;M;0635 0631
+FD10;M;0636 0631
+FD11;M;0637 0649
+FD12;M;0637 064A
+FD13;M;0639 0649
+FD14;M;0639 064A
+FD15;M;063A 0649
+FD16;M;063A 064A
+FD17;M;0633 0649
+FD18;M;0633 064A
+FD19;M;0634 0649
+FD1A;M;0634 064A
+FD1B;M;062D 0649
+FD1C;M;062D 064A
+FD1D;M;062C 0649
+FD1E;M;062C 064A
+FD1F;M;062E 0649
+FD20;M;062E 064A
+FD21;M;0635 0649
+FD22;M;0635 064A
+FD23;M;0636 0649
+FD24;M;0636 064A
+FD25;M;0634 062C
+FD26;M;0634 062D
+FD27;M;0634 062E
+FD28;M;0634 0645
+FD29;M;0634 0631
+FD2A;M;0633 0631
+FD2B;M;0635 0631
+FD2C;M;0636 0631
+FD2D;M;0634 062C
+FD2E;M;0634 062D
+FD2F;M;0634 062E
+FD30;M;0634 0645
+FD31;M;0633 0647
+FD32;M;0634 0647
+FD33;M;0637 0645
+FD34;M;0633 062C
+FD35;M;0633 062D
+FD36;M;0633 062E
+FD37;M;0634 062C
+FD38;M;0634 062D
+FD39;M;0634 062E
+FD3A;M;0637 0645
+FD3B;M;0638 0645
+FD3C;M;0627 064B
+FD3E;V
+FD50;M;062A 062C 0645
+FD51;M;062A 062D 062C
+FD53;M;062A 062D 0645
+FD54;M;062A 062E 0645
+FD55;M;062A 0645 062C
+FD56;M;062A 0645 062D
+FD57;M;062A 0645 062E
+FD58;M;062C 0645 062D
+FD5A;M;062D 0645 064A
+FD5B;M;062D 0645 0649
+FD5C;M;0633 062D 062C
+FD5D;M;0633 062C 062D
+FD5E;M;0633 062C 0649
+FD5F;M;0633 0645 062D
+FD61;M;0633 0645 062C
+FD62;M;0633 0645 0645
+FD64;M;0635 062D 062D
+FD66;M;0635 0645 0645
+FD67;M;0634 062D 0645
+FD69;M;0634 062C 064A
+FD6A;M;0634 0645 062E
+FD6C;M;0634 0645 0645
+FD6E;M;0636 062D 0649
+FD6F;M;0636 062E 0645
+FD71;M;0637 0645 062D
+FD73;M;0637 0645 0645
+FD74;M;0637 0645 064A
+FD75;M;0639 062C 0645
+FD76;M;0639 0645 0645
+FD78;M;0639 0645 0649
+FD79;M;063A 0645 0645
+FD7A;M;063A 0645 064A
+FD7B;M;063A 0645 0649
+FD7C;M;0641 062E 0645
+FD7E;M;0642 0645 062D
+FD7F;M;0642 0645 0645
+FD80;M;0644 062D 0645
+FD81;M;0644 062D 064A
+FD82;M;0644 062D 0649
+FD83;M;0644 062C 062C
+FD85;M;0644 062E 0645
+FD87;M;0644 0645 062D
+FD89;M;0645 062D 062C
+FD8A;M;0645 062D 0645
+FD8B;M;0645 062D 064A
+FD8C;M;0645 062C 062D
+FD8D;M;0645 062C 0645
+FD8E;M;0645 062E 062C
+FD8F;M;0645 062E 0645
+FD90;X
+FD92;M;0645 062C 062E
+FD93;M;0647 0645 062C
+FD94;M;0647 0645 0645
+FD95;M;0646 062D 0645
+FD96;M;0646 062D 0649
+FD97;M;0646 062C 0645
+FD99;M;0646 062C 0649
+FD9A;M;0646 0645 064A
+FD9B;M;0646 0645 0649
+FD9C;M;064A 0645 0645
+FD9E;M;0628 062E 064A
+FD9F;M;062A 062C 064A
+FDA0;M;062A 062C 0649
+FDA1;M;062A 062E 064A
+FDA2;M;062A 062E 0649
+FDA3;M;062A 0645 064A
+FDA4;M;062A 0645 0649
+FDA5;M;062C 0645 064A
+FDA6;M;062C 062D 0649
+FDA7;M;062C 0645 0649
+FDA8;M;0633 062E 0649
+FDA9;M;0635 062D 064A
+FDAA;M;0634 062D 064A
+FDAB;M;0636 062D 064A
+FDAC;M;0644 062C 064A
+FDAD;M;0644 0645 064A
+FDAE;M;064A 062D 064A
+FDAF;M;064A 062C 064A
+FDB0;M;064A 0645 064A
+FDB1;M;0645 0645 064A
+FDB2;M;0642 0645 064A
+FDB3;M;0646 062D 064A
+FDB4;M;0642 0645 062D
+FDB5;M;0644 062D 0645
+FDB6;M;0639 0645 064A
+FDB7;M;0643 0645 064A
+FDB8;M;0646 062C 062D
+FDB9;M;0645 062E 064A
+FDBA;M;0644 062C 0645
+FDBB;M;0643 0645 0645
+FDBC;M;0644 062C 0645
+FDBD;M;0646 062C 062D
+FDBE;M;062C 062D 064A
+FDBF;M;062D 062C 064A
+FDC0;M;0645 062C 064A
+FDC1;M;0641 0645 064A
+FDC2;M;0628 062D 064A
+FDC3;M;0643 0645 0645
+FDC4;M;0639 062C 0645
+FDC5;M;0635 0645 0645
+FDC6;M;0633 062E 064A
+FDC7;M;0646 062C 064A
+FDC8;X
+FDCF;V
+FDD0;X
+FDF0;M;0635 0644 06D2
+FDF1;M;0642 0644 06D2
+FDF2;M;0627 0644 0644 0647
+FDF3;M;0627 0643 0628 0631
+FDF4;M;0645 062D 0645 062F
+FDF5;M;0635 0644 0639 0645
+FDF6;M;0631 0633 0648 0644
+FDF7;M;0639 0644 064A 0647
+FDF8;M;0648 0633 0644 0645
+FDF9;M;0635 0644 0649
+FDFA;3;0635 0644 0649 0020 0627 0644 0644 0647 0020 0639 0644 064A 0647 0020 0648 0633 0644 0645
+FDFB;3;062C 0644 0020 062C 0644 0627 0644 0647
+FDFC;M;0631 06CC 0627 0644
+FDFD;V
+FE00;I
+FE10;3;002C
+FE11;M;3001
+FE12;X
+FE13;3;003A
+FE14;3;003B
+FE15;3;0021
+FE16;3;003F
+FE17;M;3016
+FE18;M;3017
+FE19;X
+FE20;V
+FE30;X
+FE31;M;2014
+FE32;M;2013
+FE33;3;005F
+FE35;3;0028
+FE36;3;0029
+FE37;3;007B
+FE38;3;007D
+FE39;M;3014
+FE3A;M;3015
+FE3B;M;3010
+FE3C;M;3011
+FE3D;M;300A
+FE3E;M;300B
+FE3F;M;3008
+FE40;M;3009
+FE41;M;300C
+FE42;M;300D
+FE43;M;300E
+FE44;M;300F
+FE45;V
+FE47;3;005B
+FE48;3;005D
+FE49;3;0020 0305
+FE4D;3;005F
+FE50;3;002C
+FE51;M;3001
+FE52;X
+FE54;3;003B
+FE55;3;003A
+FE56;3;003F
+FE57;3;0021
+FE58;M;2014
+FE59;3;0028
+FE5A;3;0029
+FE5B;3;007B
+FE5C;3;007D
+FE5D;M;3014
+FE5E;M;3015
+FE5F;3;0023
+FE60;3;0026
+FE61;3;002A
+FE62;3;002B
+FE63;M;002D
+FE64;3;003C
+FE65;3;003E
+FE66;3;003D
+FE67;X
+FE68;3;005C
+FE69;3;0024
+FE6A;3;0025
+FE6B;3;0040
+FE6C;X
+FE70;3;0020 064B
+FE71;M;0640 064B
+FE72;3;0020 064C
+FE73;V
+FE74;3;0020 064D
+FE75;X
+FE76;3;0020 064E
+FE77;M;0640 064E
+FE78;3;0020 064F
+FE79;M;0640 064F
+FE7A;3;0020 0650
+FE7B;M;0640 0650
+FE7C;3;0020 0651
+FE7D;M;0640 0651
+FE7E;3;0020 0652
+FE7F;M;0640 0652
+FE80;M;0621
+FE81;M;0622
+FE83;M;0623
+FE85;M;0624
+FE87;M;0625
+FE89;M;0626
+FE8D;M;0627
+FE8F;M;0628
+FE93;M;0629
+FE95;M;062A
+FE99;M;062B
+FE9D;M;062C
+FEA1;M;062D
+FEA5;M;062E
+FEA9;M;062F
+FEAB;M;0630
+FEAD;M;0631
+FEAF;M;0632
+FEB1;M;0633
+FEB5;M;0634
+FEB9;M;0635
+FEBD;M;0636
+FEC1;M;0637
+FEC5;M;0638
+FEC9;M;0639
+FECD;M;063A
+FED1;M;0641
+FED5;M;0642
+FED9;M;0643
+FEDD;M;0644
+FEE1;M;0645
+FEE5;M;0646
+FEE9;M;0647
+FEED;M;0648
+FEEF;M;0649
+FEF1;M;064A
+FEF5;M;0644 0622
+FEF7;M;0644 0623
+FEF9;M;0644 0625
+FEFB;M;0644 0627
+FEFD;X
+FEFF;I
+FF00;X
+FF01;3;0021
+FF02;3;0022
+FF03;3;0023
+FF04;3;0024
+FF05;3;0025
+FF06;3;0026
+FF07;3;0027
+FF08;3;0028
+FF09;3;0029
+FF0A;3;002A
+FF0B;3;002B
+FF0C;3;002C
+FF0D;M;002D
+FF0E;M;002E
+FF0F;3;002F
+FF10;M;0030
+FF11;M;0031
+FF12;M;0032
+FF13;M;0033
+FF14;M;0034
+FF15;M;0035
+FF16;M;0036
+FF17;M;0037
+FF18;M;0038
+FF19;M;0039
+FF1A;3;003A
+FF1B;3;003B
+FF1C;3;003C
+FF1D;3;003D
+FF1E;3;003E
+FF1F;3;003F
+FF20;3;0040
+FF21;M;0061
+FF22;M;0062
+FF23;M;0063
+FF24;M;0064
+FF25;M;0065
+FF26;M;0066
+FF27;M;0067
+FF28;M;0068
+FF29;M;0069
+FF2A;M;006A
+FF2B;M;006B
+FF2C;M;006C
+FF2D;M;006D
+FF2E;M;006E
+FF2F;M;006F
+FF30;M;0070
+FF31;M;0071
+FF32;M;0072
+FF33;M;0073
+FF34;M;0074
+FF35;M;0075
+FF36;M;0076
+FF37;M;0077
+FF38;M;0078
+FF39;M;0079
+FF3A;M;007A
+FF3B;3;005B
+FF3C;3;005C
+FF3D;3;005D
+FF3E;3;005E
+FF3F;3;005F
+FF40;3;0060
+FF41;M;0061
+FF42;M;0062
+FF43;M;0063
+FF44;M;0064
+FF45;M;0065
+FF46;M;0066
+FF47;M;0067
+FF48;M;0068
+FF49;M;0069
+FF4A;M;006A
+FF4B;M;006B
+FF4C;M;006C
+FF4D;M;006D
+FF4E;M;006E
+FF4F;M;006F
+FF50;M;0070
+FF51;M;0071
+FF52;M;0072
+FF53;M;0073
+FF54;M;0074
+FF55;M;0075
+FF56;M;0076
+FF57;M;0077
+FF58;M;0078
+FF59;M;0079
+FF5A;M;007A
+FF5B;3;007B
+FF5C;3;007C
+FF5D;3;007D
+FF5E;3;007E
+FF5F;M;2985
+FF60;M;2986
+FF61;M;002E
+FF62;M;300C
+FF63;M;300D
+FF64;M;3001
+FF65;M;30FB
+FF66;M;30F2
+FF67;M;30A1
+FF68;M;30A3
+FF69;M;30A5
+FF6A;M;30A7
+FF6B;M;30A9
+FF6C;M;30E3
+FF6D;M;30E5
+FF6E;M;30E7
+FF6F;M;30C3
+FF70;M;30FC
+FF71;M;30A2
+FF72;M;30A4
+FF73;M;30A6
+FF74;M;30A8
+FF75;M;30AA
+FF76;M;30AB
+FF77;M;30AD
+FF78;M;30AF
+FF79;M;30B1
+FF7A;M;30B3
+FF7B;M;30B5
+FF7C;M;30B7
+FF7D;M;30B9
+FF7E;M;30BB
+FF7F;M;30BD
+FF80;M;30BF
+FF81;M;30C1
+FF82;M;30C4
+FF83;M;30C6
+FF84;M;30C8
+FF85;M;30CA
+FF86;M;30CB
+FF87;M;30CC
+FF88;M;30CD
+FF89;M;30CE
+FF8A;M;30CF
+FF8B;M;30D2
+FF8C;M;30D5
+FF8D;M;30D8
+FF8E;M;30DB
+FF8F;M;30DE
+FF90;M;30DF
+FF91;M;30E0
+FF92;M;30E1
+FF93;M;30E2
+FF94;M;30E4
+FF95;M;30E6
+FF96;M;30E8
+FF97;M;30E9
+FF98;M;30EA
+FF99;M;30EB
+FF9A;M;30EC
+FF9B;M;30ED
+FF9C;M;30EF
+FF9D;M;30F3
+FF9E;M;3099
+FF9F;M;309A
+FFA0;X
+FFA1;M;1100
+FFA2;M;1101
+FFA3;M;11AA
+FFA4;M;1102
+FFA5;M;11AC
+FFA6;M;11AD
+FFA7;M;1103
+FFA8;M;1104
+FFA9;M;1105
+FFAA;M;11B0
+FFAB;M;11B1
+FFAC;M;11B2
+FFAD;M;11B3
+FFAE;M;11B4
+FFAF;M;11B5
+FFB0;M;111A
+FFB1;M;1106
+FFB2;M;1107
+FFB3;M;1108
+FFB4;M;1121
+FFB5;M;1109
+FFB6;M;110A
+FFB7;M;110B
+FFB8;M;110C
+FFB9;M;110D
+FFBA;M;110E
+FFBB;M;110F
+FFBC;M;1110
+FFBD;M;1111
+FFBE;M;1112
+FFBF;X
+FFC2;M;1161
+FFC3;M;1162
+FFC4;M;1163
+FFC5;M;1164
+FFC6;M;1165
+FFC7;M;1166
+FFC8;X
+FFCA;M;1167
+FFCB;M;1168
+FFCC;M;1169
+FFCD;M;116A
+FFCE;M;116B
+FFCF;M;116C
+FFD0;X
+FFD2;M;116D
+FFD3;M;116E
+FFD4;M;116F
+FFD5;M;1170
+FFD6;M;1171
+FFD7;M;1172
+FFD8;X
+FFDA;M;1173
+FFDB;M;1174
+FFDC;M;1175
+FFDD;X
+FFE0;M;00A2
+FFE1;M;00A3
+FFE2;M;00AC
+FFE3;3;0020 0304
+FFE4;M;00A6
+FFE5;M;00A5
+FFE6;M;20A9
+FFE7;X
+FFE8;M;2502
+FFE9;M;2190
+FFEA;M;2191
+FFEB;M;2192
+FFEC;M;2193
+FFED;M;25A0
+FFEE;M;25CB
+FFEF;X
+10000;V
+1000C;X
+1000D;V
+10027;X
+10028;V
+1003B;X
+1003C;V
+1003E;X
+1003F;V
+1004E;X
+10050;V
+1005E;X
+10080;V
+100FB;X
+10100;V
+10103;X
+10107;V
+10134;X
+10137;V
+1018F;X
+10190;V
+1019D;X
+101A0;V
+101A1;X
+101D0;V
+101FE;X
+10280;V
+1029D;X
+102A0;V
+102D1;X
+102E0;V
+102FC;X
+10300;V
+10324;X
+1032D;V
+1034B;X
+10350;V
+1037B;X
+10380;V
+1039E;X
+1039F;V
+103C4;X
+103C8;V
+103D6;X
+10400;M;10428
+10401;M;10429
+10402;M;1042A
+10403;M;1042B
+10404;M;1042C
+10405;M;1042D
+10406;M;1042E
+10407;M;1042F
+10408;M;10430
+10409;M;10431
+1040A;M;10432
+1040B;M;10433
+1040C;M;10434
+1040D;M;10435
+1040E;M;10436
+1040F;M;10437
+10410;M;10438
+10411;M;10439
+10412;M;1043A
+10413;M;1043B
+10414;M;1043C
+10415;M;1043D
+10416;M;1043E
+10417;M;1043F
+10418;M;10440
+10419;M;10441
+1041A;M;10442
+1041B;M;10443
+1041C;M;10444
+1041D;M;10445
+1041E;M;10446
+1041F;M;10447
+10420;M;10448
+10421;M;10449
+10422;M;1044A
+10423;M;1044B
+10424;M;1044C
+10425;M;1044D
+10426;M;1044E
+10427;M;1044F
+10428;V
+1049E;X
+104A0;V
+104AA;X
+104B0;M;104D8
+104B1;M;104D9
+104B2;M;104DA
+104B3;M;104DB
+104B4;M;104DC
+104B5;M;104DD
+104B6;M;104DE
+104B7;M;104DF
+104B8;M;104E0
+104B9;M;104E1
+104BA;M;104E2
+104BB;M;104E3
+104BC;M;104E4
+104BD;M;104E5
+104BE;M;104E6
+104BF;M;104E7
+104C0;M;104E8
+104C1;M;104E9
+104C2;M;104EA
+104C3;M;104EB
+104C4;M;104EC
+104C5;M;104ED
+104C6;M;104EE
+104C7;M;104EF
+104C8;M;104F0
+104C9;M;104F1
+104CA;M;104F2
+104CB;M;104F3
+104CC;M;104F4
+104CD;M;104F5
+104CE;M;104F6
+104CF;M;104F7
+104D0;M;104F8
+104D1;M;104F9
+104D2;M;104FA
+104D3;M;104FB
+104D4;X
+104D8;V
+104FC;X
+10500;V
+10528;X
+10530;V
+10564;X
+1056F;V
+10570;M;10597
+10571;M;10598
+10572;M;10599
+10573;M;1059A
+10574;M;1059B
+10575;M;1059C
+10576;M;1059D
+10577;M;1059E
+10578;M;1059F
+10579;M;105A0
+1057A;M;105A1
+1057B;X
+1057C;M;105A3
+1057D;M;105A4
+1057E;M;105A5
+1057F;M;105A6
+10580;M;105A7
+10581;M;105A8
+10582;M;105A9
+10583;M;105AA
+10584;M;105AB
+10585;M;105AC
+10586;M;105AD
+10587;M;105AE
+10588;M;105AF
+10589;M;105B0
+1058A;M;105B1
+1058B;X
+1058C;M;105B3
+1058D;M;105B4
+1058E;M;105B5
+1058F;M;105B6
+10590;M;105B7
+10591;M;105B8
+10592;M;105B9
+10593;X
+10594;M;105BB
+10595;M;105BC
+10596;X
+10597;V
+105A2;X
+105A3;V
+105B2;X
+105B3;V
+105BA;X
+105BB;V
+105BD;X
+10600;V
+10737;X
+10740;V
+10756;X
+10760;V
+10768;X
+10780;V
+10781;M;02D0
+10782;M;02D1
+10783;M;00E6
+10784;M;0299
+10785;M;0253
+10786;X
+10787;M;02A3
+10788;M;AB66
+10789;M;02A5
+1078A;M;02A4
+1078B;M;0256
+1078C;M;0257
+1078D;M;1D91
+1078E;M;0258
+1078F;M;025E
+10790;M;02A9
+10791;M;0264
+10792;M;0262
+10793;M;0260
+10794;M;029B
+10795;M;0127
+10796;M;029C
+10797;M;0267
+10798;M;0284
+10799;M;02AA
+1079A;M;02AB
+1079B;M;026C
+1079C;M;1DF04
+1079D;M;A78E
+1079E;M;026E
+1079F;M;1DF05
+107A0;M;028E
+107A1;M;1DF06
+107A2;M;00F8
+107A3;M;0276
+107A4;M;0277
+107A5;M;0071
+107A6;M;027A
+107A7;M;1DF08
+107A8;M;027D
+107A9;M;027E
+107AA;M;0280
+107AB;M;02A8
+107AC;M;02A6
+107AD;M;AB67
+107AE;M;02A7
+107AF;M;0288
+107B0;M;2C71
+107B1;X
+107B2;M;028F
+107B3;M;02A1
+107B4;M;02A2
+107B5;M;0298
+107B6;M;01C0
+107B7;M;01C1
+107B8;M;01C2
+107B9;M;1DF0A
+107BA;M;1DF1E
+107BB;X
+10800;V
+10806;X
+10808;V
+10809;X
+1080A;V
+10836;X
+10837;V
+10839;X
+1083C;V
+1083D;X
+1083F;V
+10856;X
+10857;V
+1089F;X
+108A7;V
+108B0;X
+108E0;V
+108F3;X
+108F4;V
+108F6;X
+108FB;V
+1091C;X
+1091F;V
+1093A;X
+1093F;V
+10940;X
+10980;V
+109B8;X
+109BC;V
+109D0;X
+109D2;V
+10A04;X
+10A05;V
+10A07;X
+10A0C;V
+10A14;X
+10A15;V
+10A18;X
+10A19;V
+10A36;X
+10A38;V
+10A3B;X
+10A3F;V
+10A49;X
+10A50;V
+10A59;X
+10A60;V
+10AA0;X
+10AC0;V
+10AE7;X
+10AEB;V
+10AF7;X
+10B00;V
+10B36;X
+10B39;V
+10B56;X
+10B58;V
+10B73;X
+10B78;V
+10B92;X
+10B99;V
+10B9D;X
+10BA9;V
+10BB0;X
+10C00;V
+10C49;X
+10C80;M;10CC0
+10C81;M;10CC1
+10C82;M;10CC2
+10C83;M;10CC3
+10C84;M;10CC4
+10C85;M;10CC5
+10C86;M;10CC6
+10C87;M;10CC7
+10C88;M;10CC8
+10C89;M;10CC9
+10C8A;M;10CCA
+10C8B;M;10CCB
+10C8C;M;10CCC
+10C8D;M;10CCD
+10C8E;M;10CCE
+10C8F;M;10CCF
+10C90;M;10CD0
+10C91;M;10CD1
+10C92;M;10CD2
+10C93;M;10CD3
+10C94;M;10CD4
+10C95;M;10CD5
+10C96;M;10CD6
+10C97;M;10CD7
+10C98;M;10CD8
+10C99;M;10CD9
+10C9A;M;10CDA
+10C9B;M;10CDB
+10C9C;M;10CDC
+10C9D;M;10CDD
+10C9E;M;10CDE
+10C9F;M;10CDF
+10CA0;M;10CE0
+10CA1;M;10CE1
+10CA2;M;10CE2
+10CA3;M;10CE3
+10CA4;M;10CE4
+10CA5;M;10CE5
+10CA6;M;10CE6
+10CA7;M;10CE7
+10CA8;M;10CE8
+10CA9;M;10CE9
+10CAA;M;10CEA
+10CAB;M;10CEB
+10CAC;M;10CEC
+10CAD;M;10CED
+10CAE;M;10CEE
+10CAF;M;10CEF
+10CB0;M;10CF0
+10CB1;M;10CF1
+10CB2;M;10CF2
+10CB3;X
+10CC0;V
+10CF3;X
+10CFA;V
+10D28;X
+10D30;V
+10D3A;X
+10E60;V
+10E7F;X
+10E80;V
+10EAA;X
+10EAB;V
+10EAE;X
+10EB0;V
+10EB2;X
+10EFD;V
+10F28;X
+10F30;V
+10F5A;X
+10F70;V
+10F8A;X
+10FB0;V
+10FCC;X
+10FE0;V
+10FF7;X
+11000;V
+1104E;X
+11052;V
+11076;X
+1107F;V
+110BD;X
+110BE;V
+110C3;X
+110D0;V
+110E9;X
+110F0;V
+110FA;X
+11100;V
+11135;X
+11136;V
+11148;X
+11150;V
+11177;X
+11180;V
+111E0;X
+111E1;V
+111F5;X
+11200;V
+11212;X
+11213;V
+11242;X
+11280;V
+11287;X
+11288;V
+11289;X
+1128A;V
+1128E;X
+1128F;V
+1129E;X
+1129F;V
+112AA;X
+112B0;V
+112EB;X
+112F0;V
+112FA;X
+11300;V
+11304;X
+11305;V
+1130D;X
+1130F;V
+11311;X
+11313;V
+11329;X
+1132A;V
+11331;X
+11332;V
+11334;X
+11335;V
+1133A;X
+1133B;V
+11345;X
+11347;V
+11349;X
+1134B;V
+1134E;X
+11350;V
+11351;X
+11357;V
+11358;X
+1135D;V
+11364;X
+11366;V
+1136D;X
+11370;V
+11375;X
+11400;V
+1145C;X
+1145D;V
+11462;X
+11480;V
+114C8;X
+114D0;V
+114DA;X
+11580;V
+115B6;X
+115B8;V
+115DE;X
+11600;V
+11645;X
+11650;V
+1165A;X
+11660;V
+1166D;X
+11680;V
+116BA;X
+116C0;V
+116CA;X
+11700;V
+1171B;X
+1171D;V
+1172C;X
+11730;V
+11747;X
+11800;V
+1183C;X
+118A0;M;118C0
+118A1;M;118C1
+118A2;M;118C2
+118A3;M;118C3
+118A4;M;118C4
+118A5;M;118C5
+118A6;M;118C6
+118A7;M;118C7
+118A8;M;118C8
+118A9;M;118C9
+118AA;M;118CA
+118AB;M;118CB
+118AC;M;118CC
+118AD;M;118CD
+118AE;M;118CE
+118AF;M;118CF
+118B0;M;118D0
+118B1;M;118D1
+118B2;M;118D2
+118B3;M;118D3
+118B4;M;118D4
+118B5;M;118D5
+118B6;M;118D6
+118B7;M;118D7
+118B8;M;118D8
+118B9;M;118D9
+118BA;M;118DA
+118BB;M;118DB
+118BC;M;118DC
+118BD;M;118DD
+118BE;M;118DE
+118BF;M;118DF
+118C0;V
+118F3;X
+118FF;V
+11907;X
+11909;V
+1190A;X
+1190C;V
+11914;X
+11915;V
+11917;X
+11918;V
+11936;X
+11937;V
+11939;X
+1193B;V
+11947;X
+11950;V
+1195A;X
+119A0;V
+119A8;X
+119AA;V
+119D8;X
+119DA;V
+119E5;X
+11A00;V
+11A48;X
+11A50;V
+11AA3;X
+11AB0;V
+11AF9;X
+11B00;V
+11B0A;X
+11C00;V
+11C09;X
+11C0A;V
+11C37;X
+11C38;V
+11C46;X
+11C50;V
+11C6D;X
+11C70;V
+11C90;X
+11C92;V
+11CA8;X
+11CA9;V
+11CB7;X
+11D00;V
+11D07;X
+11D08;V
+11D0A;X
+11D0B;V
+11D37;X
+11D3A;V
+11D3B;X
+11D3C;V
+11D3E;X
+11D3F;V
+11D48;X
+11D50;V
+11D5A;X
+11D60;V
+11D66;X
+11D67;V
+11D69;X
+11D6A;V
+11D8F;X
+11D90;V
+11D92;X
+11D93;V
+11D99;X
+11DA0;V
+11DAA;X
+11EE0;V
+11EF9;X
+11F00;V
+11F11;X
+11F12;V
+11F3B;X
+11F3E;V
+11F5A;X
+11FB0;V
+11FB1;X
+11FC0;V
+11FF2;X
+11FFF;V
+1239A;X
+12400;V
+1246F;X
+12470;V
+12475;X
+12480;V
+12544;X
+12F90;V
+12FF3;X
+13000;V
+13430;X
+13440;V
+13456;X
+14400;V
+14647;X
+16800;V
+16A39;X
+16A40;V
+16A5F;X
+16A60;V
+16A6A;X
+16A6E;V
+16ABF;X
+16AC0;V
+16ACA;X
+16AD0;V
+16AEE;X
+16AF0;V
+16AF6;X
+16B00;V
+16B46;X
+16B50;V
+16B5A;X
+16B5B;V
+16B62;X
+16B63;V
+16B78;X
+16B7D;V
+16B90;X
+16E40;M;16E60
+16E41;M;16E61
+16E42;M;16E62
+16E43;M;16E63
+16E44;M;16E64
+16E45;M;16E65
+16E46;M;16E66
+16E47;M;16E67
+16E48;M;16E68
+16E49;M;16E69
+16E4A;M;16E6A
+16E4B;M;16E6B
+16E4C;M;16E6C
+16E4D;M;16E6D
+16E4E;M;16E6E
+16E4F;M;16E6F
+16E50;M;16E70
+16E51;M;16E71
+16E52;M;16E72
+16E53;M;16E73
+16E54;M;16E74
+16E55;M;16E75
+16E56;M;16E76
+16E57;M;16E77
+16E58;M;16E78
+16E59;M;16E79
+16E5A;M;16E7A
+16E5B;M;16E7B
+16E5C;M;16E7C
+16E5D;M;16E7D
+16E5E;M;16E7E
+16E5F;M;16E7F
+16E60;V
+16E9B;X
+16F00;V
+16F4B;X
+16F4F;V
+16F88;X
+16F8F;V
+16FA0;X
+16FE0;V
+16FE5;X
+16FF0;V
+16FF2;X
+17000;V
+187F8;X
+18800;V
+18CD6;X
+18D00;V
+18D09;X
+1AFF0;V
+1AFF4;X
+1AFF5;V
+1AFFC;X
+1AFFD;V
+1AFFF;X
+1B000;V
+1B123;X
+1B132;V
+1B133;X
+1B150;V
+1B153;X
+1B155;V
+1B156;X
+1B164;V
+1B168;X
+1B170;V
+1B2FC;X
+1BC00;V
+1BC6B;X
+1BC70;V
+1BC7D;X
+1BC80;V
+1BC89;X
+1BC90;V
+1BC9A;X
+1BC9C;V
+1BCA0;I
+1BCA4;X
+1CF00;V
+1CF2E;X
+1CF30;V
+1CF47;X
+1CF50;V
+1CFC4;X
+1D000;V
+1D0F6;X
+1D100;V
+1D127;X
+1D129;V
+1D15E;M;1D157 1D165
+1D15F;M;1D158 1D165
+1D160;M;1D158 1D165 1D16E
+1D161;M;1D158 1D165 1D16F
+1D162;M;1D158 1D165 1D170
+1D163;M;1D158 1D165 1D171
+1D164;M;1D158 1D165 1D172
+1D165;V
+1D173;X
+1D17B;V
+1D1BB;M;1D1B9 1D165
+1D1BC;M;1D1BA 1D165
+1D1BD;M;1D1B9 1D165 1D16E
+1D1BE;M;1D1BA 1D165 1D16E
+1D1BF;M;1D1B9 1D165 1D16F
+1D1C0;M;1D1BA 1D165 1D16F
+1D1C1;V
+1D1EB;X
+1D200;V
+1D246;X
+1D2C0;V
+1D2D4;X
+1D2E0;V
+1D2F4;X
+1D300;V
+1D357;X
+1D360;V
+1D379;X
+1D400;M;0061
+1D401;M;0062
+1D402;M;0063
+1D403;M;0064
+1D404;M;0065
+1D405;M;0066
+1D406;M;0067
+1D407;M;0068
+1D408;M;0069
+1D409;M;006A
+1D40A;M;006B
+1D40B;M;006C
+1D40C;M;006D
+1D40D;M;006E
+1D40E;M;006F
+1D40F;M;0070
+1D410;M;0071
+1D411;M;0072
+1D412;M;0073
+1D413;M;0074
+1D414;M;0075
+1D415;M;0076
+1D416;M;0077
+1D417;M;0078
+1D418;M;0079
+1D419;M;007A
+1D41A;M;0061
+1D41B;M;0062
+1D41C;M;0063
+1D41D;M;0064
+1D41E;M;0065
+1D41F;M;0066
+1D420;M;0067
+1D421;M;0068
+1D422;M;0069
+1D423;M;006A
+1D424;M;006B
+1D425;M;006C
+1D426;M;006D
+1D427;M;006E
+1D428;M;006F
+1D429;M;0070
+1D42A;M;0071
+1D42B;M;0072
+1D42C;M;0073
+1D42D;M;0074
+1D42E;M;0075
+1D42F;M;0076
+1D430;M;0077
+1D431;M;0078
+1D432;M;0079
+1D433;M;007A
+1D434;M;0061
+1D435;M;0062
+1D436;M;0063
+1D437;M;0064
+1D438;M;0065
+1D439;M;0066
+1D43A;M;0067
+1D43B;M;0068
+1D43C;M;0069
+1D43D;M;006A
+1D43E;M;006B
+1D43F;M;006C
+1D440;M;006D
+1D441;M;006E
+1D442;M;006F
+1D443;M;0070
+1D444;M;0071
+1D445;M;0072
+1D446;M;0073
+1D447;M;0074
+1D448;M;0075
+1D449;M;0076
+1D44A;M;0077
+1D44B;M;0078
+1D44C;M;0079
+1D44D;M;007A
+1D44E;M;0061
+1D44F;M;0062
+1D450;M;0063
+1D451;M;0064
+1D452;M;0065
+1D453;M;0066
+1D454;M;0067
+1D455;X
+1D456;M;0069
+1D457;M;006A
+1D458;M;006B
+1D459;M;006C
+1D45A;M;006D
+1D45B;M;006E
+1D45C;M;006F
+1D45D;M;0070
+1D45E;M;0071
+1D45F;M;0072
+1D460;M;0073
+1D461;M;0074
+1D462;M;0075
+1D463;M;0076
+1D464;M;0077
+1D465;M;0078
+1D466;M;0079
+1D467;M;007A
+1D468;M;0061
+1D469;M;0062
+1D46A;M;0063
+1D46B;M;0064
+1D46C;M;0065
+1D46D;M;0066
+1D46E;M;0067
+1D46F;M;0068
+1D470;M;0069
+1D471;M;006A
+1D472;M;006B
+1D473;M;006C
+1D474;M;006D
+1D475;M;006E
+1D476;M;006F
+1D477;M;0070
+1D478;M;0071
+1D479;M;0072
+1D47A;M;0073
+1D47B;M;0074
+1D47C;M;0075
+1D47D;M;0076
+1D47E;M;0077
+1D47F;M;0078
+1D480;M;0079
+1D481;M;007A
+1D482;M;0061
+1D483;M;0062
+1D484;M;0063
+1D485;M;0064
+1D486;M;0065
+1D487;M;0066
+1D488;M;0067
+1D489;M;0068
+1D48A;M;0069
+1D48B;M;006A
+1D48C;M;006B
+1D48D;M;006C
+1D48E;M;006D
+1D48F;M;006E
+1D490;M;006F
+1D491;M;0070
+1D492;M;0071
+1D493;M;0072
+1D494;M;0073
+1D495;M;0074
+1D496;M;0075
+1D497;M;0076
+1D498;M;0077
+1D499;M;0078
+1D49A;M;0079
+1D49B;M;007A
+1D49C;M;0061
+1D49D;X
+1D49E;M;0063
+1D49F;M;0064
+1D4A0;X
+1D4A2;M;0067
+1D4A3;X
+1D4A5;M;006A
+1D4A6;M;006B
+1D4A7;X
+1D4A9;M;006E
+1D4AA;M;006F
+1D4AB;M;0070
+1D4AC;M;0071
+1D4AD;X
+1D4AE;M;0073
+1D4AF;M;0074
+1D4B0;M;0075
+1D4B1;M;0076
+1D4B2;M;0077
+1D4B3;M;0078
+1D4B4;M;0079
+1D4B5;M;007A
+1D4B6;M;0061
+1D4B7;M;0062
+1D4B8;M;0063
+1D4B9;M;0064
+1D4BA;X
+1D4BB;M;0066
+1D4BC;X
+1D4BD;M;0068
+1D4BE;M;0069
+1D4BF;M;006A
+1D4C0;M;006B
+1D4C1;M;006C
+1D4C2;M;006D
+1D4C3;M;006E
+1D4C4;X
+1D4C5;M;0070
+1D4C6;M;0071
+1D4C7;M;0072
+1D4C8;M;0073
+1D4C9;M;0074
+1D4CA;M;0075
+1D4CB;M;0076
+1D4CC;M;0077
+1D4CD;M;0078
+1D4CE;M;0079
+1D4CF;M;007A
+1D4D0;M;0061
+1D4D1;M;0062
+1D4D2;M;0063
+1D4D3;M;0064
+1D4D4;M;0065
+1D4D5;M;0066
+1D4D6;M;0067
+1D4D7;M;0068
+1D4D8;M;0069
+1D4D9;M;006A
+1D4DA;M;006B
+1D4DB;M;006C
+1D4DC;M;006D
+1D4DD;M;006E
+1D4DE;M;006F
+1D4DF;M;0070
+1D4E0;M;0071
+1D4E1;M;0072
+1D4E2;M;0073
+1D4E3;M;0074
+1D4E4;M;0075
+1D4E5;M;0076
+1D4E6;M;0077
+1D4E7;M;0078
+1D4E8;M;0079
+1D4E9;M;007A
+1D4EA;M;0061
+1D4EB;M;0062
+1D4EC;M;0063
+1D4ED;M;0064
+1D4EE;M;0065
+1D4EF;M;0066
+1D4F0;M;0067
+1D4F1;M;0068
+1D4F2;M;0069
+1D4F3;M;006A
+1D4F4;M;006B
+1D4F5;M;006C
+1D4F6;M;006D
+1D4F7;M;006E
+1D4F8;M;006F
+1D4F9;M;0070
+1D4FA;M;0071
+1D4FB;M;0072
+1D4FC;M;0073
+1D4FD;M;0074
+1D4FE;M;0075
+1D4FF;M;0076
+1D500;M;0077
+1D501;M;0078
+1D502;M;0079
+1D503;M;007A
+1D504;M;0061
+1D505;M;0062
+1D506;X
+1D507;M;0064
+1D508;M;0065
+1D509;M;0066
+1D50A;M;0067
+1D50B;X
+1D50D;M;006A
+1D50E;M;006B
+1D50F;M;006C
+1D510;M;006D
+1D511;M;006E
+1D512;M;006F
+1D513;M;0070
+1D514;M;0071
+1D515;X
+1D516;M;0073
+1D517;M;0074
+1D518;M;0075
+1D519;M;0076
+1D51A;M;0077
+1D51B;M;0078
+1D51C;M;0079
+1D51D;X
+1D51E;M;0061
+1D51F;M;0062
+1D520;M;0063
+1D521;M;0064
+1D522;M;0065
+1D523;M;0066
+1D524;M;0067
+1D525;M;0068
+1D526;M;0069
+1D527;M;006A
+1D528;M;006B
+1D529;M;006C
+1D52A;M;006D
+1D52B;M;006E
+1D52C;M;006F
+1D52D;M;0070
+1D52E;M;0071
+1D52F;M;0072
+1D530;M;0073
+1D531;M;0074
+1D532;M;0075
+1D533;M;0076
+1D534;M;0077
+1D535;M;0078
+1D536;M;0079
+1D537;M;007A
+1D538;M;0061
+1D539;M;0062
+1D53A;X
+1D53B;M;0064
+1D53C;M;0065
+1D53D;M;0066
+1D53E;M;0067
+1D53F;X
+1D540;M;0069
+1D541;M;006A
+1D542;M;006B
+1D543;M;006C
+1D544;M;006D
+1D545;X
+1D546;M;006F
+1D547;X
+1D54A;M;0073
+1D54B;M;0074
+1D54C;M;0075
+1D54D;M;0076
+1D54E;M;0077
+1D54F;M;0078
+1D550;M;0079
+1D551;X
+1D552;M;0061
+1D553;M;0062
+1D554;M;0063
+1D555;M;0064
+1D556;M;0065
+1D557;M;0066
+1D558;M;0067
+1D559;M;0068
+1D55A;M;0069
+1D55B;M;006A
+1D55C;M;006B
+1D55D;M;006C
+1D55E;M;006D
+1D55F;M;006E
+1D560;M;006F
+1D561;M;0070
+1D562;M;0071
+1D563;M;0072
+1D564;M;0073
+1D565;M;0074
+1D566;M;0075
+1D567;M;0076
+1D568;M;0077
+1D569;M;0078
+1D56A;M;0079
+1D56B;M;007A
+1D56C;M;0061
+1D56D;M;0062
+1D56E;M;0063
+1D56F;M;0064
+1D570;M;0065
+1D571;M;0066
+1D572;M;0067
+1D573;M;0068
+1D574;M;0069
+1D575;M;006A
+1D576;M;006B
+1D577;M;006C
+1D578;M;006D
+1D579;M;006E
+1D57A;M;006F
+1D57B;M;0070
+1D57C;M;0071
+1D57D;M;0072
+1D57E;M;0073
+1D57F;M;0074
+1D580;M;0075
+1D581;M;0076
+1D582;M;0077
+1D583;M;0078
+1D584;M;0079
+1D585;M;007A
+1D586;M;0061
+1D587;M;0062
+1D588;M;0063
+1D589;M;0064
+1D58A;M;0065
+1D58B;M;0066
+1D58C;M;0067
+1D58D;M;0068
+1D58E;M;0069
+1D58F;M;006A
+1D590;M;006B
+1D591;M;006C
+1D592;M;006D
+1D593;M;006E
+1D594;M;006F
+1D595;M;0070
+1D596;M;0071
+1D597;M;0072
+1D598;M;0073
+1D599;M;0074
+1D59A;M;0075
+1D59B;M;0076
+1D59C;M;0077
+1D59D;M;0078
+1D59E;M;0079
+1D59F;M;007A
+1D5A0;M;0061
+1D5A1;M;0062
+1D5A2;M;0063
+1D5A3;M;0064
+1D5A4;M;0065
+1D5A5;M;0066
+1D5A6;M;0067
+1D5A7;M;0068
+1D5A8;M;0069
+1D5A9;M;006A
+1D5AA;M;006B
+1D5AB;M;006C
+1D5AC;M;006D
+1D5AD;M;006E
+1D5AE;M;006F
+1D5AF;M;0070
+1D5B0;M;0071
+1D5B1;M;0072
+1D5B2;M;0073
+1D5B3;M;0074
+1D5B4;M;0075
+1D5B5;M;0076
+1D5B6;M;0077
+1D5B7;M;0078
+1D5B8;M;0079
+1D5B9;M;007A
+1D5BA;M;0061
+1D5BB;M;0062
+1D5BC;M;0063
+1D5BD;M;0064
+1D5BE;M;0065
+1D5BF;M;0066
+1D5C0;M;0067
+1D5C1;M;0068
+1D5C2;M;0069
+1D5C3;M;006A
+1D5C4;M;006B
+1D5C5;M;006C
+1D5C6;M;006D
+1D5C7;M;006E
+1D5C8;M;006F
+1D5C9;M;0070
+1D5CA;M;0071
+1D5CB;M;0072
+1D5CC;M;0073
+1D5CD;M;0074
+1D5CE;M;0075
+1D5CF;M;0076
+1D5D0;M;0077
+1D5D1;M;0078
+1D5D2;M;0079
+1D5D3;M;007A
+1D5D4;M;0061
+1D5D5;M;0062
+1D5D6;M;0063
+1D5D7;M;0064
+1D5D8;M;0065
+1D5D9;M;0066
+1D5DA;M;0067
+1D5DB;M;0068
+1D5DC;M;0069
+1D5DD;M;006A
+1D5DE;M;006B
+1D5DF;M;006C
+1D5E0;M;006D
+1D5E1;M;006E
+1D5E2;M;006F
+1D5E3;M;0070
+1D5E4;M;0071
+1D5E5;M;0072
+1D5E6;M;0073
+1D5E7;M;0074
+1D5E8;M;0075
+1D5E9;M;0076
+1D5EA;M;0077
+1D5EB;M;0078
+1D5EC;M;0079
+1D5ED;M;007A
+1D5EE;M;0061
+1D5EF;M;0062
+1D5F0;M;0063
+1D5F1;M;0064
+1D5F2;M;0065
+1D5F3;M;0066
+1D5F4;M;0067
+1D5F5;M;0068
+1D5F6;M;0069
+1D5F7;M;006A
+1D5F8;M;006B
+1D5F9;M;006C
+1D5FA;M;006D
+1D5FB;M;006E
+1D5FC;M;006F
+1D5FD;M;0070
+1D5FE;M;0071
+1D5FF;M;0072
+1D600;M;0073
+1D601;M;0074
+1D602;M;0075
+1D603;M;0076
+1D604;M;0077
+1D605;M;0078
+1D606;M;0079
+1D607;M;007A
+1D608;M;0061
+1D609;M;0062
+1D60A;M;0063
+1D60B;M;0064
+1D60C;M;0065
+1D60D;M;0066
+1D60E;M;0067
+1D60F;M;0068
+1D610;M;0069
+1D611;M;006A
+1D612;M;006B
+1D613;M;006C
+1D614;M;006D
+1D615;M;006E
+1D616;M;006F
+1D617;M;0070
+1D618;M;0071
+1D619;M;0072
+1D61A;M;0073
+1D61B;M;0074
+1D61C;M;0075
+1D61D;M;0076
+1D61E;M;0077
+1D61F;M;0078
+1D620;M;0079
+1D621;M;007A
+1D622;M;0061
+1D623;M;0062
+1D624;M;0063
+1D625;M;0064
+1D626;M;0065
+1D627;M;0066
+1D628;M;0067
+1D629;M;0068
+1D62A;M;0069
+1D62B;M;006A
+1D62C;M;006B
+1D62D;M;006C
+1D62E;M;006D
+1D62F;M;006E
+1D630;M;006F
+1D631;M;0070
+1D632;M;0071
+1D633;M;0072
+1D634;M;0073
+1D635;M;0074
+1D636;M;0075
+1D637;M;0076
+1D638;M;0077
+1D639;M;0078
+1D63A;M;0079
+1D63B;M;007A
+1D63C;M;0061
+1D63D;M;0062
+1D63E;M;0063
+1D63F;M;0064
+1D640;M;0065
+1D641;M;0066
+1D642;M;0067
+1D643;M;0068
+1D644;M;0069
+1D645;M;006A
+1D646;M;006B
+1D647;M;006C
+1D648;M;006D
+1D649;M;006E
+1D64A;M;006F
+1D64B;M;0070
+1D64C;M;0071
+1D64D;M;0072
+1D64E;M;0073
+1D64F;M;0074
+1D650;M;0075
+1D651;M;0076
+1D652;M;0077
+1D653;M;0078
+1D654;M;0079
+1D655;M;007A
+1D656;M;0061
+1D657;M;0062
+1D658;M;0063
+1D659;M;0064
+1D65A;M;0065
+1D65B;M;0066
+1D65C;M;0067
+1D65D;M;0068
+1D65E;M;0069
+1D65F;M;006A
+1D660;M;006B
+1D661;M;006C
+1D662;M;006D
+1D663;M;006E
+1D664;M;006F
+1D665;M;0070
+1D666;M;0071
+1D667;M;0072
+1D668;M;0073
+1D669;M;0074
+1D66A;M;0075
+1D66B;M;0076
+1D66C;M;0077
+1D66D;M;0078
+1D66E;M;0079
+1D66F;M;007A
+1D670;M;0061
+1D671;M;0062
+1D672;M;0063
+1D673;M;0064
+1D674;M;0065
+1D675;M;0066
+1D676;M;0067
+1D677;M;0068
+1D678;M;0069
+1D679;M;006A
+1D67A;M;006B
+1D67B;M;006C
+1D67C;M;006D
+1D67D;M;006E
+1D67E;M;006F
+1D67F;M;0070
+1D680;M;0071
+1D681;M;0072
+1D682;M;0073
+1D683;M;0074
+1D684;M;0075
+1D685;M;0076
+1D686;M;0077
+1D687;M;0078
+1D688;M;0079
+1D689;M;007A
+1D68A;M;0061
+1D68B;M;0062
+1D68C;M;0063
+1D68D;M;0064
+1D68E;M;0065
+1D68F;M;0066
+1D690;M;0067
+1D691;M;0068
+1D692;M;0069
+1D693;M;006A
+1D694;M;006B
+1D695;M;006C
+1D696;M;006D
+1D697;M;006E
+1D698;M;006F
+1D699;M;0070
+1D69A;M;0071
+1D69B;M;0072
+1D69C;M;0073
+1D69D;M;0074
+1D69E;M;0075
+1D69F;M;0076
+1D6A0;M;0077
+1D6A1;M;0078
+1D6A2;M;0079
+1D6A3;M;007A
+1D6A4;M;0131
+1D6A5;M;0237
+1D6A6;X
+1D6A8;M;03B1
+1D6A9;M;03B2
+1D6AA;M;03B3
+1D6AB;M;03B4
+1D6AC;M;03B5
+1D6AD;M;03B6
+1D6AE;M;03B7
+1D6AF;M;03B8
+1D6B0;M;03B9
+1D6B1;M;03BA
+1D6B2;M;03BB
+1D6B3;M;03BC
+1D6B4;M;03BD
+1D6B5;M;03BE
+1D6B6;M;03BF
+1D6B7;M;03C0
+1D6B8;M;03C1
+1D6B9;M;03B8
+1D6BA;M;03C3
+1D6BB;M;03C4
+1D6BC;M;03C5
+1D6BD;M;03C6
+1D6BE;M;03C7
+1D6BF;M;03C8
+1D6C0;M;03C9
+1D6C1;M;2207
+1D6C2;M;03B1
+1D6C3;M;03B2
+1D6C4;M;03B3
+1D6C5;M;03B4
+1D6C6;M;03B5
+1D6C7;M;03B6
+1D6C8;M;03B7
+1D6C9;M;03B8
+1D6CA;M;03B9
+1D6CB;M;03BA
+1D6CC;M;03BB
+1D6CD;M;03BC
+1D6CE;M;03BD
+1D6CF;M;03BE
+1D6D0;M;03BF
+1D6D1;M;03C0
+1D6D2;M;03C1
+1D6D3;M;03C3
+1D6D5;M;03C4
+1D6D6;M;03C5
+1D6D7;M;03C6
+1D6D8;M;03C7
+1D6D9;M;03C8
+1D6DA;M;03C9
+1D6DB;M;2202
+1D6DC;M;03B5
+1D6DD;M;03B8
+1D6DE;M;03BA
+1D6DF;M;03C6
+1D6E0;M;03C1
+1D6E1;M;03C0
+1D6E2;M;03B1
+1D6E3;M;03B2
+1D6E4;M;03B3
+1D6E5;M;03B4
+1D6E6;M;03B5
+1D6E7;M;03B6
+1D6E8;M;03B7
+1D6E9;M;03B8
+1D6EA;M;03B9
+1D6EB;M;03BA
+1D6EC;M;03BB
+1D6ED;M;03BC
+1D6EE;M;03BD
+1D6EF;M;03BE
+1D6F0;M;03BF
+1D6F1;M;03C0
+1D6F2;M;03C1
+1D6F3;M;03B8
+1D6F4;M;03C3
+1D6F5;M;03C4
+1D6F6;M;03C5
+1D6F7;M;03C6
+1D6F8;M;03C7
+1D6F9;M;03C8
+1D6FA;M;03C9
+1D6FB;M;2207
+1D6FC;M;03B1
+1D6FD;M;03B2
+1D6FE;M;03B3
+1D6FF;M;03B4
+1D700;M;03B5
+1D701;M;03B6
+1D702;M;03B7
+1D703;M;03B8
+1D704;M;03B9
+1D705;M;03BA
+1D706;M;03BB
+1D707;M;03BC
+1D708;M;03BD
+1D709;M;03BE
+1D70A;M;03BF
+1D70B;M;03C0
+1D70C;M;03C1
+1D70D;M;03C3
+1D70F;M;03C4
+1D710;M;03C5
+1D711;M;03C6
+1D712;M;03C7
+1D713;M;03C8
+1D714;M;03C9
+1D715;M;2202
+1D716;M;03B5
+1D717;M;03B8
+1D718;M;03BA
+1D719;M;03C6
+1D71A;M;03C1
+1D71B;M;03C0
+1D71C;M;03B1
+1D71D;M;03B2
+1D71E;M;03B3
+1D71F;M;03B4
+1D720;M;03B5
+1D721;M;03B6
+1D722;M;03B7
+1D723;M;03B8
+1D724;M;03B9
+1D725;M;03BA
+1D726;M;03BB
+1D727;M;03BC
+1D728;M;03BD
+1D729;M;03BE
+1D72A;M;03BF
+1D72B;M;03C0
+1D72C;M;03C1
+1D72D;M;03B8
+1D72E;M;03C3
+1D72F;M;03C4
+1D730;M;03C5
+1D731;M;03C6
+1D732;M;03C7
+1D733;M;03C8
+1D734;M;03C9
+1D735;M;2207
+1D736;M;03B1
+1D737;M;03B2
+1D738;M;03B3
+1D739;M;03B4
+1D73A;M;03B5
+1D73B;M;03B6
+1D73C;M;03B7
+1D73D;M;03B8
+1D73E;M;03B9
+1D73F;M;03BA
+1D740;M;03BB
+1D741;M;03BC
+1D742;M;03BD
+1D743;M;03BE
+1D744;M;03BF
+1D745;M;03C0
+1D746;M;03C1
+1D747;M;03C3
+1D749;M;03C4
+1D74A;M;03C5
+1D74B;M;03C6
+1D74C;M;03C7
+1D74D;M;03C8
+1D74E;M;03C9
+1D74F;M;2202
+1D750;M;03B5
+1D751;M;03B8
+1D752;M;03BA
+1D753;M;03C6
+1D754;M;03C1
+1D755;M;03C0
+1D756;M;03B1
+1D757;M;03B2
+1D758;M;03B3
+1D759;M;03B4
+1D75A;M;03B5
+1D75B;M;03B6
+1D75C;M;03B7
+1D75D;M;03B8
+1D75E;M;03B9
+1D75F;M;03BA
+1D760;M;03BB
+1D761;M;03BC
+1D762;M;03BD
+1D763;M;03BE
+1D764;M;03BF
+1D765;M;03C0
+1D766;M;03C1
+1D767;M;03B8
+1D768;M;03C3
+1D769;M;03C4
+1D76A;M;03C5
+1D76B;M;03C6
+1D76C;M;03C7
+1D76D;M;03C8
+1D76E;M;03C9
+1D76F;M;2207
+1D770;M;03B1
+1D771;M;03B2
+1D772;M;03B3
+1D773;M;03B4
+1D774;M;03B5
+1D775;M;03B6
+1D776;M;03B7
+1D777;M;03B8
+1D778;M;03B9
+1D779;M;03BA
+1D77A;M;03BB
+1D77B;M;03BC
+1D77C;M;03BD
+1D77D;M;03BE
+1D77E;M;03BF
+1D77F;M;03C0
+1D780;M;03C1
+1D781;M;03C3
+1D783;M;03C4
+1D784;M;03C5
+1D785;M;03C6
+1D786;M;03C7
+1D787;M;03C8
+1D788;M;03C9
+1D789;M;2202
+1D78A;M;03B5
+1D78B;M;03B8
+1D78C;M;03BA
+1D78D;M;03C6
+1D78E;M;03C1
+1D78F;M;03C0
+1D790;M;03B1
+1D791;M;03B2
+1D792;M;03B3
+1D793;M;03B4
+1D794;M;03B5
+1D795;M;03B6
+1D796;M;03B7
+1D797;M;03B8
+1D798;M;03B9
+1D799;M;03BA
+1D79A;M;03BB
+1D79B;M;03BC
+1D79C;M;03BD
+1D79D;M;03BE
+1D79E;M;03BF
+1D79F;M;03C0
+1D7A0;M;03C1
+1D7A1;M;03B8
+1D7A2;M;03C3
+1D7A3;M;03C4
+1D7A4;M;03C5
+1D7A5;M;03C6
+1D7A6;M;03C7
+1D7A7;M;03C8
+1D7A8;M;03C9
+1D7A9;M;2207
+1D7AA;M;03B1
+1D7AB;M;03B2
+1D7AC;M;03B3
+1D7AD;M;03B4
+1D7AE;M;03B5
+1D7AF;M;03B6
+1D7B0;M;03B7
+1D7B1;M;03B8
+1D7B2;M;03B9
+1D7B3;M;03BA
+1D7B4;M;03BB
+1D7B5;M;03BC
+1D7B6;M;03BD
+1D7B7;M;03BE
+1D7B8;M;03BF
+1D7B9;M;03C0
+1D7BA;M;03C1
+1D7BB;M;03C3
+1D7BD;M;03C4
+1D7BE;M;03C5
+1D7BF;M;03C6
+1D7C0;M;03C7
+1D7C1;M;03C8
+1D7C2;M;03C9
+1D7C3;M;2202
+1D7C4;M;03B5
+1D7C5;M;03B8
+1D7C6;M;03BA
+1D7C7;M;03C6
+1D7C8;M;03C1
+1D7C9;M;03C0
+1D7CA;M;03DD
+1D7CC;X
+1D7CE;M;0030
+1D7CF;M;0031
+1D7D0;M;0032
+1D7D1;M;0033
+1D7D2;M;0034
+1D7D3;M;0035
+1D7D4;M;0036
+1D7D5;M;0037
+1D7D6;M;0038
+1D7D7;M;0039
+1D7D8;M;0030
+1D7D9;M;0031
+1D7DA;M;0032
+1D7DB;M;0033
+1D7DC;M;0034
+1D7DD;M;0035
+1D7DE;M;0036
+1D7DF;M;0037
+1D7E0;M;0038
+1D7E1;M;0039
+1D7E2;M;0030
+1D7E3;M;0031
+1D7E4;M;0032
+1D7E5;M;0033
+1D7E6;M;0034
+1D7E7;M;0035
+1D7E8;M;0036
+1D7E9;M;0037
+1D7EA;M;0038
+1D7EB;M;0039
+1D7EC;M;0030
+1D7ED;M;0031
+1D7EE;M;0032
+1D7EF;M;0033
+1D7F0;M;0034
+1D7F1;M;0035
+1D7F2;M;0036
+1D7F3;M;0037
+1D7F4;M;0038
+1D7F5;M;0039
+1D7F6;M;0030
+1D7F7;M;0031
+1D7F8;M;0032
+1D7F9;M;0033
+1D7FA;M;0034
+1D7FB;M;0035
+1D7FC;M;0036
+1D7FD;M;0037
+1D7FE;M;0038
+1D7FF;M;0039
+1D800;V
+1DA8C;X
+1DA9B;V
+1DAA0;X
+1DAA1;V
+1DAB0;X
+1DF00;V
+1DF1F;X
+1DF25;V
+1DF2B;X
+1E000;V
+1E007;X
+1E008;V
+1E019;X
+1E01B;V
+1E022;X
+1E023;V
+1E025;X
+1E026;V
+1E02B;X
+1E030;M;0430
+1E031;M;0431
+1E032;M;0432
+1E033;M;0433
+1E034;M;0434
+1E035;M;0435
+1E036;M;0436
+1E037;M;0437
+1E038;M;0438
+1E039;M;043A
+1E03A;M;043B
+1E03B;M;043C
+1E03C;M;043E
+1E03D;M;043F
+1E03E;M;0440
+1E03F;M;0441
+1E040;M;0442
+1E041;M;0443
+1E042;M;0444
+1E043;M;0445
+1E044;M;0446
+1E045;M;0447
+1E046;M;0448
+1E047;M;044B
+1E048;M;044D
+1E049;M;044E
+1E04A;M;A689
+1E04B;M;04D9
+1E04C;M;0456
+1E04D;M;0458
+1E04E;M;04E9
+1E04F;M;04AF
+1E050;M;04CF
+1E051;M;0430
+1E052;M;0431
+1E053;M;0432
+1E054;M;0433
+1E055;M;0434
+1E056;M;0435
+1E057;M;0436
+1E058;M;0437
+1E059;M;0438
+1E05A;M;043A
+1E05B;M;043B
+1E05C;M;043E
+1E05D;M;043F
+1E05E;M;0441
+1E05F;M;0443
+1E060;M;0444
+1E061;M;0445
+1E062;M;0446
+1E063;M;0447
+1E064;M;0448
+1E065;M;044A
+1E066;M;044B
+1E067;M;0491
+1E068;M;0456
+1E069;M;0455
+1E06A;M;045F
+1E06B;M;04AB
+1E06C;M;A651
+1E06D;M;04B1
+1E06E;X
+1E08F;V
+1E090;X
+1E100;V
+1E12D;X
+1E130;V
+1E13E;X
+1E140;V
+1E14A;X
+1E14E;V
+1E150;X
+1E290;V
+1E2AF;X
+1E2C0;V
+1E2FA;X
+1E2FF;V
+1E300;X
+1E4D0;V
+1E4FA;X
+1E7E0;V
+1E7E7;X
+1E7E8;V
+1E7EC;X
+1E7ED;V
+1E7EF;X
+1E7F0;V
+1E7FF;X
+1E800;V
+1E8C5;X
+1E8C7;V
+1E8D7;X
+1E900;M;1E922
+1E901;M;1E923
+1E902;M;1E924
+1E903;M;1E925
+1E904;M;1E926
+1E905;M;1E927
+1E906;M;1E928
+1E907;M;1E929
+1E908;M;1E92A
+1E909;M;1E92B
+1E90A;M;1E92C
+1E90B;M;1E92D
+1E90C;M;1E92E
+1E90D;M;1E92F
+1E90E;M;1E930
+1E90F;M;1E931
+1E910;M;1E932
+1E911;M;1E933
+1E912;M;1E934
+1E913;M;1E935
+1E914;M;1E936
+1E915;M;1E937
+1E916;M;1E938
+1E917;M;1E939
+1E918;M;1E93A
+1E919;M;1E93B
+1E91A;M;1E93C
+1E91B;M;1E93D
+1E91C;M;1E93E
+1E91D;M;1E93F
+1E91E;M;1E940
+1E91F;M;1E941
+1E920;M;1E942
+1E921;M;1E943
+1E922;V
+1E94C;X
+1E950;V
+1E95A;X
+1E95E;V
+1E960;X
+1EC71;V
+1ECB5;X
+1ED01;V
+1ED3E;X
+1EE00;M;0627
+1EE01;M;0628
+1EE02;M;062C
+1EE03;M;062F
+1EE04;X
+1EE05;M;0648
+1EE06;M;0632
+1EE07;M;062D
+1EE08;M;0637
+1EE09;M;064A
+1EE0A;M;0643
+1EE0B;M;0644
+1EE0C;M;0645
+1EE0D;M;0646
+1EE0E;M;0633
+1EE0F;M;0639
+1EE10;M;0641
+1EE11;M;0635
+1EE12;M;0642
+1EE13;M;0631
+1EE14;M;0634
+1EE15;M;062A
+1EE16;M;062B
+1EE17;M;062E
+1EE18;M;0630
+1EE19;M;0636
+1EE1A;M;0638
+1EE1B;M;063A
+1EE1C;M;066E
+1EE1D;M;06BA
+1EE1E;M;06A1
+1EE1F;M;066F
+1EE20;X
+1EE21;M;0628
+1EE22;M;062C
+1EE23;X
+1EE24;M;0647
+1EE25;X
+1EE27;M;062D
+1EE28;X
+1EE29;M;064A
+1EE2A;M;0643
+1EE2B;M;0644
+1EE2C;M;0645
+1EE2D;M;0646
+1EE2E;M;0633
+1EE2F;M;0639
+1EE30;M;0641
+1EE31;M;0635
+1EE32;M;0642
+1EE33;X
+1EE34;M;0634
+1EE35;M;062A
+1EE36;M;062B
+1EE37;M;062E
+1EE38;X
+1EE39;M;0636
+1EE3A;X
+1EE3B;M;063A
+1EE3C;X
+1EE42;M;062C
+1EE43;X
+1EE47;M;062D
+1EE48;X
+1EE49;M;064A
+1EE4A;X
+1EE4B;M;0644
+1EE4C;X
+1EE4D;M;0646
+1EE4E;M;0633
+1EE4F;M;0639
+1EE50;X
+1EE51;M;0635
+1EE52;M;0642
+1EE53;X
+1EE54;M;0634
+1EE55;X
+1EE57;M;062E
+1EE58;X
+1EE59;M;0636
+1EE5A;X
+1EE5B;M;063A
+1EE5C;X
+1EE5D;M;06BA
+1EE5E;X
+1EE5F;M;066F
+1EE60;X
+1EE61;M;0628
+1EE62;M;062C
+1EE63;X
+1EE64;M;0647
+1EE65;X
+1EE67;M;062D
+1EE68;M;0637
+1EE69;M;064A
+1EE6A;M;0643
+1EE6B;X
+1EE6C;M;0645
+1EE6D;M;0646
+1EE6E;M;0633
+1EE6F;M;0639
+1EE70;M;0641
+1EE71;M;0635
+1EE72;M;0642
+1EE73;X
+1EE74;M;0634
+1EE75;M;062A
+1EE76;M;062B
+1EE77;M;062E
+1EE78;X
+1EE79;M;0636
+1EE7A;M;0638
+1EE7B;M;063A
+1EE7C;M;066E
+1EE7D;X
+1EE7E;M;06A1
+1EE7F;X
+1EE80;M;0627
+1EE81;M;0628
+1EE82;M;062C
+1EE83;M;062F
+1EE84;M;0647
+1EE85;M;0648
+1EE86;M;0632
+1EE87;M;062D
+1EE88;M;0637
+1EE89;M;064A
+1EE8A;X
+1EE8B;M;0644
+1EE8C;M;0645
+1EE8D;M;0646
+1EE8E;M;0633
+1EE8F;M;0639
+1EE90;M;0641
+1EE91;M;0635
+1EE92;M;0642
+1EE93;M;0631
+1EE94;M;0634
+1EE95;M;062A
+1EE96;M;062B
+1EE97;M;062E
+1EE98;M;0630
+1EE99;M;0636
+1EE9A;M;0638
+1EE9B;M;063A
+1EE9C;X
+1EEA1;M;0628
+1EEA2;M;062C
+1EEA3;M;062F
+1EEA4;X
+1EEA5;M;0648
+1EEA6;M;0632
+1EEA7;M;062D
+1EEA8;M;0637
+1EEA9;M;064A
+1EEAA;X
+1EEAB;M;0644
+1EEAC;M;0645
+1EEAD;M;0646
+1EEAE;M;0633
+1EEAF;M;0639
+1EEB0;M;0641
+1EEB1;M;0635
+1EEB2;M;0642
+1EEB3;M;0631
+1EEB4;M;0634
+1EEB5;M;062A
+1EEB6;M;062B
+1EEB7;M;062E
+1EEB8;M;0630
+1EEB9;M;0636
+1EEBA;M;0638
+1EEBB;M;063A
+1EEBC;X
+1EEF0;V
+1EEF2;X
+1F000;V
+1F02C;X
+1F030;V
+1F094;X
+1F0A0;V
+1F0AF;X
+1F0B1;V
+1F0C0;X
+1F0C1;V
+1F0D0;X
+1F0D1;V
+1F0F6;X
+1F101;3;0030 002C
+1F102;3;0031 002C
+1F103;3;0032 002C
+1F104;3;0033 002C
+1F105;3;0034 002C
+1F106;3;0035 002C
+1F107;3;0036 002C
+1F108;3;0037 002C
+1F109;3;0038 002C
+1F10A;3;0039 002C
+1F10B;V
+1F110;3;0028 0061 0029
+1F111;3;0028 0062 0029
+1F112;3;0028 0063 0029
+1F113;3;0028 0064 0029
+1F114;3;0028 0065 0029
+1F115;3;0028 0066 0029
+1F116;3;0028 0067 0029
+1F117;3;0028 0068 0029
+1F118;3;0028 0069 0029
+1F119;3;0028 006A 0029
+1F11A;3;0028 006B 0029
+1F11B;3;0028 006C 0029
+1F11C;3;0028 006D 0029
+1F11D;3;0028 006E 0029
+1F11E;3;0028 006F 0029
+1F11F;3;0028 0070 0029
+1F120;3;0028 0071 0029
+1F121;3;0028 0072 0029
+1F122;3;0028 0073 0029
+1F123;3;0028 0074 0029
+1F124;3;0028 0075 0029
+1F125;3;0028 0076 0029
+1F126;3;0028 0077 0029
+1F127;3;0028 0078 0029
+1F128;3;0028 0079 0029
+1F129;3;0028 007A 0029
+1F12A;M;3014 0073 3015
+1F12B;M;0063
+1F12C;M;0072
+1F12D;M;0063 0064
+1F12E;M;0077 007A
+1F12F;V
+1F130;M;0061
+1F131;M;0062
+1F132;M;0063
+1F133;M;0064
+1F134;M;0065
+1F135;M;0066
+1F136;M;0067
+1F137;M;0068
+1F138;M;0069
+1F139;M;006A
+1F13A;M;006B
+1F13B;M;006C
+1F13C;M;006D
+1F13D;M;006E
+1F13E;M;006F
+1F13F;M;0070
+1F140;M;0071
+1F141;M;0072
+1F142;M;0073
+1F143;M;0074
+1F144;M;0075
+1F145;M;0076
+1F146;M;0077
+1F147;M;0078
+1F148;M;0079
+1F149;M;007A
+1F14A;M;0068 0076
+1F14B;M;006D 0076
+1F14C;M;0073 0064
+1F14D;M;0073 0073
+1F14E;M;0070 0070 0076
+1F14F;M;0077 0063
+1F150;V
+1F16A;M;006D 0063
+1F16B;M;006D 0064
+1F16C;M;006D 0072
+1F16D;V
+1F190;M;0064 006A
+1F191;V
+1F1AE;X
+1F1E6;V
+1F200;M;307B 304B
+1F201;M;30B3 30B3
+1F202;M;30B5
+1F203;X
+1F210;M;624B
+1F211;M;5B57
+1F212;M;53CC
+1F213;M;30C7
+1F214;M;4E8C
+1F215;M;591A
+1F216;M;89E3
+1F217;M;5929
+1F218;M;4EA4
+1F219;M;6620
+1F21A;M;7121
+1F21B;M;6599
+1F21C;M;524D
+1F21D;M;5F8C
+1F21E;M;518D
+1F21F;M;65B0
+1F220;M;521D
+1F221;M;7D42
+1F222;M;751F
+1F223;M;8CA9
+1F224;M;58F0
+1F225;M;5439
+1F226;M;6F14
+1F227;M;6295
+1F228;M;6355
+1F229;M;4E00
+1F22A;M;4E09
+1F22B;M;904A
+1F22C;M;5DE6
+1F22D;M;4E2D
+1F22E;M;53F3
+1F22F;M;6307
+1F230;M;8D70
+1F231;M;6253
+1F232;M;7981
+1F233;M;7A7A
+1F234;M;5408
+1F235;M;6E80
+1F236;M;6709
+1F237;M;6708
+1F238;M;7533
+1F239;M;5272
+1F23A;M;55B6
+1F23B;M;914D
+1F23C;X
+1F240;M;3014 672C 3015
+1F241;M;3014 4E09 3015
+1F242;M;3014 4E8C 3015
+1F243;M;3014 5B89 3015
+1F244;M;3014 70B9 3015
+1F245;M;3014 6253 3015
+1F246;M;3014 76D7 3015
+1F247;M;3014 52DD 3015
+1F248;M;3014 6557 3015
+1F249;X
+1F250;M;5F97
+1F251;M;53EF
+1F252;X
+1F260;V
+1F266;X
+1F300;V
+1F6D8;X
+1F6DC;V
+1F6ED;X
+1F6F0;V
+1F6FD;X
+1F700;V
+1F777;X
+1F77B;V
+1F7DA;X
+1F7E0;V
+1F7EC;X
+1F7F0;V
+1F7F1;X
+1F800;V
+1F80C;X
+1F810;V
+1F848;X
+1F850;V
+1F85A;X
+1F860;V
+1F888;X
+1F890;V
+1F8AE;X
+1F8B0;V
+1F8B2;X
+1F900;V
+1FA54;X
+1FA60;V
+1FA6E;X
+1FA70;V
+1FA7D;X
+1FA80;V
+1FA89;X
+1FA90;V
+1FABE;X
+1FABF;V
+1FAC6;X
+1FACE;V
+1FADC;X
+1FAE0;V
+1FAE9;X
+1FAF0;V
+1FAF9;X
+1FB00;V
+1FB93;X
+1FB94;V
+1FBCB;X
+1FBF0;M;0030
+1FBF1;M;0031
+1FBF2;M;0032
+1FBF3;M;0033
+1FBF4;M;0034
+1FBF5;M;0035
+1FBF6;M;0036
+1FBF7;M;0037
+1FBF8;M;0038
+1FBF9;M;0039
+1FBFA;X
+20000;V
+2A6E0;X
+2A700;V
+2B73A;X
+2B740;V
+2B81E;X
+2B820;V
+2CEA2;X
+2CEB0;V
+2EBE1;X
+2EBF0;V
+2EE5E;X
+2F800;M;4E3D
+2F801;M;4E38
+2F802;M;4E41
+2F803;M;20122
+2F804;M;4F60
+2F805;M;4FAE
+2F806;M;4FBB
+2F807;M;5002
+2F808;M;507A
+2F809;M;5099
+2F80A;M;50E7
+2F80B;M;50CF
+2F80C;M;349E
+2F80D;M;2063A
+2F80E;M;514D
+2F80F;M;5154
+2F810;M;5164
+2F811;M;5177
+2F812;M;2051C
+2F813;M;34B9
+2F814;M;5167
+2F815;M;518D
+2F816;M;2054B
+2F817;M;5197
+2F818;M;51A4
+2F819;M;4ECC
+2F81A;M;51AC
+2F81B;M;51B5
+2F81C;M;291DF
+2F81D;M;51F5
+2F81E;M;5203
+2F81F;M;34DF
+2F820;M;523B
+2F821;M;5246
+2F822;M;5272
+2F823;M;5277
+2F824;M;3515
+2F825;M;52C7
+2F826;M;52C9
+2F827;M;52E4
+2F828;M;52FA
+2F829;M;5305
+2F82A;M;5306
+2F82B;M;5317
+2F82C;M;5349
+2F82D;M;5351
+2F82E;M;535A
+2F82F;M;5373
+2F830;M;537D
+2F831;M;537F
+2F834;M;20A2C
+2F835;M;7070
+2F836;M;53CA
+2F837;M;53DF
+2F838;M;20B63
+2F839;M;53EB
+2F83A;M;53F1
+2F83B;M;5406
+2F83C;M;549E
+2F83D;M;5438
+2F83E;M;5448
+2F83F;M;5468
+2F840;M;54A2
+2F841;M;54F6
+2F842;M;5510
+2F843;M;5553
+2F844;M;5563
+2F845;M;5584
+2F847;M;5599
+2F848;M;55AB
+2F849;M;55B3
+2F84A;M;55C2
+2F84B;M;5716
+2F84C;M;5606
+2F84D;M;5717
+2F84E;M;5651
+2F84F;M;5674
+2F850;M;5207
+2F851;M;58EE
+2F852;M;57CE
+2F853;M;57F4
+2F854;M;580D
+2F855;M;578B
+2F856;M;5832
+2F857;M;5831
+2F858;M;58AC
+2F859;M;214E4
+2F85A;M;58F2
+2F85B;M;58F7
+2F85C;M;5906
+2F85D;M;591A
+2F85E;M;5922
+2F85F;M;5962
+2F860;M;216A8
+2F861;M;216EA
+2F862;M;59EC
+2F863;M;5A1B
+2F864;M;5A27
+2F865;M;59D8
+2F866;M;5A66
+2F867;M;36EE
+2F868;X
+2F869;M;5B08
+2F86A;M;5B3E
+2F86C;M;219C8
+2F86D;M;5BC3
+2F86E;M;5BD8
+2F86F;M;5BE7
+2F870;M;5BF3
+2F871;M;21B18
+2F872;M;5BFF
+2F873;M;5C06
+2F874;X
+2F875;M;5C22
+2F876;M;3781
+2F877;M;5C60
+2F878;M;5C6E
+2F879;M;5CC0
+2F87A;M;5C8D
+2F87B;M;21DE4
+2F87C;M;5D43
+2F87D;M;21DE6
+2F87E;M;5D6E
+2F87F;M;5D6B
+2F880;M;5D7C
+2F881;M;5DE1
+2F882;M;5DE2
+2F883;M;382F
+2F884;M;5DFD
+2F885;M;5E28
+2F886;M;5E3D
+2F887;M;5E69
+2F888;M;3862
+2F889;M;22183
+2F88A;M;387C
+2F88B;M;5EB0
+2F88C;M;5EB3
+2F88D;M;5EB6
+2F88E;M;5ECA
+2F88F;M;2A392
+2F890;M;5EFE
+2F891;M;22331
+2F893;M;8201
+2F894;M;5F22
+2F896;M;38C7
+2F897;M;232B8
+2F898;M;261DA
+2F899;M;5F62
+2F89A;M;5F6B
+2F89B;M;38E3
+2F89C;M;5F9A
+2F89D;M;5FCD
+2F89E;M;5FD7
+2F89F;M;5FF9
+2F8A0;M;6081
+2F8A1;M;393A
+2F8A2;M;391C
+2F8A3;M;6094
+2F8A4;M;226D4
+2F8A5;M;60C7
+2F8A6;M;6148
+2F8A7;M;614C
+2F8A8;M;614E
+2F8A9;M;614C
+2F8AA;M;617A
+2F8AB;M;618E
+2F8AC;M;61B2
+2F8AD;M;61A4
+2F8AE;M;61AF
+2F8AF;M;61DE
+2F8B0;M;61F2
+2F8B1;M;61F6
+2F8B2;M;6210
+2F8B3;M;621B
+2F8B4;M;625D
+2F8B5;M;62B1
+2F8B6;M;62D4
+2F8B7;M;6350
+2F8B8;M;22B0C
+2F8B9;M;633D
+2F8BA;M;62FC
+2F8BB;M;6368
+2F8BC;M;6383
+2F8BD;M;63E4
+2F8BE;M;22BF1
+2F8BF;M;6422
+2F8C0;M;63C5
+2F8C1;M;63A9
+2F8C2;M;3A2E
+2F8C3;M;6469
+2F8C4;M;647E
+2F8C5;M;649D
+2F8C6;M;6477
+2F8C7;M;3A6C
+2F8C8;M;654F
+2F8C9;M;656C
+2F8CA;M;2300A
+2F8CB;M;65E3
+2F8CC;M;66F8
+2F8CD;M;6649
+2F8CE;M;3B19
+2F8CF;M;6691
+2F8D0;M;3B08
+2F8D1;M;3AE4
+2F8D2;M;5192
+2F8D3;M;5195
+2F8D4;M;6700
+2F8D5;M;669C
+2F8D6;M;80AD
+2F8D7;M;43D9
+2F8D8;M;6717
+2F8D9;M;671B
+2F8DA;M;6721
+2F8DB;M;675E
+2F8DC;M;6753
+2F8DD;M;233C3
+2F8DE;M;3B49
+2F8DF;M;67FA
+2F8E0;M;6785
+2F8E1;M;6852
+2F8E2;M;6885
+2F8E3;M;2346D
+2F8E4;M;688E
+2F8E5;M;681F
+2F8E6;M;6914
+2F8E7;M;3B9D
+2F8E8;M;6942
+2F8E9;M;69A3
+2F8EA;M;69EA
+2F8EB;M;6AA8
+2F8EC;M;236A3
+2F8ED;M;6ADB
+2F8EE;M;3C18
+2F8EF;M;6B21
+2F8F0;M;238A7
+2F8F1;M;6B54
+2F8F2;M;3C4E
+2F8F3;M;6B72
+2F8F4;M;6B9F
+2F8F5;M;6BBA
+2F8F6;M;6BBB
+2F8F7;M;23A8D
+2F8F8;M;21D0B
+2F8F9;M;23AFA
+2F8FA;M;6C4E
+2F8FB;M;23CBC
+2F8FC;M;6CBF
+2F8FD;M;6CCD
+2F8FE;M;6C67
+2F8FF;M;6D16
+2F900;M;6D3E
+2F901;M;6D77
+2F902;M;6D41
+2F903;M;6D69
+2F904;M;6D78
+2F905;M;6D85
+2F906;M;23D1E
+2F907;M;6D34
+2F908;M;6E2F
+2F909;M;6E6E
+2F90A;M;3D33
+2F90B;M;6ECB
+2F90C;M;6EC7
+2F90D;M;23ED1
+2F90E;M;6DF9
+2F90F;M;6F6E
+2F910;M;23F5E
+2F911;M;23F8E
+2F912;M;6FC6
+2F913;M;7039
+2F914;M;701E
+2F915;M;701B
+2F916;M;3D96
+2F917;M;704A
+2F918;M;707D
+2F919;M;7077
+2F91A;M;70AD
+2F91B;M;20525
+2F91C;M;7145
+2F91D;M;24263
+2F91E;M;719C
+2F91F;X
+2F920;M;7228
+2F921;M;7235
+2F922;M;7250
+2F923;M;24608
+2F924;M;7280
+2F925;M;7295
+2F926;M;24735
+2F927;M;24814
+2F928;M;737A
+2F929;M;738B
+2F92A;M;3EAC
+2F92B;M;73A5
+2F92C;M;3EB8
+2F92E;M;7447
+2F92F;M;745C
+2F930;M;7471
+2F931;M;7485
+2F932;M;74CA
+2F933;M;3F1B
+2F934;M;7524
+2F935;M;24C36
+2F936;M;753E
+2F937;M;24C92
+2F938;M;7570
+2F939;M;2219F
+2F93A;M;7610
+2F93B;M;24FA1
+2F93C;M;24FB8
+2F93D;M;25044
+2F93E;M;3FFC
+2F93F;M;4008
+2F940;M;76F4
+2F941;M;250F3
+2F942;M;250F2
+2F943;M;25119
+2F944;M;25133
+2F945;M;771E
+2F946;M;771F
+2F948;M;774A
+2F949;M;4039
+2F94A;M;778B
+2F94B;M;4046
+2F94C;M;4096
+2F94D;M;2541D
+2F94E;M;784E
+2F94F;M;788C
+2F950;M;78CC
+2F951;M;40E3
+2F952;M;25626
+2F953;M;7956
+2F954;M;2569A
+2F955;M;256C5
+2F956;M;798F
+2F957;M;79EB
+2F958;M;412F
+2F959;M;7A40
+2F95A;M;7A4A
+2F95B;M;7A4F
+2F95C;M;2597C
+2F95D;M;25AA7
+2F95F;X
+2F960;M;4202
+2F961;M;25BAB
+2F962;M;7BC6
+2F963;M;7BC9
+2F964;M;4227
+2F965;M;25C80
+2F966;M;7CD2
+2F967;M;42A0
+2F968;M;7CE8
+2F969;M;7CE3
+2F96A;M;7D00
+2F96B;M;25F86
+2F96C;M;7D63
+2F96D;M;4301
+2F96E;M;7DC7
+2F96F;M;7E02
+2F970;M;7E45
+2F971;M;4334
+2F972;M;26228
+2F973;M;26247
+2F974;M;4359
+2F975;M;262D9
+2F976;M;7F7A
+2F977;M;2633E
+2F978;M;7F95
+2F979;M;7FFA
+2F97A;M;8005
+2F97B;M;264DA
+2F97C;M;26523
+2F97D;M;8060
+2F97E;M;265A8
+2F97F;M;8070
+2F980;M;2335F
+2F981;M;43D5
+2F982;M;80B2
+2F983;M;8103
+2F984;M;440B
+2F985;M;813E
+2F986;M;5AB5
+2F987;M;267A7
+2F988;M;267B5
+2F989;M;23393
+2F98A;M;2339C
+2F98B;M;8201
+2F98C;M;8204
+2F98D;M;8F9E
+2F98E;M;446B
+2F98F;M;8291
+2F990;M;828B
+2F991;M;829D
+2F992;M;52B3
+2F993;M;82B1
+2F994;M;82B3
+2F995;M;82BD
+2F996;M;82E6
+2F997;M;26B3C
+2F998;M;82E5
+2F999;M;831D
+2F99A;M;8363
+2F99B;M;83AD
+2F99C;M;8323
+2F99D;M;83BD
+2F99E;M;83E7
+2F99F;M;8457
+2F9A0;M;8353
+2F9A1;M;83CA
+2F9A2;M;83CC
+2F9A3;M;83DC
+2F9A4;M;26C36
+2F9A5;M;26D6B
+2F9A6;M;26CD5
+2F9A7;M;452B
+2F9A8;M;84F1
+2F9A9;M;84F3
+2F9AA;M;8516
+2F9AB;M;273CA
+2F9AC;M;8564
+2F9AD;M;26F2C
+2F9AE;M;455D
+2F9AF;M;4561
+2F9B0;M;26FB1
+2F9B1;M;270D2
+2F9B2;M;456B
+2F9B3;M;8650
+2F9B4;M;865C
+2F9B5;M;8667
+2F9B6;M;8669
+2F9B7;M;86A9
+2F9B8;M;8688
+2F9B9;M;870E
+2F9BA;M;86E2
+2F9BB;M;8779
+2F9BC;M;8728
+2F9BD;M;876B
+2F9BE;M;8786
+2F9BF;X
+2F9C0;M;87E1
+2F9C1;M;8801
+2F9C2;M;45F9
+2F9C3;M;8860
+2F9C4;M;8863
+2F9C5;M;27667
+2F9C6;M;88D7
+2F9C7;M;88DE
+2F9C8;M;4635
+2F9C9;M;88FA
+2F9CA;M;34BB
+2F9CB;M;278AE
+2F9CC;M;27966
+2F9CD;M;46BE
+2F9CE;M;46C7
+2F9CF;M;8AA0
+2F9D0;M;8AED
+2F9D1;M;8B8A
+2F9D2;M;8C55
+2F9D3;M;27CA8
+2F9D4;M;8CAB
+2F9D5;M;8CC1
+2F9D6;M;8D1B
+2F9D7;M;8D77
+2F9D8;M;27F2F
+2F9D9;M;20804
+2F9DA;M;8DCB
+2F9DB;M;8DBC
+2F9DC;M;8DF0
+2F9DD;M;208DE
+2F9DE;M;8ED4
+2F9DF;M;8F38
+2F9E0;M;285D2
+2F9E1;M;285ED
+2F9E2;M;9094
+2F9E3;M;90F1
+2F9E4;M;9111
+2F9E5;M;2872E
+2F9E6;M;911B
+2F9E7;M;9238
+2F9E8;M;92D7
+2F9E9;M;92D8
+2F9EA;M;927C
+2F9EB;M;93F9
+2F9EC;M;9415
+2F9ED;M;28BFA
+2F9EE;M;958B
+2F9EF;M;4995
+2F9F0;M;95B7
+2F9F1;M;28D77
+2F9F2;M;49E6
+2F9F3;M;96C3
+2F9F4;M;5DB2
+2F9F5;M;9723
+2F9F6;M;29145
+2F9F7;M;2921A
+2F9F8;M;4A6E
+2F9F9;M;4A76
+2F9FA;M;97E0
+2F9FB;M;2940A
+2F9FC;M;4AB2
+2F9FD;M;29496
+2F9FE;M;980B
+2FA00;M;9829
+2FA01;M;295B6
+2FA02;M;98E2
+2FA03;M;4B33
+2FA04;M;9929
+2FA05;M;99A7
+2FA06;M;99C2
+2FA07;M;99FE
+2FA08;M;4BCE
+2FA09;M;29B30
+2FA0A;M;9B12
+2FA0B;M;9C40
+2FA0C;M;9CFD
+2FA0D;M;4CCE
+2FA0E;M;4CED
+2FA0F;M;9D67
+2FA10;M;2A0CE
+2FA11;M;4CF8
+2FA12;M;2A105
+2FA13;M;2A20E
+2FA14;M;2A291
+2FA15;M;9EBB
+2FA16;M;4D56
+2FA17;M;9EF9
+2FA18;M;9EFE
+2FA19;M;9F05
+2FA1A;M;9F0F
+2FA1B;M;9F16
+2FA1C;M;9F3B
+2FA1D;M;2A600
+2FA1E;X
+30000;V
+3134B;X
+31350;V
+323B0;X
+E0100;I
+E01F0;X
+`;
+
+export {
+  idnaMappingTable,
+};
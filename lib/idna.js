@@ -0,0 +1,248 @@
+// UTS #46 (Unicode IDNA Compatibility Processing), in nontransitional mode
+// and with the flags used by the WHATWG URL Standard: CheckHyphens=false,
+// CheckBidi=true, CheckJoiners=true, UseSTD3ASCIIRules=false and
+// VerifyDnsLength=false.
+//
+// Reference: https://www.unicode.org/reports/tr46/
+//
+// Mapping and the validity of code points follow the bundled IDNA Mapping
+// Table. The Bidi Rule only has a rough Bidi_Class lookup to go by, see
+// bidiClass().
+
+import { decode, encode } from '@frida/punycode';
+import { idnaMappingTable } from './idna-mapping-table.js';
+
+const startsWithCombiningMark = /^\p{M}/u;
+
+// Code points with Canonical_Combining_Class=Virama, which is what allows a
+// ZERO WIDTH (NON-)JOINER to follow.
+const viramas = new RegExp(
+  '[\\u094D\\u09CD\\u0A4D\\u0ACD\\u0B4D\\u0BCD\\u0C4D\\u0CCD\\u0D3B\\u0D3C' +
+  '\\u0D4D\\u0DCA\\u0E3A\\u0EBA\\u0F84\\u1039\\u103A\\u1714\\u1734\\u17D2' +
+  '\\u1A60\\u1B44\\u1BAA\\u1BAB\\u1BF2\\u1BF3\\u2D7F\\uA806\\uA8C4\\uA953' +
+  '\\uA9C0\\uAAF6\\uABED\\u{10A3F}\\u{11046}\\u{1107F}\\u{110B9}\\u{11133}' +
+  '\\u{11134}\\u{111C0}\\u{11235}\\u{112EA}\\u{1134D}\\u{11442}\\u{114C2}' +
+  '\\u{115BF}\\u{1163F}\\u{116B6}\\u{1172B}\\u{11839}\\u{119E0}\\u{11A34}' +
+  '\\u{11A47}\\u{11A99}\\u{11C3F}\\u{11D44}\\u{11D45}\\u{11D97}]$',
+  'u'
+);
+
+const rtlCodePoints = new RegExp(
+  '[\\u0590-\\u08FF\\uFB1D-\\uFDFF\\uFE70-\\uFEFF' +
+  '\\u{10800}-\\u{10FFF}\\u{1E800}-\\u{1EFFF}]',
+  'u'
+);
+
+// A rough Bidi_Class lookup, good enough for the Bidi Rule of RFC 5893.
+function bidiClass(ch) {
+  if (/[0-9\u06F0-\u06F9]/.test(ch))
+    return 'EN';
+  if (/[\u0660-\u0669\u066B\u066C]/.test(ch))
+    return 'AN';
+  if (/[\p{Mn}\p{Me}]/u.test(ch))
+    return 'NSM';
+  if (rtlCodePoints.test(ch))
+    return 'R';
+  if (/[\p{L}\p{Mc}]/u.test(ch))
+    return 'L';
+  return 'ON';
+}
+
+function satisfiesBidiRule(label) {
+  const classes = Array.from(label, bidiClass);
+  if (classes.length === 0)
+    return true;
+
+  // 1. The first character must be L, R or AL.
+  const first = classes[0];
+  if (first !== 'L' && first !== 'R')
+    return false;
+
+  let last = classes.length - 1;
+  while (last > 0 && classes[last] === 'NSM')
+    --last;
+
+  if (first === 'R') {
+    // 2-4. No L, end with R, AL, EN or AN, and no mix of EN and AN.
+    if (classes.includes('L'))
+      return false;
+    if (classes[last] === 'ON' || classes[last] === 'NSM')
+      return false;
+    return !(classes.includes('EN') && classes.includes('AN'));
+  }
+
+  // 5-6. No R, AL or AN, and end with L or EN.
+  if (classes.includes('R') || classes.includes('AN'))
+    return false;
+  return classes[last] === 'L' || classes[last] === 'EN';
+}
+
+function satisfiesContextJ(label) {
+  const codePoints = Array.from(label);
+  for (let i = 0; i < codePoints.length; ++i) {
+    const ch = codePoints[i];
+    if ((ch === '\u200C' || ch === '\u200D') &&
+        (i === 0 || !viramas.test(codePoints[i - 1])))
+      return false;
+  }
+  return true;
+}
+
+// The mapping table, parsed lazily so that importing this module stays
+// cheap: `starts` holds the first code point of each range, and `statuses`
+// and `mappings` the status and, if any, the mapping that apply to it.
+let table = null;
+
+function getTable() {
+  if (table !== null)
+    return table;
+  const lines = idnaMappingTable.split('\n');
+  if (lines[lines.length - 1] === '')
+    lines.pop();
+  table = {
+    starts: new Uint32Array(lines.length),
+    statuses: new Array(lines.length),
+    mappings: new Array(lines.length),
+  };
+  for (let i = 0; i < lines.length; ++i) {
+    const fields = lines[i].split(';');
+    table.starts[i] = parseInt(fields[0], 16);
+    table.statuses[i] = fields[1];
+    if (fields.length < 3) {
+      table.mappings[i] = null;
+    } else {
+      const codePoints = fields[2] === '' ? [] : fields[2].split(' ');
+      table.mappings[i] = String.fromCodePoint(
+        ...codePoints.map((hex) => parseInt(hex, 16)));
+    }
+  }
+  return table;
+}
+
+// Returns the index of the range of the mapping table that `codePoint` is
+// in.
+function lookup(codePoint) {
+  const { starts } = getTable();
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >>> 1;
+    if (starts[mid] <= codePoint)
+      low = mid;
+    else
+      high = mid - 1;
+  }
+  return low;
+}
+
+// Implements the mapping step, with UseSTD3ASCIIRules=false and
+// Transitional_Processing=false. Disallowed code points are left as they
+// are, for the validity criteria to reject.
+function map(domain) {
+  const { statuses, mappings } = getTable();
+  let output = '';
+  for (const ch of domain) {
+    const index = lookup(ch.codePointAt(0));
+    const status = statuses[index];
+    if (status === 'I')
+      continue;
+    if (status === 'M' || (status === '3' && mappings[index] !== null))
+      output += mappings[index];
+    else
+      output += ch;
+  }
+  return output.normalize('NFC');
+}
+
+// Returns whether `ch` has a status that the validity criteria allow, with
+// the flags above: valid, deviation, or disallowed_STD3_valid.
+function isValidCodePoint(ch) {
+  const { statuses, mappings } = getTable();
+  const index = lookup(ch.codePointAt(0));
+  const status = statuses[index];
+  return status === 'V' || status === 'D' ||
+         (status === '3' && mappings[index] === null);
+}
+
+function isValidLabel(label) {
+  if (label.normalize('NFC') !== label)
+    return false;
+  if (label.startsWith('xn--'))
+    return false;
+  if (label.includes('.'))
+    return false;
+  if (startsWithCombiningMark.test(label))
+    return false;
+  for (const ch of label) {
+    // ASCII is left to the forbidden domain code point check of the host
+    // parser.
+    if (ch.charCodeAt(0) >= 0x80 && !isValidCodePoint(ch))
+      return false;
+  }
+  return satisfiesContextJ(label);
+}
+
+// Runs the UTS #46 "Processing" steps, returning the Unicode labels, or null
+// if there were any errors.
+function processDomain(domain) {
+  const labels = map(domain).split('.');
+  for (let i = 0; i < labels.length; ++i) {
+    let label = labels[i];
+    if (label.startsWith('xn--')) {
+      if (/[^\0-\x7F]/.test(label))
+        return null;
+      try {
+        label = decode(label.slice(4));
+      } catch {
+        return null;
+      }
+      if (label === '' || !/[^\0-\x7F]/.test(label))
+        return null;
+      labels[i] = label;
+    }
+    if (!isValidLabel(label))
+      return null;
+  }
+
+  const isBidiDomain = labels.some((label) => {
+    return Array.from(label).some((ch) => {
+      const cls = bidiClass(ch);
+      return cls === 'R' || cls === 'AN';
+    });
+  });
+  if (isBidiDomain && !labels.every(satisfiesBidiRule))
+    return null;
+
+  return labels;
+}
+
+// Returns the ASCII form of `domain`, or null if it isn't a valid IDN.
+function toASCII(domain) {
+  const labels = processDomain(domain);
+  if (labels === null)
+    return null;
+
+  for (let i = 0; i < labels.length; ++i) {
+    if (/[^\0-\x7F]/.test(labels[i])) {
+      try {
+        labels[i] = 'xn--' + encode(labels[i]);
+      } catch {
+        return null;
+      }
+    }
+  }
+
+  const result = labels.join('.');
+  return result === '' ? null : result;
+}
+
+// Returns the Unicode form of `domain`, or null if it isn't a valid IDN.
+function toUnicode(domain) {
+  const labels = processDomain(domain);
+  return labels === null ? null : labels.join('.');
+}
+
+export {
+  toASCII,
+  toUnicode,
+};
@@ -0,0 +1,195 @@
+// Parsing and generation of mailto: URIs.
+//
+// Reference: https://www.rfc-editor.org/rfc/rfc6068
+
+import {
+  ERR_ARG_NOT_ITERABLE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+} from './errors.js';
+import { percentDecode, percentEncode } from './percent-encoding.js';
+import { basicURLParse, serializeURL } from './whatwg-url.js';
+
+const CHAR_COMMA = 44;
+
+// The characters allowed unescaped in an hfname or hfvalue (qchar): the
+// unreserved characters and some-delims. Addresses escape the comma too, as
+// it separates them.
+const noEscapeHeader = new Int8Array(128);
+const qchars =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789' +
+  '-._~!$\'()*+,;:@';
+for (let i = 0; i < qchars.length; ++i)
+  noEscapeHeader[qchars.charCodeAt(i)] = 1;
+const noEscapeAddress = new Int8Array(noEscapeHeader);
+noEscapeAddress[CHAR_COMMA] = 0;
+
+const addressFields = ['to', 'cc', 'bcc'];
+const textFields = [
+  ['in-reply-to', 'inReplyTo'],
+  ['subject', 'subject'],
+  ['body', 'body'],
+];
+
+function isKnownHeader(name) {
+  return addressFields.includes(name) ||
+         textFields.some((field) => field[0] === name);
+}
+
+// Splits a raw, comma-separated address list and decodes its entries.
+// Commas within an address are percent-encoded, so they survive the split.
+function parseAddresses(input, addresses) {
+  const parts = input.split(',');
+  for (let i = 0; i < parts.length; ++i) {
+    if (parts[i] !== '')
+      addresses.push(percentDecode(parts[i]));
+  }
+}
+
+// Returns `{ to, cc, bcc, subject, body, inReplyTo, headers }` for a mailto:
+// URI, or null if `input` isn't one. `to`, `cc` and `bcc` are arrays of
+// addresses, with any `to` hfields appended to the addresses of the path.
+// `subject`, `body` and `inReplyTo` are null when absent; if one is given
+// more than once, the first wins. `headers` holds the other hfields as
+// [name, value] pairs, with lowercased names. Everything is percent-decoded
+// as UTF-8, and unlike in form data, "+" stays a plus sign.
+function parseMailto(input) {
+  let href = input;
+  if (typeof href !== 'string') {
+    if (input !== null && typeof input === 'object')
+      href = input.href;
+    if (typeof href !== 'string')
+      throw new ERR_INVALID_ARG_TYPE('input', ['string', 'URL'], input);
+  }
+
+  const url = basicURLParse(href);
+  if (url === null || url.scheme !== 'mailto')
+    return null;
+
+  const mailto = {
+    to: [],
+    cc: [],
+    bcc: [],
+    subject: null,
+    body: null,
+    inReplyTo: null,
+    headers: [],
+  };
+
+  const serialized = serializeURL(url, true).slice(7);
+  const questionIdx = serialized.indexOf('?');
+  const path = questionIdx === -1 ?
+    serialized :
+    serialized.slice(0, questionIdx);
+  parseAddresses(path, mailto.to);
+  if (questionIdx === -1)
+    return mailto;
+
+  const hfields = serialized.slice(questionIdx + 1).split('&');
+  for (let i = 0; i < hfields.length; ++i) {
+    const hfield = hfields[i];
+    if (hfield === '')
+      continue;
+    const equalIdx = hfield.indexOf('=');
+    const rawName = equalIdx === -1 ? hfield : hfield.slice(0, equalIdx);
+    const rawValue = equalIdx === -1 ? '' : hfield.slice(equalIdx + 1);
+    const name = percentDecode(rawName).toLowerCase();
+
+    if (addressFields.includes(name)) {
+      parseAddresses(rawValue, mailto[name]);
+      continue;
+    }
+    const value = percentDecode(rawValue);
+    const field = textFields.find((entry) => entry[0] === name);
+    if (field === undefined)
+      mailto.headers.push([name, value]);
+    else if (mailto[field[1]] === null)
+      mailto[field[1]] = value;
+  }
+
+  return mailto;
+}
+
+function toAddressList(value, name) {
+  if (value === undefined || value === null)
+    return [];
+  if (typeof value === 'string')
+    return [value];
+  if (!Array.isArray(value))
+    throw new ERR_INVALID_ARG_TYPE(name, ['string', 'Array'], value);
+  for (let i = 0; i < value.length; ++i) {
+    if (typeof value[i] !== 'string')
+      throw new ERR_INVALID_ARG_TYPE(`${name}[${i}]`, 'string', value[i]);
+  }
+  return value;
+}
+
+function formatAddresses(addresses) {
+  let output = '';
+  for (let i = 0; i < addresses.length; ++i) {
+    if (addresses[i] === '')
+      continue;
+    if (output !== '')
+      output += ',';
+    output += percentEncode(addresses[i], noEscapeAddress);
+  }
+  return output;
+}
+
+// Builds a mailto: URI from an object shaped like the result of
+// parseMailto(), escaping every field so that user data can't smuggle in
+// extra addresses or headers. `to`, `cc` and `bcc` may also be a single
+// address, and `headers` any iterable of [name, value] pairs.
+function formatMailto(mailto) {
+  if (mailto === null || typeof mailto !== 'object')
+    throw new ERR_INVALID_ARG_TYPE('mailto', 'Object', mailto);
+
+  const hfields = [];
+  const to = formatAddresses(toAddressList(mailto.to, 'mailto.to'));
+  for (let i = 1; i < addressFields.length; ++i) {
+    const name = addressFields[i];
+    const value =
+      formatAddresses(toAddressList(mailto[name], `mailto.${name}`));
+    if (value !== '')
+      hfields.push(`${name}=${value}`);
+  }
+
+  for (let i = 0; i < textFields.length; ++i) {
+    const [name, key] = textFields[i];
+    const value = mailto[key];
+    if (value === undefined || value === null)
+      continue;
+    if (typeof value !== 'string')
+      throw new ERR_INVALID_ARG_TYPE(`mailto.${key}`, 'string', value);
+    hfields.push(`${name}=${percentEncode(value, noEscapeHeader)}`);
+  }
+
+  if (mailto.headers !== undefined && mailto.headers !== null) {
+    if (typeof mailto.headers[Symbol.iterator] !== 'function')
+      throw new ERR_ARG_NOT_ITERABLE('mailto.headers');
+    for (const pair of mailto.headers) {
+      if (pair === null || typeof pair !== 'object' ||
+          typeof pair[0] !== 'string' || typeof pair[1] !== 'string') {
+        throw new ERR_INVALID_ARG_VALUE('mailto.headers', pair,
+                                        'must only contain string pairs');
+      }
+      const name = pair[0].toLowerCase();
+      if (name === '' || isKnownHeader(name)) {
+        throw new ERR_INVALID_ARG_VALUE('mailto.headers', pair[0],
+                                        'contains an invalid header name');
+      }
+      hfields.push(`${percentEncode(name, noEscapeHeader)}=` +
+                   percentEncode(pair[1], noEscapeHeader));
+    }
+  }
+
+  let output = `mailto:${to}`;
+  if (hfields.length > 0)
+    output += `?${hfields.join('&')}`;
+  return output;
+}
+
+export {
+  parseMailto,
+  formatMailto,
+};
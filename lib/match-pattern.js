@@ -0,0 +1,211 @@
+// Match patterns, as used by browser extensions, e.g. "*://*.example.com/*".
+// The path part is a glob that is matched against the path and query.
+//
+// Reference: https://developer.chrome.com/docs/extensions/mv3/match_patterns/
+
+import { toASCII } from '@frida/punycode';
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_ARG_NOT_ITERABLE,
+} from './errors.js';
+import {
+  forbiddenHostChars,
+  parseIPv6Address,
+  formatIPv6Address,
+} from './host.js';
+import { getDefaultPort } from './schemes.js';
+
+const CHAR_LEFT_SQUARE_BRACKET = 91;
+const CHAR_RIGHT_SQUARE_BRACKET = 93;
+
+const matchPatternPattern = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)$/i;
+const wildcardSchemes = ['http:', 'https:', 'ws:', 'wss:'];
+const allURLsSchemes = ['http:', 'https:', 'ws:', 'wss:', 'ftp:', 'file:'];
+
+// Parses the argument of test() and matches(), a string, Url or URL, into a
+// Url. url.js hands its parser over through setUrlParser(), as this module
+// can't import it without a cycle.
+let parseUrl = null;
+
+function setUrlParser(parse) {
+  parseUrl = parse;
+}
+
+function MatchPattern(pattern) {
+  this.pattern = pattern;
+  this.schemes = null;
+  this.host = null;
+  this.matchSubdomains = false;
+  this.port = null;
+  this.path = null;
+
+  if (pattern === '<all_urls>') {
+    this.schemes = allURLsSchemes;
+    return;
+  }
+
+  const match = matchPatternPattern.exec(pattern);
+  if (match === null)
+    throw invalidMatchPattern(pattern);
+  const scheme = match[1].toLowerCase();
+  this.schemes = scheme === '*' ? wildcardSchemes : [scheme + ':'];
+
+  let host = match[2];
+  let portIdx = host.lastIndexOf(':');
+  if (portIdx < host.lastIndexOf(']'))
+    portIdx = -1;
+  if (portIdx !== -1) {
+    const port = host.slice(portIdx + 1);
+    if (port !== '*') {
+      if (!/^[0-9]{1,5}$/.test(port) || Number(port) > 65535)
+        throw invalidMatchPattern(pattern);
+      this.port = Number(port);
+    }
+    host = host.slice(0, portIdx);
+  }
+
+  if (host === '') {
+    if (scheme !== 'file')
+      throw invalidMatchPattern(pattern);
+    this.host = '';
+  } else if (host !== '*') {
+    if (host.startsWith('*.')) {
+      this.matchSubdomains = true;
+      host = host.slice(2);
+    }
+    this.host = canonicalizePatternHost(host);
+    if (this.host === null)
+      throw invalidMatchPattern(pattern);
+  }
+
+  if (match[3] !== '/*') {
+    const path = match[3].split('*').map(escapeRegExp).join('.*');
+    this.path = new RegExp(`^${path}$`);
+  }
+}
+
+// Returns whether `url`, a string, Url or URL, matches the pattern.
+MatchPattern.prototype.test = function test(url) {
+  return this.testParsed(parseUrl(url));
+};
+
+MatchPattern.prototype.testParsed = function testParsed(parsed) {
+  if (!this.schemes.includes(parsed.protocol))
+    return false;
+  const hostname = parsed.hostname || '';
+  if (this.host !== null &&
+      hostname !== this.host &&
+      !(this.matchSubdomains && hostname.endsWith('.' + this.host)))
+    return false;
+  if (this.port !== null) {
+    const port = parsed.port ?
+      Number(parsed.port) :
+      getDefaultPort(parsed.protocol);
+    if (port !== this.port)
+      return false;
+  }
+  return this.path === null || this.path.test(parsed.path || '/');
+};
+
+MatchPattern.prototype.toString = function toString() {
+  return this.pattern;
+};
+
+function invalidMatchPattern(pattern) {
+  return new ERR_INVALID_ARG_VALUE('pattern', pattern,
+                                   'is not a valid match pattern');
+}
+
+// Lowercases and punycodes a host the way the parser does, or returns null
+// if it is invalid.
+function canonicalizePatternHost(host) {
+  if (host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET) {
+    if (host.charCodeAt(host.length - 1) !== CHAR_RIGHT_SQUARE_BRACKET)
+      return null;
+    const address = parseIPv6Address(host.slice(1, -1));
+    return address === null ? null : formatIPv6Address(address);
+  }
+  if (host.includes('*'))
+    return null;
+  try {
+    host = toASCII(host.toLowerCase());
+  } catch {
+    return null;
+  }
+  if (forbiddenHostChars.test(host))
+    return null;
+  return host;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+function compileMatchPattern(pattern) {
+  if (typeof pattern !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('pattern', 'string', pattern);
+  return new MatchPattern(pattern);
+}
+
+// A set of match patterns, indexed by host so that testing a URL against
+// many of them only looks at those that can match it.
+function MatchPatternSet(patterns = []) {
+  if (patterns === null || typeof patterns[Symbol.iterator] !== 'function')
+    throw new ERR_ARG_NOT_ITERABLE('patterns');
+  this.patterns = [];
+  this.anyHost = [];
+  this.byHost = new Map();
+  this.bySuperdomain = new Map();
+  for (const pattern of patterns) {
+    const compiled = pattern instanceof MatchPattern ?
+      pattern :
+      compileMatchPattern(pattern);
+    const index = this.patterns.length;
+    this.patterns.push(compiled);
+    if (compiled.host === null) {
+      this.anyHost.push(index);
+      continue;
+    }
+    addToMapList(this.byHost, compiled.host, index);
+    if (compiled.matchSubdomains)
+      addToMapList(this.bySuperdomain, compiled.host, index);
+  }
+}
+
+// Returns whether `url`, a string, Url or URL, matches any of the patterns.
+MatchPatternSet.prototype.test = function test(url) {
+  return this.matches(url).length > 0;
+};
+
+// Returns the patterns that `url` matches, in the order they were given.
+MatchPatternSet.prototype.matches = function matches(url) {
+  const parsed = parseUrl(url);
+  const hostname = parsed.hostname || '';
+  let candidates = this.anyHost.concat(this.byHost.get(hostname) || []);
+  let dotIdx = hostname.indexOf('.');
+  while (dotIdx !== -1) {
+    const superdomain = this.bySuperdomain.get(hostname.slice(dotIdx + 1));
+    if (superdomain !== undefined)
+      candidates = candidates.concat(superdomain);
+    dotIdx = hostname.indexOf('.', dotIdx + 1);
+  }
+  return candidates
+    .sort((a, b) => a - b)
+    .map((index) => this.patterns[index])
+    .filter((pattern) => pattern.testParsed(parsed));
+};
+
+function addToMapList(map, key, value) {
+  const list = map.get(key);
+  if (list === undefined)
+    map.set(key, [value]);
+  else
+    list.push(value);
+}
+
+export {
+  compileMatchPattern,
+  MatchPatternSet,
+  setUrlParser,
+};
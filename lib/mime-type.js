@@ -0,0 +1,167 @@
+// Parsing and serialization of MIME types, as defined by the WHATWG MIME
+// Sniffing Standard.
+//
+// Reference: https://mimesniff.spec.whatwg.org/#mime-type-representation
+
+const
+  CHAR_TAB = 9,
+  CHAR_LINE_FEED = 10,
+  CHAR_CARRIAGE_RETURN = 13,
+  CHAR_SPACE = 32,
+  CHAR_DOUBLE_QUOTE = 34,
+  CHAR_SEMICOLON = 59,
+  CHAR_BACKWARD_SLASH = 92;
+
+const httpTokenPattern = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const httpQuotedStringTokenPattern = /^[\t -~\u0080-\u00FF]*$/;
+
+function isHTTPWhitespace(c) {
+  return c === CHAR_TAB ||
+         c === CHAR_LINE_FEED ||
+         c === CHAR_CARRIAGE_RETURN ||
+         c === CHAR_SPACE;
+}
+
+function trimHTTPWhitespace(input) {
+  let start = 0;
+  let end = input.length;
+  while (start < end && isHTTPWhitespace(input.charCodeAt(start)))
+    ++start;
+  while (end > start && isHTTPWhitespace(input.charCodeAt(end - 1)))
+    --end;
+  return input.slice(start, end);
+}
+
+function trimTrailingHTTPWhitespace(input) {
+  let end = input.length;
+  while (end > 0 && isHTTPWhitespace(input.charCodeAt(end - 1)))
+    --end;
+  return input.slice(0, end);
+}
+
+// Returns the index of the first of `chars` in `input` from `position` on,
+// or the length of `input` if there is none.
+function indexOfAny(input, chars, position) {
+  for (let i = position; i < input.length; ++i) {
+    if (chars.includes(input[i]))
+      return i;
+  }
+  return input.length;
+}
+
+// Implements "collect an HTTP quoted string" with the extract-value flag
+// set, starting at the opening quote. Returns the value and the position
+// just past the closing quote.
+function collectHTTPQuotedString(input, position) {
+  let value = '';
+  ++position;
+  for (;;) {
+    const end = indexOfAny(input, '"\\', position);
+    value += input.slice(position, end);
+    position = end;
+    if (position >= input.length)
+      break;
+    const quoteOrBackslash = input.charCodeAt(position);
+    ++position;
+    if (quoteOrBackslash === CHAR_BACKWARD_SLASH) {
+      if (position >= input.length) {
+        value += '\\';
+        break;
+      }
+      value += input[position];
+      ++position;
+    } else {
+      break;
+    }
+  }
+  return { value, position };
+}
+
+// Returns `{ type, subtype, parameters }`, where `parameters` is a Map, or
+// null if `input` isn't a valid MIME type.
+function parseMIMEType(input) {
+  input = trimHTTPWhitespace(input);
+
+  let position = input.indexOf('/');
+  if (position === -1)
+    return null;
+  const type = input.slice(0, position);
+  if (!httpTokenPattern.test(type))
+    return null;
+  ++position;
+
+  let end = indexOfAny(input, ';', position);
+  const subtype = trimTrailingHTTPWhitespace(input.slice(position, end));
+  if (!httpTokenPattern.test(subtype))
+    return null;
+  position = end;
+
+  const mimeType = {
+    type: type.toLowerCase(),
+    subtype: subtype.toLowerCase(),
+    parameters: new Map(),
+  };
+
+  while (position < input.length) {
+    // Skip the semicolon and any whitespace after it.
+    ++position;
+    while (position < input.length &&
+           isHTTPWhitespace(input.charCodeAt(position)))
+      ++position;
+
+    end = indexOfAny(input, ';=', position);
+    const name = input.slice(position, end).toLowerCase();
+    position = end;
+    if (position < input.length) {
+      if (input.charCodeAt(position) === CHAR_SEMICOLON)
+        continue;
+      ++position;
+    }
+    if (position >= input.length)
+      break;
+
+    let value;
+    if (input.charCodeAt(position) === CHAR_DOUBLE_QUOTE) {
+      ({ value, position } = collectHTTPQuotedString(input, position));
+      position = indexOfAny(input, ';', position);
+    } else {
+      end = indexOfAny(input, ';', position);
+      value = trimTrailingHTTPWhitespace(input.slice(position, end));
+      position = end;
+      if (value === '')
+        continue;
+    }
+
+    if (httpTokenPattern.test(name) &&
+        httpQuotedStringTokenPattern.test(value) &&
+        !mimeType.parameters.has(name))
+      mimeType.parameters.set(name, value);
+  }
+
+  return mimeType;
+}
+
+function serializeMIMEType(mimeType) {
+  let output = `${mimeType.type}/${mimeType.subtype}`;
+  for (const [name, value] of mimeType.parameters) {
+    output += `;${name}=`;
+    if (value === '' || !httpTokenPattern.test(value)) {
+      output += '"';
+      for (let i = 0; i < value.length; ++i) {
+        const c = value.charCodeAt(i);
+        if (c === CHAR_DOUBLE_QUOTE || c === CHAR_BACKWARD_SLASH)
+          output += '\\';
+        output += value[i];
+      }
+      output += '"';
+    } else {
+      output += value;
+    }
+  }
+  return output;
+}
+
+export {
+  parseMIMEType,
+  serializeMIMEType,
+};
@@ -0,0 +1,135 @@
+// The syntax-based normalization of RFC 3986 section 6.2.2, plus the
+// scheme-based one of section 6.2.3, for URLs parsed by the legacy parser.
+//
+// Reference: https://www.rfc-editor.org/rfc/rfc3986#section-6.2
+
+import { ERR_INVALID_ARG_TYPE, ERR_INVALID_ARG_VALUE } from './errors.js';
+import { getDefaultPort, isSlashedScheme } from './schemes.js';
+
+const CHAR_FORWARD_SLASH = 47;
+
+const trailingSlashPolicies = ['keep', 'add', 'remove'];
+const percentEscapePattern = /%([0-9a-fA-F]{2})/g;
+const unreservedPattern = /[A-Za-z0-9._~-]/;
+
+// Validates the options of normalize(), filling in the defaults.
+function getNormalizeOptions(options) {
+  let sortQuery = false;
+  let removeFragment = false;
+  let trailingSlash = 'keep';
+  if (options !== undefined && options !== null) {
+    if (typeof options !== 'object')
+      throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    if (options.sortQuery != null) sortQuery = Boolean(options.sortQuery);
+    if (options.removeFragment != null)
+      removeFragment = Boolean(options.removeFragment);
+    if (options.trailingSlash != null) {
+      trailingSlash = options.trailingSlash;
+      if (!trailingSlashPolicies.includes(trailingSlash)) {
+        throw new ERR_INVALID_ARG_VALUE('options.trailingSlash',
+                                        trailingSlash,
+                                        "must be 'keep', 'add' or 'remove'");
+      }
+    }
+  }
+  return { sortQuery, removeFragment, trailingSlash };
+}
+
+// Returns the normalized components of `parsed`, a Url, as properties to
+// set on a new Url. `options` is the result of getNormalizeOptions().
+function normalizeComponents(parsed, options) {
+  const result = {
+    protocol: parsed.protocol && parsed.protocol.toLowerCase(),
+    slashes: parsed.slashes,
+    auth: parsed.auth,
+    hostname: parsed.hostname,
+    port: null,
+    pathname: null,
+    search: null,
+    hash: null,
+  };
+  if (parsed.port &&
+      Number(parsed.port) !== getDefaultPort(parsed.protocol || ''))
+    result.port = parsed.port;
+
+  let pathname = parsed.pathname;
+  if (pathname !== null) {
+    pathname = normalizePercentEncoding(pathname);
+    if (pathname.charCodeAt(0) === CHAR_FORWARD_SLASH) {
+      pathname = removeDotSegments(pathname);
+      if (options.trailingSlash === 'add' &&
+          pathname.charCodeAt(pathname.length - 1) !== CHAR_FORWARD_SLASH)
+        pathname += '/';
+      else if (options.trailingSlash === 'remove')
+        pathname = pathname.replace(/(?!^)\/+$/, '');
+    }
+  }
+  if (!pathname && result.hostname && isSlashedScheme(result.protocol))
+    pathname = '/';
+  result.pathname = pathname;
+
+  if (parsed.search !== null) {
+    let search = normalizePercentEncoding(parsed.search);
+    if (options.sortQuery && search.length > 1)
+      search = '?' + sortQueryParameters(search.slice(1));
+    result.search = search;
+  }
+  if (parsed.hash !== null && !options.removeFragment)
+    result.hash = normalizePercentEncoding(parsed.hash);
+  return result;
+}
+
+// Uppercases the hex digits of percent escapes, and decodes the ones that
+// stand for unreserved characters.
+function normalizePercentEncoding(str) {
+  if (!str.includes('%'))
+    return str;
+  return str.replace(percentEscapePattern, (escape, hex) => {
+    const char = String.fromCharCode(parseInt(hex, 16));
+    return unreservedPattern.test(char) ? char : escape.toUpperCase();
+  });
+}
+
+// Implements remove_dot_segments from RFC 3986 section 5.2.4.
+function removeDotSegments(path) {
+  const output = [];
+  let input = path;
+  while (input.length > 0) {
+    if (input.startsWith('../')) {
+      input = input.slice(3);
+    } else if (input.startsWith('./') || input.startsWith('/./')) {
+      input = input.slice(2);
+    } else if (input === '/.') {
+      input = '/';
+    } else if (input.startsWith('/../') || input === '/..') {
+      input = '/' + input.slice(4);
+      output.pop();
+    } else if (input === '.' || input === '..') {
+      input = '';
+    } else {
+      let end = input.indexOf('/', 1);
+      if (end === -1)
+        end = input.length;
+      output.push(input.slice(0, end));
+      input = input.slice(end);
+    }
+  }
+  return output.join('');
+}
+
+// Stably sorts the parameters of `query` by name, by code unit.
+function sortQueryParameters(query) {
+  const params = query.split('&').map((param) => {
+    const equalIdx = param.indexOf('=');
+    return [equalIdx === -1 ? param : param.slice(0, equalIdx), param];
+  });
+  params.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return params.map((param) => param[1]).join('&');
+}
+
+export {
+  getNormalizeOptions,
+  normalizeComponents,
+  normalizePercentEncoding,
+  removeDotSegments,
+};
@@ -0,0 +1,114 @@
+// Origins, as defined by the HTML Standard, and the same-origin and same-site
+// checks built on them.
+//
+// Reference: https://html.spec.whatwg.org/multipage/browsers.html#origin
+
+import { ERR_INVALID_ARG_TYPE, ERR_INVALID_URL } from './errors.js';
+import { parseIPv4 } from './host.js';
+import { getRegistrableDomain } from './public-suffix.js';
+import { basicURLParse, serializePath } from './whatwg-url.js';
+
+const CHAR_LEFT_SQUARE_BRACKET = 91;
+
+const tupleOriginSchemes = new Set(['ftp', 'http', 'https', 'ws', 'wss']);
+
+// Either a tuple origin, with its `scheme`, `host` and `port`, the latter
+// being null for the scheme's default port, or an opaque origin, which is
+// only ever the same origin as itself.
+class Origin {
+  constructor(scheme = null, host = null, port = null) {
+    this.scheme = scheme;
+    this.host = host;
+    this.port = port;
+    Object.freeze(this);
+  }
+
+  get opaque() {
+    return this.scheme === null;
+  }
+
+  // Serializes the origin the way the Origin header does, i.e. as "null" if
+  // it is opaque.
+  toString() {
+    if (this.opaque)
+      return 'null';
+    let output = `${this.scheme}://${this.host}`;
+    if (this.port !== null)
+      output += `:${this.port}`;
+    return output;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+function originOfRecord(url) {
+  if (url.scheme === 'blob') {
+    const pathURL = basicURLParse(serializePath(url));
+    if (pathURL !== null &&
+        (pathURL.scheme === 'http' || pathURL.scheme === 'https'))
+      return originOfRecord(pathURL);
+    return new Origin();
+  }
+  if (tupleOriginSchemes.has(url.scheme))
+    return new Origin(url.scheme, url.host, url.port);
+  return new Origin();
+}
+
+// Returns the origin of `url`, which is a string or any object with a string
+// href, such as a Url or a URL. file: URLs and those of non-special schemes,
+// e.g. data: and javascript:, get a new opaque origin on every call.
+function getOrigin(url) {
+  let href = url;
+  if (typeof href !== 'string') {
+    if (url !== null && typeof url === 'object')
+      href = typeof url.format === 'function' ? url.format() : url.href;
+    if (typeof href !== 'string')
+      throw new ERR_INVALID_ARG_TYPE('url', ['string', 'URL', 'Url'], url);
+  }
+  const record = basicURLParse(href);
+  if (record === null)
+    throw new ERR_INVALID_URL(href);
+  return originOfRecord(record);
+}
+
+function toOrigin(value) {
+  return value instanceof Origin ? value : getOrigin(value);
+}
+
+// Returns whether `a` and `b`, each a URL as accepted by getOrigin() or an
+// origin it returned, are same origin.
+function isSameOrigin(a, b) {
+  a = toOrigin(a);
+  b = toOrigin(b);
+  if (a.opaque || b.opaque)
+    return a === b;
+  return a.scheme === b.scheme && a.host === b.host && a.port === b.port;
+}
+
+// Returns the site of a tuple origin's host: its registrable domain if it
+// is a domain that has one, or else the host itself.
+function siteOfHost(host) {
+  if (host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET ||
+      parseIPv4(host) !== null)
+    return host;
+  return getRegistrableDomain(host) || host;
+}
+
+// Returns whether `a` and `b`, each a URL as accepted by getOrigin() or an
+// origin it returned, are same site, i.e. have the same scheme and
+// registrable domain.
+function isSameSite(a, b) {
+  a = toOrigin(a);
+  b = toOrigin(b);
+  if (a.opaque || b.opaque)
+    return a === b;
+  return a.scheme === b.scheme && siteOfHost(a.host) === siteOfHost(b.host);
+}
+
+export {
+  getOrigin,
+  isSameOrigin,
+  isSameSite,
+};
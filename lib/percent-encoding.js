@@ -0,0 +1,274 @@
+// Percent-encoding and decoding, along with the encode sets defined by the
+// WHATWG URL Standard.
+//
+// Reference: https://url.spec.whatwg.org/#percent-encoded-bytes
+
+const CHAR_PERCENT = 37;
+
+const hexTable = new Array(256);
+for (let i = 0; i < 256; ++i)
+  hexTable[i] = '%' + ((i < 16 ? '0' : '') + i.toString(16)).toUpperCase();
+
+// Returns a copy of `table` in which the characters of `chars` need escaping.
+function escaping(table, chars) {
+  const result = new Int8Array(table);
+  for (let i = 0; i < chars.length; ++i)
+    result[chars.charCodeAt(i)] = 0;
+  return result;
+}
+
+// The encode sets, expressed as tables of the ASCII characters that do *not*
+// need escaping. Anything above 0x7F is always escaped.
+const noEscapeC0Control = new Int8Array(128).fill(1, 0x20, 0x7F);
+const noEscapeFragment = escaping(noEscapeC0Control, ' "<>`');
+const noEscapeQuery = escaping(noEscapeC0Control, ' "#<>');
+const noEscapeSpecialQuery = escaping(noEscapeQuery, '\'');
+const noEscapePath = escaping(noEscapeQuery, '?`{}');
+const noEscapeUserinfo = escaping(noEscapePath, '/:;=@[\\]^|');
+const noEscapeComponent = escaping(noEscapeUserinfo, '$%&+,');
+const noEscapeForm = escaping(noEscapeComponent, '!\'()~');
+
+function isHexCharCode(code) {
+  return (code >= 48 && code <= 57) ||
+         (code >= 65 && code <= 70) ||
+         (code >= 97 && code <= 102);
+}
+
+function hexValue(code) {
+  return code <= 57 ? code - 48 : (code | 0x20) - 87;
+}
+
+// UTF-8 encodes `str` and escapes every byte not allowed by `noEscapeTable`.
+// Lone surrogates are encoded as U+FFFD.
+function encodeStr(str, noEscapeTable) {
+  const len = str.length;
+  if (len === 0)
+    return '';
+
+  let out = '';
+  let lastPos = 0;
+  for (let i = 0; i < len; i++) {
+    let c = str.charCodeAt(i);
+
+    // ASCII
+    if (c < 0x80) {
+      if (noEscapeTable[c] === 1)
+        continue;
+      if (lastPos < i)
+        out += str.slice(lastPos, i);
+      lastPos = i + 1;
+      out += hexTable[c];
+      continue;
+    }
+
+    if (lastPos < i)
+      out += str.slice(lastPos, i);
+
+    // Multi-byte characters ...
+    if (c < 0x800) {
+      lastPos = i + 1;
+      out += hexTable[0xC0 | (c >> 6)] +
+             hexTable[0x80 | (c & 0x3F)];
+      continue;
+    }
+    if (c < 0xD800 || c >= 0xE000) {
+      lastPos = i + 1;
+      out += hexTable[0xE0 | (c >> 12)] +
+             hexTable[0x80 | ((c >> 6) & 0x3F)] +
+             hexTable[0x80 | (c & 0x3F)];
+      continue;
+    }
+
+    // Surrogate pair
+    const c2 = i + 1 < len ? str.charCodeAt(i + 1) : 0;
+    if (c >= 0xDC00 || c2 < 0xDC00 || c2 > 0xDFFF) {
+      lastPos = i + 1;
+      out += hexTable[0xEF] + hexTable[0xBF] + hexTable[0xBD];
+      continue;
+    }
+    ++i;
+    lastPos = i + 1;
+    c = 0x10000 + (((c & 0x3FF) << 10) | (c2 & 0x3FF));
+    out += hexTable[0xF0 | (c >> 18)] +
+           hexTable[0x80 | ((c >> 12) & 0x3F)] +
+           hexTable[0x80 | ((c >> 6) & 0x3F)] +
+           hexTable[0x80 | (c & 0x3F)];
+  }
+  if (lastPos === 0)
+    return str;
+  if (lastPos < len)
+    return out + str.slice(lastPos);
+  return out;
+}
+
+// Like encodeStr(), but only escapes ASCII characters, leaving everything
+// else as it is.
+function encodeASCII(str, noEscapeTable) {
+  let out = '';
+  let lastPos = 0;
+  for (let i = 0; i < str.length; ++i) {
+    const c = str.charCodeAt(i);
+    if (c >= 0x80 || noEscapeTable[c] === 1)
+      continue;
+    if (lastPos < i)
+      out += str.slice(lastPos, i);
+    lastPos = i + 1;
+    out += hexTable[c];
+  }
+  if (lastPos === 0)
+    return str;
+  if (lastPos < str.length)
+    return out + str.slice(lastPos);
+  return out;
+}
+
+function percentEncode(str, noEscapeTable) {
+  return encodeStr(str, noEscapeTable);
+}
+
+function percentEncodeCodePoint(c, noEscapeTable) {
+  if (c < 0x80 && noEscapeTable[c] === 1)
+    return String.fromCharCode(c);
+  return encodeStr(String.fromCodePoint(c), noEscapeTable);
+}
+
+// Implements the application/x-www-form-urlencoded byte serializer for a
+// single name or value.
+function percentEncodeForm(str) {
+  const parts = str.split(' ');
+  for (let i = 0; i < parts.length; ++i)
+    parts[i] = encodeStr(parts[i], noEscapeForm);
+  return parts.join('+');
+}
+
+function utf8Encode(input) {
+  const bytes = [];
+  for (let i = 0; i < input.length; ++i) {
+    let c = input.codePointAt(i);
+    if (c > 0xFFFF)
+      ++i;
+    else if (c >= 0xD800 && c <= 0xDFFF)
+      c = 0xFFFD;
+
+    if (c < 0x80) {
+      bytes.push(c);
+    } else if (c < 0x800) {
+      bytes.push(0xC0 | (c >> 6),
+                 0x80 | (c & 0x3F));
+    } else if (c < 0x10000) {
+      bytes.push(0xE0 | (c >> 12),
+                 0x80 | ((c >> 6) & 0x3F),
+                 0x80 | (c & 0x3F));
+    } else {
+      bytes.push(0xF0 | (c >> 18),
+                 0x80 | ((c >> 12) & 0x3F),
+                 0x80 | ((c >> 6) & 0x3F),
+                 0x80 | (c & 0x3F));
+    }
+  }
+  return bytes;
+}
+
+// Implements "UTF-8 decode without BOM" from the Encoding Standard, replacing
+// malformed sequences with U+FFFD.
+function utf8DecodeWithoutBOM(bytes) {
+  let output = '';
+  let codePoint = 0;
+  let bytesSeen = 0;
+  let bytesNeeded = 0;
+  let lowerBoundary = 0x80;
+  let upperBoundary = 0xBF;
+  for (let i = 0; i < bytes.length; ++i) {
+    const b = bytes[i];
+    if (bytesNeeded === 0) {
+      if (b <= 0x7F) {
+        output += String.fromCharCode(b);
+      } else if (b >= 0xC2 && b <= 0xDF) {
+        bytesNeeded = 1;
+        codePoint = b & 0x1F;
+      } else if (b >= 0xE0 && b <= 0xEF) {
+        if (b === 0xE0) lowerBoundary = 0xA0;
+        if (b === 0xED) upperBoundary = 0x9F;
+        bytesNeeded = 2;
+        codePoint = b & 0xF;
+      } else if (b >= 0xF0 && b <= 0xF4) {
+        if (b === 0xF0) lowerBoundary = 0x90;
+        if (b === 0xF4) upperBoundary = 0x8F;
+        bytesNeeded = 3;
+        codePoint = b & 0x7;
+      } else {
+        output += '\uFFFD';
+      }
+      continue;
+    }
+
+    if (b < lowerBoundary || b > upperBoundary) {
+      codePoint = bytesNeeded = bytesSeen = 0;
+      lowerBoundary = 0x80;
+      upperBoundary = 0xBF;
+      output += '\uFFFD';
+      // Reprocess this byte as the start of a new sequence.
+      --i;
+      continue;
+    }
+
+    lowerBoundary = 0x80;
+    upperBoundary = 0xBF;
+    codePoint = (codePoint << 6) | (b & 0x3F);
+    if (++bytesSeen === bytesNeeded) {
+      output += String.fromCodePoint(codePoint);
+      codePoint = bytesNeeded = bytesSeen = 0;
+    }
+  }
+  if (bytesNeeded !== 0)
+    output += '\uFFFD';
+  return output;
+}
+
+// Returns the percent-decoded bytes of the UTF-8 encoding of `input`.
+function percentDecodeBytes(input) {
+  const bytes = utf8Encode(input);
+  const output = [];
+  for (let i = 0; i < bytes.length; ++i) {
+    const b = bytes[i];
+    if (b === CHAR_PERCENT &&
+        i + 2 < bytes.length &&
+        isHexCharCode(bytes[i + 1]) &&
+        isHexCharCode(bytes[i + 2])) {
+      output.push((hexValue(bytes[i + 1]) << 4) | hexValue(bytes[i + 2]));
+      i += 2;
+    } else {
+      output.push(b);
+    }
+  }
+  return output;
+}
+
+// Percent-decodes `input` and interprets the result as UTF-8.
+function percentDecode(input) {
+  if (!input.includes('%'))
+    return input;
+  return utf8DecodeWithoutBOM(percentDecodeBytes(input));
+}
+
+export {
+  hexTable,
+  encodeStr,
+  encodeASCII,
+  percentEncode,
+  percentEncodeCodePoint,
+  percentEncodeForm,
+  percentDecode,
+  percentDecodeBytes,
+  isHexCharCode,
+  utf8Encode,
+  utf8DecodeWithoutBOM,
+  noEscapeC0Control,
+  noEscapeFragment,
+  noEscapeQuery,
+  noEscapeSpecialQuery,
+  noEscapePath,
+  noEscapeUserinfo,
+  noEscapeComponent,
+  noEscapeForm,
+};
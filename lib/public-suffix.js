@@ -0,0 +1,189 @@
+// Public suffix, registrable domain and subdomain lookups, following the
+// algorithm of the Public Suffix List.
+//
+// Reference: https://github.com/publicsuffix/list/wiki/Format
+
+import { toASCII } from '@frida/punycode';
+import { ERR_INVALID_ARG_TYPE } from './errors.js';
+import { parseIPv4 } from './host.js';
+import { publicSuffixList } from './public-suffix-list.js';
+
+const CHAR_DOT = 46;
+const CHAR_LEFT_SQUARE_BRACKET = 91;
+
+const privateSectionPattern = /^\/\/\s*===BEGIN PRIVATE DOMAINS===/;
+const endSectionPattern = /^\/\/\s*===END (?:ICANN|PRIVATE) DOMAINS===/;
+
+// The bundled list, parsed lazily so that importing this module stays cheap.
+let bundledList = null;
+
+// Lists loaded with loadPublicSuffixList(), the last of which is in use.
+const loadedLists = [];
+
+// Parses the text of a list into its rules, keyed by their labels joined
+// with dots: `rules` holds the plain ones, `wildcardRules` the "*.example"
+// ones, keyed by "example", and `exceptionRules` the "!www.example" ones.
+// Each maps to whether the rule is from the private section.
+function parseList(text) {
+  const parsed = {
+    rules: new Map(),
+    wildcardRules: new Map(),
+    exceptionRules: new Map(),
+  };
+  let isPrivate = false;
+  const lines = text.split('\n');
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i].trim();
+    if (line.startsWith('//')) {
+      if (privateSectionPattern.test(line))
+        isPrivate = true;
+      else if (endSectionPattern.test(line))
+        isPrivate = false;
+      continue;
+    }
+
+    let rule = line.split(/\s/, 1)[0];
+    if (rule === '')
+      continue;
+    rule = toASCII(rule.toLowerCase());
+    if (rule.startsWith('!'))
+      parsed.exceptionRules.set(rule.slice(1), isPrivate);
+    else if (rule.startsWith('*.'))
+      parsed.wildcardRules.set(rule.slice(2), isPrivate);
+    else
+      parsed.rules.set(rule, isPrivate);
+  }
+  return parsed;
+}
+
+function getList() {
+  if (loadedLists.length > 0)
+    return loadedLists[loadedLists.length - 1];
+  if (bundledList === null)
+    bundledList = parseList(publicSuffixList);
+  return bundledList;
+}
+
+// Uses `text`, which is in the format of public_suffix_list.dat, instead of
+// the list in use. Returns a function that unloads it again, whatever order
+// lists are unloaded in.
+function loadPublicSuffixList(text) {
+  if (typeof text !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('text', 'string', text);
+  const parsed = parseList(text);
+  loadedLists.push(parsed);
+  return function restore() {
+    const i = loadedLists.indexOf(parsed);
+    if (i !== -1)
+      loadedLists.splice(i, 1);
+  };
+}
+
+function hasRule(rules, key, includePrivate) {
+  const isPrivate = rules.get(key);
+  return isPrivate !== undefined && (includePrivate || !isPrivate);
+}
+
+// Returns the number of trailing labels of `labels` that form its public
+// suffix. If no rule matches, the implicit "*" rule applies.
+function publicSuffixLength(labels, includePrivate) {
+  const { rules, wildcardRules, exceptionRules } = getList();
+  for (let i = 0; i < labels.length; ++i) {
+    const key = labels.slice(i).join('.');
+    if (hasRule(exceptionRules, key, includePrivate))
+      return labels.length - i - 1;
+  }
+  for (let i = 0; i < labels.length; ++i) {
+    if (hasRule(rules, labels.slice(i).join('.'), includePrivate) ||
+        (i + 1 < labels.length &&
+         hasRule(wildcardRules, labels.slice(i + 1).join('.'),
+                 includePrivate)))
+      return labels.length - i;
+  }
+  return 1;
+}
+
+// Splits `host` into its labels and its public suffix's length, or returns
+// null if it isn't a domain. `host` is a string, or an object with a string
+// hostname, such as a Url or a URL. Strings are lowercased and punycoded
+// the way Url.prototype.parse() does it.
+function splitHost(host, options) {
+  if (host !== null && typeof host === 'object' &&
+      typeof host.hostname === 'string') {
+    host = host.hostname;
+  } else if (typeof host !== 'string') {
+    throw new ERR_INVALID_ARG_TYPE('host', ['string', 'Url', 'URL'], host);
+  }
+
+  let includePrivate = true;
+  if (options !== undefined && options !== null) {
+    if (typeof options !== 'object')
+      throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    if (options.includePrivate != null)
+      includePrivate = Boolean(options.includePrivate);
+  }
+
+  // A fully qualified name keeps its trailing dot in the results.
+  let trailingDot = '';
+  if (host.charCodeAt(host.length - 1) === CHAR_DOT) {
+    trailingDot = '.';
+    host = host.slice(0, -1);
+  }
+  if (host === '' || host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET ||
+      host.includes(':') || parseIPv4(host) !== null)
+    return null;
+
+  const labels = toASCII(host.toLowerCase()).split('.');
+  if (labels.includes(''))
+    return null;
+  return {
+    labels,
+    suffixLength: publicSuffixLength(labels, includePrivate),
+    trailingDot,
+  };
+}
+
+// Returns the public suffix of `host`, e.g. "co.uk" for "www.bbc.co.uk", or
+// null if it isn't a domain. Rules from the private section of the list,
+// e.g. "github.io", are ignored if `options.includePrivate` is false.
+function getPublicSuffix(host, options) {
+  const split = splitHost(host, options);
+  if (split === null)
+    return null;
+  const { labels, suffixLength, trailingDot } = split;
+  return labels.slice(-suffixLength).join('.') + trailingDot;
+}
+
+// Returns the registrable domain of `host`, i.e. its public suffix and the
+// label before it, e.g. "bbc.co.uk" for "www.bbc.co.uk", or null if it is a
+// public suffix itself or isn't a domain. Takes the same options as
+// getPublicSuffix().
+function getRegistrableDomain(host, options) {
+  const split = splitHost(host, options);
+  if (split === null)
+    return null;
+  const { labels, suffixLength, trailingDot } = split;
+  if (suffixLength >= labels.length)
+    return null;
+  return labels.slice(-suffixLength - 1).join('.') + trailingDot;
+}
+
+// Returns the labels of `host` before its registrable domain, e.g. "www"
+// for "www.bbc.co.uk", or "" for "bbc.co.uk", or null if it has no
+// registrable domain. Takes the same options as getPublicSuffix().
+function getSubdomain(host, options) {
+  const split = splitHost(host, options);
+  if (split === null)
+    return null;
+  const { labels, suffixLength } = split;
+  if (suffixLength >= labels.length)
+    return null;
+  return labels.slice(0, -suffixLength - 1).join('.');
+}
+
+export {
+  loadPublicSuffixList,
+  getPublicSuffix,
+  getRegistrableDomain,
+  getSubdomain,
+};
@@ -0,0 +1,77 @@
+// The reference resolution of RFC 3986 section 5, which url.resolve() and
+// friends use instead of the legacy resolver in strict mode.
+//
+// Reference: https://www.rfc-editor.org/rfc/rfc3986#section-5
+
+import { removeDotSegments } from './normalize.js';
+
+const CHAR_FORWARD_SLASH = 47;
+
+// Splits a URI reference into its components with the regular expression
+// of RFC 3986 appendix B. Undefined components are null.
+const uriReferencePattern =
+  /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/s;
+
+function splitReference(str) {
+  const match = uriReferencePattern.exec(str);
+  return {
+    scheme: match[1] === undefined ? null : match[1],
+    authority: match[2] === undefined ? null : match[2],
+    path: match[3],
+    query: match[4] === undefined ? null : match[4],
+    fragment: match[5] === undefined ? null : match[5],
+  };
+}
+
+// Implements the reference resolution of RFC 3986 section 5.2, in its
+// strict form, where a reference with the scheme of the base is still
+// taken as absolute, and recomposes the result as in section 5.3.
+function resolveReference(baseHref, referenceHref) {
+  const base = splitReference(baseHref);
+  const reference = splitReference(referenceHref);
+  const target = {
+    scheme: base.scheme,
+    authority: base.authority,
+    path: base.path,
+    query: reference.query,
+    fragment: reference.fragment,
+  };
+  if (reference.scheme !== null) {
+    target.scheme = reference.scheme;
+    target.authority = reference.authority;
+    target.path = removeDotSegments(reference.path);
+  } else if (reference.authority !== null) {
+    target.authority = reference.authority;
+    target.path = removeDotSegments(reference.path);
+  } else if (reference.path === '') {
+    if (reference.query === null)
+      target.query = base.query;
+  } else if (reference.path.charCodeAt(0) === CHAR_FORWARD_SLASH) {
+    target.path = removeDotSegments(reference.path);
+  } else {
+    target.path = removeDotSegments(mergePaths(base, reference.path));
+  }
+
+  let output = '';
+  if (target.scheme !== null)
+    output += `${target.scheme}:`;
+  if (target.authority !== null)
+    output += `//${target.authority}`;
+  output += target.path;
+  if (target.query !== null)
+    output += `?${target.query}`;
+  if (target.fragment !== null)
+    output += `#${target.fragment}`;
+  return output;
+}
+
+// Implements the merge of RFC 3986 section 5.2.3.
+function mergePaths(base, path) {
+  if (base.authority !== null && base.path === '')
+    return `/${path}`;
+  return base.path.slice(0, base.path.lastIndexOf('/') + 1) + path;
+}
+
+export {
+  resolveReference,
+};
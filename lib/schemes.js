@@ -0,0 +1,236 @@
+// The registry of schemes known to the legacy parser, which decides how URLs
+// of each scheme are parsed, formatted and resolved.
+
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_OUT_OF_RANGE,
+} from './errors.js';
+
+const CHAR_COLON = 58;
+
+const schemeNamePattern = /^[a-z][a-z0-9+.-]*$/;
+
+// Registered schemes, keyed by lowercase name. A scheme can be
+//
+// - `slashed`: always contains a // bit, as in http://host/.
+// - `special`: slashed, and its path is never empty when there is a host,
+//   as in http://host/ rather than http://host.
+// - `hostless`: never has a hostname, even when it has a // bit.
+// - `allowUnsafeChars`: can contain "unsafe" and "unwise" characters, which
+//   are otherwise escaped.
+const schemes = new Map([
+  ['javascript', createScheme({ hostless: true, allowUnsafeChars: true })],
+  ['http', createScheme({ special: true })],
+  ['https', createScheme({ special: true })],
+  ['ftp', createScheme({ special: true })],
+  ['gopher', createScheme({ special: true })],
+  ['file', createScheme({ special: true })],
+  ['ws', createScheme({ special: true })],
+  ['wss', createScheme({ special: true })],
+]);
+
+// Default ports of well-known schemes.
+const wellKnownPorts = new Map([
+  ['ftp', 21],
+  ['ssh', 22],
+  ['sftp', 22],
+  ['telnet', 23],
+  ['gopher', 70],
+  ['http', 80],
+  ['ws', 80],
+  ['pop', 110],
+  ['nntp', 119],
+  ['imap', 143],
+  ['snmp', 161],
+  ['ldap', 389],
+  ['https', 443],
+  ['wss', 443],
+  ['rtsp', 554],
+  ['ldaps', 636],
+  ['imaps', 993],
+  ['pops', 995],
+  ['mqtt', 1883],
+  ['mysql', 3306],
+  ['sip', 5060],
+  ['sips', 5061],
+  ['postgres', 5432],
+  ['postgresql', 5432],
+  ['amqp', 5672],
+  ['coap', 5683],
+  ['coaps', 5684],
+  ['redis', 6379],
+  ['git', 9418],
+  ['mongodb', 27017],
+]);
+
+// Schemes registered with registerScheme(), keyed by lowercase name. Each
+// name has a stack of registrations, the last of which is in effect and
+// takes precedence over the built-in entries above, so that registrations
+// can be undone in any order.
+const registrations = new Map();
+
+function createScheme(options) {
+  const special = Boolean(options.special);
+  return {
+    slashed: special || Boolean(options.slashed),
+    special,
+    hostless: Boolean(options.hostless),
+    allowUnsafeChars: Boolean(options.allowUnsafeChars),
+  };
+}
+
+// Looks up a protocol as found in a Url object, with or without the trailing
+// colon. The lookup is case-sensitive, as it has always been.
+function lookupScheme(protocol) {
+  if (typeof protocol !== 'string')
+    return undefined;
+  if (protocol.charCodeAt(protocol.length - 1) === CHAR_COLON)
+    protocol = protocol.slice(0, -1);
+  const registration = getRegistration(protocol);
+  if (registration !== undefined)
+    return registration.scheme;
+  return schemes.get(protocol);
+}
+
+function getRegistration(key) {
+  const stack = registrations.get(key);
+  return stack === undefined ? undefined : stack[stack.length - 1];
+}
+
+// Returns the default port of the lowercase scheme name `key`, or null.
+function lookupDefaultPort(key) {
+  const registration = getRegistration(key);
+  if (registration !== undefined)
+    return registration.defaultPort;
+  const port = wellKnownPorts.get(key);
+  return port === undefined ? null : port;
+}
+
+function getDefaultPorts() {
+  const ports = new Map(wellKnownPorts);
+  for (const [key, stack] of registrations) {
+    const { defaultPort } = stack[stack.length - 1];
+    if (defaultPort === null)
+      ports.delete(key);
+    else
+      ports.set(key, defaultPort);
+  }
+  return ports;
+}
+
+// A read-only, Map-like view of the default ports, including those of
+// registered schemes.
+const defaultPorts = Object.freeze({
+  get size() {
+    return getDefaultPorts().size;
+  },
+  get(name) {
+    const port = lookupDefaultPort(name);
+    return port === null ? undefined : port;
+  },
+  has(name) {
+    return lookupDefaultPort(name) !== null;
+  },
+  keys() {
+    return getDefaultPorts().keys();
+  },
+  values() {
+    return getDefaultPorts().values();
+  },
+  entries() {
+    return getDefaultPorts().entries();
+  },
+  forEach(callback, thisArg) {
+    getDefaultPorts().forEach((port, key) => {
+      callback.call(thisArg, port, key, defaultPorts);
+    });
+  },
+  [Symbol.iterator]() {
+    return getDefaultPorts().entries();
+  },
+});
+
+function isSlashedScheme(protocol) {
+  const scheme = lookupScheme(protocol);
+  return scheme !== undefined && scheme.slashed;
+}
+
+function isSpecialScheme(protocol) {
+  const scheme = lookupScheme(protocol);
+  return scheme !== undefined && scheme.special;
+}
+
+function isHostlessScheme(protocol) {
+  const scheme = lookupScheme(protocol);
+  return scheme !== undefined && scheme.hostless;
+}
+
+function allowsUnsafeChars(protocol) {
+  const scheme = lookupScheme(protocol);
+  return scheme !== undefined && scheme.allowUnsafeChars;
+}
+
+// Returns the default port of `scheme`, which may include the trailing colon,
+// or null if it has none.
+function getDefaultPort(scheme) {
+  if (typeof scheme !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('scheme', 'string', scheme);
+  if (scheme.charCodeAt(scheme.length - 1) === CHAR_COLON)
+    scheme = scheme.slice(0, -1);
+  return lookupDefaultPort(scheme.toLowerCase());
+}
+
+// Registers `name`, overriding any previous registration of it. Returns a
+// function that undoes this registration alone, so that a script can keep
+// its schemes to itself whatever order the registrations are undone in.
+function registerScheme(name, options = {}) {
+  if (typeof name !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('name', 'string', name);
+  if (typeof options !== 'object' || options === null)
+    throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+
+  let key = name.toLowerCase();
+  if (key.charCodeAt(key.length - 1) === CHAR_COLON)
+    key = key.slice(0, -1);
+  if (!schemeNamePattern.test(key))
+    throw new ERR_INVALID_ARG_VALUE('name', name);
+
+  const { defaultPort = null } = options;
+  if (defaultPort !== null) {
+    if (typeof defaultPort !== 'number')
+      throw new ERR_INVALID_ARG_TYPE('options.defaultPort', 'number',
+                                     defaultPort);
+    if (!Number.isInteger(defaultPort) || defaultPort < 0 ||
+        defaultPort > 65535) {
+      throw new ERR_OUT_OF_RANGE('options.defaultPort', '>= 0 && <= 65535',
+                                 defaultPort);
+    }
+  }
+
+  const registration = { scheme: createScheme(options), defaultPort };
+  if (registrations.has(key))
+    registrations.get(key).push(registration);
+  else
+    registrations.set(key, [registration]);
+
+  return function unregister() {
+    const stack = registrations.get(key);
+    const i = stack === undefined ? -1 : stack.indexOf(registration);
+    if (i === -1)
+      return;
+    stack.splice(i, 1);
+    if (stack.length === 0)
+      registrations.delete(key);
+  };
+}
+
+export {
+  defaultPorts,
+  getDefaultPort,
+  registerScheme,
+  isSlashedScheme,
+  isSpecialScheme,
+  isHostlessScheme,
+  allowsUnsafeChars,
+};
@@ -0,0 +1,444 @@
+// Expansion of URI templates, up to level 4, and the reverse: extracting
+// the values of a template's variables from a URI it expanded to.
+//
+// Reference: https://www.rfc-editor.org/rfc/rfc6570
+
+import {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_URI_TEMPLATE,
+} from './errors.js';
+import {
+  isHexCharCode,
+  percentDecode,
+  percentEncode,
+} from './percent-encoding.js';
+
+const CHAR_PERCENT = 37;
+
+const unreservedChars =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+const reservedChars = ':/?#[]@!$&\'()*+,;=';
+
+const noEscapeUnreserved = new Int8Array(128);
+for (let i = 0; i < unreservedChars.length; ++i)
+  noEscapeUnreserved[unreservedChars.charCodeAt(i)] = 1;
+const noEscapeReserved = new Int8Array(noEscapeUnreserved);
+for (let i = 0; i < reservedChars.length; ++i)
+  noEscapeReserved[reservedChars.charCodeAt(i)] = 1;
+
+const pctEncodedPattern = /%[0-9A-Fa-f]{2}/g;
+// Templates that are matched against the whole URL rather than its path,
+// other than those starting with //.
+const absoluteTemplatePattern = /^(?:[A-Za-z][A-Za-z0-9+.-]*:|\{\+)/;
+const varcharSource = '(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2})';
+const varspecPattern = new RegExp(
+  `^(${varcharSource}(?:\\.?${varcharSource})*)` +
+  '(?::([1-9][0-9]{0,3})|(\\*))?$');
+
+// The behavior of each expression operator, from appendix A of the RFC.
+// `chars` is what a match of the expression may contain besides unreserved
+// characters and pct-encoded octets.
+function operator(first, sep, named, ifEmpty, allowReserved, chars) {
+  const matchChars = new Int8Array(noEscapeUnreserved);
+  for (let i = 0; i < chars.length; ++i)
+    matchChars[chars.charCodeAt(i)] = 1;
+  return { first, sep, named, ifEmpty, allowReserved, matchChars };
+}
+
+const operators = new Map([
+  ['', operator('', ',', false, '', false, ',=')],
+  ['+', operator('', ',', false, '', true, reservedChars)],
+  ['#', operator('#', ',', false, '', true, reservedChars)],
+  ['.', operator('.', '.', false, '', false, ',=')],
+  ['/', operator('/', '/', false, '', false, '/,=')],
+  [';', operator(';', ';', true, '', false, ';,=')],
+  ['?', operator('?', '&', true, '=', false, '&,=')],
+  ['&', operator('&', '&', true, '=', false, '&,=')],
+]);
+
+// Encodes the characters of `str` that aren't unreserved or reserved,
+// leaving pct-encoded octets as they are.
+function encodeReserved(str) {
+  let out = '';
+  let lastPos = 0;
+  pctEncodedPattern.lastIndex = 0;
+  let match;
+  while ((match = pctEncodedPattern.exec(str)) !== null) {
+    out += percentEncode(str.slice(lastPos, match.index), noEscapeReserved) +
+           match[0];
+    lastPos = pctEncodedPattern.lastIndex;
+  }
+  return out + percentEncode(str.slice(lastPos), noEscapeReserved);
+}
+
+function encodeValue(str, op) {
+  return op.allowReserved ?
+    encodeReserved(str) :
+    percentEncode(str, noEscapeUnreserved);
+}
+
+function parseExpression(template, body) {
+  let op = operators.get(body.charAt(0));
+  if (op === undefined || body === '')
+    op = operators.get('');
+  else
+    body = body.slice(1);
+
+  const variables = body.split(',').map((varspec) => {
+    const match = varspecPattern.exec(varspec);
+    if (match === null) {
+      throw new ERR_INVALID_URI_TEMPLATE(
+        template, `invalid variable "${varspec}"`);
+    }
+    return {
+      name: match[1],
+      prefix: match[2] === undefined ? 0 : Number(match[2]),
+      explode: match[3] !== undefined,
+    };
+  });
+  return { op, variables };
+}
+
+// Splits `template` into its parts: literals, already encoded as they
+// expand, and expressions, as `{ op, variables }`.
+function parseTemplate(template) {
+  if (typeof template !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('template', 'string', template);
+
+  const parts = [];
+  let pos = 0;
+  while (pos < template.length) {
+    const openIdx = template.indexOf('{', pos);
+    const closeIdx = template.indexOf('}', pos);
+    if (closeIdx !== -1 && (openIdx === -1 || closeIdx < openIdx)) {
+      throw new ERR_INVALID_URI_TEMPLATE(
+        template, `unexpected "}" at position ${closeIdx}`);
+    }
+    if (openIdx === -1) {
+      parts.push(encodeReserved(template.slice(pos)));
+      break;
+    }
+    if (closeIdx === -1) {
+      throw new ERR_INVALID_URI_TEMPLATE(
+        template, `unterminated expression at position ${openIdx}`);
+    }
+    if (openIdx > pos)
+      parts.push(encodeReserved(template.slice(pos, openIdx)));
+    parts.push(parseExpression(template, template.slice(openIdx + 1,
+                                                        closeIdx)));
+    pos = closeIdx + 1;
+  }
+  return parts;
+}
+
+// Returns the value of the variable `name` as a string, as `{ list }` for an
+// array or as `{ pairs }` of [key, value] for an object, or undefined if it
+// is undefined, which includes empty arrays and objects.
+function getValue(vars, name) {
+  if (!Object.prototype.hasOwnProperty.call(vars, name))
+    return undefined;
+  const value = vars[name];
+  if (value === undefined || value === null)
+    return undefined;
+  if (Array.isArray(value)) {
+    const list = value
+      .filter((item) => item !== undefined && item !== null)
+      .map(String);
+    return list.length === 0 ? undefined : { list };
+  }
+  if (typeof value === 'object') {
+    const pairs = Object.keys(value)
+      .filter((key) => value[key] !== undefined && value[key] !== null)
+      .map((key) => [key, String(value[key])]);
+    return pairs.length === 0 ? undefined : { pairs };
+  }
+  return String(value);
+}
+
+function expandNamed(name, value, op) {
+  return value === '' ? name + op.ifEmpty : `${name}=${value}`;
+}
+
+function expandExpression(expression, vars) {
+  const { op, variables } = expression;
+  let out = '';
+  let first = true;
+  for (let i = 0; i < variables.length; ++i) {
+    const { name, prefix, explode } = variables[i];
+    const value = getValue(vars, name);
+    if (value === undefined)
+      continue;
+    out += first ? op.first : op.sep;
+    first = false;
+
+    if (typeof value === 'string') {
+      const str = prefix === 0 ?
+        value :
+        Array.from(value).slice(0, prefix).join('');
+      const encoded = encodeValue(str, op);
+      out += op.named ? expandNamed(name, encoded, op) : encoded;
+      continue;
+    }
+
+    if (prefix !== 0) {
+      throw new ERR_INVALID_ARG_VALUE(
+        `vars.${name}`, vars[name],
+        'must not be a list or an object, as it has a prefix modifier');
+    }
+    const items = value.list !== undefined ?
+      value.list.map((item) => encodeValue(item, op)) :
+      value.pairs.map((pair) => [encodeValue(pair[0], op),
+                                 encodeValue(pair[1], op)]);
+    if (!explode) {
+      const joined = value.list !== undefined ?
+        items.join(',') :
+        items.map((pair) => pair.join(',')).join(',');
+      out += op.named ? `${name}=${joined}` : joined;
+    } else if (value.list !== undefined) {
+      out += op.named ?
+        items.map((item) => expandNamed(name, item, op)).join(op.sep) :
+        items.join(op.sep);
+    } else {
+      out += items.map((pair) => (op.named ?
+        expandNamed(pair[0], pair[1], op) :
+        `${pair[0]}=${pair[1]}`)).join(op.sep);
+    }
+  }
+  return out;
+}
+
+// Expands `template` with the variables of `vars`, whose values may be
+// strings, numbers, arrays and objects. Undefined, null, and empty arrays
+// and objects count as undefined, so expressions using them are left out.
+function expandTemplate(template, vars = {}) {
+  const parts = parseTemplate(template);
+  if (vars === null || typeof vars !== 'object')
+    throw new ERR_INVALID_ARG_TYPE('vars', 'Object', vars);
+
+  let out = '';
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    out += typeof part === 'string' ? part : expandExpression(part, vars);
+  }
+  return out;
+}
+
+function decodeList(str) {
+  return str.split(',').map(percentDecode);
+}
+
+// Decodes a part of a match that holds a single non-exploded variable.
+function decodeUnexploded(str, op) {
+  return op.sep !== ',' && str.includes(',') ?
+    decodeList(str) :
+    percentDecode(str);
+}
+
+function decodeExploded(parts) {
+  if (!parts.every((part) => part.includes('=')))
+    return parts.map(percentDecode);
+  const object = {};
+  for (let i = 0; i < parts.length; ++i) {
+    const equalIdx = parts[i].indexOf('=');
+    object[percentDecode(parts[i].slice(0, equalIdx))] =
+      percentDecode(parts[i].slice(equalIdx + 1));
+  }
+  return object;
+}
+
+function matchNamed(variables, parts, values) {
+  const fields = parts.map((part) => {
+    const equalIdx = part.indexOf('=');
+    return {
+      name: percentDecode(equalIdx === -1 ? part : part.slice(0, equalIdx)),
+      value: equalIdx === -1 ? '' : part.slice(equalIdx + 1),
+      used: false,
+    };
+  });
+
+  for (let i = 0; i < variables.length; ++i) {
+    const { name, explode } = variables[i];
+    if (explode)
+      continue;
+    const field = fields.find((entry) => !entry.used && entry.name === name);
+    if (field === undefined)
+      continue;
+    field.used = true;
+    values.push([name, field.value.includes(',') ?
+      decodeList(field.value) :
+      percentDecode(field.value)]);
+  }
+
+  // The first exploded variable gets whatever the others didn't claim.
+  const exploded = variables.find((variable) => variable.explode);
+  const rest = fields.filter((field) => !field.used);
+  if (exploded === undefined || rest.length === 0)
+    return;
+  if (rest.every((field) => field.name === exploded.name)) {
+    values.push([exploded.name,
+                 rest.map((field) => percentDecode(field.value))]);
+    return;
+  }
+  const object = {};
+  for (let i = 0; i < rest.length; ++i)
+    object[rest[i].name] = percentDecode(rest[i].value);
+  values.push([exploded.name, object]);
+}
+
+function matchUnnamed(variables, parts, op, values) {
+  let pos = 0;
+  for (let i = 0; i < variables.length && pos < parts.length; ++i) {
+    const { name, explode } = variables[i];
+    const later = variables.length - i - 1;
+    if (explode) {
+      const count = parts.length - pos - later;
+      if (count <= 0)
+        continue;
+      values.push([name, decodeExploded(parts.slice(pos, pos + count))]);
+      pos += count;
+    } else if (later === 0 && op.sep === ',' && parts.length - pos > 1) {
+      values.push([name, parts.slice(pos).map(percentDecode)]);
+      pos = parts.length;
+    } else {
+      values.push([name, decodeUnexploded(parts[pos++], op)]);
+    }
+  }
+}
+
+// Returns the length of the unit of `str` at `i` that an expression of `op`
+// can match: 3 for a pct-encoded octet, 1 for one of its characters, or 0.
+function matchUnitLength(str, i, op) {
+  const code = str.charCodeAt(i);
+  if (code === CHAR_PERCENT) {
+    return isHexCharCode(str.charCodeAt(i + 1)) &&
+           isHexCharCode(str.charCodeAt(i + 2)) ? 3 : 0;
+  }
+  return code < 128 && op.matchChars[code] === 1 ? 1 : 0;
+}
+
+// Matches the parsed template `parts` against the whole of `str`, each
+// expression taking as little of it as the parts after it allow. Returns
+// [expression, captured] pairs, leaving out expressions whose leading
+// character is absent, or null if `str` doesn't match.
+//
+// Working back from the last part, ends[i][p] is where part i ends when it
+// starts at offset p and the parts after it match the rest of `str`, or -1.
+// This takes time linear in the length of `str` for each part, however
+// much neighboring expressions overlap.
+function matchParts(parts, str) {
+  const n = str.length;
+  const ends = new Array(parts.length);
+  const restMatches = (i, p) => {
+    return i === parts.length ? p === n : ends[i][p] !== -1;
+  };
+  for (let i = parts.length - 1; i >= 0; --i) {
+    const part = parts[i];
+    const end = new Int32Array(n + 2).fill(-1);
+    ends[i] = end;
+    if (typeof part === 'string') {
+      for (let p = 0; p + part.length <= n; ++p) {
+        if (str.startsWith(part, p) && restMatches(i + 1, p + part.length))
+          end[p] = p + part.length;
+      }
+      continue;
+    }
+
+    // The shortest match of the expression's characters from p on.
+    const shortest = new Int32Array(n + 2).fill(-1);
+    for (let p = n; p >= 0; --p) {
+      if (restMatches(i + 1, p)) {
+        shortest[p] = p;
+      } else {
+        const length = matchUnitLength(str, p, part.op);
+        if (length !== 0)
+          shortest[p] = shortest[p + length];
+      }
+    }
+    if (part.op.first === '') {
+      end.set(shortest);
+      continue;
+    }
+    const first = part.op.first.charCodeAt(0);
+    for (let p = 0; p <= n; ++p) {
+      if (str.charCodeAt(p) === first && shortest[p + 1] !== -1)
+        end[p] = shortest[p + 1];
+      else if (restMatches(i + 1, p))
+        end[p] = p;
+    }
+  }
+
+  if (!restMatches(0, 0))
+    return null;
+  const captures = [];
+  let pos = 0;
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    const next = ends[i][pos];
+    if (typeof part !== 'string') {
+      if (part.op.first === '')
+        captures.push([part, str.slice(pos, next)]);
+      else if (next > pos)
+        captures.push([part, str.slice(pos + 1, next)]);
+    }
+    pos = next;
+  }
+  return captures;
+}
+
+// Extracts the values of the variables of `template` from `url`, a Url
+// returned by urlParse(). Returns null if `url` doesn't match the template.
+//
+// A template that starts with a scheme, with // or with a {+var} expression
+// is matched against the whole URL. Any other is matched against its path
+// and query, and its fragment if the template has one, so that "/users/{id}"
+// matches "http://example.com/users/42".
+//
+// This is the reverse of expandTemplate() only as far as the expansion is
+// unambiguous: lists and objects come back as arrays and objects of strings
+// when they can be told apart from single values, a variable that expanded
+// to nothing is left out, and where expressions follow each other the later
+// ones get as much of the URL as possible.
+function matchTemplate(template, url) {
+  const parts = parseTemplate(template);
+  let href;
+  if (template.startsWith('//')) {
+    href = url.protocol ? url.href.slice(url.protocol.length) : url.href;
+  } else if (absoluteTemplatePattern.test(template)) {
+    href = url.href;
+  } else {
+    href = (url.pathname || '') + (url.search || '');
+    if (template.includes('#'))
+      href += url.hash || '';
+  }
+
+  const captures = matchParts(parts, href);
+  if (captures === null)
+    return null;
+
+  const values = [];
+  for (let i = 0; i < captures.length; ++i) {
+    const { op, variables } = captures[i][0];
+    const captured = captures[i][1];
+    if (captured === '')
+      continue;
+    const fields = captured.split(op.sep);
+    if (op.named)
+      matchNamed(variables, fields, values);
+    else
+      matchUnnamed(variables, fields, op, values);
+  }
+
+  // A variable used more than once takes its first value.
+  const result = {};
+  for (let i = 0; i < values.length; ++i) {
+    if (!Object.prototype.hasOwnProperty.call(result, values[i][0]))
+      result[values[i][0]] = values[i][1];
+  }
+  return result;
+}
+
+export {
+  expandTemplate,
+  matchTemplate,
+};
@@ -0,0 +1,1225 @@
+// The URLPattern API, as defined by the WHATWG URL Pattern Standard.
+//
+// Reference: https://urlpattern.spec.whatwg.org/
+
+import { ERR_INVALID_ARG_TYPE, ERR_INVALID_URL_PATTERN } from './errors.js';
+import { parseHost } from './host.js';
+import {
+  percentEncode,
+  noEscapeC0Control,
+  noEscapeFragment,
+  noEscapeQuery,
+  noEscapeUserinfo,
+} from './percent-encoding.js';
+import {
+  URL,
+  STATE_PATH_START,
+  basicURLParse,
+  createURLRecord,
+  defaultPortFor,
+  isSpecialScheme,
+  serializePath,
+} from './whatwg-url.js';
+
+const components = Symbol('components');
+
+const componentNames = [
+  'protocol',
+  'username',
+  'password',
+  'hostname',
+  'port',
+  'pathname',
+  'search',
+  'hash',
+];
+
+const specialSchemeList = ['ftp', 'file', 'http', 'https', 'ws', 'wss'];
+
+const
+  TOKEN_OPEN = 1,
+  TOKEN_CLOSE = 2,
+  TOKEN_REGEXP = 3,
+  TOKEN_NAME = 4,
+  TOKEN_CHAR = 5,
+  TOKEN_ESCAPED_CHAR = 6,
+  TOKEN_OTHER_MODIFIER = 7,
+  TOKEN_ASTERISK = 8,
+  TOKEN_END = 9,
+  TOKEN_INVALID_CHAR = 10;
+
+const
+  PART_FIXED_TEXT = 1,
+  PART_REGEXP = 2,
+  PART_SEGMENT_WILDCARD = 3,
+  PART_FULL_WILDCARD = 4;
+
+// Modifiers are kept as their pattern syntax, the remaining one being '+'.
+const
+  MODIFIER_NONE = '',
+  MODIFIER_OPTIONAL = '?',
+  MODIFIER_ZERO_OR_MORE = '*';
+
+// The states of the constructor string parser.
+const
+  STATE_INIT = 1,
+  STATE_PROTOCOL = 2,
+  STATE_AUTHORITY = 3,
+  STATE_USERNAME = 4,
+  STATE_PASSWORD = 5,
+  STATE_HOSTNAME = 6,
+  STATE_PORT = 7,
+  STATE_PATHNAME = 8,
+  STATE_SEARCH = 9,
+  STATE_HASH = 10,
+  STATE_DONE = 11;
+
+const stateComponents = new Map([
+  [STATE_PROTOCOL, 'protocol'],
+  [STATE_USERNAME, 'username'],
+  [STATE_PASSWORD, 'password'],
+  [STATE_HOSTNAME, 'hostname'],
+  [STATE_PORT, 'port'],
+  [STATE_PATHNAME, 'pathname'],
+  [STATE_SEARCH, 'search'],
+  [STATE_HASH, 'hash'],
+]);
+
+const fullWildcardRegexpValue = '.*';
+
+const defaultOptions = { delimiter: '', prefix: '', ignoreCase: false };
+const hostnameOptions = { delimiter: '.', prefix: '', ignoreCase: false };
+const pathnameOptions = { delimiter: '/', prefix: '/', ignoreCase: false };
+
+const nameStartPattern = /^[$_\p{ID_Start}]$/u;
+const namePartPattern = /^[$\u200C\u200D\p{ID_Continue}]$/u;
+const regexpSpecialCharPattern = /[.+*?^${}()[\]|/\\]/g;
+const patternSpecialCharPattern = /[+*?:{}()\\]/g;
+const ipv6HostnamePattern = /^[0-9a-fA-F[\]:]*$/;
+const digitsPattern = /^[0-9]+$/;
+
+function isValidNameCodePoint(codePoint, first) {
+  const c = String.fromCodePoint(codePoint);
+  return (first ? nameStartPattern : namePartPattern).test(c);
+}
+
+function isASCIIDigit(c) {
+  return c >= '0' && c <= '9';
+}
+
+// Tokenizing
+
+function tokenize(input, strict) {
+  const tokenizer = {
+    input,
+    strict,
+    tokens: [],
+    index: 0,
+    nextIndex: 0,
+    codePoint: 0,
+  };
+
+  while (tokenizer.index < input.length) {
+    seekAndGetNextCodePoint(tokenizer, tokenizer.index);
+    const c = tokenizer.codePoint;
+
+    if (c === 0x2A/* * */) {
+      addTokenWithDefaultPositionAndLength(tokenizer, TOKEN_ASTERISK);
+      continue;
+    }
+    if (c === 0x2B/* + */ || c === 0x3F/* ? */) {
+      addTokenWithDefaultPositionAndLength(tokenizer, TOKEN_OTHER_MODIFIER);
+      continue;
+    }
+    if (c === 0x5C/* \ */) {
+      if (tokenizer.index === input.length - 1) {
+        tokenizingError(tokenizer, tokenizer.nextIndex, tokenizer.index);
+        continue;
+      }
+      const escapedIndex = tokenizer.nextIndex;
+      getNextCodePoint(tokenizer);
+      addTokenWithDefaultLength(tokenizer, TOKEN_ESCAPED_CHAR,
+                                tokenizer.nextIndex, escapedIndex);
+      continue;
+    }
+    if (c === 0x7B/* { */) {
+      addTokenWithDefaultPositionAndLength(tokenizer, TOKEN_OPEN);
+      continue;
+    }
+    if (c === 0x7D/* } */) {
+      addTokenWithDefaultPositionAndLength(tokenizer, TOKEN_CLOSE);
+      continue;
+    }
+    if (c === 0x3A/* : */) {
+      tokenizeName(tokenizer);
+      continue;
+    }
+    if (c === 0x28/* ( */) {
+      tokenizeRegexp(tokenizer);
+      continue;
+    }
+    addTokenWithDefaultPositionAndLength(tokenizer, TOKEN_CHAR);
+  }
+
+  addTokenWithDefaultLength(tokenizer, TOKEN_END, tokenizer.index,
+                            tokenizer.index);
+  return tokenizer.tokens;
+}
+
+function tokenizeName(tokenizer) {
+  let namePosition = tokenizer.nextIndex;
+  const nameStart = namePosition;
+  while (namePosition < tokenizer.input.length) {
+    seekAndGetNextCodePoint(tokenizer, namePosition);
+    const first = namePosition === nameStart;
+    if (!isValidNameCodePoint(tokenizer.codePoint, first))
+      break;
+    namePosition = tokenizer.nextIndex;
+  }
+  if (namePosition <= nameStart) {
+    tokenizingError(tokenizer, nameStart, tokenizer.index);
+    return;
+  }
+  addTokenWithDefaultLength(tokenizer, TOKEN_NAME, namePosition, nameStart);
+}
+
+function tokenizeRegexp(tokenizer) {
+  const { input } = tokenizer;
+  let depth = 1;
+  let regexpPosition = tokenizer.nextIndex;
+  const regexpStart = regexpPosition;
+  while (regexpPosition < input.length) {
+    seekAndGetNextCodePoint(tokenizer, regexpPosition);
+    const c = tokenizer.codePoint;
+    if (c > 0x7F ||
+        (regexpPosition === regexpStart && c === 0x3F/* ? */)) {
+      tokenizingError(tokenizer, regexpStart, tokenizer.index);
+      return;
+    }
+    if (c === 0x5C/* \ */) {
+      if (regexpPosition === input.length - 1) {
+        tokenizingError(tokenizer, regexpStart, tokenizer.index);
+        return;
+      }
+      getNextCodePoint(tokenizer);
+      if (tokenizer.codePoint > 0x7F) {
+        tokenizingError(tokenizer, regexpStart, tokenizer.index);
+        return;
+      }
+      regexpPosition = tokenizer.nextIndex;
+      continue;
+    }
+    if (c === 0x29/* ) */) {
+      --depth;
+      if (depth === 0) {
+        regexpPosition = tokenizer.nextIndex;
+        break;
+      }
+    } else if (c === 0x28/* ( */) {
+      ++depth;
+      if (regexpPosition === input.length - 1) {
+        tokenizingError(tokenizer, regexpStart, tokenizer.index);
+        return;
+      }
+      const temporaryPosition = tokenizer.nextIndex;
+      getNextCodePoint(tokenizer);
+      if (tokenizer.codePoint !== 0x3F/* ? */) {
+        tokenizingError(tokenizer, regexpStart, tokenizer.index);
+        return;
+      }
+      tokenizer.nextIndex = temporaryPosition;
+    }
+    regexpPosition = tokenizer.nextIndex;
+  }
+
+  if (depth !== 0) {
+    tokenizingError(tokenizer, regexpStart, tokenizer.index);
+    return;
+  }
+  const regexpLength = regexpPosition - regexpStart - 1;
+  if (regexpLength === 0) {
+    tokenizingError(tokenizer, regexpStart, tokenizer.index);
+    return;
+  }
+  addToken(tokenizer, TOKEN_REGEXP, regexpPosition, regexpStart,
+           regexpLength);
+}
+
+function getNextCodePoint(tokenizer) {
+  const c = tokenizer.input.codePointAt(tokenizer.nextIndex);
+  tokenizer.codePoint = c;
+  tokenizer.nextIndex += c > 0xFFFF ? 2 : 1;
+}
+
+function seekAndGetNextCodePoint(tokenizer, index) {
+  tokenizer.nextIndex = index;
+  getNextCodePoint(tokenizer);
+}
+
+function addToken(tokenizer, type, nextPosition, valuePosition, valueLength) {
+  tokenizer.tokens.push({
+    type,
+    index: tokenizer.index,
+    value: tokenizer.input.slice(valuePosition, valuePosition + valueLength),
+  });
+  tokenizer.index = nextPosition;
+}
+
+function addTokenWithDefaultLength(tokenizer, type, nextPosition,
+                                   valuePosition) {
+  addToken(tokenizer, type, nextPosition, valuePosition,
+           nextPosition - valuePosition);
+}
+
+function addTokenWithDefaultPositionAndLength(tokenizer, type) {
+  addTokenWithDefaultLength(tokenizer, type, tokenizer.nextIndex,
+                            tokenizer.index);
+}
+
+function tokenizingError(tokenizer, nextPosition, valuePosition) {
+  if (tokenizer.strict) {
+    throw new ERR_INVALID_URL_PATTERN(
+      tokenizer.input,
+      `invalid character at offset ${valuePosition}`);
+  }
+  addTokenWithDefaultLength(tokenizer, TOKEN_INVALID_CHAR, nextPosition,
+                            valuePosition);
+}
+
+// Parsing pattern strings
+
+function escapeRegexpString(input) {
+  return input.replace(regexpSpecialCharPattern, '\\$&');
+}
+
+function escapePatternString(input) {
+  return input.replace(patternSpecialCharPattern, '\\$&');
+}
+
+function segmentWildcardRegexp(options) {
+  return `[^${escapeRegexpString(options.delimiter)}]+?`;
+}
+
+function parsePatternString(input, options, encode) {
+  const parser = {
+    input,
+    tokens: tokenize(input, true),
+    encode,
+    segmentWildcardRegexp: segmentWildcardRegexp(options),
+    parts: [],
+    pendingFixedValue: '',
+    index: 0,
+    nextNumericName: 0,
+  };
+
+  while (parser.index < parser.tokens.length) {
+    const charToken = tryConsumeToken(parser, TOKEN_CHAR);
+    let nameToken = tryConsumeToken(parser, TOKEN_NAME);
+    let regexpOrWildcardToken =
+      tryConsumeRegexpOrWildcardToken(parser, nameToken);
+    if (nameToken !== null || regexpOrWildcardToken !== null) {
+      let prefix = charToken === null ? '' : charToken.value;
+      if (prefix !== '' && prefix !== options.prefix) {
+        parser.pendingFixedValue += prefix;
+        prefix = '';
+      }
+      maybeAddPartFromPendingFixedValue(parser);
+      const modifierToken = tryConsumeModifierToken(parser);
+      addPart(parser, prefix, nameToken, regexpOrWildcardToken, '',
+              modifierToken);
+      continue;
+    }
+
+    let fixedToken = charToken;
+    if (fixedToken === null)
+      fixedToken = tryConsumeToken(parser, TOKEN_ESCAPED_CHAR);
+    if (fixedToken !== null) {
+      parser.pendingFixedValue += fixedToken.value;
+      continue;
+    }
+
+    const openToken = tryConsumeToken(parser, TOKEN_OPEN);
+    if (openToken !== null) {
+      const prefix = consumeText(parser);
+      nameToken = tryConsumeToken(parser, TOKEN_NAME);
+      regexpOrWildcardToken =
+        tryConsumeRegexpOrWildcardToken(parser, nameToken);
+      const suffix = consumeText(parser);
+      consumeRequiredToken(parser, TOKEN_CLOSE);
+      const modifierToken = tryConsumeModifierToken(parser);
+      addPart(parser, prefix, nameToken, regexpOrWildcardToken, suffix,
+              modifierToken);
+      continue;
+    }
+
+    maybeAddPartFromPendingFixedValue(parser);
+    consumeRequiredToken(parser, TOKEN_END);
+  }
+
+  return parser.parts;
+}
+
+function tryConsumeToken(parser, type) {
+  const token = parser.tokens[parser.index];
+  if (token.type !== type)
+    return null;
+  ++parser.index;
+  return token;
+}
+
+function tryConsumeModifierToken(parser) {
+  const token = tryConsumeToken(parser, TOKEN_OTHER_MODIFIER);
+  if (token !== null)
+    return token;
+  return tryConsumeToken(parser, TOKEN_ASTERISK);
+}
+
+function tryConsumeRegexpOrWildcardToken(parser, nameToken) {
+  let token = tryConsumeToken(parser, TOKEN_REGEXP);
+  if (nameToken === null && token === null)
+    token = tryConsumeToken(parser, TOKEN_ASTERISK);
+  return token;
+}
+
+function consumeRequiredToken(parser, type) {
+  const token = tryConsumeToken(parser, type);
+  if (token === null) {
+    const { index } = parser.tokens[parser.index];
+    throw new ERR_INVALID_URL_PATTERN(parser.input,
+                                      `unexpected token at offset ${index}`);
+  }
+  return token;
+}
+
+function consumeText(parser) {
+  let result = '';
+  for (;;) {
+    let token = tryConsumeToken(parser, TOKEN_CHAR);
+    if (token === null)
+      token = tryConsumeToken(parser, TOKEN_ESCAPED_CHAR);
+    if (token === null)
+      break;
+    result += token.value;
+  }
+  return result;
+}
+
+function maybeAddPartFromPendingFixedValue(parser) {
+  if (parser.pendingFixedValue === '')
+    return;
+  const encodedValue = parser.encode(parser.pendingFixedValue);
+  parser.pendingFixedValue = '';
+  parser.parts.push({
+    type: PART_FIXED_TEXT,
+    value: encodedValue,
+    modifier: MODIFIER_NONE,
+    name: '',
+    prefix: '',
+    suffix: '',
+  });
+}
+
+function addPart(parser, prefix, nameToken, regexpOrWildcardToken, suffix,
+                 modifierToken) {
+  const modifier = modifierToken === null ? MODIFIER_NONE : modifierToken.value;
+  if (nameToken === null &&
+      regexpOrWildcardToken === null &&
+      modifier === MODIFIER_NONE) {
+    parser.pendingFixedValue += prefix;
+    return;
+  }
+  maybeAddPartFromPendingFixedValue(parser);
+
+  if (nameToken === null && regexpOrWildcardToken === null) {
+    if (prefix === '')
+      return;
+    parser.parts.push({
+      type: PART_FIXED_TEXT,
+      value: parser.encode(prefix),
+      modifier,
+      name: '',
+      prefix: '',
+      suffix: '',
+    });
+    return;
+  }
+
+  let regexpValue;
+  if (regexpOrWildcardToken === null)
+    regexpValue = parser.segmentWildcardRegexp;
+  else if (regexpOrWildcardToken.type === TOKEN_ASTERISK)
+    regexpValue = fullWildcardRegexpValue;
+  else
+    regexpValue = regexpOrWildcardToken.value;
+
+  let type = PART_REGEXP;
+  if (regexpValue === parser.segmentWildcardRegexp) {
+    type = PART_SEGMENT_WILDCARD;
+    regexpValue = '';
+  } else if (regexpValue === fullWildcardRegexpValue) {
+    type = PART_FULL_WILDCARD;
+    regexpValue = '';
+  }
+
+  let name;
+  if (nameToken !== null)
+    name = nameToken.value;
+  else
+    name = String(parser.nextNumericName++);
+  if (parser.parts.some((part) => part.name === name)) {
+    throw new ERR_INVALID_URL_PATTERN(parser.input,
+                                      `duplicate group name "${name}"`);
+  }
+
+  parser.parts.push({
+    type,
+    value: regexpValue,
+    modifier,
+    name,
+    prefix: parser.encode(prefix),
+    suffix: parser.encode(suffix),
+  });
+}
+
+// Compiling components
+
+function generateRegexpAndNameList(parts, options) {
+  let result = '^';
+  const names = [];
+  for (const part of parts) {
+    if (part.type === PART_FIXED_TEXT) {
+      if (part.modifier === MODIFIER_NONE)
+        result += escapeRegexpString(part.value);
+      else
+        result += `(?:${escapeRegexpString(part.value)})${part.modifier}`;
+      continue;
+    }
+
+    names.push(part.name);
+    let regexpValue = part.value;
+    if (part.type === PART_SEGMENT_WILDCARD)
+      regexpValue = segmentWildcardRegexp(options);
+    else if (part.type === PART_FULL_WILDCARD)
+      regexpValue = fullWildcardRegexpValue;
+
+    const prefix = escapeRegexpString(part.prefix);
+    const suffix = escapeRegexpString(part.suffix);
+    const isSingle = part.modifier === MODIFIER_NONE ||
+                     part.modifier === MODIFIER_OPTIONAL;
+    if (prefix === '' && suffix === '') {
+      if (isSingle)
+        result += `(${regexpValue})${part.modifier}`;
+      else
+        result += `((?:${regexpValue})${part.modifier})`;
+      continue;
+    }
+    if (isSingle) {
+      result += `(?:${prefix}(${regexpValue})${suffix})${part.modifier}`;
+      continue;
+    }
+    result += `(?:${prefix}((?:${regexpValue})` +
+              `(?:${suffix}${prefix}(?:${regexpValue}))*)${suffix})`;
+    if (part.modifier === MODIFIER_ZERO_OR_MORE)
+      result += '?';
+  }
+  result += '$';
+  return { regexpString: result, names };
+}
+
+function generatePatternString(parts, options) {
+  let result = '';
+  for (let i = 0; i < parts.length; ++i) {
+    const part = parts[i];
+    const previousPart = i > 0 ? parts[i - 1] : null;
+    const nextPart = i < parts.length - 1 ? parts[i + 1] : null;
+
+    if (part.type === PART_FIXED_TEXT) {
+      if (part.modifier === MODIFIER_NONE)
+        result += escapePatternString(part.value);
+      else
+        result += `{${escapePatternString(part.value)}}${part.modifier}`;
+      continue;
+    }
+
+    const customName = !isASCIIDigit(part.name[0]);
+    let needsGrouping =
+      part.suffix !== '' ||
+      (part.prefix !== '' && part.prefix !== options.prefix);
+    if (!needsGrouping &&
+        customName &&
+        part.type === PART_SEGMENT_WILDCARD &&
+        part.modifier === MODIFIER_NONE &&
+        nextPart !== null &&
+        nextPart.prefix === '' &&
+        nextPart.suffix === '') {
+      if (nextPart.type === PART_FIXED_TEXT) {
+        needsGrouping =
+          isValidNameCodePoint(nextPart.value.codePointAt(0), false);
+      } else {
+        needsGrouping = isASCIIDigit(nextPart.name[0]);
+      }
+    }
+    if (!needsGrouping &&
+        part.prefix === '' &&
+        previousPart !== null &&
+        previousPart.type === PART_FIXED_TEXT &&
+        previousPart.value[previousPart.value.length - 1] === options.prefix)
+      needsGrouping = true;
+
+    if (needsGrouping)
+      result += '{';
+    result += escapePatternString(part.prefix);
+    if (customName)
+      result += `:${part.name}`;
+    if (part.type === PART_REGEXP) {
+      result += `(${part.value})`;
+    } else if (part.type === PART_SEGMENT_WILDCARD && !customName) {
+      result += `(${segmentWildcardRegexp(options)})`;
+    } else if (part.type === PART_FULL_WILDCARD) {
+      if (!customName &&
+          (previousPart === null ||
+           previousPart.type === PART_FIXED_TEXT ||
+           previousPart.modifier !== MODIFIER_NONE ||
+           needsGrouping ||
+           part.prefix !== '')) {
+        result += '*';
+      } else {
+        result += `(${fullWildcardRegexpValue})`;
+      }
+    }
+    if (part.type === PART_SEGMENT_WILDCARD &&
+        customName &&
+        part.suffix !== '' &&
+        isValidNameCodePoint(part.suffix.codePointAt(0), false))
+      result += '\\';
+    result += escapePatternString(part.suffix);
+    if (needsGrouping)
+      result += '}';
+    result += part.modifier;
+  }
+  return result;
+}
+
+function compileComponent(input, encode, options) {
+  const parts = parsePatternString(input, options, encode);
+  const { regexpString, names } = generateRegexpAndNameList(parts, options);
+  let regexp;
+  try {
+    regexp = new RegExp(regexpString, options.ignoreCase ? 'ui' : 'u');
+  } catch {
+    throw new ERR_INVALID_URL_PATTERN(input, 'invalid regular expression');
+  }
+  return {
+    patternString: generatePatternString(parts, options),
+    regexp,
+    names,
+    hasRegExpGroups: parts.some((part) => part.type === PART_REGEXP),
+  };
+}
+
+function matchesSpecialScheme(protocolComponent) {
+  return specialSchemeList.some((scheme) =>
+    protocolComponent.regexp.test(scheme));
+}
+
+// Canonicalization
+
+function canonicalizeProtocol(value) {
+  if (value === '')
+    return value;
+  const url = basicURLParse(`${value}://dummy.test`);
+  if (url === null)
+    throw new ERR_INVALID_URL_PATTERN(value, 'invalid protocol');
+  return url.scheme;
+}
+
+function canonicalizeUserinfo(value) {
+  return percentEncode(value, noEscapeUserinfo);
+}
+
+function canonicalizeHostname(value, protocolValue = undefined) {
+  if (value === '')
+    return value;
+  const isOpaque = protocolValue !== undefined &&
+                   protocolValue !== '' &&
+                   !isSpecialScheme(protocolValue);
+  const host = parseHost(value, isOpaque);
+  if (host === null)
+    throw new ERR_INVALID_URL_PATTERN(value, 'invalid hostname');
+  return host;
+}
+
+function canonicalizeIPv6Hostname(value) {
+  if (!ipv6HostnamePattern.test(value))
+    throw new ERR_INVALID_URL_PATTERN(value, 'invalid IPv6 hostname');
+  return value.toLowerCase();
+}
+
+function canonicalizePort(value, protocolValue = undefined) {
+  if (value === '')
+    return value;
+  if (!digitsPattern.test(value) || Number(value) > 65535)
+    throw new ERR_INVALID_URL_PATTERN(value, 'invalid port');
+  const port = Number(value);
+  if (protocolValue !== undefined && port === defaultPortFor(protocolValue))
+    return '';
+  return String(port);
+}
+
+function canonicalizePathname(value) {
+  if (value === '')
+    return value;
+  const leadingSlash = value[0] === '/';
+  const url = createURLRecord();
+  basicURLParse(leadingSlash ? value : `/-${value}`, null, url,
+                STATE_PATH_START);
+  const result = serializePath(url);
+  return leadingSlash ? result : result.slice(2);
+}
+
+function canonicalizeOpaquePathname(value) {
+  return percentEncode(value, noEscapeC0Control);
+}
+
+function canonicalizeSearch(value) {
+  return percentEncode(value, noEscapeQuery);
+}
+
+function canonicalizeHash(value) {
+  return percentEncode(value, noEscapeFragment);
+}
+
+// Processing URLPatternInit dictionaries
+
+function isAbsolutePathname(input, isPattern) {
+  if (input === '')
+    return false;
+  if (input[0] === '/')
+    return true;
+  if (!isPattern || input.length < 2)
+    return false;
+  return (input[0] === '\\' || input[0] === '{') && input[1] === '/';
+}
+
+function processInit(init, isPattern, result) {
+  let baseURL = null;
+  const has = (name) => init[name] !== undefined;
+  const processBaseURLString = (input) =>
+    (isPattern ? escapePatternString(input) : input);
+
+  if (has('baseURL')) {
+    baseURL = basicURLParse(`${init.baseURL}`);
+    if (baseURL === null)
+      throw new ERR_INVALID_URL_PATTERN(init.baseURL, 'invalid base URL');
+    const hasAny = (names) => names.some(has);
+
+    if (!has('protocol'))
+      result.protocol = processBaseURLString(baseURL.scheme);
+    if (!isPattern && !hasAny(['protocol', 'hostname', 'port', 'username']))
+      result.username = processBaseURLString(baseURL.username);
+    if (!isPattern &&
+        !hasAny(['protocol', 'hostname', 'port', 'username', 'password']))
+      result.password = processBaseURLString(baseURL.password);
+    if (!hasAny(['protocol', 'hostname']))
+      result.hostname = processBaseURLString(baseURL.host || '');
+    if (!hasAny(['protocol', 'hostname', 'port'])) {
+      result.port = processBaseURLString(
+        baseURL.port === null ? '' : String(baseURL.port));
+    }
+    if (!hasAny(['protocol', 'hostname', 'port', 'pathname']))
+      result.pathname = processBaseURLString(serializePath(baseURL));
+    if (!hasAny(['protocol', 'hostname', 'port', 'pathname', 'search']))
+      result.search = processBaseURLString(baseURL.query || '');
+    if (!hasAny(['protocol', 'hostname', 'port', 'pathname', 'search',
+                 'hash']))
+      result.hash = processBaseURLString(baseURL.fragment || '');
+  }
+
+  if (has('protocol')) {
+    const value = `${init.protocol}`.replace(/:$/, '');
+    result.protocol = isPattern ? value : canonicalizeProtocol(value);
+  }
+  if (has('username')) {
+    const value = `${init.username}`;
+    result.username = isPattern ? value : canonicalizeUserinfo(value);
+  }
+  if (has('password')) {
+    const value = `${init.password}`;
+    result.password = isPattern ? value : canonicalizeUserinfo(value);
+  }
+  if (has('hostname')) {
+    const value = `${init.hostname}`;
+    result.hostname =
+      isPattern ? value : canonicalizeHostname(value, result.protocol);
+  }
+  if (has('port')) {
+    const value = `${init.port}`;
+    result.port = isPattern ? value : canonicalizePort(value, result.protocol);
+  }
+  if (has('pathname')) {
+    let pathname = `${init.pathname}`;
+    if (baseURL !== null &&
+        typeof baseURL.path !== 'string' &&
+        !isAbsolutePathname(pathname, isPattern)) {
+      const basePath = processBaseURLString(serializePath(baseURL));
+      const slashIndex = basePath.lastIndexOf('/');
+      if (slashIndex !== -1)
+        pathname = basePath.slice(0, slashIndex + 1) + pathname;
+    }
+    if (isPattern) {
+      result.pathname = pathname;
+    } else if (result.protocol === '' || isSpecialScheme(result.protocol)) {
+      result.pathname = canonicalizePathname(pathname);
+    } else {
+      result.pathname = canonicalizeOpaquePathname(pathname);
+    }
+  }
+  if (has('search')) {
+    const value = `${init.search}`.replace(/^\?/, '');
+    result.search = isPattern ? value : canonicalizeSearch(value);
+  }
+  if (has('hash')) {
+    const value = `${init.hash}`.replace(/^#/, '');
+    result.hash = isPattern ? value : canonicalizeHash(value);
+  }
+  return result;
+}
+
+// Parsing constructor strings
+
+function parseConstructorString(input) {
+  const parser = {
+    input,
+    tokens: tokenize(input, false),
+    result: {},
+    componentStart: 0,
+    tokenIndex: 0,
+    tokenIncrement: 1,
+    groupDepth: 0,
+    hostnameIPv6BracketDepth: 0,
+    protocolMatchesSpecialScheme: false,
+    state: STATE_INIT,
+  };
+
+  while (parser.tokenIndex < parser.tokens.length) {
+    parser.tokenIncrement = 1;
+
+    if (parser.tokens[parser.tokenIndex].type === TOKEN_END) {
+      if (parser.state === STATE_INIT) {
+        rewind(parser);
+        if (isNonSpecialPatternChar(parser, parser.tokenIndex, '#'))
+          changeState(parser, STATE_HASH, 1);
+        else if (isSearchPrefix(parser))
+          changeState(parser, STATE_SEARCH, 1);
+        else
+          changeState(parser, STATE_PATHNAME, 0);
+        parser.tokenIndex += parser.tokenIncrement;
+        continue;
+      }
+      if (parser.state === STATE_AUTHORITY) {
+        rewind(parser);
+        parser.state = STATE_HOSTNAME;
+        parser.tokenIndex += parser.tokenIncrement;
+        continue;
+      }
+      changeState(parser, STATE_DONE, 0);
+      break;
+    }
+
+    if (parser.tokens[parser.tokenIndex].type === TOKEN_OPEN) {
+      ++parser.groupDepth;
+      parser.tokenIndex += parser.tokenIncrement;
+      continue;
+    }
+    if (parser.groupDepth > 0) {
+      if (parser.tokens[parser.tokenIndex].type === TOKEN_CLOSE) {
+        --parser.groupDepth;
+      } else {
+        parser.tokenIndex += parser.tokenIncrement;
+        continue;
+      }
+    }
+
+    const is = (value) =>
+      isNonSpecialPatternChar(parser, parser.tokenIndex, value);
+    switch (parser.state) {
+      case STATE_INIT:
+        if (is(':')) {
+          rewind(parser);
+          parser.state = STATE_PROTOCOL;
+        }
+        break;
+      case STATE_PROTOCOL:
+        if (is(':')) {
+          computeProtocolMatchesSpecialScheme(parser);
+          let nextState = STATE_PATHNAME;
+          let skip = 1;
+          if (isNonSpecialPatternChar(parser, parser.tokenIndex + 1, '/') &&
+              isNonSpecialPatternChar(parser, parser.tokenIndex + 2, '/')) {
+            nextState = STATE_AUTHORITY;
+            skip = 3;
+          } else if (parser.protocolMatchesSpecialScheme) {
+            nextState = STATE_AUTHORITY;
+          }
+          changeState(parser, nextState, skip);
+        }
+        break;
+      case STATE_AUTHORITY:
+        if (is('@')) {
+          rewind(parser);
+          parser.state = STATE_USERNAME;
+        } else if (is('/') || isSearchPrefix(parser) || is('#')) {
+          rewind(parser);
+          parser.state = STATE_HOSTNAME;
+        }
+        break;
+      case STATE_USERNAME:
+        if (is(':'))
+          changeState(parser, STATE_PASSWORD, 1);
+        else if (is('@'))
+          changeState(parser, STATE_HOSTNAME, 1);
+        break;
+      case STATE_PASSWORD:
+        if (is('@'))
+          changeState(parser, STATE_HOSTNAME, 1);
+        break;
+      case STATE_HOSTNAME:
+        if (is('['))
+          ++parser.hostnameIPv6BracketDepth;
+        else if (is(']'))
+          --parser.hostnameIPv6BracketDepth;
+        else if (is(':') && parser.hostnameIPv6BracketDepth === 0)
+          changeState(parser, STATE_PORT, 1);
+        else if (is('/'))
+          changeState(parser, STATE_PATHNAME, 0);
+        else if (isSearchPrefix(parser))
+          changeState(parser, STATE_SEARCH, 1);
+        else if (is('#'))
+          changeState(parser, STATE_HASH, 1);
+        break;
+      case STATE_PORT:
+        if (is('/'))
+          changeState(parser, STATE_PATHNAME, 0);
+        else if (isSearchPrefix(parser))
+          changeState(parser, STATE_SEARCH, 1);
+        else if (is('#'))
+          changeState(parser, STATE_HASH, 1);
+        break;
+      case STATE_PATHNAME:
+        if (isSearchPrefix(parser))
+          changeState(parser, STATE_SEARCH, 1);
+        else if (is('#'))
+          changeState(parser, STATE_HASH, 1);
+        break;
+      case STATE_SEARCH:
+        if (is('#'))
+          changeState(parser, STATE_HASH, 1);
+        break;
+    }
+    parser.tokenIndex += parser.tokenIncrement;
+  }
+
+  if (parser.result.hostname !== undefined &&
+      parser.result.port === undefined)
+    parser.result.port = '';
+  return parser.result;
+}
+
+function changeState(parser, newState, skip) {
+  const { state, result } = parser;
+  if (stateComponents.has(state))
+    result[stateComponents.get(state)] = makeComponentString(parser);
+
+  if (state !== STATE_INIT && newState !== STATE_DONE) {
+    const beforeHostname = state === STATE_PROTOCOL ||
+                           state === STATE_AUTHORITY ||
+                           state === STATE_USERNAME ||
+                           state === STATE_PASSWORD;
+    const beforePathname = beforeHostname ||
+                           state === STATE_HOSTNAME ||
+                           state === STATE_PORT;
+    if (beforeHostname &&
+        (newState === STATE_PORT ||
+         newState === STATE_PATHNAME ||
+         newState === STATE_SEARCH ||
+         newState === STATE_HASH) &&
+        result.hostname === undefined)
+      result.hostname = '';
+    if (beforePathname &&
+        (newState === STATE_SEARCH || newState === STATE_HASH) &&
+        result.pathname === undefined)
+      result.pathname = parser.protocolMatchesSpecialScheme ? '/' : '';
+    if ((beforePathname || state === STATE_PATHNAME) &&
+        newState === STATE_HASH &&
+        result.search === undefined)
+      result.search = '';
+  }
+
+  parser.state = newState;
+  parser.tokenIndex += skip;
+  parser.componentStart = parser.tokenIndex;
+  parser.tokenIncrement = 0;
+}
+
+function rewind(parser) {
+  parser.tokenIndex = parser.componentStart;
+  parser.tokenIncrement = 0;
+}
+
+function getSafeToken(parser, index) {
+  if (index < parser.tokens.length)
+    return parser.tokens[index];
+  return parser.tokens[parser.tokens.length - 1];
+}
+
+function isNonSpecialPatternChar(parser, index, value) {
+  const token = getSafeToken(parser, index);
+  if (token.value !== value)
+    return false;
+  return token.type === TOKEN_CHAR ||
+         token.type === TOKEN_ESCAPED_CHAR ||
+         token.type === TOKEN_INVALID_CHAR;
+}
+
+function isSearchPrefix(parser) {
+  if (isNonSpecialPatternChar(parser, parser.tokenIndex, '?'))
+    return true;
+  if (parser.tokens[parser.tokenIndex].value !== '?')
+    return false;
+  const previousIndex = parser.tokenIndex - 1;
+  if (previousIndex < 0)
+    return true;
+  const previousToken = getSafeToken(parser, previousIndex);
+  return previousToken.type !== TOKEN_NAME &&
+         previousToken.type !== TOKEN_REGEXP &&
+         previousToken.type !== TOKEN_CLOSE &&
+         previousToken.type !== TOKEN_ASTERISK;
+}
+
+function makeComponentString(parser) {
+  const token = parser.tokens[parser.tokenIndex];
+  const componentStartToken = getSafeToken(parser, parser.componentStart);
+  return parser.input.slice(componentStartToken.index, token.index);
+}
+
+function computeProtocolMatchesSpecialScheme(parser) {
+  const protocol = makeComponentString(parser);
+  const component =
+    compileComponent(protocol, canonicalizeProtocol, defaultOptions);
+  parser.protocolMatchesSpecialScheme = matchesSpecialScheme(component);
+}
+
+// URLPattern
+
+function isIPv6HostnamePattern(input) {
+  if (input.length < 2)
+    return false;
+  return input[0] === '[' ||
+         ((input[0] === '{' || input[0] === '\\') && input[1] === '[');
+}
+
+// Returns the href of `input` if it's a URL or a legacy Url, which the
+// matching functions accept in addition to strings and URLPatternInit
+// dictionaries.
+function toHref(input) {
+  if (input instanceof URL)
+    return input.href;
+  if (input !== null &&
+      typeof input === 'object' &&
+      typeof input.format === 'function' &&
+      typeof input.href === 'string')
+    return input.format();
+  return input;
+}
+
+// Matches `input`, a URL string, a URL, a Url or a URLPatternInit
+// dictionary, against the compiled components. Returns null on mismatch.
+function match(pattern, input, baseURL) {
+  input = toHref(input);
+  const values = {
+    protocol: '',
+    username: '',
+    password: '',
+    hostname: '',
+    port: '',
+    pathname: '',
+    search: '',
+    hash: '',
+  };
+  const inputs = [input];
+
+  if (typeof input === 'object' && input !== null) {
+    if (baseURL !== undefined) {
+      throw new ERR_INVALID_ARG_TYPE('baseURL', 'undefined', baseURL);
+    }
+    try {
+      processInit(input, false, values);
+    } catch (err) {
+      if (err instanceof TypeError)
+        return null;
+      throw err;
+    }
+  } else {
+    input = `${input}`;
+    let base = null;
+    if (baseURL !== undefined) {
+      baseURL = `${baseURL}`;
+      base = basicURLParse(baseURL);
+      if (base === null)
+        return null;
+      inputs.push(baseURL);
+    }
+    const url = basicURLParse(input, base);
+    if (url === null)
+      return null;
+    values.protocol = url.scheme;
+    values.username = url.username;
+    values.password = url.password;
+    values.hostname = url.host || '';
+    values.port = url.port === null ? '' : String(url.port);
+    values.pathname = serializePath(url);
+    values.search = url.query || '';
+    values.hash = url.fragment || '';
+  }
+
+  const result = { inputs };
+  for (const name of componentNames) {
+    const component = pattern[components][name];
+    const execResult = component.regexp.exec(values[name]);
+    if (execResult === null)
+      return null;
+    const groups = {};
+    for (let i = 1; i < execResult.length; ++i)
+      groups[component.names[i - 1]] = execResult[i];
+    result[name] = { input: values[name], groups };
+  }
+  return result;
+}
+
+class URLPattern {
+  constructor(input = {}, baseURL = undefined, options = undefined) {
+    if (baseURL !== null && typeof baseURL === 'object') {
+      options = baseURL;
+      baseURL = undefined;
+    }
+    let ignoreCase = false;
+    if (options !== undefined && options !== null)
+      ignoreCase = Boolean(options.ignoreCase);
+
+    let init;
+    if (typeof input === 'string') {
+      init = parseConstructorString(input);
+      if (baseURL === undefined && init.protocol === undefined) {
+        throw new ERR_INVALID_URL_PATTERN(
+          input, 'relative patterns need a base URL');
+      }
+      if (baseURL !== undefined)
+        init.baseURL = `${baseURL}`;
+    } else {
+      if (input === null || typeof input !== 'object') {
+        throw new ERR_INVALID_ARG_TYPE('input', ['string', 'Object'],
+                                       input);
+      }
+      if (baseURL !== undefined)
+        throw new ERR_INVALID_ARG_TYPE('baseURL', 'undefined', baseURL);
+      init = input;
+    }
+
+    const processed = processInit(init, true, {});
+    for (const name of componentNames) {
+      if (processed[name] === undefined)
+        processed[name] = '*';
+    }
+    if (isSpecialScheme(processed.protocol) &&
+        processed.port === String(defaultPortFor(processed.protocol)))
+      processed.port = '';
+
+    const compiled = {};
+    compiled.protocol = compileComponent(processed.protocol,
+                                         canonicalizeProtocol,
+                                         defaultOptions);
+    compiled.username = compileComponent(processed.username,
+                                         canonicalizeUserinfo,
+                                         defaultOptions);
+    compiled.password = compileComponent(processed.password,
+                                         canonicalizeUserinfo,
+                                         defaultOptions);
+    compiled.hostname = compileComponent(
+      processed.hostname,
+      isIPv6HostnamePattern(processed.hostname) ?
+        canonicalizeIPv6Hostname :
+        canonicalizeHostname,
+      hostnameOptions);
+    compiled.port = compileComponent(processed.port, canonicalizePort,
+                                     defaultOptions);
+
+    const compileOptions = { ...defaultOptions, ignoreCase };
+    if (matchesSpecialScheme(compiled.protocol)) {
+      compiled.pathname = compileComponent(processed.pathname,
+                                           canonicalizePathname,
+                                           { ...pathnameOptions, ignoreCase });
+    } else {
+      compiled.pathname = compileComponent(processed.pathname,
+                                           canonicalizeOpaquePathname,
+                                           compileOptions);
+    }
+    compiled.search = compileComponent(processed.search, canonicalizeSearch,
+                                       compileOptions);
+    compiled.hash = compileComponent(processed.hash, canonicalizeHash,
+                                     compileOptions);
+    this[components] = compiled;
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'URLPattern';
+  }
+
+  test(input = {}, baseURL = undefined) {
+    return match(this, input, baseURL) !== null;
+  }
+
+  exec(input = {}, baseURL = undefined) {
+    return match(this, input, baseURL);
+  }
+
+  get protocol() {
+    return this[components].protocol.patternString;
+  }
+
+  get username() {
+    return this[components].username.patternString;
+  }
+
+  get password() {
+    return this[components].password.patternString;
+  }
+
+  get hostname() {
+    return this[components].hostname.patternString;
+  }
+
+  get port() {
+    return this[components].port.patternString;
+  }
+
+  get pathname() {
+    return this[components].pathname.patternString;
+  }
+
+  get search() {
+    return this[components].search.patternString;
+  }
+
+  get hash() {
+    return this[components].hash.patternString;
+  }
+
+  get hasRegExpGroups() {
+    return componentNames.some((name) =>
+      this[components][name].hasRegExpGroups);
+  }
+}
+
+export {
+  URLPattern,
+};
@@ -0,0 +1,1216 @@
+// An implementation of the WHATWG URL Standard.
+//
+// Reference: https://url.spec.whatwg.org/
+
+import {
+  ERR_ARG_NOT_ITERABLE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_TUPLE,
+  ERR_INVALID_URL,
+} from './errors.js';
+import { parseHost } from './host.js';
+import { toUnicode } from './idna.js';
+import {
+  percentEncode,
+  percentEncodeCodePoint,
+  percentEncodeForm,
+  percentDecode,
+  noEscapeC0Control,
+  noEscapeFragment,
+  noEscapeQuery,
+  noEscapeSpecialQuery,
+  noEscapePath,
+  noEscapeUserinfo,
+} from './percent-encoding.js';
+
+const context = Symbol('context');
+const searchParams = Symbol('searchParams');
+const searchParamsList = Symbol('searchParamsList');
+
+// Special schemes and their default ports.
+const specialSchemes = new Map([
+  ['ftp', 21],
+  ['file', null],
+  ['http', 80],
+  ['https', 443],
+  ['ws', 80],
+  ['wss', 443],
+]);
+
+const
+  STATE_SCHEME_START = 1,
+  STATE_SCHEME = 2,
+  STATE_NO_SCHEME = 3,
+  STATE_SPECIAL_RELATIVE_OR_AUTHORITY = 4,
+  STATE_PATH_OR_AUTHORITY = 5,
+  STATE_RELATIVE = 6,
+  STATE_RELATIVE_SLASH = 7,
+  STATE_SPECIAL_AUTHORITY_SLASHES = 8,
+  STATE_SPECIAL_AUTHORITY_IGNORE_SLASHES = 9,
+  STATE_AUTHORITY = 10,
+  STATE_HOST = 11,
+  STATE_HOSTNAME = 12,
+  STATE_PORT = 13,
+  STATE_FILE = 14,
+  STATE_FILE_SLASH = 15,
+  STATE_FILE_HOST = 16,
+  STATE_PATH_START = 17,
+  STATE_PATH = 18,
+  STATE_OPAQUE_PATH = 19,
+  STATE_QUERY = 20,
+  STATE_FRAGMENT = 21;
+
+const EOF = -1;
+
+const
+  CHAR_SPACE = 32,
+  CHAR_HASH = 35,
+  CHAR_PLUS = 43,
+  CHAR_HYPHEN_MINUS = 45,
+  CHAR_DOT = 46,
+  CHAR_FORWARD_SLASH = 47,
+  CHAR_0 = 48,
+  CHAR_9 = 57,
+  CHAR_COLON = 58,
+  CHAR_QUESTION_MARK = 63,
+  CHAR_AT = 64,
+  CHAR_UPPERCASE_A = 65,
+  CHAR_UPPERCASE_Z = 90,
+  CHAR_LEFT_SQUARE_BRACKET = 91,
+  CHAR_BACKWARD_SLASH = 92,
+  CHAR_RIGHT_SQUARE_BRACKET = 93,
+  CHAR_LOWERCASE_A = 97,
+  CHAR_LOWERCASE_Z = 122,
+  CHAR_VERTICAL_LINE = 124;
+
+function isASCIIDigit(c) {
+  return c >= CHAR_0 && c <= CHAR_9;
+}
+
+function isASCIIAlpha(c) {
+  return (c >= CHAR_LOWERCASE_A && c <= CHAR_LOWERCASE_Z) ||
+         (c >= CHAR_UPPERCASE_A && c <= CHAR_UPPERCASE_Z);
+}
+
+function isASCIIAlphanumeric(c) {
+  return isASCIIAlpha(c) || isASCIIDigit(c);
+}
+
+function isSpecialScheme(scheme) {
+  return specialSchemes.has(scheme);
+}
+
+function defaultPortFor(scheme) {
+  const port = specialSchemes.get(scheme);
+  return port === undefined ? null : port;
+}
+
+// URL records
+
+function isWindowsDriveLetter(string) {
+  return string.length === 2 &&
+         isASCIIAlpha(string.charCodeAt(0)) &&
+         (string.charCodeAt(1) === CHAR_COLON ||
+          string.charCodeAt(1) === CHAR_VERTICAL_LINE);
+}
+
+function isNormalizedWindowsDriveLetter(string) {
+  return string.length === 2 &&
+         isASCIIAlpha(string.charCodeAt(0)) &&
+         string.charCodeAt(1) === CHAR_COLON;
+}
+
+function startsWithWindowsDriveLetter(codePoints, pointer) {
+  const length = codePoints.length - pointer;
+  if (length < 2)
+    return false;
+  if (!isASCIIAlpha(codePoints[pointer]) ||
+      (codePoints[pointer + 1] !== CHAR_COLON &&
+       codePoints[pointer + 1] !== CHAR_VERTICAL_LINE))
+    return false;
+  if (length === 2)
+    return true;
+  const c = codePoints[pointer + 2];
+  return c === CHAR_FORWARD_SLASH ||
+         c === CHAR_BACKWARD_SLASH ||
+         c === CHAR_QUESTION_MARK ||
+         c === CHAR_HASH;
+}
+
+function isSingleDotSegment(buffer) {
+  return buffer === '.' || buffer.toLowerCase() === '%2e';
+}
+
+function isDoubleDotSegment(buffer) {
+  switch (buffer.toLowerCase()) {
+    case '..':
+    case '.%2e':
+    case '%2e.':
+    case '%2e%2e':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function createURLRecord() {
+  return {
+    scheme: '',
+    username: '',
+    password: '',
+    host: null,
+    port: null,
+    // Either an array of segments, or a string for URLs with an opaque path.
+    path: [],
+    query: null,
+    fragment: null,
+  };
+}
+
+function hasOpaquePath(url) {
+  return typeof url.path === 'string';
+}
+
+function includesCredentials(url) {
+  return url.username !== '' || url.password !== '';
+}
+
+function cannotHaveUsernamePasswordPort(url) {
+  return url.host === null || url.host === '' || url.scheme === 'file';
+}
+
+function shortenPath(url) {
+  const path = url.path;
+  if (url.scheme === 'file' &&
+      path.length === 1 &&
+      isNormalizedWindowsDriveLetter(path[0]))
+    return;
+  path.pop();
+}
+
+function stripTrailingSpacesFromOpaquePath(url) {
+  if (!hasOpaquePath(url) || url.fragment !== null || url.query !== null)
+    return;
+  url.path = url.path.replace(/ +$/, '');
+}
+
+function trimControlAndSpace(input) {
+  let start = 0;
+  let end = input.length;
+  while (start < end && input.charCodeAt(start) <= CHAR_SPACE)
+    ++start;
+  while (end > start && input.charCodeAt(end - 1) <= CHAR_SPACE)
+    --end;
+  return start === 0 && end === input.length ? input : input.slice(start, end);
+}
+
+// Implements the "basic URL parser". Returns the URL record, or null on
+// failure. When a state override is given, `url` is modified in place.
+function basicURLParse(input, base = null, url = null, stateOverride = 0) {
+  if (url === null) {
+    url = createURLRecord();
+    input = trimControlAndSpace(input);
+  }
+  input = input.replace(/[\t\n\r]/g, '');
+
+  const codePoints = Array.from(input, (ch) => ch.codePointAt(0));
+  let state = stateOverride || STATE_SCHEME_START;
+  let buffer = '';
+  let atSignSeen = false;
+  let insideBrackets = false;
+  let passwordTokenSeen = false;
+
+  for (let pointer = 0; pointer <= codePoints.length; ++pointer) {
+    const c = pointer < codePoints.length ? codePoints[pointer] : EOF;
+    const isSpecial = isSpecialScheme(url.scheme);
+
+    switch (state) {
+      case STATE_SCHEME_START:
+        if (isASCIIAlpha(c)) {
+          buffer += String.fromCharCode(c).toLowerCase();
+          state = STATE_SCHEME;
+        } else if (!stateOverride) {
+          state = STATE_NO_SCHEME;
+          --pointer;
+        } else {
+          return null;
+        }
+        break;
+
+      case STATE_SCHEME:
+        if (isASCIIAlphanumeric(c) ||
+            c === CHAR_PLUS ||
+            c === CHAR_HYPHEN_MINUS ||
+            c === CHAR_DOT) {
+          buffer += String.fromCharCode(c).toLowerCase();
+        } else if (c === CHAR_COLON) {
+          if (stateOverride) {
+            if (isSpecial !== isSpecialScheme(buffer))
+              return url;
+            if ((includesCredentials(url) || url.port !== null) &&
+                buffer === 'file')
+              return url;
+            if (url.scheme === 'file' && url.host === '')
+              return url;
+          }
+          url.scheme = buffer;
+          if (stateOverride) {
+            if (url.port === defaultPortFor(url.scheme))
+              url.port = null;
+            return url;
+          }
+          buffer = '';
+          if (url.scheme === 'file') {
+            state = STATE_FILE;
+          } else if (isSpecialScheme(url.scheme) &&
+                     base !== null &&
+                     base.scheme === url.scheme) {
+            state = STATE_SPECIAL_RELATIVE_OR_AUTHORITY;
+          } else if (isSpecialScheme(url.scheme)) {
+            state = STATE_SPECIAL_AUTHORITY_SLASHES;
+          } else if (codePoints[pointer + 1] === CHAR_FORWARD_SLASH) {
+            state = STATE_PATH_OR_AUTHORITY;
+            ++pointer;
+          } else {
+            url.path = '';
+            state = STATE_OPAQUE_PATH;
+          }
+        } else if (!stateOverride) {
+          buffer = '';
+          state = STATE_NO_SCHEME;
+          pointer = -1;
+        } else {
+          return null;
+        }
+        break;
+
+      case STATE_NO_SCHEME:
+        if (base === null || (hasOpaquePath(base) && c !== CHAR_HASH)) {
+          return null;
+        } else if (hasOpaquePath(base) && c === CHAR_HASH) {
+          url.scheme = base.scheme;
+          url.path = base.path;
+          url.query = base.query;
+          url.fragment = '';
+          state = STATE_FRAGMENT;
+        } else if (base.scheme !== 'file') {
+          state = STATE_RELATIVE;
+          --pointer;
+        } else {
+          state = STATE_FILE;
+          --pointer;
+        }
+        break;
+
+      case STATE_SPECIAL_RELATIVE_OR_AUTHORITY:
+        if (c === CHAR_FORWARD_SLASH &&
+            codePoints[pointer + 1] === CHAR_FORWARD_SLASH) {
+          state = STATE_SPECIAL_AUTHORITY_IGNORE_SLASHES;
+          ++pointer;
+        } else {
+          state = STATE_RELATIVE;
+          --pointer;
+        }
+        break;
+
+      case STATE_PATH_OR_AUTHORITY:
+        if (c === CHAR_FORWARD_SLASH) {
+          state = STATE_AUTHORITY;
+        } else {
+          state = STATE_PATH;
+          --pointer;
+        }
+        break;
+
+      case STATE_RELATIVE:
+        // isSpecial was worked out before the scheme got copied from base.
+        url.scheme = base.scheme;
+        if (c === CHAR_FORWARD_SLASH ||
+            (isSpecialScheme(url.scheme) && c === CHAR_BACKWARD_SLASH)) {
+          state = STATE_RELATIVE_SLASH;
+        } else {
+          url.username = base.username;
+          url.password = base.password;
+          url.host = base.host;
+          url.port = base.port;
+          url.path = base.path.slice();
+          url.query = base.query;
+          if (c === CHAR_QUESTION_MARK) {
+            url.query = '';
+            state = STATE_QUERY;
+          } else if (c === CHAR_HASH) {
+            url.fragment = '';
+            state = STATE_FRAGMENT;
+          } else if (c !== EOF) {
+            url.query = null;
+            shortenPath(url);
+            state = STATE_PATH;
+            --pointer;
+          }
+        }
+        break;
+
+      case STATE_RELATIVE_SLASH:
+        if (isSpecial &&
+            (c === CHAR_FORWARD_SLASH || c === CHAR_BACKWARD_SLASH)) {
+          state = STATE_SPECIAL_AUTHORITY_IGNORE_SLASHES;
+        } else if (c === CHAR_FORWARD_SLASH) {
+          state = STATE_AUTHORITY;
+        } else {
+          url.username = base.username;
+          url.password = base.password;
+          url.host = base.host;
+          url.port = base.port;
+          state = STATE_PATH;
+          --pointer;
+        }
+        break;
+
+      case STATE_SPECIAL_AUTHORITY_SLASHES:
+        if (c === CHAR_FORWARD_SLASH &&
+            codePoints[pointer + 1] === CHAR_FORWARD_SLASH) {
+          ++pointer;
+        } else {
+          --pointer;
+        }
+        state = STATE_SPECIAL_AUTHORITY_IGNORE_SLASHES;
+        break;
+
+      case STATE_SPECIAL_AUTHORITY_IGNORE_SLASHES:
+        if (c !== CHAR_FORWARD_SLASH && c !== CHAR_BACKWARD_SLASH) {
+          state = STATE_AUTHORITY;
+          --pointer;
+        }
+        break;
+
+      case STATE_AUTHORITY:
+        if (c === CHAR_AT) {
+          if (atSignSeen)
+            buffer = '%40' + buffer;
+          atSignSeen = true;
+          for (const ch of buffer) {
+            const codePoint = ch.codePointAt(0);
+            if (codePoint === CHAR_COLON && !passwordTokenSeen) {
+              passwordTokenSeen = true;
+              continue;
+            }
+            const encoded =
+              percentEncodeCodePoint(codePoint, noEscapeUserinfo);
+            if (passwordTokenSeen)
+              url.password += encoded;
+            else
+              url.username += encoded;
+          }
+          buffer = '';
+        } else if (c === EOF ||
+                   c === CHAR_FORWARD_SLASH ||
+                   c === CHAR_QUESTION_MARK ||
+                   c === CHAR_HASH ||
+                   (isSpecial && c === CHAR_BACKWARD_SLASH)) {
+          if (atSignSeen && buffer === '')
+            return null;
+          pointer -= Array.from(buffer).length + 1;
+          buffer = '';
+          state = STATE_HOST;
+        } else {
+          buffer += String.fromCodePoint(c);
+        }
+        break;
+
+      case STATE_HOST:
+      case STATE_HOSTNAME:
+        if (stateOverride && url.scheme === 'file') {
+          --pointer;
+          state = STATE_FILE_HOST;
+        } else if (c === CHAR_COLON && !insideBrackets) {
+          if (buffer === '')
+            return null;
+          if (stateOverride === STATE_HOSTNAME)
+            return null;
+          const host = parseHost(buffer, !isSpecial);
+          if (host === null)
+            return null;
+          url.host = host;
+          buffer = '';
+          state = STATE_PORT;
+        } else if (c === EOF ||
+                   c === CHAR_FORWARD_SLASH ||
+                   c === CHAR_QUESTION_MARK ||
+                   c === CHAR_HASH ||
+                   (isSpecial && c === CHAR_BACKWARD_SLASH)) {
+          --pointer;
+          if (isSpecial && buffer === '')
+            return null;
+          if (stateOverride &&
+              buffer === '' &&
+              (includesCredentials(url) || url.port !== null))
+            return null;
+          const host = parseHost(buffer, !isSpecial);
+          if (host === null)
+            return null;
+          url.host = host;
+          buffer = '';
+          state = STATE_PATH_START;
+          if (stateOverride)
+            return url;
+        } else {
+          if (c === CHAR_LEFT_SQUARE_BRACKET)
+            insideBrackets = true;
+          else if (c === CHAR_RIGHT_SQUARE_BRACKET)
+            insideBrackets = false;
+          buffer += String.fromCodePoint(c);
+        }
+        break;
+
+      case STATE_PORT:
+        if (isASCIIDigit(c)) {
+          buffer += String.fromCharCode(c);
+        } else if (c === EOF ||
+                   c === CHAR_FORWARD_SLASH ||
+                   c === CHAR_QUESTION_MARK ||
+                   c === CHAR_HASH ||
+                   (isSpecial && c === CHAR_BACKWARD_SLASH) ||
+                   stateOverride) {
+          if (buffer !== '') {
+            const port = parseInt(buffer, 10);
+            if (port > 65535)
+              return null;
+            url.port = port === defaultPortFor(url.scheme) ? null : port;
+            buffer = '';
+            if (stateOverride)
+              return url;
+          }
+          if (stateOverride)
+            return null;
+          state = STATE_PATH_START;
+          --pointer;
+        } else {
+          return null;
+        }
+        break;
+
+      case STATE_FILE:
+        url.scheme = 'file';
+        url.host = '';
+        if (c === CHAR_FORWARD_SLASH || c === CHAR_BACKWARD_SLASH) {
+          state = STATE_FILE_SLASH;
+        } else if (base !== null && base.scheme === 'file') {
+          url.host = base.host;
+          url.path = base.path.slice();
+          url.query = base.query;
+          if (c === CHAR_QUESTION_MARK) {
+            url.query = '';
+            state = STATE_QUERY;
+          } else if (c === CHAR_HASH) {
+            url.fragment = '';
+            state = STATE_FRAGMENT;
+          } else if (c !== EOF) {
+            url.query = null;
+            if (!startsWithWindowsDriveLetter(codePoints, pointer))
+              shortenPath(url);
+            else
+              url.path = [];
+            state = STATE_PATH;
+            --pointer;
+          }
+        } else {
+          state = STATE_PATH;
+          --pointer;
+        }
+        break;
+
+      case STATE_FILE_SLASH:
+        if (c === CHAR_FORWARD_SLASH || c === CHAR_BACKWARD_SLASH) {
+          state = STATE_FILE_HOST;
+        } else {
+          if (base !== null && base.scheme === 'file') {
+            url.host = base.host;
+            if (!startsWithWindowsDriveLetter(codePoints, pointer) &&
+                isNormalizedWindowsDriveLetter(base.path[0] || ''))
+              url.path.push(base.path[0]);
+          }
+          state = STATE_PATH;
+          --pointer;
+        }
+        break;
+
+      case STATE_FILE_HOST:
+        if (c === EOF ||
+            c === CHAR_FORWARD_SLASH ||
+            c === CHAR_BACKWARD_SLASH ||
+            c === CHAR_QUESTION_MARK ||
+            c === CHAR_HASH) {
+          --pointer;
+          if (!stateOverride && isWindowsDriveLetter(buffer)) {
+            state = STATE_PATH;
+          } else if (buffer === '') {
+            url.host = '';
+            if (stateOverride)
+              return url;
+            state = STATE_PATH_START;
+          } else {
+            let host = parseHost(buffer, !isSpecial);
+            if (host === null)
+              return null;
+            if (host === 'localhost')
+              host = '';
+            url.host = host;
+            if (stateOverride)
+              return url;
+            buffer = '';
+            state = STATE_PATH_START;
+          }
+        } else {
+          buffer += String.fromCodePoint(c);
+        }
+        break;
+
+      case STATE_PATH_START:
+        if (isSpecial) {
+          state = STATE_PATH;
+          if (c !== CHAR_FORWARD_SLASH && c !== CHAR_BACKWARD_SLASH)
+            --pointer;
+        } else if (!stateOverride && c === CHAR_QUESTION_MARK) {
+          url.query = '';
+          state = STATE_QUERY;
+        } else if (!stateOverride && c === CHAR_HASH) {
+          url.fragment = '';
+          state = STATE_FRAGMENT;
+        } else if (c !== EOF) {
+          state = STATE_PATH;
+          if (c !== CHAR_FORWARD_SLASH)
+            --pointer;
+        } else if (stateOverride && url.host === null) {
+          url.path.push('');
+        }
+        break;
+
+      case STATE_PATH:
+        if (c === EOF ||
+            c === CHAR_FORWARD_SLASH ||
+            (isSpecial && c === CHAR_BACKWARD_SLASH) ||
+            (!stateOverride &&
+             (c === CHAR_QUESTION_MARK || c === CHAR_HASH))) {
+          const isSlash = c === CHAR_FORWARD_SLASH ||
+                          (isSpecial && c === CHAR_BACKWARD_SLASH);
+          if (isDoubleDotSegment(buffer)) {
+            shortenPath(url);
+            if (!isSlash)
+              url.path.push('');
+          } else if (isSingleDotSegment(buffer) && !isSlash) {
+            url.path.push('');
+          } else if (!isSingleDotSegment(buffer)) {
+            if (url.scheme === 'file' &&
+                url.path.length === 0 &&
+                isWindowsDriveLetter(buffer))
+              buffer = buffer[0] + ':';
+            url.path.push(buffer);
+          }
+          buffer = '';
+          if (c === CHAR_QUESTION_MARK) {
+            url.query = '';
+            state = STATE_QUERY;
+          } else if (c === CHAR_HASH) {
+            url.fragment = '';
+            state = STATE_FRAGMENT;
+          }
+        } else {
+          buffer += percentEncodeCodePoint(c, noEscapePath);
+        }
+        break;
+
+      case STATE_OPAQUE_PATH:
+        if (c === CHAR_QUESTION_MARK) {
+          url.query = '';
+          state = STATE_QUERY;
+        } else if (c === CHAR_HASH) {
+          url.fragment = '';
+          state = STATE_FRAGMENT;
+        } else if (c !== EOF) {
+          url.path += percentEncodeCodePoint(c, noEscapeC0Control);
+        }
+        break;
+
+      case STATE_QUERY:
+        if ((!stateOverride && c === CHAR_HASH) || c === EOF) {
+          url.query += percentEncode(
+            buffer,
+            isSpecial ? noEscapeSpecialQuery : noEscapeQuery
+          );
+          buffer = '';
+          if (c === CHAR_HASH) {
+            url.fragment = '';
+            state = STATE_FRAGMENT;
+          }
+        } else {
+          buffer += String.fromCodePoint(c);
+        }
+        break;
+
+      case STATE_FRAGMENT:
+        if (c !== EOF)
+          url.fragment += percentEncodeCodePoint(c, noEscapeFragment);
+        break;
+    }
+  }
+
+  return url;
+}
+
+function serializePath(url) {
+  if (hasOpaquePath(url))
+    return url.path;
+
+  let output = '';
+  for (let i = 0; i < url.path.length; ++i)
+    output += '/' + url.path[i];
+  return output;
+}
+
+function serializeURL(url, excludeFragment = false) {
+  let output = url.scheme + ':';
+  if (url.host !== null) {
+    output += '//';
+    if (includesCredentials(url)) {
+      output += url.username;
+      if (url.password !== '')
+        output += ':' + url.password;
+      output += '@';
+    }
+    output += url.host;
+    if (url.port !== null)
+      output += ':' + url.port;
+  }
+
+  if (url.host === null &&
+      !hasOpaquePath(url) &&
+      url.path.length > 1 &&
+      url.path[0] === '')
+    output += '/.';
+  output += serializePath(url);
+
+  if (url.query !== null)
+    output += '?' + url.query;
+  if (!excludeFragment && url.fragment !== null)
+    output += '#' + url.fragment;
+  return output;
+}
+
+function serializeOrigin(url) {
+  switch (url.scheme) {
+    case 'blob': {
+      const pathURL = basicURLParse(serializePath(url));
+      if (pathURL !== null &&
+          (pathURL.scheme === 'http' || pathURL.scheme === 'https'))
+        return serializeOrigin(pathURL);
+      return 'null';
+    }
+    case 'ftp':
+    case 'http':
+    case 'https':
+    case 'ws':
+    case 'wss': {
+      let output = url.scheme + '://' + url.host;
+      if (url.port !== null)
+        output += ':' + url.port;
+      return output;
+    }
+    default:
+      return 'null';
+  }
+}
+
+// application/x-www-form-urlencoded
+
+function percentDecodeForm(input) {
+  return percentDecode(input.replace(/\+/g, ' '));
+}
+
+function parseUrlencoded(input) {
+  const list = [];
+  const sequences = input.split('&');
+  for (let i = 0; i < sequences.length; ++i) {
+    const bytes = sequences[i];
+    if (bytes === '')
+      continue;
+
+    const equalsIdx = bytes.indexOf('=');
+    const name = equalsIdx === -1 ? bytes : bytes.slice(0, equalsIdx);
+    const value = equalsIdx === -1 ? '' : bytes.slice(equalsIdx + 1);
+    list.push([percentDecodeForm(name), percentDecodeForm(value)]);
+  }
+  return list;
+}
+
+function serializeUrlencoded(list) {
+  let output = '';
+  for (let i = 0; i < list.length; ++i) {
+    if (i !== 0)
+      output += '&';
+    output += percentEncodeForm(list[i][0]) + '=' +
+              percentEncodeForm(list[i][1]);
+  }
+  return output;
+}
+
+// Converts `value` to a string, replacing lone surrogates with U+FFFD.
+function toUSVString(value) {
+  const string = `${value}`;
+  let output = '';
+  let lastPos = 0;
+  for (let i = 0; i < string.length; ++i) {
+    const code = string.charCodeAt(i);
+    if (code < 0xD800 || code > 0xDFFF)
+      continue;
+    if (code <= 0xDBFF && i + 1 < string.length) {
+      const next = string.charCodeAt(i + 1);
+      if (next >= 0xDC00 && next <= 0xDFFF) {
+        ++i;
+        continue;
+      }
+    }
+    output += string.slice(lastPos, i) + '\uFFFD';
+    lastPos = i + 1;
+  }
+  if (lastPos === 0)
+    return string;
+  return output + string.slice(lastPos);
+}
+
+class URLSearchParams {
+  constructor(init = undefined) {
+    this[searchParamsList] = [];
+    // The URL object this instance belongs to, if any.
+    this[context] = null;
+
+    if (init === undefined)
+      return;
+
+    if ((typeof init === 'object' && init !== null) ||
+        typeof init === 'function') {
+      const method = init[Symbol.iterator];
+      if (method !== undefined) {
+        if (typeof method !== 'function')
+          throw new ERR_ARG_NOT_ITERABLE('Query pairs');
+        for (const pair of init) {
+          if ((typeof pair !== 'object' || pair === null) &&
+              typeof pair !== 'function')
+            throw new ERR_INVALID_TUPLE('Each query pair', '[name, value]');
+          const entry = Array.from(pair);
+          if (entry.length !== 2)
+            throw new ERR_INVALID_TUPLE('Each query pair', '[name, value]');
+          this[searchParamsList].push([
+            toUSVString(entry[0]),
+            toUSVString(entry[1]),
+          ]);
+        }
+      } else {
+        const keys = Object.keys(init);
+        for (let i = 0; i < keys.length; ++i) {
+          const key = keys[i];
+          this[searchParamsList].push([
+            toUSVString(key),
+            toUSVString(init[key]),
+          ]);
+        }
+      }
+      return;
+    }
+
+    init = toUSVString(init);
+    if (init.charCodeAt(0) === CHAR_QUESTION_MARK)
+      init = init.slice(1);
+    this[searchParamsList] = parseUrlencoded(init);
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'URLSearchParams';
+  }
+
+  get size() {
+    return this[searchParamsList].length;
+  }
+
+  append(name, value) {
+    this[searchParamsList].push([toUSVString(name), toUSVString(value)]);
+    updateSearchParams(this);
+  }
+
+  delete(name, value = undefined) {
+    name = toUSVString(name);
+    if (value !== undefined)
+      value = toUSVString(value);
+    this[searchParamsList] = this[searchParamsList].filter((pair) => {
+      return pair[0] !== name || (value !== undefined && pair[1] !== value);
+    });
+    updateSearchParams(this);
+  }
+
+  get(name) {
+    name = toUSVString(name);
+    const list = this[searchParamsList];
+    for (let i = 0; i < list.length; ++i) {
+      if (list[i][0] === name)
+        return list[i][1];
+    }
+    return null;
+  }
+
+  getAll(name) {
+    name = toUSVString(name);
+    const values = [];
+    const list = this[searchParamsList];
+    for (let i = 0; i < list.length; ++i) {
+      if (list[i][0] === name)
+        values.push(list[i][1]);
+    }
+    return values;
+  }
+
+  has(name, value = undefined) {
+    name = toUSVString(name);
+    if (value !== undefined)
+      value = toUSVString(value);
+    return this[searchParamsList].some((pair) => {
+      return pair[0] === name && (value === undefined || pair[1] === value);
+    });
+  }
+
+  set(name, value) {
+    name = toUSVString(name);
+    value = toUSVString(value);
+    const list = this[searchParamsList];
+    let found = false;
+    for (let i = 0; i < list.length; ++i) {
+      if (list[i][0] !== name)
+        continue;
+      if (found) {
+        list.splice(i--, 1);
+      } else {
+        list[i][1] = value;
+        found = true;
+      }
+    }
+    if (!found)
+      list.push([name, value]);
+    updateSearchParams(this);
+  }
+
+  sort() {
+    // Array.prototype.sort is stable, and relational comparison of strings
+    // compares UTF-16 code units, which is exactly what the standard asks for.
+    this[searchParamsList].sort((a, b) => {
+      if (a[0] < b[0])
+        return -1;
+      if (a[0] > b[0])
+        return 1;
+      return 0;
+    });
+    updateSearchParams(this);
+  }
+
+  forEach(callback, thisArg = undefined) {
+    if (typeof callback !== 'function')
+      throw new ERR_INVALID_ARG_TYPE('callback', 'function', callback);
+    const list = this[searchParamsList];
+    for (let i = 0; i < list.length; ++i)
+      callback.call(thisArg, list[i][1], list[i][0], this);
+  }
+
+  * entries() {
+    for (let i = 0; i < this[searchParamsList].length; ++i) {
+      const pair = this[searchParamsList][i];
+      yield [pair[0], pair[1]];
+    }
+  }
+
+  * keys() {
+    for (let i = 0; i < this[searchParamsList].length; ++i)
+      yield this[searchParamsList][i][0];
+  }
+
+  * values() {
+    for (let i = 0; i < this[searchParamsList].length; ++i)
+      yield this[searchParamsList][i][1];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  toString() {
+    return serializeUrlencoded(this[searchParamsList]);
+  }
+}
+
+// Implements the URLSearchParams "update" steps, writing the list back into
+// the associated URL's query.
+function updateSearchParams(params) {
+  const url = params[context];
+  if (url === null)
+    return;
+
+  const record = url[context];
+  const serializedQuery = serializeUrlencoded(params[searchParamsList]);
+  record.query = serializedQuery === '' ? null : serializedQuery;
+  if (record.query === null)
+    stripTrailingSpacesFromOpaquePath(record);
+}
+
+function resetSearchParams(url) {
+  const query = url[context].query;
+  url[searchParams][searchParamsList] =
+    query === null ? [] : parseUrlencoded(query);
+}
+
+// Runs `domain` through the host parser the way the hostname setter of a
+// special URL would, returning the empty string on failure.
+function domainToASCII(domain) {
+  domain = `${domain}`;
+  if (domain === '')
+    return '';
+
+  const url = basicURLParse('ws://x');
+  if (basicURLParse(domain, null, url, STATE_HOSTNAME) === null)
+    return '';
+  return url.host;
+}
+
+function domainToUnicode(domain) {
+  const host = domainToASCII(domain);
+  if (host === '' || host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET)
+    return host;
+  const result = toUnicode(host);
+  return result === null ? '' : result;
+}
+
+// Serializes `url` with some of its components left out or, in the case of
+// `unicode`, with its domain rendered in Unicode. Backs url.format().
+function formatURL(url, fragment, unicode, search, auth) {
+  const record = Object.assign({}, url[context]);
+  if (!fragment)
+    record.fragment = null;
+  if (!search)
+    record.query = null;
+  if (!auth) {
+    record.username = '';
+    record.password = '';
+  }
+  if (unicode &&
+      record.host !== null &&
+      record.host.charCodeAt(0) !== CHAR_LEFT_SQUARE_BRACKET) {
+    const host = toUnicode(record.host);
+    if (host !== null)
+      record.host = host;
+  }
+  return serializeURL(record);
+}
+
+class URL {
+  constructor(url, base = undefined) {
+    url = `${url}`;
+
+    let parsedBase = null;
+    if (base !== undefined) {
+      base = `${base}`;
+      parsedBase = basicURLParse(base);
+      if (parsedBase === null)
+        throw new ERR_INVALID_URL(url, base);
+    }
+
+    const parsed = basicURLParse(url, parsedBase);
+    if (parsed === null)
+      throw new ERR_INVALID_URL(url, base);
+    this[context] = parsed;
+
+    const params = new URLSearchParams();
+    params[context] = this;
+    this[searchParams] = params;
+    resetSearchParams(this);
+  }
+
+  static canParse(url, base = undefined) {
+    let parsedBase = null;
+    if (base !== undefined) {
+      parsedBase = basicURLParse(`${base}`);
+      if (parsedBase === null)
+        return false;
+    }
+    return basicURLParse(`${url}`, parsedBase) !== null;
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'URL';
+  }
+
+  get href() {
+    return serializeURL(this[context]);
+  }
+
+  set href(value) {
+    value = `${value}`;
+    const parsed = basicURLParse(value);
+    if (parsed === null)
+      throw new ERR_INVALID_URL(value);
+    this[context] = parsed;
+    resetSearchParams(this);
+  }
+
+  get origin() {
+    return serializeOrigin(this[context]);
+  }
+
+  get protocol() {
+    return this[context].scheme + ':';
+  }
+
+  set protocol(value) {
+    basicURLParse(`${value}:`, null, this[context], STATE_SCHEME_START);
+  }
+
+  get username() {
+    return this[context].username;
+  }
+
+  set username(value) {
+    const url = this[context];
+    if (cannotHaveUsernamePasswordPort(url))
+      return;
+    url.username = percentEncode(`${value}`, noEscapeUserinfo);
+  }
+
+  get password() {
+    return this[context].password;
+  }
+
+  set password(value) {
+    const url = this[context];
+    if (cannotHaveUsernamePasswordPort(url))
+      return;
+    url.password = percentEncode(`${value}`, noEscapeUserinfo);
+  }
+
+  get host() {
+    const url = this[context];
+    if (url.host === null)
+      return '';
+    if (url.port === null)
+      return url.host;
+    return url.host + ':' + url.port;
+  }
+
+  set host(value) {
+    const url = this[context];
+    if (hasOpaquePath(url))
+      return;
+    basicURLParse(`${value}`, null, url, STATE_HOST);
+  }
+
+  get hostname() {
+    const host = this[context].host;
+    return host === null ? '' : host;
+  }
+
+  set hostname(value) {
+    const url = this[context];
+    if (hasOpaquePath(url))
+      return;
+    basicURLParse(`${value}`, null, url, STATE_HOSTNAME);
+  }
+
+  get port() {
+    const port = this[context].port;
+    return port === null ? '' : String(port);
+  }
+
+  set port(value) {
+    const url = this[context];
+    if (cannotHaveUsernamePasswordPort(url))
+      return;
+    value = `${value}`;
+    if (value === '')
+      url.port = null;
+    else
+      basicURLParse(value, null, url, STATE_PORT);
+  }
+
+  get pathname() {
+    return serializePath(this[context]);
+  }
+
+  set pathname(value) {
+    const url = this[context];
+    if (hasOpaquePath(url))
+      return;
+    url.path = [];
+    basicURLParse(`${value}`, null, url, STATE_PATH_START);
+  }
+
+  get search() {
+    const query = this[context].query;
+    return query === null || query === '' ? '' : '?' + query;
+  }
+
+  set search(value) {
+    const url = this[context];
+    value = `${value}`;
+    if (value === '') {
+      url.query = null;
+      this[searchParams][searchParamsList] = [];
+      stripTrailingSpacesFromOpaquePath(url);
+      return;
+    }
+    const input = value.charCodeAt(0) === CHAR_QUESTION_MARK ?
+      value.slice(1) :
+      value;
+    url.query = '';
+    basicURLParse(input, null, url, STATE_QUERY);
+    this[searchParams][searchParamsList] = parseUrlencoded(input);
+  }
+
+  get searchParams() {
+    return this[searchParams];
+  }
+
+  get hash() {
+    const fragment = this[context].fragment;
+    return fragment === null || fragment === '' ? '' : '#' + fragment;
+  }
+
+  set hash(value) {
+    const url = this[context];
+    value = `${value}`;
+    if (value === '') {
+      url.fragment = null;
+      stripTrailingSpacesFromOpaquePath(url);
+      return;
+    }
+    const input = value.charCodeAt(0) === CHAR_HASH ? value.slice(1) : value;
+    url.fragment = '';
+    basicURLParse(input, null, url, STATE_FRAGMENT);
+  }
+
+  toString() {
+    return this.href;
+  }
+
+  toJSON() {
+    return this.href;
+  }
+}
+
+export {
+  URL,
+  URLSearchParams,
+  domainToASCII,
+  domainToUnicode,
+  formatURL,
+  STATE_PATH_START,
+  basicURLParse,
+  createURLRecord,
+  serializeURL,
+  serializePath,
+  serializeOrigin,
+  isSpecialScheme,
+  defaultPortFor,
+};
@@ -19,8 +19,69 @@
 // OTHERWISE, ARISING FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE
 // USE OR OTHER DEALINGS IN THE SOFTWARE.
 
-import { toASCII } from '@frida/punycode';
+import { toASCII, toUnicode } from '@frida/punycode';
 import querystring from '@frida/querystring';
+import { getCompareOptions, compareUrls } from './lib/compare.js';
+import { parseDataURL, toDataURL } from './lib/data-url.js';
+import { fileURLToPath, pathToFileURL } from './lib/file-url.js';
+import { parseMailto, formatMailto } from './lib/mailto.js';
+import {
+  compileMatchPattern,
+  MatchPatternSet,
+  setUrlParser,
+} from './lib/match-pattern.js';
+import { getNormalizeOptions, normalizeComponents } from './lib/normalize.js';
+import { getOrigin, isSameOrigin, isSameSite } from './lib/origin.js';
+import {
+  loadPublicSuffixList,
+  getPublicSuffix,
+  getRegistrableDomain,
+  getSubdomain,
+} from './lib/public-suffix.js';
+import { resolveReference } from './lib/reference.js';
+import { expandTemplate, matchTemplate } from './lib/uri-template.js';
+import { URLPattern } from './lib/url-pattern.js';
+import {
+  ERR_INVALID_URL,
+  ERR_INVALID_URL_PATTERN,
+  ERR_INVALID_URI_TEMPLATE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_URL_SCHEME,
+  ERR_OUT_OF_RANGE,
+  ERR_INVALID_TUPLE,
+  ERR_ARG_NOT_ITERABLE,
+  URLParseError,
+} from './lib/errors.js';
+import {
+  forbiddenHostChars,
+  ipv4ToNumber,
+  numberToIpv4,
+  parseIPv4,
+  serializeIPv4,
+  parseIPv6Address,
+  formatIPv6Address,
+  serializeIPv6Host,
+} from './lib/host.js';
+import { encodeASCII, encodeStr } from './lib/percent-encoding.js';
+import {
+  defaultPorts,
+  getDefaultPort,
+  registerScheme,
+  isSlashedScheme,
+  isSpecialScheme,
+  isHostlessScheme,
+  allowsUnsafeChars,
+} from './lib/schemes.js';
+import {
+  URL,
+  URLSearchParams,
+  domainToASCII,
+  domainToUnicode,
+  formatURL,
+} from './lib/whatwg-url.js';
 
 function Url() {
   this.protocol = null;
@@ -49,33 +110,7 @@ const hostPattern = /^\/\/[^@/]+@[^@/]+/;
 const simplePathPattern = /^(\/\/?(?!\/)[^?\s]*)(\?[^\s]*)?$/;
 
 const hostnameMaxLen = 255;
-// Protocols that can allow "unsafe" and "unwise" chars.
-const unsafeProtocol = new Set([
-  'javascript',
-  'javascript:',
-]);
-// Protocols that never have a hostname.
-const hostlessProtocol = new Set([
-  'javascript',
-  'javascript:',
-]);
-// Protocols that always contain a // bit.
-const slashedProtocol = new Set([
-  'http',
-  'http:',
-  'https',
-  'https:',
-  'ftp',
-  'ftp:',
-  'gopher',
-  'gopher:',
-  'file',
-  'file:',
-  'ws',
-  'ws:',
-  'wss',
-  'wss:',
-]);
+const ipv4PartPattern = /^(?:0x[0-9a-f]*|[0-9]+)$/i;
 const
   CHAR_SPACE = 32,
   CHAR_TAB = 9,
@@ -94,8 +129,10 @@ const
   CHAR_RIGHT_CURLY_BRACKET = 125,
   CHAR_QUESTION_MARK = 63,
   CHAR_LOWERCASE_A = 97,
+  CHAR_LOWERCASE_F = 102,
   CHAR_LOWERCASE_Z = 122,
   CHAR_UPPERCASE_A = 65,
+  CHAR_UPPERCASE_F = 70,
   CHAR_UPPERCASE_Z = 90,
   CHAR_DOT = 46,
   CHAR_0 = 48,
@@ -107,20 +144,32 @@ const
   CHAR_SINGLE_QUOTE = 39,
   CHAR_PERCENT = 37,
   CHAR_SEMICOLON = 59,
+  CHAR_COLON = 58,
   CHAR_BACKWARD_SLASH = 92,
   CHAR_CIRCUMFLEX_ACCENT = 94,
   CHAR_GRAVE_ACCENT = 96,
   CHAR_VERTICAL_LINE = 124,
   CHAR_AT = 64;
 
-function urlParse(url, parseQueryString, slashesDenoteHost) {
+// `options.strict` makes the parser throw a URLParseError instead of repairing
+// invalid input. `options.onWarning` is called with a `{ code, start, end }`
+// object for every validation error and leniency encountered, where `code`
+// is the WHATWG URL Standard's name for it, if it has one, and `start` and
+// `end` delimit the offending part of `url`.
+function urlParse(url, parseQueryString, slashesDenoteHost, options) {
   if (url instanceof Url) return url;
 
   const urlObject = new Url();
-  urlObject.parse(url, parseQueryString, slashesDenoteHost);
+  urlObject.parse(url, parseQueryString, slashesDenoteHost, options);
   return urlObject;
 }
 
+// Like urlParse(), but throws a URLParseError wherever the input would
+// otherwise have been silently repaired.
+function urlParseStrict(url, parseQueryString, slashesDenoteHost) {
+  return urlParse(url, parseQueryString, slashesDenoteHost, { strict: true });
+}
+
 function isIpv6Hostname(hostname) {
   return (
     hostname.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET &&
@@ -128,21 +177,16 @@ function isIpv6Hostname(hostname) {
   );
 }
 
-// This prevents some common spoofing bugs due to our use of IDNA toASCII. For
-// compatibility, the set of characters we use here is the *intersection* of
-// "forbidden host code point" in the WHATWG URL Standard [1] and the
-// characters in the host parsing loop in Url.prototype.parse, with the
-// following additions:
-//
-// - ':' since this could cause a "protocol spoofing" bug
-// - '@' since this could cause parts of the hostname to be confused with auth
-// - '[' and ']' since this could cause a non-IPv6 hostname to be interpreted
-//   as IPv6 by isIpv6Hostname above
-//
-// [1]: https://url.spec.whatwg.org/#forbidden-host-code-point
-const forbiddenHostChars = /[\t\n\r #%/:<>?@[\\\]^|]/;
+Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost,
+                                     options) {
+  if (typeof url !== 'string')
+    throw new ERR_INVALID_ARG_TYPE('url', 'string', url);
+
+  // Whether to look for validation errors at all, see validationError().
+  const validate = options != null &&
+                   (Boolean(options.strict) ||
+                    typeof options.onWarning === 'function');
 
-Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
   // Copy chrome, IE, opera backslash-handling behavior.
   // Back slashes before the query string get converted to forward slashes
   // See: https://code.google.com/p/chromium/issues/detail?id=25916
@@ -186,6 +230,8 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
           split = true;
           break;
         case CHAR_BACKWARD_SLASH:
+          if (validate)
+            validationError(options, url, 'invalid-reverse-solidus', i, i + 1);
           if (i - lastPos > 0)
             rest += url.slice(lastPos, i);
           rest += '/';
@@ -219,6 +265,30 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
     }
   }
 
+  // Index of rest[0] in url, for error reporting.
+  let restOffset = start === -1 ? 0 : start;
+  // Index in url just past the end of rest. Unlike the start, this stays
+  // valid no matter what gets moved into rest from the host.
+  const restEnd = end === -1 ? url.length : end;
+  // Offsets in url of the characters that got reported as invalid in the
+  // host and moved into the path, so as not to report them twice.
+  const movedOffsets = [];
+
+  if (validate) {
+    if (restOffset > 0)
+      validationError(options, url, 'surrounding-whitespace', 0, restOffset);
+    if (restEnd < url.length) {
+      validationError(options, url, 'surrounding-whitespace',
+                      restEnd, url.length);
+    }
+
+    let i = -1;
+    while ((i = findInvalidPercentEscape(rest, i + 1)) !== -1) {
+      validationError(options, url, 'invalid-URL-unit',
+                      restOffset + i, restOffset + i + 1);
+    }
+  }
+
   if (!slashesDenoteHost && !hasHash) {
     // Try fast path regexp
     const simplePath = simplePathPattern.exec(rest);
@@ -247,7 +317,12 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
     proto = proto[0];
     lowerProto = proto.toLowerCase();
     this.protocol = lowerProto;
+    if (validate && proto !== lowerProto) {
+      warn(options, 'scheme-uppercase',
+           restOffset, restOffset + proto.length - 1);
+    }
     rest = rest.slice(proto.length);
+    restOffset += proto.length;
   }
 
   // Figure out if it's got a host
@@ -258,14 +333,15 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
   if (slashesDenoteHost || proto || hostPattern.test(rest)) {
     slashes = rest.charCodeAt(0) === CHAR_FORWARD_SLASH &&
               rest.charCodeAt(1) === CHAR_FORWARD_SLASH;
-    if (slashes && !(proto && hostlessProtocol.has(lowerProto))) {
+    if (slashes && !(proto && isHostlessScheme(lowerProto))) {
       rest = rest.slice(2);
+      restOffset += 2;
       this.slashes = true;
     }
   }
 
-  if (!hostlessProtocol.has(lowerProto) &&
-      (slashes || (proto && !slashedProtocol.has(proto)))) {
+  if (!isHostlessScheme(lowerProto) &&
+      (slashes || (proto && !isSlashedScheme(proto)))) {
 
     // there's a hostname.
     // the first instance of /, ?, ;, or # ends the host.
@@ -282,14 +358,25 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
     let hostEnd = -1;
     let atSign = -1;
     let nonHost = -1;
+    let inBrackets = false;
     for (let i = 0; i < rest.length; ++i) {
       switch (rest.charCodeAt(i)) {
+        case CHAR_LEFT_SQUARE_BRACKET:
+          inBrackets = true;
+          break;
+        case CHAR_RIGHT_SQUARE_BRACKET:
+          inBrackets = false;
+          break;
+        case CHAR_PERCENT:
+          // Introduces the zone ID of an IPv6 address (RFC 6874).
+          if (inBrackets)
+            break;
+        // Fall through
         case CHAR_TAB:
         case CHAR_LINE_FEED:
         case CHAR_CARRIAGE_RETURN:
         case CHAR_SPACE:
         case CHAR_DOUBLE_QUOTE:
-        case CHAR_PERCENT:
         case CHAR_SINGLE_QUOTE:
         case CHAR_SEMICOLON:
         case CHAR_LEFT_ANGLE_BRACKET:
@@ -315,6 +402,10 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
         case CHAR_AT:
           // At this point, either we have an explicit point where the
           // auth portion cannot go past, or the last @ char is the decider.
+          if (validate && atSign !== -1) {
+            validationError(options, url, 'invalid-credentials',
+                            restOffset + atSign, restOffset + atSign + 1);
+          }
           atSign = i;
           nonHost = -1;
           break;
@@ -335,9 +426,46 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
       rest = rest.slice(nonHost);
     }
 
+    const hostOffset = restOffset + start;
+    const hostError = findHostError(this.host);
+    if (validate) {
+      // Characters that end the host without being a delimiter get moved
+      // into the path.
+      if (nonHost !== -1 && nonHost !== hostEnd) {
+        validationError(options, url, 'host-invalid-code-point',
+                        restOffset + nonHost, restOffset + nonHost + 1);
+        movedOffsets.push(restOffset + nonHost);
+      }
+      if (hostError !== null) {
+        validationError(options, url, hostError.code,
+                        hostOffset + hostError.start,
+                        hostOffset + hostError.end);
+        if (hostError.code === 'host-invalid-code-point')
+          movedOffsets.push(hostOffset + hostError.start);
+      }
+    }
+
+    // Unlike other host problems, a port that is not a number in range
+    // cannot be moved into the path. Other schemes keep doing so for the
+    // likes of "git+ssh://git@github.com:npm/npm".
+    if (hostError !== null &&
+        (hostError.code === 'port-out-of-range' ||
+         (hostError.code === 'port-invalid' && isSpecialScheme(lowerProto))))
+      throw new ERR_INVALID_URL(url);
+
+    // Nor can an IPv6 address that lacks its closing bracket or has anything
+    // but a port after it.
+    if (hostError !== null &&
+        this.host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET)
+      throw new ERR_INVALID_URL(url);
+
     // pull out port.
     this.parseHost();
 
+    // Drop leading zeros, e.g. "0080" becomes "80".
+    if (this.port !== null)
+      this.port = String(Number(this.port));
+
     // We've indicated that there is a hostname,
     // so even if it's empty, it has to be present.
     if (typeof this.hostname !== 'string')
@@ -361,7 +489,17 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
       this.hostname = this.hostname.toLowerCase();
     }
 
+    if (ipv6Hostname && this.hostname !== '') {
+      // Parse the original, as zone IDs are case-sensitive.
+      const address = parseIPv6Address(hostname);
+      if (address === null)
+        throw new ERR_INVALID_URL(url);
+      this.hostname = serializeIPv6Host(address);
+    }
+
     if (!ipv6Hostname && this.hostname !== '') {
+      const unicodeHostname = this.hostname;
+
       // IDNA Support: Returns a punycoded representation of "domain".
       // It only converts parts of the domain name that
       // have non-ASCII characters, i.e. it doesn't matter if
@@ -371,6 +509,11 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
       // URLs.
       this.hostname = toASCII(this.hostname, true);
 
+      if (validate && this.hostname !== unicodeHostname) {
+        warn(options, 'host-punycoded',
+             hostOffset, hostOffset + unicodeHostname.length);
+      }
+
       // Prevent two potential routes of hostname spoofing.
       // 1. If this.hostname is empty, it must have become empty due to toASCII
       //    since we checked this.hostname above.
@@ -381,7 +524,25 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
       // the pathname as we've done in getHostname, throw an exception to
       // convey the severity of this issue.
       if (this.hostname === '' || forbiddenHostChars.test(this.hostname)) {
-        throw new Error('invalid URL');
+        throw new ERR_INVALID_URL(url);
+      }
+
+      // Hostnames made up of numbers only are IPv4 addresses, which may be
+      // written in hex, octal, or with fewer than four parts. Rewrite them to
+      // dotted-decimal so that e.g. 0x7f.1 can't pass for a domain.
+      const ipv4Parts = getIPv4Parts(this.hostname);
+      if (ipv4Parts !== null) {
+        const address = parseIPv4(this.hostname);
+        if (address === null)
+          throw new ERR_INVALID_URL(url);
+        if (validate) {
+          const hostnameEnd = hostOffset + this.hostname.length;
+          if (ipv4Parts.some(isNonDecimalIPv4Part))
+            warn(options, 'IPv4-non-decimal-part', hostOffset, hostnameEnd);
+          if (this.hostname.charCodeAt(this.hostname.length - 1) === CHAR_DOT)
+            warn(options, 'IPv4-empty-part', hostnameEnd - 1, hostnameEnd);
+        }
+        this.hostname = serializeIPv4(address);
       }
     }
 
@@ -401,10 +562,22 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
 
   // Now rest is set to the post-host stuff.
   // Chop off any delim chars.
-  if (!unsafeProtocol.has(lowerProto)) {
+  if (!allowsUnsafeChars(lowerProto)) {
     // First, make 100% sure that any "autoEscape" chars get
     // escaped, even if encodeURIComponent doesn't think they
     // need to be.
+    if (validate) {
+      for (let i = 0; i < rest.length; ++i) {
+        const code = rest.charCodeAt(i);
+        if (code < 0x80 && noEscapeAuto[code] === 0) {
+          const offset = restEnd - rest.length + i;
+          if (!movedOffsets.includes(offset)) {
+            validationError(options, url, 'unescaped-character',
+                            offset, offset + 1);
+          }
+        }
+      }
+    }
     rest = autoEscapeStr(rest);
   }
 
@@ -447,7 +620,7 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
   } else if (firstIdx > 0) {
     this.pathname = rest.slice(0, firstIdx);
   }
-  if (slashedProtocol.has(lowerProto) &&
+  if (isSpecialScheme(lowerProto) &&
       this.hostname && !this.pathname) {
     this.pathname = '/';
   }
@@ -464,20 +637,38 @@ Url.prototype.parse = function parse(url, parseQueryString, slashesDenoteHost) {
   return this;
 };
 
+// Returns the parts of `hostname` if they all look like numbers to the IPv4
+// parser, valid or not, or null.
+function getIPv4Parts(hostname) {
+  const parts = hostname.split('.');
+  if (parts.length > 1 && parts[parts.length - 1] === '')
+    parts.pop();
+  for (let i = 0; i < parts.length; ++i) {
+    if (!ipv4PartPattern.test(parts[i]))
+      return null;
+  }
+  return parts;
+}
+
+function isNonDecimalIPv4Part(part) {
+  return part.length > 1 && part.charCodeAt(0) === CHAR_0;
+}
+
+function isHostnameCharCode(code) {
+  return (code >= CHAR_LOWERCASE_A && code <= CHAR_LOWERCASE_Z) ||
+         code === CHAR_DOT ||
+         (code >= CHAR_UPPERCASE_A && code <= CHAR_UPPERCASE_Z) ||
+         (code >= CHAR_0 && code <= CHAR_9) ||
+         code === CHAR_HYPHEN_MINUS ||
+         code === CHAR_PLUS ||
+         code === CHAR_UNDERSCORE ||
+         code > 127;
+}
+
 function getHostname(self, rest, hostname) {
   for (let i = 0; i < hostname.length; ++i) {
-    const code = hostname.charCodeAt(i);
-    const isValid = (code >= CHAR_LOWERCASE_A && code <= CHAR_LOWERCASE_Z) ||
-                    code === CHAR_DOT ||
-                    (code >= CHAR_UPPERCASE_A && code <= CHAR_UPPERCASE_Z) ||
-                    (code >= CHAR_0 && code <= CHAR_9) ||
-                    code === CHAR_HYPHEN_MINUS ||
-                    code === CHAR_PLUS ||
-                    code === CHAR_UNDERSCORE ||
-                    code > 127;
-
     // Invalid host character
-    if (!isValid) {
+    if (!isHostnameCharCode(hostname.charCodeAt(i))) {
       self.hostname = hostname.slice(0, i);
       return `/${hostname.slice(i)}${rest}`;
     }
@@ -485,49 +676,104 @@ function getHostname(self, rest, hostname) {
   return rest;
 }
 
-// Escaped characters. Use empty strings to fill up unused entries.
-// Using Array is faster than Object/Map
-const escapedCodes = [
-  /* 0 - 9 */ '', '', '', '', '', '', '', '', '', '%09',
-  /* 10 - 19 */ '%0A', '', '', '%0D', '', '', '', '', '', '',
-  /* 20 - 29 */ '', '', '', '', '', '', '', '', '', '',
-  /* 30 - 39 */ '', '', '%20', '', '%22', '', '', '', '', '%27',
-  /* 40 - 49 */ '', '', '', '', '', '', '', '', '', '',
-  /* 50 - 59 */ '', '', '', '', '', '', '', '', '', '',
-  /* 60 - 69 */ '%3C', '', '%3E', '', '', '', '', '', '', '',
-  /* 70 - 79 */ '', '', '', '', '', '', '', '', '', '',
-  /* 80 - 89 */ '', '', '', '', '', '', '', '', '', '',
-  /* 90 - 99 */ '', '', '%5C', '', '%5E', '', '%60', '', '', '',
-  /* 100 - 109 */ '', '', '', '', '', '', '', '', '', '',
-  /* 110 - 119 */ '', '', '', '', '', '', '', '', '', '',
-  /* 120 - 125 */ '', '', '', '%7B', '%7C', '%7D',
-];
+// Looks for anything in `host` that the lenient parser would drop or move
+// into the path. Returns the first problem as a validation error code and a
+// range within `host`, or null.
+function findHostError(host) {
+  let hostnameEnd = host.length;
+  if (host.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET) {
+    const i = host.indexOf(']');
+    if (i === -1)
+      return { code: 'host-invalid-code-point', start: 0, end: 1 };
+    hostnameEnd = i + 1;
+  } else {
+    const i = host.indexOf(':');
+    if (i !== -1)
+      hostnameEnd = i;
+    for (let j = 0; j < hostnameEnd; ++j) {
+      if (!isHostnameCharCode(host.charCodeAt(j)))
+        return { code: 'host-invalid-code-point', start: j, end: j + 1 };
+    }
+  }
+  if (hostnameEnd > hostnameMaxLen)
+    return { code: 'host-too-long', start: 0, end: hostnameEnd };
+
+  if (hostnameEnd === host.length)
+    return null;
+  if (host.charCodeAt(hostnameEnd) !== CHAR_COLON) {
+    return {
+      code: 'host-invalid-code-point',
+      start: hostnameEnd,
+      end: hostnameEnd + 1,
+    };
+  }
+  for (let i = hostnameEnd + 1; i < host.length; ++i) {
+    const code = host.charCodeAt(i);
+    if (code < CHAR_0 || code > CHAR_9)
+      return { code: 'port-invalid', start: i, end: i + 1 };
+  }
+  if (Number(host.slice(hostnameEnd + 1)) > 65535)
+    return {
+      code: 'port-out-of-range',
+      start: hostnameEnd + 1,
+      end: host.length,
+    };
+  return null;
+}
+
+// Reports a validation error in the input of Url.prototype.parse(), where
+// `start` and `end` delimit the offending part of `url`. Strict mode throws,
+// otherwise the error is passed to the onWarning callback, if any.
+function validationError(options, url, code, start, end) {
+  if (options.strict)
+    throw new URLParseError(code, url, start);
+  warn(options, code, start, end);
+}
+
+// Reports a leniency that isn't an error in itself, and is thus only of
+// interest to the onWarning callback.
+function warn(options, code, start, end) {
+  if (typeof options.onWarning === 'function')
+    options.onWarning({ code, start, end });
+}
+
+// Returns the index of the first '%' from `fromIndex` on in `str` that isn't
+// followed by two hex digits, or -1.
+function findInvalidPercentEscape(str, fromIndex) {
+  let i = fromIndex - 1;
+  while ((i = str.indexOf('%', i + 1)) !== -1) {
+    if (!isHexCharCode(str.charCodeAt(i + 1)) ||
+        !isHexCharCode(str.charCodeAt(i + 2)))
+      return i;
+  }
+  return -1;
+}
+
+function isHexCharCode(code) {
+  return (code >= CHAR_0 && code <= CHAR_9) ||
+         (code >= CHAR_UPPERCASE_A && code <= CHAR_UPPERCASE_F) ||
+         (code >= CHAR_LOWERCASE_A && code <= CHAR_LOWERCASE_F);
+}
+
+// Characters that don't need escaping by autoEscapeStr(), which are all of
+// them except for the delimiters and unwise characters from RFC 2396 plus the
+// single quote. Non-ASCII characters are left as they are.
+const noEscapeAuto = new Int8Array([
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 1, 1, 0, 1, 1, // 0x00 - 0x0F
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, // 0x10 - 0x1F
+  0, 1, 0, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1, 1, 1, // 0x20 - 0x2F
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 0, 1, // 0x30 - 0x3F
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, // 0x40 - 0x4F
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 1, 0, 1, // 0x50 - 0x5F
+  0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, // 0x60 - 0x6F
+  1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 1, 1,  // 0x70 - 0x7F
+]);
 
 // Automatically escape all delimiters and unwise characters from RFC 2396.
 // Also escape single quotes in case of an XSS attack.
 // Return the escaped string.
 function autoEscapeStr(rest) {
-  let escaped = '';
-  let lastEscapedPos = 0;
-  for (let i = 0; i < rest.length; ++i) {
-    // `escaped` contains substring up to the last escaped character.
-    const escapedChar = escapedCodes[rest.charCodeAt(i)];
-    if (escapedChar) {
-      // Concat if there are ordinary characters in the middle.
-      if (i > lastEscapedPos)
-        escaped += rest.slice(lastEscapedPos, i);
-      escaped += escapedChar;
-      lastEscapedPos = i + 1;
-    }
-  }
-  if (lastEscapedPos === 0)  // Nothing has been escaped.
-    return rest;
-
-  // There are ordinary characters at the end.
-  if (lastEscapedPos < rest.length)
-    escaped += rest.slice(lastEscapedPos);
-
-  return escaped;
+  return encodeASCII(rest, noEscapeAuto);
 }
 
 // Format a parsed object into a url string
@@ -539,11 +785,75 @@ function urlFormat(urlObject, options) {
   if (typeof urlObject === 'string') {
     urlObject = urlParse(urlObject);
   } else if (typeof urlObject !== 'object' || urlObject === null) {
-    throw new Error('invalid argument type');
-  } else if (!(urlObject instanceof Url)) {
+    throw new ERR_INVALID_ARG_TYPE('urlObject', ['Object', 'string'],
+                                   urlObject);
+  }
+
+  let fragment = true;
+  let unicode = false;
+  let search = true;
+  let auth = true;
+  let dropDefaultPort = false;
+  if (options !== undefined && options !== null) {
+    if (typeof options !== 'object')
+      throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    if (options.fragment != null) fragment = Boolean(options.fragment);
+    if (options.unicode != null) unicode = Boolean(options.unicode);
+    if (options.search != null) search = Boolean(options.search);
+    if (options.auth != null) auth = Boolean(options.auth);
+    if (options.dropDefaultPort != null)
+      dropDefaultPort = Boolean(options.dropDefaultPort);
+  }
+
+  if (urlObject instanceof URL) {
+    if (dropDefaultPort &&
+        urlObject.port !== '' &&
+        Number(urlObject.port) === getDefaultPort(urlObject.protocol)) {
+      urlObject = new URL(urlObject.href);
+      urlObject.port = '';
+    }
+    return formatURL(urlObject, fragment, unicode, search, auth);
+  }
+
+  if (fragment && !unicode && search && auth && !dropDefaultPort) {
+    if (urlObject instanceof Url)
+      return urlObject.format();
     return Url.prototype.format.call(urlObject);
   }
-  return urlObject.format();
+
+  // Format a copy with the unwanted parts removed.
+  const copy = Object.assign({}, urlObject);
+  if (!fragment)
+    copy.hash = null;
+  if (!search) {
+    copy.search = null;
+    copy.query = null;
+  }
+  if (!auth)
+    copy.auth = null;
+  if (dropDefaultPort && typeof copy.protocol === 'string') {
+    const defaultPort = getDefaultPort(copy.protocol);
+    if (copy.port != null && Number(copy.port) === defaultPort)
+      copy.port = null;
+    const port = copy.host ? portPattern.exec(copy.host) : null;
+    if (port !== null && Number(port[0].slice(1)) === defaultPort)
+      copy.host = copy.host.slice(0, -port[0].length);
+  }
+  if (unicode) {
+    if (copy.host)
+      copy.host = toUnicodeHost(copy.host);
+    if (copy.hostname)
+      copy.hostname = toUnicodeHost(copy.hostname);
+  }
+  return Url.prototype.format.call(copy);
+}
+
+function toUnicodeHost(host) {
+  try {
+    return toUnicode(host);
+  } catch {
+    return host;
+  }
 }
 
 // These characters do not need escaping:
@@ -566,7 +876,7 @@ const noEscapeAuth = new Int8Array([
 Url.prototype.format = function format() {
   let auth = this.auth || '';
   if (auth) {
-    auth = encodeStr(auth, noEscapeAuth, hexTable);
+    auth = encodeStr(auth, noEscapeAuth);
     auth += '@';
   }
 
@@ -589,7 +899,9 @@ Url.prototype.format = function format() {
     }
   }
 
-  if (this.query !== null && typeof this.query === 'object') {
+  if (this.query instanceof URLSearchParams) {
+    query = this.query.toString();
+  } else if (this.query !== null && typeof this.query === 'object') {
     query = querystring.stringify(this.query);
   }
 
@@ -623,9 +935,9 @@ Url.prototype.format = function format() {
       pathname = newPathname;
   }
 
-  // Only the slashedProtocols get the //.  Not mailto:, xmpp:, etc.
+  // Only the slashed schemes get the //.  Not mailto:, xmpp:, etc.
   // unless they had them to begin with.
-  if (this.slashes || slashedProtocol.has(protocol)) {
+  if (this.slashes || isSlashedScheme(protocol)) {
     if (this.slashes || host) {
       if (pathname && pathname.charCodeAt(0) !== CHAR_FORWARD_SLASH)
         pathname = '/' + pathname;
@@ -649,20 +961,91 @@ Url.prototype.format = function format() {
   return protocol + host + pathname + search + hash;
 };
 
-function urlResolve(source, relative) {
+// Implements the normalizations of RFC 3986 section 6.2. `url` is a string or
+// a Url, and the result is of the same kind. On top of case, percent-encoding
+// and dot-segment normalization, the default port is dropped and an empty
+// path becomes "/". `options.sortQuery` stably sorts the query parameters by
+// name, `options.removeFragment` drops the fragment, and
+// `options.trailingSlash` is one of 'keep' (the default), 'add' or 'remove'.
+function urlNormalize(url, options) {
+  let parseQueryString = false;
+  if (url instanceof Url) {
+    parseQueryString = url.query !== null && typeof url.query === 'object';
+  } else if (typeof url !== 'string') {
+    throw new ERR_INVALID_ARG_TYPE('url', ['string', 'Url'], url);
+  }
+  const normalizeOptions = getNormalizeOptions(options);
+
+  // Reparsing a Url's href gives the canonical form of its parts.
+  const parsed = urlParse(url instanceof Url ? url.format() : url);
+  const result = Object.assign(new Url(),
+                               normalizeComponents(parsed, normalizeOptions));
+  const href = result.format();
+  return url instanceof Url ? urlParse(href, parseQueryString) : href;
+}
+
+// Returns whether `a` and `b` (strings, Urls or URLs) are equivalent once
+// normalized as by normalize(), except that a default port is only ignored
+// with `options.ignoreDefaultPort`. `options.ignoreFragment`,
+// `options.ignoreQueryOrder` and `options.ignoreAuth` relax the comparison
+// further.
+function urlEquals(a, b, options) {
+  const flags = getCompareOptions(options);
+  return compareUrls(urlParse(toHrefArgument(a, 'a')),
+                     urlParse(toHrefArgument(b, 'b')),
+                     flags).length === 0;
+}
+
+// Lists how `b` differs from `a`, one `{ component, type, from, to }` object
+// per difference, where `type` is 'added', 'removed' or 'changed'. Path
+// differences are reported per segment, with its `index`, and query
+// differences per parameter name, with its `key` and its values as arrays.
+// If only the order of the query parameters differs, there is a single
+// 'query' difference of type 'reordered' instead.
+function urlDiff(a, b) {
+  return compareUrls(urlParse(toHrefArgument(a, 'a')),
+                     urlParse(toHrefArgument(b, 'b')),
+                     getCompareOptions());
+}
+
+setUrlParser((url) => urlParse(toHrefArgument(url, 'url')));
+
+// `options.strict` resolves `relative` exactly as RFC 3986 section 5.2 does,
+// instead of with the quirks of Node's legacy resolver, which stays the
+// default.
+function urlResolve(source, relative, options) {
+  if (isStrictResolution(options)) {
+    return resolveReference(toHrefArgument(source, 'source'),
+                            toHrefArgument(relative, 'relative'));
+  }
   return urlParse(source, false, true).resolve(relative);
 }
 
-Url.prototype.resolve = function resolve(relative) {
+// Like urlResolve(), but always follows RFC 3986.
+function urlResolveStrict(source, relative) {
+  return urlResolve(source, relative, { strict: true });
+}
+
+Url.prototype.resolve = function resolve(relative, options) {
+  if (isStrictResolution(options)) {
+    return resolveReference(this.format(),
+                            toHrefArgument(relative, 'relative'));
+  }
   return this.resolveObject(urlParse(relative, false, true)).format();
 };
 
-function urlResolveObject(source, relative) {
+function urlResolveObject(source, relative, options) {
   if (!source) return relative;
-  return urlParse(source, false, true).resolveObject(relative);
+  return urlParse(source, false, true).resolveObject(relative, options);
 }
 
-Url.prototype.resolveObject = function resolveObject(relative) {
+Url.prototype.resolveObject = function resolveObject(relative, options) {
+  if (isStrictResolution(options)) {
+    const href = resolveReference(this.format(),
+                                  toHrefArgument(relative, 'relative'));
+    return urlParse(href, false, true);
+  }
+
   if (typeof relative === 'string') {
     const rel = new Url();
     rel.parse(relative, false, true);
@@ -697,7 +1080,7 @@ Url.prototype.resolveObject = function resolveObject(relative) {
     }
 
     // urlParse appends trailing / to urls like http://www.example.com
-    if (slashedProtocol.has(result.protocol) &&
+    if (isSpecialScheme(result.protocol) &&
         result.hostname && !result.pathname) {
       result.path = result.pathname = '/';
     }
@@ -715,7 +1098,7 @@ Url.prototype.resolveObject = function resolveObject(relative) {
     // if it is file:, then the host is dropped,
     // because that's known to be hostless.
     // anything else is assumed to be absolute.
-    if (!slashedProtocol.has(relative.protocol)) {
+    if (!isSlashedScheme(relative.protocol)) {
       const keys = Object.keys(relative);
       for (let v = 0; v < keys.length; v++) {
         const k = keys[v];
@@ -728,7 +1111,7 @@ Url.prototype.resolveObject = function resolveObject(relative) {
     result.protocol = relative.protocol;
     if (!relative.host &&
         !/^file:?$/.test(relative.protocol) &&
-        !hostlessProtocol.has(relative.protocol)) {
+        !isHostlessScheme(relative.protocol)) {
       const relPath = (relative.pathname || '').split('/');
       while (relPath.length && !(relative.host = relPath.shift()));
       if (!relative.host) relative.host = '';
@@ -766,7 +1149,7 @@ Url.prototype.resolveObject = function resolveObject(relative) {
   let srcPath = (result.pathname && result.pathname.split('/')) || [];
   const relPath = (relative.pathname && relative.pathname.split('/')) || [];
   const noLeadingSlashes = result.protocol &&
-      !slashedProtocol.has(result.protocol);
+      !isSlashedScheme(result.protocol);
 
   // If the url is a non-slashed url, then relative
   // links like ../.. should be able
@@ -939,6 +1322,97 @@ Url.prototype.resolveObject = function resolveObject(relative) {
   return result;
 };
 
+// Extracts the values of the variables of `template` from `url`, a string,
+// Url or URL, or returns null if it doesn't match. See matchTemplate() in
+// lib/uri-template.js.
+function urlMatchTemplate(template, url) {
+  return matchTemplate(template, urlParse(toHrefArgument(url, 'url')));
+}
+
+// Returns the shortest reference that resolves against `from` to `to`, the
+// inverse of urlResolve(). Both are strings, Urls or URLs. Falls back to the
+// href of `to` when it shares neither the scheme nor the authority of
+// `from`, or when no shorter reference would resolve to it.
+function urlRelative(from, to) {
+  const base = urlParse(toHrefArgument(from, 'from'), false, true);
+  const target = urlParse(toHrefArgument(to, 'to'), false, true);
+  const href = target.format();
+  const reference = relativeReference(base, target, href);
+  if (reference !== null &&
+      reference.length < href.length &&
+      base.resolve(reference) === href)
+    return reference;
+  return href;
+}
+
+function relativeReference(base, target, href) {
+  if (!target.protocol || target.protocol !== base.protocol)
+    return null;
+  if (target.host !== base.host || target.auth !== base.auth)
+    return target.slashes ? href.slice(target.protocol.length) : null;
+
+  const basePath = base.pathname || '';
+  const targetPath = target.pathname || '';
+  const search = target.search || '';
+  const hash = target.hash || '';
+  if (targetPath === basePath) {
+    if (search === (base.search || ''))
+      return hash;
+    if (search !== '')
+      return search + hash;
+  }
+  if (basePath.charCodeAt(0) !== CHAR_FORWARD_SLASH ||
+      targetPath.charCodeAt(0) !== CHAR_FORWARD_SLASH)
+    return null;
+
+  let path = relativePath(basePath, targetPath);
+  if (path.length > targetPath.length &&
+      targetPath.charCodeAt(1) !== CHAR_FORWARD_SLASH)
+    path = targetPath;
+  return path + search + hash;
+}
+
+// Returns the relative-path reference from the directory of `from` to `to`,
+// both absolute paths, climbing with "../" out of the directories they
+// don't share.
+function relativePath(from, to) {
+  const fromSegments = from.split('/');
+  const toSegments = to.split('/');
+  fromSegments.pop();
+  let common = 0;
+  while (common < fromSegments.length &&
+         common < toSegments.length - 1 &&
+         fromSegments[common] === toSegments[common])
+    ++common;
+
+  const rest = toSegments.slice(common).join('/');
+  const path = '../'.repeat(fromSegments.length - common) + rest;
+  // A reference starting with a colon-containing segment would read as a
+  // scheme, and one starting with a slash as an absolute path.
+  if (path === '' || path.charCodeAt(0) === CHAR_FORWARD_SLASH ||
+      (common === fromSegments.length && toSegments[common].includes(':')))
+    return `./${path}`;
+  return path;
+}
+
+function isStrictResolution(options) {
+  if (options === undefined || options === null)
+    return false;
+  if (typeof options !== 'object')
+    throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+  return Boolean(options.strict);
+}
+
+function toHrefArgument(url, name) {
+  if (url instanceof URL)
+    return url.href;
+  if (url instanceof Url)
+    return url.format();
+  if (typeof url !== 'string')
+    throw new ERR_INVALID_ARG_TYPE(name, ['string', 'Url', 'URL'], url);
+  return url;
+}
+
 Url.prototype.parseHost = function parseHost() {
   let host = this.host;
   let port = portPattern.exec(host);
@@ -952,6 +1426,44 @@ Url.prototype.parseHost = function parseHost() {
   if (host) this.hostname = host;
 };
 
+// Utility function that converts a URL object into an ordinary options object
+// as expected by the http.request and https.request APIs. Accepts both WHATWG
+// URL objects and legacy Url objects.
+function urlToHttpOptions(url) {
+  const options = Object.create(null);
+  // In case the url object was extended by the user.
+  const keys = Object.keys(url);
+  for (let i = 0; i < keys.length; i++)
+    options[keys[i]] = url[keys[i]];
+
+  const hostname = url.hostname;
+  const pathname = url.pathname;
+  const search = url.search;
+  options.protocol = url.protocol;
+  options.hostname =
+    hostname && hostname.charCodeAt(0) === CHAR_LEFT_SQUARE_BRACKET ?
+      hostname.slice(1, -1) :
+      hostname;
+  options.hash = url.hash;
+  options.search = search;
+  options.pathname = pathname;
+  options.path = `${pathname || ''}${search || ''}`;
+  options.href = url.href;
+
+  const port = url.port;
+  if (port !== '' && port !== null && port !== undefined)
+    options.port = Number(port);
+  else
+    delete options.port;
+
+  // Legacy Url objects already carry the decoded credentials in `auth`.
+  if (!(url instanceof Url) && (url.username || url.password)) {
+    options.auth = `${decodeURIComponent(url.username)}:` +
+                   `${decodeURIComponent(url.password)}`;
+  }
+  return options;
+}
+
 // As of V8 6.6, depending on the size of the array, this is anywhere
 // between 1.5-10x faster than the two-arg version of Array#splice()
 function spliceOne(list, index) {
@@ -962,15 +1474,111 @@ function spliceOne(list, index) {
 
 export default {
   Url,
+  URL,
+  URLSearchParams,
+  URLPattern,
   parse: urlParse,
+  parseStrict: urlParseStrict,
   resolve: urlResolve,
+  resolveStrict: urlResolveStrict,
   resolveObject: urlResolveObject,
+  relative: urlRelative,
   format: urlFormat,
+  normalize: urlNormalize,
+  equals: urlEquals,
+  diff: urlDiff,
+  compileMatchPattern,
+  MatchPatternSet,
+  fileURLToPath,
+  pathToFileURL,
+  parseDataURL,
+  toDataURL,
+  parseMailto,
+  formatMailto,
+  expandTemplate,
+  matchTemplate: urlMatchTemplate,
+  getOrigin,
+  isSameOrigin,
+  isSameSite,
+  loadPublicSuffixList,
+  getPublicSuffix,
+  getRegistrableDomain,
+  getSubdomain,
+  domainToASCII,
+  domainToUnicode,
+  urlToHttpOptions,
+  defaultPorts,
+  getDefaultPort,
+  registerScheme,
+  ipv4ToNumber,
+  numberToIpv4,
+  parseIPv6: parseIPv6Address,
+  formatIPv6: formatIPv6Address,
+  ERR_INVALID_URL,
+  ERR_INVALID_URL_PATTERN,
+  ERR_INVALID_URI_TEMPLATE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_URL_SCHEME,
+  ERR_OUT_OF_RANGE,
+  ERR_INVALID_TUPLE,
+  ERR_ARG_NOT_ITERABLE,
+  URLParseError,
 };
 export {
   Url,
+  URL,
+  URLSearchParams,
+  URLPattern,
   urlParse as parse,
+  urlParseStrict as parseStrict,
   urlResolve as resolve,
+  urlResolveStrict as resolveStrict,
   urlResolveObject as resolveObject,
+  urlRelative as relative,
   urlFormat as format,
+  urlNormalize as normalize,
+  urlEquals as equals,
+  urlDiff as diff,
+  compileMatchPattern,
+  MatchPatternSet,
+  fileURLToPath,
+  pathToFileURL,
+  parseDataURL,
+  toDataURL,
+  parseMailto,
+  formatMailto,
+  expandTemplate,
+  urlMatchTemplate as matchTemplate,
+  getOrigin,
+  isSameOrigin,
+  isSameSite,
+  loadPublicSuffixList,
+  getPublicSuffix,
+  getRegistrableDomain,
+  getSubdomain,
+  domainToASCII,
+  domainToUnicode,
+  urlToHttpOptions,
+  defaultPorts,
+  getDefaultPort,
+  registerScheme,
+  ipv4ToNumber,
+  numberToIpv4,
+  parseIPv6Address as parseIPv6,
+  formatIPv6Address as formatIPv6,
+  ERR_INVALID_URL,
+  ERR_INVALID_URL_PATTERN,
+  ERR_INVALID_URI_TEMPLATE,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_FILE_URL_PATH,
+  ERR_INVALID_FILE_URL_HOST,
+  ERR_INVALID_URL_SCHEME,
+  ERR_OUT_OF_RANGE,
+  ERR_INVALID_TUPLE,
+  ERR_ARG_NOT_ITERABLE,
+  URLParseError,
 };